@@ -1,14 +1,11 @@
 // API client for mobile-bmr
 import axios from 'axios';
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import { SECURE_KEYS, secureGet, secureSet, clearAuthSession } from '../services/secureStorage';
+import { DEFAULT_CONFIG } from '../constants/config';
 
-const API_URL = 'https://api.bmrpog.com/api';
-
-// Retry configuration
+// Retry configuration (limits can be changed remotely via configureApi)
 const RETRY_CONFIG = {
-    maxRetries: 3,
-    baseDelay: 1000, // 1 second
-    maxDelay: 10000, // 10 seconds
+    ...DEFAULT_CONFIG.settings.retry,
     retryableErrors: ['ECONNABORTED', 'ETIMEDOUT', 'ENOTFOUND', 'ENETUNREACH', 'ERR_NETWORK'],
     retryableStatuses: [408, 429, 500, 502, 503, 504],
 };
@@ -60,7 +57,7 @@ const onRefreshed = (newToken) => {
 };
 
 const api = axios.create({
-    baseURL: API_URL,
+    baseURL: DEFAULT_CONFIG.settings.apiUrl,
     timeout: 15000,
     headers: {
         'Content-Type': 'application/json',
@@ -105,7 +102,7 @@ api.interceptors.response.use(
 // Attach access token to every request
 api.interceptors.request.use(
     async (config) => {
-        const token = await AsyncStorage.getItem('accessToken');
+        const token = await secureGet(SECURE_KEYS.ACCESS_TOKEN);
         if (token) {
             config.headers.Authorization = `Bearer ${token}`;
         }
@@ -136,17 +133,21 @@ api.interceptors.response.use(
             isRefreshing = true;
 
             try {
-                // Try to refresh token via API
+                // Try to refresh token via API (cookie, plus the stored refresh token when the server issued one)
+                const refreshToken = await secureGet(SECURE_KEYS.REFRESH_TOKEN);
                 const refreshRes = await axios.post(
-                    `${API_URL}/refresh-token`,
-                    {},
+                    `${api.defaults.baseURL}/refresh-token`,
+                    refreshToken ? { refreshToken } : {},
                     { withCredentials: true }
                 );
 
                 const newToken = refreshRes.data.accessToken;
 
                 // Save new token
-                await AsyncStorage.setItem('accessToken', newToken);
+                await secureSet(SECURE_KEYS.ACCESS_TOKEN, newToken);
+                if (refreshRes.data.refreshToken) {
+                    await secureSet(SECURE_KEYS.REFRESH_TOKEN, refreshRes.data.refreshToken);
+                }
 
                 // Notify subscribers
                 onRefreshed(newToken);
@@ -161,7 +162,7 @@ api.interceptors.response.use(
                 refreshSubscribers = [];
 
                 // Clear storage
-                await AsyncStorage.multiRemove(['accessToken', 'user']);
+                await clearAuthSession();
 
                 // Force logout by setting global flag and reloading
                 if (typeof global !== 'undefined') {
@@ -191,4 +192,17 @@ api.interceptors.response.use(
     }
 );
 
+/**
+ * Apply runtime settings from the remote config (configStore)
+ * @param {object} settings - { apiUrl, retry: { maxRetries, baseDelay, maxDelay } }
+ */
+export const configureApi = (settings = {}) => {
+    if (settings.apiUrl) {
+        api.defaults.baseURL = settings.apiUrl;
+    }
+    if (settings.retry) {
+        Object.assign(RETRY_CONFIG, settings.retry);
+    }
+};
+
 export default api;
@@ -1,5 +1,7 @@
 // API functions for user features
+import { Platform } from 'react-native';
 import api from './axios';
+import { withActingStaff } from '../services/staffSession';
 
 /**
  * ดึงรายการสาขาที่ active
@@ -21,7 +23,7 @@ export const getActiveBranches = async () => {
  */
 export const getTemplateAndProduct = async (branchCode) => {
     const res = await api.post('/template-item', { branchCode });
-    return res.data; // { branchCode, branchName, items }
+    return res.data; // { branchCode, branchName, syncedAt, items }
 };
 
 /**
@@ -41,12 +43,60 @@ export const getBranchShelves = async (branchCode) => {
     return res.data;
 };
 
+// อัปโหลดรูปใช้เวลานานกว่า request ปกติ
+const UPLOAD_TIMEOUT = 60000;
+
 /**
- * สร้าง POG Request ใหม่
+ * Body ของ POG Request - มีรูปถ่าย (data.photos) จะส่งแบบ multipart: ฟิลด์ข้อความ + ไฟล์ photos
  * @param {object} data - ข้อมูล request
+ * @returns {Promise<{body: object|FormData, config: object}>}
+ */
+const buildPogRequestBody = async (data) => {
+    const { photos, ...fields } = withActingStaff(data);
+    if (!photos?.length) return { body: fields, config: {} };
+
+    const form = new FormData();
+    Object.entries(fields).forEach(([key, value]) => {
+        if (value !== null && value !== undefined) form.append(key, String(value));
+    });
+    for (const photo of photos) {
+        if (Platform.OS === 'web') {
+            const blob = await (await fetch(photo.uri)).blob();
+            form.append('photos', blob, photo.name);
+        } else {
+            form.append('photos', { uri: photo.uri, name: photo.name, type: photo.type || 'image/jpeg' });
+        }
+    }
+    return {
+        body: form,
+        config: { headers: { 'Content-Type': 'multipart/form-data' }, timeout: UPLOAD_TIMEOUT },
+    };
+};
+
+// Lets the server recognise a retry of a request it already processed (outbox sends the item id)
+const withIdempotencyKey = (config, key) => (key
+    ? { ...config, headers: { ...config.headers, 'Idempotency-Key': key } }
+    : config);
+
+/**
+ * สร้าง POG Request ใหม่
+ * @param {object} data - ข้อมูล request (photos: [{ uri, name, type }] แนบรูปถ่ายได้)
+ * @param {object} options - { idempotencyKey }
  */
-export const createPogRequest = async (data) => {
-    const res = await api.post('/pog-request', data);
+export const createPogRequest = async (data, options = {}) => {
+    const { body, config } = await buildPogRequestBody(data);
+    const res = await api.post('/pog-request', body, withIdempotencyKey(config, options.idempotencyKey));
+    return res.data;
+};
+
+/**
+ * สร้าง POG Request หลายรายการในครั้งเดียว
+ * @param {string} branchCode - รหัสสาขา
+ * @param {Array} requests - รายการ request (รูปแบบเดียวกับ createPogRequest)
+ * @returns {Promise<object>} { results: [{ index, ok, id, message }] }
+ */
+export const createPogRequestBatch = async (branchCode, requests) => {
+    const res = await api.post('/pog-request/batch', withActingStaff({ branchCode, requests }));
     return res.data;
 };
 
@@ -55,9 +105,47 @@ export const createPogRequest = async (data) => {
  * @param {string} branchCode - รหัสสาขา
  * @param {number} page - หน้าที่ต้องการ (เริ่มที่ 1)
  * @param {number} limit - จำนวนต่อหน้า
+ * @param {object} filters - ตัวกรองเพิ่มเติม { status, action, shelf, search, from, to, sort }
  */
-export const getMyPogRequests = async (branchCode, page = 1, limit = 20) => {
-    const res = await api.get('/pog-request', { params: { branchCode, page, limit } });
+export const getMyPogRequests = async (branchCode, page = 1, limit = 20, filters = {}) => {
+    const res = await api.get('/pog-request', { params: { ...filters, branchCode, page, limit } });
+    return res.data;
+};
+
+/**
+ * ดึงรายละเอียด POG Request พร้อมประวัติการเปลี่ยนสถานะ
+ * @param {number} id - ID ของ request
+ * @returns {Promise<object>} request + history: [{ status, byName, at, comment }]
+ */
+export const getPogRequestDetail = async (id) => {
+    const res = await api.get(`/pog-request/${id}`);
+    return res.data;
+};
+
+/**
+ * ดึงประวัติการปรับตำแหน่งสินค้าของสาขา (แบ่งหน้า)
+ * @param {string} branchCode - รหัสสาขา
+ * @param {object} options - { page, limit, all } - all = true รวมรายการที่รับทราบแล้ว
+ * @returns {Promise<{logs: Array, pagination: object}>}
+ */
+export const getShelfChangeLogs = async (branchCode, { page = 1, limit = 20, all = false } = {}) => {
+    const params = { page, limit };
+    if (all) params.all = true;
+    const res = await api.get(`/shelf-change-logs/${branchCode}`, { params });
+    return res.data;
+};
+
+/**
+ * แก้ไข POG Request ที่ยังรอดำเนินการ
+ * เซิร์ฟเวอร์ตอบ 409 เมื่อคำขอถูกตรวจไปแล้วหรือมีการแก้ไขหลัง expectedUpdatedAt
+ * @param {number} id - ID ของ request
+ * @param {object} data - ข้อมูลใหม่ (รูปแบบเดียวกับ createPogRequest - photos คือรูปที่แนบเพิ่ม)
+ * @param {string} expectedUpdatedAt - updatedAt ของคำขอที่เปิดแก้ไข
+ * @returns {Promise<object>} { ok, data: request }
+ */
+export const updatePogRequest = async (id, data, expectedUpdatedAt) => {
+    const { body, config } = await buildPogRequestBody({ ...data, expectedUpdatedAt });
+    const res = await api.patch(`/pog-request/${id}`, body, config);
     return res.data;
 };
 
@@ -66,7 +154,7 @@ export const getMyPogRequests = async (branchCode, page = 1, limit = 20) => {
  * @param {number} id - ID ของ request
  */
 export const cancelPogRequest = async (id) => {
-    const res = await api.patch(`/pog-request/${id}/cancel`);
+    const res = await api.patch(`/pog-request/${id}/cancel`, withActingStaff({}));
     return res.data;
 };
 
@@ -117,8 +205,85 @@ export const getNextIndex = async (branchCode, shelfCode, rowNo) => {
 /**
  * ลงทะเบียนสินค้าลง DB โดยตรง
  * @param {object} data - { branchCode, barcode, shelfCode, rowNo }
+ * @param {object} options - { idempotencyKey }
+ */
+export const registerProduct = async (data, options = {}) => {
+    const res = await api.post('/register/product', data, withIdempotencyKey({}, options.idempotencyKey));
+    return res.data;
+};
+
+// =============================================================================
+// Stock Count APIs (นับสต็อก)
+// =============================================================================
+
+/**
+ * ส่งผลการนับสต็อก
+ * @param {object} data - { branchCode, startedAt, finishedAt, items: [{ barcode, countedQty, systemQty }] }
+ */
+export const submitStockCount = async (data) => {
+    const res = await api.post('/stock-count', data);
+    return res.data;
+};
+
+// =============================================================================
+// App Config APIs (feature flags / runtime settings)
+// =============================================================================
+
+/**
+ * ดึง feature flags และค่าตั้งค่าของแอปสำหรับสาขา
+ * @param {string} branchCode - รหัสสาขา (ไม่ส่ง = ค่ากลาง)
+ * @param {string} appVersion - เวอร์ชันแอปที่ติดตั้ง
+ */
+export const getAppConfig = async (branchCode, appVersion) => {
+    const res = await api.get('/app-config', { params: { branchCode, appVersion } });
+    return res.data; // { flags, settings, updatedAt }
+};
+
+// =============================================================================
+// Device Enrollment APIs (ลงทะเบียนเครื่องกับสาขา)
+// =============================================================================
+
+/**
+ * ลงทะเบียนเครื่องกับสาขาด้วยรหัสลงทะเบียนที่ออกโดยระบบหลังบ้าน
+ * @param {object} data - { branchCode, enrollmentCode, deviceId, deviceName }
+ */
+export const enrollDevice = async (data) => {
+    const res = await api.post('/device/enroll', data);
+    return res.data; // { branchCode, branchName, deviceToken }
+};
+
+// =============================================================================
+// Staff APIs (สลับผู้ใช้บนเครื่องสาขา)
+// =============================================================================
+
+/**
+ * ยืนยันตัวตนพนักงานด้วย PIN ส่วนตัว (ใช้กับ session สาขาที่เข้าสู่ระบบอยู่)
+ * @param {string} branchCode - รหัสสาขา
+ * @param {string} pin - PIN ของพนักงาน
+ */
+export const verifyStaffPin = async (branchCode, pin) => {
+    const res = await api.post('/staff/verify-pin', { branchCode, pin });
+    return res.data; // { staff: { id, name, role, permissions } }
+};
+
+// =============================================================================
+// Push Notification APIs (แจ้งเตือน)
+// =============================================================================
+
+/**
+ * ลงทะเบียน push token ของเครื่องกับสาขา
+ * @param {object} data - { branchCode, token, deviceId, platform }
+ */
+export const registerPushToken = async (data) => {
+    const res = await api.post('/push-token', data);
+    return res.data;
+};
+
+/**
+ * ยกเลิก push token (ออกจากระบบ)
+ * @param {object} data - { branchCode, token }
  */
-export const registerProduct = async (data) => {
-    const res = await api.post('/register/product', data);
+export const unregisterPushToken = async (data) => {
+    const res = await api.post('/push-token/remove', data);
     return res.data;
 };
@@ -0,0 +1,175 @@
+/**
+ * CustomPicker - Bottom-sheet picker used by the request forms
+ * Shows a labelled button and a modal list of { value, label } options
+ */
+
+import React, { useState } from 'react';
+import {
+    View,
+    Text,
+    TouchableOpacity,
+    StyleSheet,
+    FlatList,
+    Modal,
+} from 'react-native';
+import { Check, X, ChevronDown } from 'lucide-react-native';
+
+export function CustomPicker({ label, value, options, onChange, placeholder, disabled, icon: Icon }) {
+    const [isOpen, setIsOpen] = useState(false);
+    const selectedOption = options.find((opt) => opt.value === value);
+
+    return (
+        <View style={styles.pickerWrapper}>
+            <Text style={styles.label}>{label}</Text>
+            <TouchableOpacity
+                style={[styles.pickerButton, disabled && styles.pickerButtonDisabled]}
+                onPress={() => !disabled && setIsOpen(true)}
+                disabled={disabled}
+            >
+                <View style={styles.pickerBtnContent}>
+                    {Icon && <Icon size={18} color={value ? '#1e293b' : '#94a3b8'} style={styles.pickerIcon} />}
+                    <Text style={[styles.pickerButtonText, !value && styles.pickerPlaceholder]}>
+                        {selectedOption ? selectedOption.label : placeholder}
+                    </Text>
+                </View>
+                <ChevronDown size={20} color="#94a3b8" />
+            </TouchableOpacity>
+
+            <Modal visible={isOpen} transparent animationType="fade">
+                <TouchableOpacity
+                    style={styles.pickerModalOverlay}
+                    activeOpacity={1}
+                    onPress={() => setIsOpen(false)}
+                >
+                    <View style={styles.pickerModalContent}>
+                        <View style={styles.pickerModalHeader}>
+                            <Text style={styles.pickerModalTitle}>{label}</Text>
+                            <TouchableOpacity onPress={() => setIsOpen(false)} style={styles.closeBtn}>
+                                <X size={24} color="#64748b" />
+                            </TouchableOpacity>
+                        </View>
+                        <FlatList
+                            data={options}
+                            keyExtractor={(item) => String(item.value)}
+                            renderItem={({ item }) => (
+                                <TouchableOpacity
+                                    style={[
+                                        styles.pickerOptionItem,
+                                        value === item.value && styles.pickerOptionItemActive,
+                                    ]}
+                                    onPress={() => {
+                                        onChange(item.value);
+                                        setIsOpen(false);
+                                    }}
+                                >
+                                    <Text
+                                        style={[
+                                            styles.pickerOptionText,
+                                            value === item.value && styles.pickerOptionTextActive,
+                                        ]}
+                                    >
+                                        {item.label}
+                                    </Text>
+                                    {value === item.value && <Check size={20} color="#10b981" />}
+                                </TouchableOpacity>
+                            )}
+                            style={styles.pickerOptionList}
+                        />
+                    </View>
+                </TouchableOpacity>
+            </Modal>
+        </View>
+    );
+}
+
+const styles = StyleSheet.create({
+    label: {
+        fontSize: 13,
+        color: '#64748b',
+        marginBottom: 6,
+        fontWeight: '500',
+    },
+    pickerWrapper: {
+        marginBottom: 12,
+    },
+    pickerButton: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        backgroundColor: '#f8fafc',
+        borderWidth: 1,
+        borderColor: '#e2e8f0',
+        borderRadius: 12,
+        paddingHorizontal: 12,
+        paddingVertical: 12,
+    },
+    pickerButtonDisabled: {
+        opacity: 0.6,
+        backgroundColor: '#f1f5f9',
+    },
+    pickerBtnContent: {
+        flexDirection: 'row',
+        alignItems: 'center',
+    },
+    pickerIcon: {
+        marginRight: 8,
+    },
+    pickerButtonText: {
+        fontSize: 15,
+        color: '#1e293b',
+    },
+    pickerPlaceholder: {
+        color: '#94a3b8',
+    },
+    pickerModalOverlay: {
+        flex: 1,
+        backgroundColor: 'rgba(0,0,0,0.5)',
+        justifyContent: 'flex-end',
+    },
+    pickerModalContent: {
+        backgroundColor: '#fff',
+        borderTopLeftRadius: 24,
+        borderTopRightRadius: 24,
+        maxHeight: '70%',
+        paddingBottom: 24,
+    },
+    pickerModalHeader: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        padding: 16,
+        borderBottomWidth: 1,
+        borderBottomColor: '#f1f5f9',
+    },
+    pickerModalTitle: {
+        fontSize: 16,
+        fontWeight: '700',
+        color: '#1e293b',
+    },
+    closeBtn: {
+        padding: 4,
+    },
+    pickerOptionList: {
+        padding: 8,
+    },
+    pickerOptionItem: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        padding: 16,
+        borderRadius: 12,
+    },
+    pickerOptionItemActive: {
+        backgroundColor: '#ecfdf5',
+    },
+    pickerOptionText: {
+        fontSize: 15,
+        color: '#1e293b',
+    },
+    pickerOptionTextActive: {
+        color: '#10b981',
+        fontWeight: '600',
+    },
+});
+
+export default CustomPicker;
@@ -0,0 +1,326 @@
+/**
+ * ExportRangeModal - Pick a date range and export a list to a spreadsheet (CSV)
+ * Shared by the POG request history and shelf change history screens
+ */
+
+import React, { useState, useEffect } from 'react';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet, Modal, ActivityIndicator, Platform } from 'react-native';
+import { FileSpreadsheet, WifiOff } from 'lucide-react-native';
+import { useNetwork } from '../contexts/NetworkContext';
+import { getErrorMessage } from '../utils/errorHelper';
+import {
+    DATE_RANGES,
+    DATE_RANGE_LABELS,
+    CUSTOM_RANGE,
+    CUSTOM_RANGE_LABEL,
+    formatDateInput,
+    parseDateInput,
+} from '../utils/dateRanges';
+
+const RANGE_OPTIONS = [...Object.values(DATE_RANGES), CUSTOM_RANGE];
+
+const getRangeLabel = (key) => (key === CUSTOM_RANGE ? CUSTOM_RANGE_LABEL : DATE_RANGE_LABELS[key]);
+
+/**
+ * Export Range Modal Component
+ * @param {object} props - { visible, title, onClose, onExport(range) => rows exported }
+ * range is one of DATE_RANGES, or { fromDate, toDate } when the dates were typed in
+ */
+export default function ExportRangeModal({ visible, title, onClose, onExport }) {
+    const { isConnected, isInternetReachable } = useNetwork();
+    const isOnline = isConnected && isInternetReachable;
+
+    const [range, setRange] = useState(DATE_RANGES.LAST_30_DAYS);
+    const [exporting, setExporting] = useState(false);
+    const [message, setMessage] = useState('');
+    const [fromText, setFromText] = useState('');
+    const [toText, setToText] = useState('');
+
+    useEffect(() => {
+        if (visible) setMessage('');
+    }, [visible]);
+
+    // Start the typed range on the same 30 days as the default preset
+    const selectRange = (key) => {
+        if (key === CUSTOM_RANGE && !fromText && !toText) {
+            const today = new Date();
+            setFromText(formatDateInput(new Date(today.getFullYear(), today.getMonth(), today.getDate() - 29)));
+            setToText(formatDateInput(today));
+        }
+        setRange(key);
+    };
+
+    // Preset key, or the typed dates (null + message when they don't make a range)
+    const resolveRange = () => {
+        if (range !== CUSTOM_RANGE) return range;
+
+        const fromDate = parseDateInput(fromText);
+        const toDate = parseDateInput(toText);
+        if (!fromDate || !toDate) {
+            setMessage('กรุณากรอกวันที่ให้ถูกต้อง (วว/ดด/ปปปป)');
+            return null;
+        }
+        if (fromDate > toDate) {
+            setMessage('วันที่เริ่มต้นต้องไม่เกินวันที่สิ้นสุด');
+            return null;
+        }
+        return { fromDate, toDate };
+    };
+
+    const handleExport = async () => {
+        setMessage('');
+        const selected = resolveRange();
+        if (!selected) return;
+
+        setExporting(true);
+        try {
+            const count = await onExport(selected);
+            if (count > 0) {
+                onClose();
+            } else {
+                setMessage('ไม่มีข้อมูลในช่วงวันที่ที่เลือก');
+            }
+        } catch (err) {
+            if (__DEV__) console.error('Export error:', err);
+            setMessage(getErrorMessage(err, 'ไม่สามารถส่งออกข้อมูลได้'));
+        } finally {
+            setExporting(false);
+        }
+    };
+
+    return (
+        <Modal visible={visible} transparent animationType="fade" onRequestClose={exporting ? undefined : onClose}>
+            <View style={styles.overlay}>
+                <View style={styles.container}>
+                    <View style={styles.iconCircle}>
+                        <FileSpreadsheet size={28} color="#10b981" />
+                    </View>
+                    <Text style={styles.title}>{title}</Text>
+                    <Text style={styles.subtitle}>ไฟล์ CSV (เปิดด้วย Excel ได้)</Text>
+
+                    <View style={styles.rangeGrid}>
+                        {RANGE_OPTIONS.map((key) => (
+                            <TouchableOpacity
+                                key={key}
+                                style={[styles.rangeChip, range === key && styles.rangeChipActive]}
+                                onPress={() => selectRange(key)}
+                                disabled={exporting}
+                            >
+                                <Text style={[styles.rangeChipText, range === key && styles.rangeChipTextActive]}>
+                                    {getRangeLabel(key)}
+                                </Text>
+                            </TouchableOpacity>
+                        ))}
+                    </View>
+
+                    {range === CUSTOM_RANGE && (
+                        <View style={styles.customRange}>
+                            <View style={styles.dateField}>
+                                <Text style={styles.dateLabel}>ตั้งแต่วันที่</Text>
+                                <TextInput
+                                    style={styles.dateInput}
+                                    value={fromText}
+                                    onChangeText={setFromText}
+                                    placeholder="วว/ดด/ปปปป"
+                                    placeholderTextColor="#94a3b8"
+                                    keyboardType="numbers-and-punctuation"
+                                    maxLength={10}
+                                    editable={!exporting}
+                                />
+                            </View>
+                            <View style={styles.dateField}>
+                                <Text style={styles.dateLabel}>ถึงวันที่</Text>
+                                <TextInput
+                                    style={styles.dateInput}
+                                    value={toText}
+                                    onChangeText={setToText}
+                                    placeholder="วว/ดด/ปปปป"
+                                    placeholderTextColor="#94a3b8"
+                                    keyboardType="numbers-and-punctuation"
+                                    maxLength={10}
+                                    editable={!exporting}
+                                />
+                            </View>
+                        </View>
+                    )}
+
+                    {!isOnline && (
+                        <View style={styles.offlineRow}>
+                            <WifiOff size={14} color="#b45309" />
+                            <Text style={styles.offlineText}>ต้องเชื่อมต่ออินเทอร์เน็ตเพื่อส่งออกข้อมูล</Text>
+                        </View>
+                    )}
+
+                    {!!message && <Text style={styles.message}>{message}</Text>}
+
+                    <View style={styles.buttons}>
+                        <TouchableOpacity
+                            style={[styles.button, styles.btnCancel]}
+                            onPress={onClose}
+                            disabled={exporting}
+                        >
+                            <Text style={styles.btnTextCancel}>ปิด</Text>
+                        </TouchableOpacity>
+                        <TouchableOpacity
+                            style={[styles.button, styles.btnConfirm, (!isOnline || exporting) && styles.btnDisabled]}
+                            onPress={handleExport}
+                            disabled={!isOnline || exporting}
+                        >
+                            {exporting ? (
+                                <ActivityIndicator size="small" color="#fff" />
+                            ) : (
+                                <Text style={styles.btnTextConfirm}>ส่งออก</Text>
+                            )}
+                        </TouchableOpacity>
+                    </View>
+                </View>
+            </View>
+        </Modal>
+    );
+}
+
+const styles = StyleSheet.create({
+    overlay: {
+        flex: 1,
+        backgroundColor: 'rgba(15, 23, 42, 0.4)',
+        justifyContent: 'center',
+        alignItems: 'center',
+        padding: 24,
+    },
+    container: {
+        backgroundColor: '#fff',
+        borderRadius: 24,
+        padding: 24,
+        width: '100%',
+        maxWidth: 360,
+        alignItems: 'center',
+        ...Platform.select({
+            ios: {
+                shadowColor: '#000',
+                shadowOffset: { width: 0, height: 10 },
+                shadowOpacity: 0.1,
+                shadowRadius: 20,
+            },
+            android: {
+                elevation: 10,
+            },
+        }),
+    },
+    iconCircle: {
+        width: 56,
+        height: 56,
+        borderRadius: 28,
+        backgroundColor: '#ecfdf5',
+        justifyContent: 'center',
+        alignItems: 'center',
+        marginBottom: 16,
+    },
+    title: {
+        fontSize: 18,
+        fontWeight: '700',
+        color: '#1e293b',
+        marginBottom: 4,
+    },
+    subtitle: {
+        fontSize: 13,
+        color: '#64748b',
+        marginBottom: 16,
+    },
+    rangeGrid: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        justifyContent: 'center',
+        gap: 8,
+        marginBottom: 16,
+    },
+    rangeChip: {
+        paddingHorizontal: 12,
+        paddingVertical: 8,
+        borderRadius: 20,
+        backgroundColor: '#f1f5f9',
+        borderWidth: 1,
+        borderColor: '#e2e8f0',
+    },
+    rangeChipActive: {
+        backgroundColor: '#10b981',
+        borderColor: '#10b981',
+    },
+    rangeChipText: {
+        fontSize: 13,
+        fontWeight: '600',
+        color: '#475569',
+    },
+    rangeChipTextActive: {
+        color: '#fff',
+    },
+    customRange: {
+        flexDirection: 'row',
+        gap: 12,
+        width: '100%',
+        marginBottom: 16,
+    },
+    dateField: {
+        flex: 1,
+    },
+    dateLabel: {
+        fontSize: 12,
+        fontWeight: '600',
+        color: '#64748b',
+        marginBottom: 6,
+    },
+    dateInput: {
+        borderWidth: 1,
+        borderColor: '#e2e8f0',
+        borderRadius: 12,
+        paddingHorizontal: 12,
+        paddingVertical: 10,
+        fontSize: 15,
+        color: '#1e293b',
+        backgroundColor: '#f8fafc',
+        textAlign: 'center',
+    },
+    offlineRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 6,
+        marginBottom: 12,
+    },
+    offlineText: {
+        fontSize: 12,
+        color: '#b45309',
+    },
+    message: {
+        fontSize: 13,
+        color: '#dc2626',
+        textAlign: 'center',
+        marginBottom: 12,
+    },
+    buttons: {
+        flexDirection: 'row',
+        gap: 12,
+        width: '100%',
+    },
+    button: {
+        flex: 1,
+        paddingVertical: 12,
+        borderRadius: 12,
+        alignItems: 'center',
+    },
+    btnCancel: {
+        backgroundColor: '#f1f5f9',
+    },
+    btnConfirm: {
+        backgroundColor: '#10b981',
+    },
+    btnDisabled: {
+        opacity: 0.5,
+    },
+    btnTextCancel: {
+        color: '#475569',
+        fontWeight: '600',
+    },
+    btnTextConfirm: {
+        color: '#fff',
+        fontWeight: '600',
+    },
+});
@@ -0,0 +1,240 @@
+/**
+ * IdleTimeoutGuard - App-wide auto logout for shared devices
+ * Any touch counts as activity; a countdown warning shows before logout and open forms are saved as drafts first
+ * Shared branch sessions only lock back to the staff PIN screen - the branch stays signed in
+ */
+
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import {
+    View,
+    Text,
+    Modal,
+    TouchableOpacity,
+    StyleSheet,
+    Platform,
+} from 'react-native';
+import { Clock } from 'lucide-react-native';
+import useAuthStore from '../store/authStore';
+import { useIdleTimeout } from '../hooks/useIdleTimeout';
+import { useSetting } from '../hooks/useConfig';
+import { getLastActivity } from '../services/secureStorage';
+import { flushDrafts } from '../services/draftService';
+
+// Warning shown this long before the logout
+const WARNING_SECONDS = 60;
+
+// Touches update the stored activity time at most this often (secure store writes are slow)
+const ACTIVITY_WRITE_INTERVAL = 15 * 1000;
+
+export default function IdleTimeoutGuard({ children, enabled = true }) {
+    const forceLogout = useAuthStore((s) => s.forceLogout);
+    const lockStaff = useAuthStore((s) => s.lockStaff);
+    const isSharedSession = useAuthStore((s) => s.user?.loginType === 'branch');
+    const idleTimeoutMinutes = useSetting('idleTimeoutMinutes');
+
+    const [logoutAt, setLogoutAt] = useState(null);
+    const [secondsLeft, setSecondsLeft] = useState(WARNING_SECONDS);
+    const lastWriteRef = useRef(0);
+    const loggingOutRef = useRef(false);
+
+    const timeoutMs = idleTimeoutMinutes * 60 * 1000;
+    const warningMs = Math.min(WARNING_SECONDS * 1000, timeoutMs / 2);
+
+    // Save open forms, then end the session
+    const logoutNow = useCallback(async () => {
+        if (loggingOutRef.current) return;
+        loggingOutRef.current = true;
+        setLogoutAt(null);
+
+        if (isSharedSession) {
+            // lockStaff saves open forms itself
+            await lockStaff();
+            return;
+        }
+        await flushDrafts();
+        await forceLogout('ออกจากระบบอัตโนมัติเนื่องจากไม่มีการใช้งาน งานที่ค้างไว้ถูกบันทึกเป็นฉบับร่าง');
+    }, [isSharedSession, lockStaff, forceLogout]);
+
+    // Warning point reached - count down what is left of the full timeout
+    const handleIdle = useCallback(async () => {
+        if (loggingOutRef.current) return;
+
+        const lastActivity = (await getLastActivity()) || Date.now();
+        const endsAt = lastActivity + timeoutMs;
+        if (endsAt <= Date.now()) {
+            logoutNow();
+            return;
+        }
+        setLogoutAt((current) => current || endsAt);
+    }, [timeoutMs, logoutNow]);
+
+    const { updateActivity } = useIdleTimeout(handleIdle, {
+        timeout: timeoutMs - warningMs,
+        enabled: enabled && !logoutAt,
+        checkInterval: 15000,
+    });
+
+    // Countdown
+    useEffect(() => {
+        if (!logoutAt) return;
+
+        const tick = () => {
+            const left = Math.max(0, Math.ceil((logoutAt - Date.now()) / 1000));
+            setSecondsLeft(left);
+            if (left === 0) logoutNow();
+        };
+        tick();
+        const timer = setInterval(tick, 1000);
+        return () => clearInterval(timer);
+    }, [logoutAt, logoutNow]);
+
+    // Re-arm after the session ends
+    useEffect(() => {
+        if (enabled) loggingOutRef.current = false;
+    }, [enabled]);
+
+    // Capture phase sees every touch without taking it from the touched component
+    const handleTouch = () => {
+        const now = Date.now();
+        if (now - lastWriteRef.current > ACTIVITY_WRITE_INTERVAL) {
+            lastWriteRef.current = now;
+            updateActivity();
+        }
+        return false;
+    };
+
+    const handleStay = async () => {
+        lastWriteRef.current = Date.now();
+        await updateActivity();
+        setLogoutAt(null);
+    };
+
+    return (
+        <View style={styles.container} onStartShouldSetResponderCapture={handleTouch}>
+            {children}
+
+            {/* Idle Warning Modal */}
+            <Modal
+                visible={!!logoutAt}
+                transparent
+                animationType="fade"
+                onRequestClose={handleStay}
+            >
+                <View style={styles.overlay}>
+                    <View style={styles.modal}>
+                        <View style={styles.iconContainer}>
+                            <Clock size={32} color="#f59e0b" />
+                        </View>
+                        <Text style={styles.title}>ไม่มีการใช้งาน</Text>
+                        <Text style={styles.message}>
+                            {isSharedSession ? 'ระบบจะล็อกหน้าจออัตโนมัติใน' : 'ระบบจะออกจากระบบอัตโนมัติใน'}
+                        </Text>
+                        <Text style={styles.countdown}>{secondsLeft} วินาที</Text>
+                        <Text style={styles.hint}>งานที่ยังไม่ได้ส่งจะถูกบันทึกเป็นฉบับร่าง</Text>
+                        <View style={styles.buttons}>
+                            <TouchableOpacity style={[styles.button, styles.buttonSecondary]} onPress={logoutNow}>
+                                <Text style={styles.buttonSecondaryText}>
+                                    {isSharedSession ? 'ล็อกเลย' : 'ออกจากระบบ'}
+                                </Text>
+                            </TouchableOpacity>
+                            <TouchableOpacity style={[styles.button, styles.buttonPrimary]} onPress={handleStay}>
+                                <Text style={styles.buttonPrimaryText}>ใช้งานต่อ</Text>
+                            </TouchableOpacity>
+                        </View>
+                    </View>
+                </View>
+            </Modal>
+        </View>
+    );
+}
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+    },
+    overlay: {
+        flex: 1,
+        backgroundColor: 'rgba(15, 23, 42, 0.5)',
+        justifyContent: 'center',
+        alignItems: 'center',
+        padding: 24,
+    },
+    modal: {
+        backgroundColor: '#fff',
+        borderRadius: 24,
+        padding: 24,
+        width: '100%',
+        maxWidth: 340,
+        alignItems: 'center',
+        ...Platform.select({
+            ios: {
+                shadowColor: '#000',
+                shadowOffset: { width: 0, height: 10 },
+                shadowOpacity: 0.1,
+                shadowRadius: 20,
+            },
+            android: {
+                elevation: 10,
+            },
+        }),
+    },
+    iconContainer: {
+        width: 64,
+        height: 64,
+        borderRadius: 32,
+        backgroundColor: '#fef3c7',
+        justifyContent: 'center',
+        alignItems: 'center',
+        marginBottom: 16,
+    },
+    title: {
+        fontSize: 20,
+        fontWeight: '700',
+        color: '#1e293b',
+        marginBottom: 8,
+    },
+    message: {
+        fontSize: 15,
+        color: '#64748b',
+        textAlign: 'center',
+    },
+    countdown: {
+        fontSize: 32,
+        fontWeight: '800',
+        color: '#f59e0b',
+        marginVertical: 8,
+    },
+    hint: {
+        fontSize: 13,
+        color: '#94a3b8',
+        textAlign: 'center',
+        marginBottom: 20,
+    },
+    buttons: {
+        flexDirection: 'row',
+        gap: 12,
+        width: '100%',
+    },
+    button: {
+        flex: 1,
+        paddingVertical: 14,
+        borderRadius: 12,
+        alignItems: 'center',
+    },
+    buttonPrimary: {
+        backgroundColor: '#10b981',
+    },
+    buttonSecondary: {
+        backgroundColor: '#f1f5f9',
+    },
+    buttonPrimaryText: {
+        color: '#fff',
+        fontWeight: '600',
+        fontSize: 15,
+    },
+    buttonSecondaryText: {
+        color: '#64748b',
+        fontWeight: '600',
+        fontSize: 15,
+    },
+});
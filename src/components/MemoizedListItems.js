@@ -6,29 +6,14 @@
 import React, { memo } from 'react';
 import { View, Text, TouchableOpacity, StyleSheet, Platform } from 'react-native';
 import {
-    Clock, CheckCircle2, XCircle, AlertTriangle,
-    Trash2, ArrowRightLeft, Plus, Calendar, MapPin
+    CheckCircle2, ArrowRightLeft, Calendar, MapPin
 } from 'lucide-react-native';
+import { getRequestStatusInfo, getRequestActionInfo } from '../constants/pogRequests';
 
 // =============================================================================
 // POG REQUEST ITEM
 // =============================================================================
 
-const STATUS_MAP = {
-    pending: { label: 'รอดำเนินการ', bgColor: '#fef3c7', textColor: '#b45309', icon: Clock },
-    approved: { label: 'อนุมัติ', bgColor: '#dcfce7', textColor: '#15803d', icon: CheckCircle2 },
-    rejected: { label: 'ไม่อนุมัติ', bgColor: '#fee2e2', textColor: '#b91c1c', icon: XCircle },
-    completed: { label: 'เสร็จสิ้น', bgColor: '#dcfce7', textColor: '#15803d', icon: CheckCircle2 },
-    cancelled: { label: 'ยกเลิก', bgColor: '#f1f5f9', textColor: '#64748b', icon: XCircle },
-};
-
-const ACTION_MAP = {
-    add: { label: 'นำสินค้าเข้า', icon: Plus, color: '#10b981', bg: '#ecfdf5' },
-    move: { label: 'เปลี่ยนตำแหน่งสินค้า', icon: ArrowRightLeft, color: '#3b82f6', bg: '#eff6ff' },
-    swap: { label: 'สลับตำแหน่ง', icon: ArrowRightLeft, color: '#f59e0b', bg: '#fffbeb' },
-    delete: { label: 'นำสินค้าออก', icon: Trash2, color: '#ef4444', bg: '#fef2f2' },
-};
-
 const formatDate = (dateStr) => {
     if (!dateStr) return '-';
     const d = new Date(dateStr);
@@ -43,8 +28,8 @@ export const PogRequestItem = memo(function PogRequestItem({
     onCancelPress, 
     cancellingId 
 }) {
-    const statusInfo = STATUS_MAP[item.status] || STATUS_MAP.pending;
-    const actionInfo = ACTION_MAP[item.action] || { label: item.action, icon: AlertTriangle, color: '#64748b', bg: '#f1f5f9' };
+    const statusInfo = getRequestStatusInfo(item.status);
+    const actionInfo = getRequestActionInfo(item.action);
     const StatusIcon = statusInfo.icon;
     const ActionIcon = actionInfo.icon;
 
@@ -81,10 +66,18 @@ export const PogRequestItem = memo(function PogRequestItem({
                     <MapPin size={14} color="#94a3b8" />
                     <Text style={pogStyles.locationText} numberOfLines={1}>
                         {item.fromShelf && `${item.fromShelf} / ชั้น ${item.fromRow || '-'} / ลำดับ ${item.fromIndex || '-'}`}
-                        {(item.fromShelf && item.toShelf) && ' → '}
+                        {(item.fromShelf && item.toShelf) && (item.action === 'swap' ? ' ⇄ ' : ' → ')}
                         {item.toShelf && `${item.toShelf} / ชั้น ${item.toRow || '-'} / ลำดับ ${item.toIndex || '-'}`}
                     </Text>
                 </View>
+                {item.action === 'swap' && !!item.swapBarcode && (
+                    <View style={pogStyles.locationRow}>
+                        <ArrowRightLeft size={14} color="#94a3b8" />
+                        <Text style={pogStyles.locationText} numberOfLines={1}>
+                            สลับกับ {item.swapProductName || item.swapBarcode}
+                        </Text>
+                    </View>
+                )}
                 <View style={pogStyles.dateRow}>
                     <Calendar size={14} color="#94a3b8" />
                     <Text style={pogStyles.dateText}>{formatDate(item.createdAt)}</Text>
@@ -0,0 +1,88 @@
+/**
+ * RequestPhotos - Thumbnails of the photos attached to a POG request
+ * Used on the request history list, the detail screen and the edit form
+ */
+
+import React, { useState, useMemo } from 'react';
+import { View, Text, Image, TouchableOpacity, StyleSheet, Modal } from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { X } from 'lucide-react-native';
+import { getPhotoSources } from '../services/requestPhotoService';
+
+/**
+ * Request Photos Component
+ * @param {object} props - { photos, size, max (thumbnails before "+n"), viewable (tap opens full screen) }
+ */
+export default function RequestPhotos({ photos, size = 56, max, viewable = false }) {
+    const sources = useMemo(() => getPhotoSources(photos), [photos]);
+    const [viewing, setViewing] = useState(null);
+
+    if (!sources.length) return null;
+
+    const shown = max ? sources.slice(0, max) : sources;
+    const hiddenCount = sources.length - shown.length;
+    const thumbStyle = [styles.thumb, { width: size, height: size }];
+
+    return (
+        <View style={styles.row}>
+            {shown.map((source) => (viewable ? (
+                <TouchableOpacity key={source.key} onPress={() => setViewing(source.uri)} activeOpacity={0.8}>
+                    <Image source={{ uri: source.thumbUri }} style={thumbStyle} />
+                </TouchableOpacity>
+            ) : (
+                <Image key={source.key} source={{ uri: source.thumbUri }} style={thumbStyle} />
+            )))}
+            {hiddenCount > 0 && (
+                <View style={[thumbStyle, styles.moreTile]}>
+                    <Text style={styles.moreText}>+{hiddenCount}</Text>
+                </View>
+            )}
+
+            {viewable && (
+                <Modal visible={!!viewing} transparent animationType="fade" onRequestClose={() => setViewing(null)}>
+                    <SafeAreaView style={styles.viewer}>
+                        <TouchableOpacity style={styles.closeButton} onPress={() => setViewing(null)}>
+                            <X size={26} color="#fff" />
+                        </TouchableOpacity>
+                        {!!viewing && <Image source={{ uri: viewing }} style={styles.fullImage} resizeMode="contain" />}
+                    </SafeAreaView>
+                </Modal>
+            )}
+        </View>
+    );
+}
+
+const styles = StyleSheet.create({
+    row: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        gap: 8,
+    },
+    thumb: {
+        borderRadius: 8,
+        backgroundColor: '#f1f5f9',
+        borderWidth: 1,
+        borderColor: '#e2e8f0',
+    },
+    moreTile: {
+        justifyContent: 'center',
+        alignItems: 'center',
+    },
+    moreText: {
+        fontSize: 13,
+        fontWeight: '700',
+        color: '#64748b',
+    },
+    viewer: {
+        flex: 1,
+        backgroundColor: 'rgba(0, 0, 0, 0.95)',
+    },
+    closeButton: {
+        alignSelf: 'flex-end',
+        padding: 16,
+    },
+    fullImage: {
+        flex: 1,
+        width: '100%',
+    },
+});
@@ -0,0 +1,167 @@
+/**
+ * ShelfDiagram - Front-of-shelf drawing of one planogram shelf
+ * Rows are stacked top to bottom, products laid out left to right by index
+ */
+
+import React, { memo, useMemo } from 'react';
+import { View, Text, ScrollView, StyleSheet, Dimensions } from 'react-native';
+import Svg, { Rect, Text as SvgText, G, Line } from 'react-native-svg';
+
+const ROW_HEIGHT = 64;
+const ROW_LABEL_WIDTH = 28;
+const BOARD_HEIGHT = 6;
+const MIN_FACING_WIDTH = 52;
+const PADDING = 8;
+
+const COLORS = {
+    facing: '#eff6ff',
+    facingBorder: '#bfdbfe',
+    highlight: '#fef08a',
+    highlightBorder: '#eab308',
+    selected: '#dbeafe',
+    selectedBorder: '#2563eb',
+    board: '#94a3b8',
+    text: '#1e293b',
+    subText: '#64748b',
+};
+
+// Short label that fits inside a facing
+const shortName = (product, maxChars) => {
+    const name = String(product.nameBrand || product.nameProduct || product.barcode || '');
+    return name.length > maxChars ? `${name.slice(0, maxChars - 1)}…` : name;
+};
+
+/**
+ * @param {object} shelf - One entry from groupByShelf
+ * @param {Array} highlightBarcodes - Barcodes to highlight (search / scan result)
+ * @param {string} selectedBarcode - Currently inspected product
+ * @param {Function} onSelectProduct - Called with the tapped product
+ */
+export const ShelfDiagram = memo(function ShelfDiagram({
+    shelf,
+    highlightBarcodes = [],
+    selectedBarcode,
+    onSelectProduct,
+}) {
+    const rows = useMemo(() => (
+        Array.from({ length: shelf?.rowQty || 0 }, (_, idx) => {
+            const rowNo = idx + 1;
+            return {
+                rowNo,
+                products: (shelf.products || [])
+                    .filter((p) => (p.rowNo || 0) === rowNo)
+                    .sort((a, b) => (a.index || 0) - (b.index || 0)),
+            };
+        })
+    ), [shelf]);
+
+    const highlightSet = useMemo(() => new Set(highlightBarcodes.map(String)), [highlightBarcodes]);
+
+    // Every row shares one facing width so the same index lines up vertically
+    const maxFacings = Math.max(1, ...rows.map((row) => row.products.length));
+    const availableWidth = Dimensions.get('window').width - 56 - ROW_LABEL_WIDTH - PADDING * 2;
+    const facingWidth = Math.max(MIN_FACING_WIDTH, availableWidth / maxFacings);
+    const width = ROW_LABEL_WIDTH + PADDING * 2 + facingWidth * maxFacings;
+    const height = rows.length * (ROW_HEIGHT + BOARD_HEIGHT) + PADDING;
+    const maxChars = Math.max(3, Math.floor(facingWidth / 7));
+
+    if (!rows.length) {
+        return <Text style={styles.emptyText}>ไม่มีข้อมูลชั้นวาง</Text>;
+    }
+
+    return (
+        <View style={styles.container}>
+            <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+                <Svg width={width} height={height}>
+                    {rows.map((row, rowIdx) => {
+                        const y = PADDING + rowIdx * (ROW_HEIGHT + BOARD_HEIGHT);
+                        return (
+                            <G key={row.rowNo}>
+                                {/* Row number */}
+                                <SvgText
+                                    x={ROW_LABEL_WIDTH / 2}
+                                    y={y + ROW_HEIGHT / 2 + 4}
+                                    fontSize={12}
+                                    fontWeight="bold"
+                                    fill={COLORS.subText}
+                                    textAnchor="middle"
+                                >
+                                    {row.rowNo}
+                                </SvgText>
+
+                                {row.products.map((product, pIdx) => {
+                                    const x = ROW_LABEL_WIDTH + PADDING + pIdx * facingWidth;
+                                    const isSelected = selectedBarcode === product.barcode;
+                                    const isHighlighted = highlightSet.has(String(product.barcode));
+                                    return (
+                                        <G key={`${product.barcode}-${pIdx}`} onPress={() => onSelectProduct?.(product)}>
+                                            <Rect
+                                                x={x + 2}
+                                                y={y + 2}
+                                                width={facingWidth - 4}
+                                                height={ROW_HEIGHT - 4}
+                                                rx={6}
+                                                fill={isHighlighted ? COLORS.highlight : isSelected ? COLORS.selected : COLORS.facing}
+                                                stroke={isHighlighted ? COLORS.highlightBorder : isSelected ? COLORS.selectedBorder : COLORS.facingBorder}
+                                                strokeWidth={isHighlighted || isSelected ? 2 : 1}
+                                            />
+                                            <SvgText
+                                                x={x + facingWidth / 2}
+                                                y={y + 20}
+                                                fontSize={11}
+                                                fontWeight="bold"
+                                                fill={COLORS.text}
+                                                textAnchor="middle"
+                                            >
+                                                {product.index || pIdx + 1}
+                                            </SvgText>
+                                            <SvgText
+                                                x={x + facingWidth / 2}
+                                                y={y + 40}
+                                                fontSize={10}
+                                                fill={COLORS.subText}
+                                                textAnchor="middle"
+                                            >
+                                                {shortName(product, maxChars)}
+                                            </SvgText>
+                                        </G>
+                                    );
+                                })}
+
+                                {/* Shelf board */}
+                                <Line
+                                    x1={ROW_LABEL_WIDTH}
+                                    y1={y + ROW_HEIGHT + BOARD_HEIGHT / 2}
+                                    x2={width - PADDING}
+                                    y2={y + ROW_HEIGHT + BOARD_HEIGHT / 2}
+                                    stroke={COLORS.board}
+                                    strokeWidth={BOARD_HEIGHT}
+                                    strokeLinecap="round"
+                                />
+                            </G>
+                        );
+                    })}
+                </Svg>
+            </ScrollView>
+        </View>
+    );
+});
+
+const styles = StyleSheet.create({
+    container: {
+        backgroundColor: '#fff',
+        borderRadius: 12,
+        borderWidth: 1,
+        borderColor: '#e2e8f0',
+        paddingVertical: 4,
+        overflow: 'hidden',
+    },
+    emptyText: {
+        fontSize: 13,
+        color: '#94a3b8',
+        textAlign: 'center',
+        paddingVertical: 16,
+    },
+});
+
+export default ShelfDiagram;
@@ -0,0 +1,54 @@
+/**
+ * Config - Safe defaults for remote feature flags and runtime settings
+ * Used until the branch config is fetched, and whenever the server sends a missing or invalid value
+ */
+
+import Constants from 'expo-constants';
+
+// Shipped app version (app.json expo.version) - sent with the config request so flags can target versions
+export const APP_VERSION = Constants.expoConfig?.version || null;
+
+export const DEFAULT_API_URL = 'https://api.bmrpog.com/api';
+
+// EAS project (app.json extra.eas.projectId) - needed for Expo push tokens
+export const EAS_PROJECT_ID = Constants.expoConfig?.extra?.eas?.projectId || Constants.easConfig?.projectId || null;
+
+export const FLAGS = {
+    // Register products directly from the app (pilot branches only)
+    DIRECT_REGISTER: 'directRegister',
+};
+
+export const DEFAULT_CONFIG = {
+    flags: {
+        [FLAGS.DIRECT_REGISTER]: false,
+    },
+    settings: {
+        apiUrl: DEFAULT_API_URL,
+        idleTimeoutMinutes: 10,
+        // Background re-check of shelf updates / request status while the app is open
+        refreshIntervalMinutes: 5,
+        retry: {
+            maxRetries: 3,
+            baseDelay: 1000, // 1 second
+            maxDelay: 10000, // 10 seconds
+        },
+    },
+};
+
+// Allowed range per numeric setting - out-of-range values fall back to the default
+export const SETTING_LIMITS = {
+    idleTimeoutMinutes: { min: 1, max: 240 },
+    refreshIntervalMinutes: { min: 1, max: 60 },
+    'retry.maxRetries': { min: 0, max: 5 },
+    'retry.baseDelay': { min: 100, max: 10000 },
+    'retry.maxDelay': { min: 1000, max: 60000 },
+};
+
+export default {
+    APP_VERSION,
+    DEFAULT_API_URL,
+    EAS_PROJECT_ID,
+    FLAGS,
+    DEFAULT_CONFIG,
+    SETTING_LIMITS,
+};
@@ -0,0 +1,132 @@
+/**
+ * Permissions - Role-based access for menus, screens and actions
+ * The role comes from the login payload (user.role); an explicit user.permissions array overrides it
+ * On a shared branch device the acting staff member (user.staff) decides instead of the branch account
+ */
+
+export const ROLES = {
+    STAFF: 'staff',
+    SUPERVISOR: 'supervisor',
+    ADMIN: 'admin',
+};
+
+// Other role names the server may send
+const ROLE_ALIASES = {
+    user: ROLES.STAFF,
+    employee: ROLES.STAFF,
+    manager: ROLES.SUPERVISOR,
+    superadmin: ROLES.ADMIN,
+};
+
+// Login payloads don't carry a role yet - until the server sends one, keep what
+// every user could already do (cancel, batch requests, shelf audit, export)
+const DEFAULT_ROLE = ROLES.SUPERVISOR;
+
+// A role name the app doesn't know (typo, newer server role) gets the least access
+const UNKNOWN_ROLE = ROLES.STAFF;
+
+export const PERMISSIONS = {
+    VIEW_PLANOGRAM: 'view_planogram',
+    SCAN_BARCODE: 'scan_barcode',
+    VIEW_POG_REQUESTS: 'view_pog_requests',
+    CREATE_POG_REQUEST: 'create_pog_request',
+    CANCEL_POG_REQUEST: 'cancel_pog_request',
+    BATCH_POG_REQUEST: 'batch_pog_request',
+    STOCK_COUNT: 'stock_count',
+    SHELF_AUDIT: 'shelf_audit',
+    ACKNOWLEDGE_SHELF_UPDATE: 'acknowledge_shelf_update',
+    REGISTER_PRODUCT: 'register_product',
+    EXPORT_REPORTS: 'export_reports',
+};
+
+const STAFF_PERMISSIONS = [
+    PERMISSIONS.VIEW_PLANOGRAM,
+    PERMISSIONS.SCAN_BARCODE,
+    PERMISSIONS.VIEW_POG_REQUESTS,
+    PERMISSIONS.CREATE_POG_REQUEST,
+    PERMISSIONS.STOCK_COUNT,
+    PERMISSIONS.ACKNOWLEDGE_SHELF_UPDATE,
+];
+
+const SUPERVISOR_PERMISSIONS = [
+    ...STAFF_PERMISSIONS,
+    PERMISSIONS.CANCEL_POG_REQUEST,
+    PERMISSIONS.BATCH_POG_REQUEST,
+    PERMISSIONS.SHELF_AUDIT,
+    PERMISSIONS.EXPORT_REPORTS,
+    // Still hidden unless the branch has the directRegister flag on
+    PERMISSIONS.REGISTER_PRODUCT,
+];
+
+export const ROLE_PERMISSIONS = {
+    [ROLES.STAFF]: STAFF_PERMISSIONS,
+    [ROLES.SUPERVISOR]: SUPERVISOR_PERMISSIONS,
+    [ROLES.ADMIN]: Object.values(PERMISSIONS),
+};
+
+// Screens in AppStack that need a permission (screens not listed are open to every role)
+export const ROUTE_PERMISSIONS = {
+    Planogram: PERMISSIONS.VIEW_PLANOGRAM,
+    BarcodeScanner: PERMISSIONS.SCAN_BARCODE,
+    PogRequests: PERMISSIONS.VIEW_POG_REQUESTS,
+    PogRequestDetail: PERMISSIONS.VIEW_POG_REQUESTS,
+    CreatePogRequest: PERMISSIONS.CREATE_POG_REQUEST,
+    BatchPogRequest: PERMISSIONS.BATCH_POG_REQUEST,
+    StockCount: PERMISSIONS.STOCK_COUNT,
+    ShelfAudit: PERMISSIONS.SHELF_AUDIT,
+    RegisterProduct: PERMISSIONS.REGISTER_PRODUCT,
+};
+
+// Thai labels for the role badge
+export const ROLE_LABELS = {
+    [ROLES.STAFF]: 'พนักงาน',
+    [ROLES.SUPERVISOR]: 'หัวหน้างาน',
+    [ROLES.ADMIN]: 'ผู้ดูแลระบบ',
+};
+
+/**
+ * Resolve the role of a logged-in user
+ * @param {object} user - authStore user (login payload)
+ * @returns {string} One of ROLES
+ */
+export function getUserRole(user) {
+    const raw = String(user?.staff?.role || user?.role || '').trim().toLowerCase();
+    if (!raw) return DEFAULT_ROLE;
+    if (ROLE_PERMISSIONS[raw]) return raw;
+    return ROLE_ALIASES[raw] || UNKNOWN_ROLE;
+}
+
+/**
+ * Check whether a user may use a feature
+ * @param {object} user - authStore user (login payload)
+ * @param {string} permission - One of PERMISSIONS
+ * @returns {boolean}
+ */
+export function hasPermission(user, permission) {
+    if (!user || !permission) return false;
+    const explicit = user.staff ? user.staff.permissions : user.permissions;
+    if (Array.isArray(explicit)) return explicit.includes(permission);
+    return ROLE_PERMISSIONS[getUserRole(user)].includes(permission);
+}
+
+/**
+ * Check whether a user may open a screen
+ * @param {object} user
+ * @param {string} routeName - Stack.Screen name
+ * @returns {boolean}
+ */
+export function canAccessRoute(user, routeName) {
+    const permission = ROUTE_PERMISSIONS[routeName];
+    return !permission || hasPermission(user, permission);
+}
+
+export default {
+    ROLES,
+    PERMISSIONS,
+    ROLE_PERMISSIONS,
+    ROUTE_PERMISSIONS,
+    ROLE_LABELS,
+    getUserRole,
+    hasPermission,
+    canAccessRoute,
+};
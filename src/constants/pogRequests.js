@@ -0,0 +1,35 @@
+/**
+ * POG requests - Labels, colours and icons for request statuses and action types
+ * Shared by the request list, list items, detail screen and the CSV export
+ */
+
+import { Clock, CheckCircle2, XCircle, AlertTriangle, Plus, ArrowRightLeft, Trash2 } from 'lucide-react-native';
+
+export const REQUEST_STATUS_MAP = {
+    pending: { label: 'รอดำเนินการ', bgColor: '#fef3c7', textColor: '#b45309', icon: Clock },
+    approved: { label: 'อนุมัติ', bgColor: '#dcfce7', textColor: '#15803d', icon: CheckCircle2 },
+    rejected: { label: 'ไม่อนุมัติ', bgColor: '#fee2e2', textColor: '#b91c1c', icon: XCircle },
+    completed: { label: 'เสร็จสิ้น', bgColor: '#dcfce7', textColor: '#15803d', icon: CheckCircle2 },
+    cancelled: { label: 'ยกเลิก', bgColor: '#f1f5f9', textColor: '#64748b', icon: XCircle },
+};
+
+export const REQUEST_ACTION_MAP = {
+    add: { label: 'นำสินค้าเข้า', icon: Plus, color: '#10b981', bg: '#ecfdf5' },
+    move: { label: 'เปลี่ยนตำแหน่งสินค้า', icon: ArrowRightLeft, color: '#3b82f6', bg: '#eff6ff' },
+    swap: { label: 'สลับตำแหน่ง', icon: ArrowRightLeft, color: '#f59e0b', bg: '#fffbeb' },
+    delete: { label: 'นำสินค้าออก', icon: Trash2, color: '#ef4444', bg: '#fef2f2' },
+};
+
+// Unknown statuses show as pending
+export const getRequestStatusInfo = (status) => REQUEST_STATUS_MAP[status] || REQUEST_STATUS_MAP.pending;
+
+// Actions added on the server before the app knows them show their raw name
+export const getRequestActionInfo = (action) => REQUEST_ACTION_MAP[action]
+    || { label: action, icon: AlertTriangle, color: '#64748b', bg: '#f1f5f9' };
+
+export default {
+    REQUEST_STATUS_MAP,
+    REQUEST_ACTION_MAP,
+    getRequestStatusInfo,
+    getRequestActionInfo,
+};
@@ -4,7 +4,7 @@
  */
 
 import { useEffect, useRef, useCallback, useState } from 'react';
-import { saveDraft, loadDraft, clearDraft, formatDraftTime } from '../services/draftService';
+import { saveDraft, loadDraft, clearDraft, formatDraftTime, registerDraftFlush } from '../services/draftService';
 
 /**
  * Auto-save hook for forms
@@ -25,6 +25,8 @@ export function useAutoSave(draftKey, formData, options = {}) {
     const [lastSaveTime, setLastSaveTime] = useState(null);
     const lastSavedRef = useRef(null);
     const timerRef = useRef(null);
+    const formDataRef = useRef(formData);
+    formDataRef.current = formData;
 
     // Check for existing draft on mount
     useEffect(() => {
@@ -63,6 +65,19 @@ export function useAutoSave(draftKey, formData, options = {}) {
         };
     }, [draftKey, formData, identifier, interval, enabled]);
 
+    // Save immediately when the app asks (e.g. before an idle logout)
+    useEffect(() => {
+        if (!enabled) return;
+
+        return registerDraftFlush(async () => {
+            const dataStr = JSON.stringify(formDataRef.current);
+            if (dataStr !== lastSavedRef.current && dataStr !== '{}' && dataStr !== 'null') {
+                await saveDraft(draftKey, formDataRef.current, identifier);
+                lastSavedRef.current = dataStr;
+            }
+        });
+    }, [draftKey, identifier, enabled]);
+
     // Save on unmount if data changed
     useEffect(() => {
         return () => {
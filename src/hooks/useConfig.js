@@ -0,0 +1,27 @@
+/**
+ * useConfig - Remote feature flags and settings for components
+ * Values update when the branch config arrives from the server
+ */
+
+import useConfigStore from '../store/configStore';
+import { getSetting, isFeatureEnabled } from '../services/configService';
+
+/**
+ * Check a feature flag for the current branch
+ * @param {string} flag - One of FLAGS
+ * @returns {boolean}
+ */
+export function useFeatureFlag(flag) {
+    return useConfigStore((s) => isFeatureEnabled(s.config, flag));
+}
+
+/**
+ * Read a runtime setting for the current branch
+ * @param {string} path - Dot path in settings (e.g. 'idleTimeoutMinutes')
+ * @returns {any}
+ */
+export function useSetting(path) {
+    return useConfigStore((s) => getSetting(s.config, path));
+}
+
+export default useFeatureFlag;
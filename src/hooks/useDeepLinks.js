@@ -0,0 +1,30 @@
+/**
+ * useDeepLinks - Open app links the app was launched with or receives while running
+ * Links wait in navigationRef until the user is logged in (and unlocked) to see the screen
+ */
+
+import { useEffect } from 'react';
+import { Linking } from 'react-native';
+import { openLink } from '../navigation/linking';
+
+/**
+ * Hook for incoming bmrpog:// links
+ */
+export function useDeepLinks() {
+    useEffect(() => {
+        // Launched from a link (app was closed)
+        Linking.getInitialURL()
+            .then((url) => {
+                if (url) openLink(url);
+            })
+            .catch((error) => {
+                if (__DEV__) console.error('Initial link error:', error);
+            });
+
+        // Link opened while the app is running
+        const sub = Linking.addEventListener('url', ({ url }) => openLink(url));
+        return () => sub.remove();
+    }, []);
+}
+
+export default useDeepLinks;
@@ -6,18 +6,17 @@
 import { useEffect, useRef, useCallback } from 'react';
 import { AppState } from 'react-native';
 import { updateLastActivity, isSessionIdle } from '../services/secureStorage';
-
-// Default idle timeout: 10 minutes
-const DEFAULT_IDLE_TIMEOUT = 10 * 60 * 1000;
+import { useSetting } from './useConfig';
 
 /**
  * Hook for auto-logout on idle
  * @param {Function} onIdle - Callback when idle timeout reached
- * @param {object} options - { timeout, enabled, checkInterval }
+ * @param {object} options - { timeout, enabled, checkInterval } - timeout defaults to the branch config
  */
 export function useIdleTimeout(onIdle, options = {}) {
+    const idleTimeoutMinutes = useSetting('idleTimeoutMinutes');
     const {
-        timeout = DEFAULT_IDLE_TIMEOUT,
+        timeout = idleTimeoutMinutes * 60 * 1000,
         enabled = true,
         checkInterval = 60000, // Check every minute
     } = options;
@@ -29,7 +28,7 @@ export function useIdleTimeout(onIdle, options = {}) {
     // Update activity timestamp
     const updateActivity = useCallback(() => {
         lastActivityRef.current = Date.now();
-        updateLastActivity();
+        return updateLastActivity();
     }, []);
 
     // Check if idle
@@ -46,8 +45,11 @@ export function useIdleTimeout(onIdle, options = {}) {
     useEffect(() => {
         if (!enabled) return;
 
-        // Initial activity update
-        updateActivity();
+        // A session restored after a long break is already idle - check before marking activity
+        isSessionIdle(timeout).then((idle) => {
+            if (idle) onIdle?.();
+            else updateActivity();
+        });
 
         // Set up periodic check
         intervalRef.current = setInterval(checkIdle, checkInterval);
@@ -57,7 +59,7 @@ export function useIdleTimeout(onIdle, options = {}) {
                 clearInterval(intervalRef.current);
             }
         };
-    }, [enabled, checkInterval, checkIdle, updateActivity]);
+    }, [enabled, timeout, onIdle, checkInterval, checkIdle, updateActivity]);
 
     // Check on app foreground
     useEffect(() => {
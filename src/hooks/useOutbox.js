@@ -0,0 +1,72 @@
+/**
+ * useOutbox - Hooks for the offline mutation queue
+ * Exposes queued items to components and replays them on reconnect
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { useNetwork } from '../contexts/NetworkContext';
+import {
+    getOutboxItems,
+    subscribeOutbox,
+    flushOutbox,
+    retryItem,
+    removeItem,
+    countPending,
+} from '../services/outboxService';
+
+/**
+ * Subscribe to outbox items
+ * @returns {object} { items, pendingCount, retry, remove, flush }
+ */
+export function useOutbox() {
+    const [items, setItems] = useState([]);
+
+    useEffect(() => {
+        let mounted = true;
+        getOutboxItems().then((stored) => {
+            if (mounted) setItems(stored);
+        });
+        const unsubscribe = subscribeOutbox(setItems);
+        return () => {
+            mounted = false;
+            unsubscribe();
+        };
+    }, []);
+
+    const retry = useCallback(async (id) => {
+        await retryItem(id);
+        return flushOutbox();
+    }, []);
+
+    const remove = useCallback((id) => removeItem(id), []);
+
+    const flush = useCallback(() => flushOutbox(), []);
+
+    return {
+        items,
+        pendingCount: countPending(items),
+        retry,
+        remove,
+        flush,
+    };
+}
+
+/**
+ * Replay the outbox whenever the device comes back online
+ * Mount once in the app shell
+ * @param {object} options - { enabled }
+ */
+export function useOutboxSync(options = {}) {
+    const { enabled = true } = options;
+    const { isConnected, isInternetReachable } = useNetwork();
+    const isOnline = isConnected && isInternetReachable;
+
+    useEffect(() => {
+        // Runs on mount (app start) and on every offline -> online transition
+        if (enabled && isOnline) {
+            flushOutbox();
+        }
+    }, [isOnline, enabled]);
+}
+
+export default useOutbox;
@@ -0,0 +1,26 @@
+/**
+ * usePermission - Role-based access checks for components
+ * Re-renders only when the answer changes (e.g. after login / user switch)
+ */
+
+import useAuthStore from '../store/authStore';
+import { hasPermission, getUserRole } from '../constants/permissions';
+
+/**
+ * Check one permission for the logged-in user
+ * @param {string} permission - One of PERMISSIONS
+ * @returns {boolean}
+ */
+export function usePermission(permission) {
+    return useAuthStore((s) => hasPermission(s.user, permission));
+}
+
+/**
+ * Role of the logged-in user
+ * @returns {string} One of ROLES
+ */
+export function useRole() {
+    return useAuthStore((s) => getUserRole(s.user));
+}
+
+export default usePermission;
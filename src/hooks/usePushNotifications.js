@@ -0,0 +1,86 @@
+/**
+ * usePushNotifications - Register for pushes after login and react to incoming ones
+ * Refreshes the store a notification is about and opens its screen when tapped
+ */
+
+import { useEffect, useRef } from 'react';
+import * as Notifications from 'expo-notifications';
+import useShelfUpdateStore from '../store/shelfUpdateStore';
+import useBranchDataStore from '../store/branchDataStore';
+import {
+    registerForPushNotifications,
+    getNotificationRoute,
+    NOTIFICATION_TYPES,
+} from '../services/notificationService';
+import { navigate } from '../navigation/navigationRef';
+
+// Refresh the store the notification is about
+const refreshForNotification = (data, branchCode) => {
+    // Pushes for another branch (stale token) are ignored
+    if (!data?.type || !branchCode || (data.branchCode && data.branchCode !== branchCode)) return false;
+
+    if (data.type === NOTIFICATION_TYPES.SHELF_CHANGE) {
+        // Also marks planogram / shelves for re-sync
+        useShelfUpdateStore.getState().checkShelfUpdate(branchCode);
+    } else if (data.type === NOTIFICATION_TYPES.REQUEST_STATUS) {
+        const store = useBranchDataStore.getState();
+        if (data.requestId && data.status) {
+            store.updateRequest(branchCode, data.requestId, { status: data.status });
+        }
+        store.invalidate(branchCode, ['requests']);
+    }
+    return true;
+};
+
+/**
+ * Hook for push notifications of the logged-in branch
+ * @param {object} options - { enabled, branchCode }
+ */
+export function usePushNotifications({ enabled = true, branchCode } = {}) {
+    const branchRef = useRef(branchCode);
+    branchRef.current = branchCode;
+    const handledRef = useRef(null);
+
+    // Register the device token for the branch
+    useEffect(() => {
+        if (!enabled || !branchCode) return;
+        registerForPushNotifications(branchCode);
+    }, [enabled, branchCode]);
+
+    useEffect(() => {
+        if (!enabled) return;
+
+        const handleResponse = (response) => {
+            const id = response?.notification?.request?.identifier;
+            if (!response || id === handledRef.current) return;
+            handledRef.current = id;
+
+            const data = response.notification.request.content.data;
+            if (!refreshForNotification(data, branchRef.current)) return;
+
+            const route = getNotificationRoute(data);
+            // Kept until the screen exists (e.g. staff lock screen still showing)
+            if (route) navigate(route.name, route.params);
+        };
+
+        // Arrived while the app is open
+        const receivedSub = Notifications.addNotificationReceivedListener((notification) => {
+            refreshForNotification(notification.request.content.data, branchRef.current);
+        });
+
+        // Tapped (app open or in background)
+        const responseSub = Notifications.addNotificationResponseReceivedListener(handleResponse);
+
+        // Tapped while the app was closed
+        Notifications.getLastNotificationResponseAsync()
+            .then(handleResponse)
+            .catch(() => {});
+
+        return () => {
+            receivedSub.remove();
+            responseSub.remove();
+        };
+    }, [enabled]);
+}
+
+export default usePushNotifications;
@@ -0,0 +1,107 @@
+/**
+ * useRefreshScheduler - Keeps shelf updates and request status fresh while the app is open
+ * Re-checks on foreground, on reconnect and on the branch's refresh interval, backing off while the API fails
+ */
+
+import { useEffect, useRef, useCallback } from 'react';
+import { useNetwork } from '../contexts/NetworkContext';
+import { useRefreshOnForeground } from './useAppState';
+import { useSetting } from './useConfig';
+import useShelfUpdateStore from '../store/shelfUpdateStore';
+import useBranchDataStore from '../store/branchDataStore';
+
+// Longest wait between attempts while the API keeps failing
+const MAX_BACKOFF = 30 * 60 * 1000;
+
+// Foreground refreshes closer together than this are skipped
+const FOREGROUND_MIN_INTERVAL = 30 * 1000;
+
+/**
+ * Run one refresh of everything the home badge and request list show
+ * @param {string} branchCode
+ * @returns {boolean} true when every call succeeded
+ */
+const refreshBranch = async (branchCode) => {
+    const [shelfOk, branch] = await Promise.all([
+        useShelfUpdateStore.getState().checkShelfUpdate(branchCode),
+        useBranchDataStore.getState().loadRequests(branchCode, { force: true }),
+    ]);
+    return shelfOk && !branch?.error?.requests;
+};
+
+/**
+ * Hook for the app-wide refresh scheduler
+ * @param {object} options - { enabled, branchCode }
+ */
+export function useRefreshScheduler({ enabled = true, branchCode } = {}) {
+    const { isConnected } = useNetwork();
+    const intervalMinutes = useSetting('refreshIntervalMinutes');
+    const intervalMs = intervalMinutes * 60 * 1000;
+
+    const timerRef = useRef(null);
+    const runningRef = useRef(false);
+    const failuresRef = useRef(0);
+    const wasConnectedRef = useRef(isConnected);
+    const scheduleRef = useRef(null);
+
+    const clearTimer = () => {
+        if (timerRef.current) {
+            clearTimeout(timerRef.current);
+            timerRef.current = null;
+        }
+    };
+
+    const runRefresh = useCallback(async () => {
+        if (!enabled || !branchCode || runningRef.current) return;
+        // Offline - wait for the reconnect refresh instead of counting failures
+        if (!wasConnectedRef.current) {
+            scheduleRef.current?.();
+            return;
+        }
+
+        runningRef.current = true;
+        clearTimer();
+        try {
+            const ok = await refreshBranch(branchCode);
+            failuresRef.current = ok ? 0 : failuresRef.current + 1;
+        } catch (error) {
+            if (__DEV__) console.error('Scheduled refresh error:', error);
+            failuresRef.current += 1;
+        } finally {
+            runningRef.current = false;
+            scheduleRef.current?.();
+        }
+    }, [enabled, branchCode]);
+
+    // Next run: the configured interval, doubled for each failure in a row
+    const scheduleNext = useCallback(() => {
+        clearTimer();
+        if (!enabled || !branchCode) return;
+
+        const delay = Math.min(intervalMs * Math.pow(2, failuresRef.current), Math.max(MAX_BACKOFF, intervalMs));
+        timerRef.current = setTimeout(runRefresh, delay);
+    }, [enabled, branchCode, intervalMs, runRefresh]);
+    scheduleRef.current = scheduleNext;
+
+    // Start / restart with the branch and interval
+    useEffect(() => {
+        failuresRef.current = 0;
+        scheduleNext();
+        return clearTimer;
+    }, [scheduleNext]);
+
+    // Back to the app - timers don't run in the background
+    useRefreshOnForeground(runRefresh, { minInterval: FOREGROUND_MIN_INTERVAL, enabled: enabled && !!branchCode });
+
+    // Connection came back - the failures were probably the network
+    useEffect(() => {
+        const wasConnected = wasConnectedRef.current;
+        wasConnectedRef.current = isConnected;
+        if (isConnected && !wasConnected) {
+            failuresRef.current = 0;
+            runRefresh();
+        }
+    }, [isConnected, runRefresh]);
+}
+
+export default useRefreshScheduler;
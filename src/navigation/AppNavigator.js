@@ -3,17 +3,33 @@ import { NavigationContainer } from '@react-navigation/native';
 import { createNativeStackNavigator } from '@react-navigation/native-stack';
 import { View, ActivityIndicator, StyleSheet } from 'react-native';
 
-import useAuthStore from '../store/authStore';
+import useAuthStore, { isStaffLocked } from '../store/authStore';
+import useConfigStore from '../store/configStore';
 import LoginScreen from '../screens/LoginScreen';
 import BranchSelectScreen from '../screens/BranchSelectScreen';
 import HomeScreen from '../screens/HomeScreen';
 import PlanogramScreen from '../screens/PlanogramScreen';
 import PogRequestsScreen from '../screens/PogRequestsScreen';
+import PogRequestDetailScreen from '../screens/PogRequestDetailScreen';
 import CreatePogRequestScreen from '../screens/CreatePogRequestScreen';
 import BarcodeScannerScreen from '../screens/BarcodeScannerScreen';
 import UpdateScreen from '../screens/UpdateScreen';
 import ShelfHistoryScreen from '../screens/ShelfHistoryScreen';
 import RegisterProductScreen from '../screens/RegisterProductScreen'; // NEW
+import OutboxScreen from '../screens/OutboxScreen';
+import StockCountScreen from '../screens/StockCountScreen';
+import ShelfAuditScreen from '../screens/ShelfAuditScreen';
+import BatchPogRequestScreen from '../screens/BatchPogRequestScreen';
+import StaffLockScreen from '../screens/StaffLockScreen';
+import IdleTimeoutGuard from '../components/IdleTimeoutGuard';
+import { useOutboxSync } from '../hooks/useOutbox';
+import { usePushNotifications } from '../hooks/usePushNotifications';
+import { useRefreshScheduler } from '../hooks/useRefreshScheduler';
+import { useDeepLinks } from '../hooks/useDeepLinks';
+import { navigationRef, flushPendingNavigation, clearPendingNavigation } from './navigationRef';
+import { useFeatureFlag } from '../hooks/useConfig';
+import { canAccessRoute } from '../constants/permissions';
+import { FLAGS } from '../constants/config';
 
 const Stack = createNativeStackNavigator();
 
@@ -40,39 +56,69 @@ function AuthStack() {
     );
 }
 
-// App stack (logged in)
+// Lock stack (branch signed in, waiting for a staff PIN)
+function LockStack() {
+    return (
+        <Stack.Navigator screenOptions={{ headerShown: false }}>
+            <Stack.Screen name="StaffLock" component={StaffLockScreen} options={{ animation: 'fade' }} />
+        </Stack.Navigator>
+    );
+}
+
+// App stack (logged in) - screens the user's role or branch config can't use are not registered
 function AppStack() {
+    const user = useAuthStore((s) => s.user);
+    const directRegisterEnabled = useFeatureFlag(FLAGS.DIRECT_REGISTER);
+    const canOpen = (routeName) => canAccessRoute(user, routeName);
+
     return (
         <Stack.Navigator screenOptions={{ headerShown: false }}>
             <Stack.Screen name="Home" component={HomeScreen} />
-            <Stack.Screen
-                name="Planogram"
-                component={PlanogramScreen}
-                options={{
-                    animation: 'slide_from_right',
-                }}
-            />
-            <Stack.Screen
-                name="PogRequests"
-                component={PogRequestsScreen}
-                options={{
-                    animation: 'slide_from_right',
-                }}
-            />
-            <Stack.Screen
-                name="CreatePogRequest"
-                component={CreatePogRequestScreen}
-                options={{
-                    animation: 'slide_from_bottom',
-                }}
-            />
-            <Stack.Screen
-                name="BarcodeScanner"
-                component={BarcodeScannerScreen}
-                options={{
-                    animation: 'slide_from_bottom',
-                }}
-            />
+            {canOpen('Planogram') && (
+                <Stack.Screen
+                    name="Planogram"
+                    component={PlanogramScreen}
+                    options={{
+                        animation: 'slide_from_right',
+                    }}
+                />
+            )}
+            {canOpen('PogRequests') && (
+                <Stack.Screen
+                    name="PogRequests"
+                    component={PogRequestsScreen}
+                    options={{
+                        animation: 'slide_from_right',
+                    }}
+                />
+            )}
+            {canOpen('PogRequestDetail') && (
+                <Stack.Screen
+                    name="PogRequestDetail"
+                    component={PogRequestDetailScreen}
+                    options={{
+                        animation: 'slide_from_right',
+                    }}
+                />
+            )}
+            {canOpen('CreatePogRequest') && (
+                <Stack.Screen
+                    name="CreatePogRequest"
+                    component={CreatePogRequestScreen}
+                    options={{
+                        animation: 'slide_from_bottom',
+                    }}
+                />
+            )}
+            {canOpen('BarcodeScanner') && (
+                <Stack.Screen
+                    name="BarcodeScanner"
+                    component={BarcodeScannerScreen}
+                    options={{
+                        animation: 'slide_from_bottom',
+                    }}
+                />
+            )}
             <Stack.Screen
                 name="Update"
                 component={UpdateScreen}
@@ -88,13 +134,49 @@ function AppStack() {
                 }}
             />
             {/* Register Product Screen */}
+            {directRegisterEnabled && canOpen('RegisterProduct') && (
+                <Stack.Screen
+                    name="RegisterProduct"
+                    component={RegisterProductScreen}
+                    options={{
+                        animation: 'slide_from_bottom',
+                    }}
+                />
+            )}
             <Stack.Screen
-                name="RegisterProduct"
-                component={RegisterProductScreen}
+                name="Outbox"
+                component={OutboxScreen}
                 options={{
-                    animation: 'slide_from_bottom',
+                    animation: 'slide_from_right',
                 }}
             />
+            {canOpen('StockCount') && (
+                <Stack.Screen
+                    name="StockCount"
+                    component={StockCountScreen}
+                    options={{
+                        animation: 'slide_from_bottom',
+                    }}
+                />
+            )}
+            {canOpen('ShelfAudit') && (
+                <Stack.Screen
+                    name="ShelfAudit"
+                    component={ShelfAuditScreen}
+                    options={{
+                        animation: 'slide_from_right',
+                    }}
+                />
+            )}
+            {canOpen('BatchPogRequest') && (
+                <Stack.Screen
+                    name="BatchPogRequest"
+                    component={BatchPogRequestScreen}
+                    options={{
+                        animation: 'slide_from_bottom',
+                    }}
+                />
+            )}
         </Stack.Navigator>
     );
 }
@@ -111,20 +193,53 @@ function LoadingScreen() {
 export default function AppNavigator() {
     const isLoading = useAuthStore((s) => s.isLoading);
     const isLoggedIn = useAuthStore((s) => s.isLoggedIn);
+    const staffLocked = useAuthStore((s) => isStaffLocked(s.user));
     const initAuth = useAuthStore((s) => s.initAuth);
+    const branchCode = useAuthStore((s) => s.user?.storecode || s.user?.name || null);
+    const loadConfig = useConfigStore((s) => s.loadConfig);
+
+    // Replay offline submissions when connectivity returns
+    useOutboxSync({ enabled: isLoggedIn });
+
+    // Shelf change / request status pushes for the branch
+    usePushNotifications({ enabled: isLoggedIn, branchCode });
+
+    // Foreground / reconnect / interval re-checks so the home badge stays current
+    useRefreshScheduler({ enabled: isLoggedIn, branchCode });
+
+    // bmrpog:// links (shelf QR labels) - opened once the user can see the screen
+    useDeepLinks();
 
     useEffect(() => {
         initAuth();
     }, []);
 
+    // Feature flags / settings of the logged-in branch (shared defaults before login)
+    useEffect(() => {
+        if (isLoading) return;
+        loadConfig(branchCode);
+    }, [isLoading, branchCode]);
+
+    // A screen opened from a notification or link must not survive logout
+    useEffect(() => {
+        if (!isLoggedIn) clearPendingNavigation();
+    }, [isLoggedIn]);
+
     if (isLoading) {
         return <LoadingScreen />;
     }
 
+    // Shared devices - log out (or lock back to the staff PIN) after the branch's idle timeout
     return (
-        <NavigationContainer>
-            {isLoggedIn ? <AppStack /> : <AuthStack />}
-        </NavigationContainer>
+        <IdleTimeoutGuard enabled={isLoggedIn && !staffLocked}>
+            <NavigationContainer
+                ref={navigationRef}
+                onReady={flushPendingNavigation}
+                onStateChange={flushPendingNavigation}
+            >
+                {!isLoggedIn ? <AuthStack /> : staffLocked ? <LockStack /> : <AppStack />}
+            </NavigationContainer>
+        </IdleTimeoutGuard>
     );
 }
 
@@ -0,0 +1,82 @@
+/**
+ * linking - App links (bmrpog://...) printed on shelf QR labels or shared from the app
+ * Maps a link to the screen + params it opens; links are opened through navigationRef
+ * so one received before login / staff unlock waits until the screen exists
+ */
+
+import { navigate } from './navigationRef';
+
+export const LINK_SCHEME = 'bmrpog';
+
+export const LINK_TYPES = {
+    SHELF: 'shelf',
+    PRODUCT: 'product',
+    REQUEST: 'request',
+    SHELF_LOG: 'shelf-log',
+};
+
+// Link type -> screen and the route param that receives the link value
+export const LINK_ROUTES = {
+    [LINK_TYPES.SHELF]: { screen: 'Planogram', param: 'shelfCode' },
+    [LINK_TYPES.PRODUCT]: { screen: 'BarcodeScanner', param: 'barcode' },
+    [LINK_TYPES.REQUEST]: { screen: 'PogRequestDetail', param: 'requestId' },
+    [LINK_TYPES.SHELF_LOG]: { screen: 'ShelfHistory', param: 'logId' },
+};
+
+// bmrpog://shelf/A01 (also bmrpog:///shelf/A01)
+const LINK_PATTERN = new RegExp(`^${LINK_SCHEME}:\\/\\/\\/?([a-z-]+)\\/([^/?#]+)\\/?(?:[?#].*)?$`, 'i');
+
+/**
+ * Build the link of a shelf / product / request / shelf log entry
+ * @param {string} type - One of LINK_TYPES
+ * @param {string|number} value - Shelf code, barcode or id
+ * @returns {string}
+ */
+export function buildLink(type, value) {
+    return `${LINK_SCHEME}://${type}/${encodeURIComponent(String(value))}`;
+}
+
+/**
+ * Screen an app link opens
+ * @param {string} url - Link or scanned QR payload
+ * @returns {object|null} { type, name, params } or null when it is not an app link
+ */
+export function parseLink(url) {
+    const match = String(url || '').trim().match(LINK_PATTERN);
+    if (!match) return null;
+
+    const type = match[1].toLowerCase();
+    const route = LINK_ROUTES[type];
+    if (!route) return null;
+
+    let value;
+    try {
+        value = decodeURIComponent(match[2]).trim();
+    } catch {
+        return null;
+    }
+    if (!value) return null;
+
+    return { type, name: route.screen, params: { [route.param]: value } };
+}
+
+/**
+ * Open an app link (kept until login when no user is signed in)
+ * @param {string} url
+ * @returns {boolean} true when the url is an app link
+ */
+export function openLink(url) {
+    const link = parseLink(url);
+    if (!link) return false;
+    navigate(link.name, link.params);
+    return true;
+}
+
+export default {
+    LINK_SCHEME,
+    LINK_TYPES,
+    LINK_ROUTES,
+    buildLink,
+    parseLink,
+    openLink,
+};
@@ -0,0 +1,54 @@
+/**
+ * navigationRef - Navigate from outside screens (notifications, links)
+ * Calls made before the screen is mounted (app starting, staff lock screen) are kept and
+ * replayed by flushPendingNavigation on the next navigation state change
+ */
+
+import { createNavigationContainerRef } from '@react-navigation/native';
+
+export const navigationRef = createNavigationContainerRef();
+
+let pending = null;
+
+// Route is part of the stack currently mounted (screens can be missing for the user's role / while locked)
+const hasRoute = (name) => !!navigationRef.getRootState()?.routeNames?.includes(name);
+
+/**
+ * Navigate to a screen, or remember it until the screen can be opened
+ * @param {string} name - Stack.Screen name
+ * @param {object} params
+ * @returns {boolean} true when navigated now
+ */
+export function navigate(name, params) {
+    if (navigationRef.isReady() && hasRoute(name)) {
+        pending = null;
+        navigationRef.navigate(name, params);
+        return true;
+    }
+    pending = { name, params };
+    return false;
+}
+
+/**
+ * Open the remembered screen once it is mounted
+ */
+export function flushPendingNavigation() {
+    if (!pending || !navigationRef.isReady() || !hasRoute(pending.name)) return;
+    const { name, params } = pending;
+    pending = null;
+    navigationRef.navigate(name, params);
+}
+
+/**
+ * Forget a remembered screen (logout)
+ */
+export function clearPendingNavigation() {
+    pending = null;
+}
+
+export default {
+    navigationRef,
+    navigate,
+    flushPendingNavigation,
+    clearPendingNavigation,
+};
@@ -30,7 +30,7 @@ import { CameraView, useCameraPermissions } from 'expo-camera';
 import {
     ChevronLeft, Keyboard, AlertTriangle,
     Search, ScanLine, X, Check, ArrowRightLeft,
-    Trash2, Plus, RefreshCw, MapPin, Tag
+    Trash2, Plus, RefreshCw, MapPin, Tag, ListChecks, LayoutGrid
 } from 'lucide-react-native';
 
 // Local imports
@@ -38,6 +38,11 @@ import useAuthStore from '../store/authStore';
 import useBranchStore from '../store/branchStore';
 import { lookupProduct } from '../api/user';
 import { getErrorMessage } from '../utils/errorHelper';
+import { isNetworkError } from '../services/outboxService';
+import { findProductByBarcode } from '../services/localDataService';
+import { usePermission } from '../hooks/usePermission';
+import { PERMISSIONS, canAccessRoute } from '../constants/permissions';
+import { parseLink, LINK_TYPES } from '../navigation/linking';
 
 // =============================================================================
 // CONSTANTS
@@ -69,6 +74,8 @@ export default function BarcodeScannerScreen({ navigation, route }) {
     // -------------------------------------------------------------------------
     const user = useAuthStore((s) => s.user);
     const storecode = user?.storecode || user?.name;
+    const canRequest = usePermission(PERMISSIONS.CREATE_POG_REQUEST);
+    const canStockCount = usePermission(PERMISSIONS.STOCK_COUNT);
 
     const [permission, requestPermission] = useCameraPermissions();
     const [scanned, setScanned] = useState(false);
@@ -107,6 +114,15 @@ export default function BarcodeScannerScreen({ navigation, route }) {
         }
     }, [route.params?.success, navigation]);
 
+    // Product link (bmrpog://product/...) - look the barcode up straight away
+    useEffect(() => {
+        const barcode = route.params?.barcode;
+        if (!barcode || !storecode) return;
+        navigation.setParams({ barcode: undefined });
+        setScanned(true);
+        lookupBarcode(String(barcode));
+    }, [route.params?.barcode, storecode]);
+
     useEffect(() => {
         if (Platform.OS !== 'web' && !permission) {
             requestPermission();
@@ -159,12 +175,61 @@ export default function BarcodeScannerScreen({ navigation, route }) {
             }
         } catch (err) {
             if (__DEV__) console.error('Lookup error:', err);
-            setError(getErrorMessage(err, 'เกิดข้อผิดพลาดในการค้นหา'));
+            if (isNetworkError(err)) {
+                await lookupOffline(barcode);
+            } else {
+                setError(getErrorMessage(err, 'เกิดข้อผิดพลาดในการค้นหา'));
+            }
         } finally {
             setLoading(false);
         }
     };
 
+    /**
+     * No connection - look the barcode up in the planogram stored on the device
+     * @param {string} barcode - Barcode to lookup
+     */
+    const lookupOffline = async (barcode) => {
+        const [item] = await findProductByBarcode(storecode, barcode);
+        if (item) {
+            setResult({
+                found: true,
+                offline: true,
+                barcode: item.barcode,
+                productName: item.nameProduct || item.nameBrand,
+                shelfCode: item.shelfCode,
+                rowNo: item.rowNo,
+                index: item.index,
+                price: item.salesPriceIncVAT,
+            });
+        } else {
+            setResult({
+                found: false,
+                offline: true,
+                barcode,
+                reason: 'ออฟไลน์ - ไม่พบสินค้านี้ในข้อมูลที่บันทึกไว้ในเครื่อง',
+            });
+        }
+    };
+
+    /**
+     * Scanned QR holds an app link (shelf label, product, request)
+     * @param {object} link - parseLink result
+     */
+    const openScannedLink = async (link) => {
+        if (link.type === LINK_TYPES.PRODUCT) {
+            await lookupBarcode(link.params.barcode);
+            return;
+        }
+        if (!canAccessRoute(user, link.name)) {
+            setError('คุณไม่มีสิทธิ์เปิดรายการนี้');
+            return;
+        }
+        navigation.navigate(link.name, link.params);
+        // Ready again when coming back - the scan cooldown keeps the same label from reopening
+        setScanned(false);
+    };
+
     // -------------------------------------------------------------------------
     // Event Handlers
     // -------------------------------------------------------------------------
@@ -181,8 +246,11 @@ export default function BarcodeScannerScreen({ navigation, route }) {
         // Ignore same barcode within cooldown period
         if (barcode === lastBarcode.current && now - lastScanTime.current < SCAN_COOLDOWN_MS) return;
 
+        // Shelf QR labels carry an app link instead of a barcode
+        const link = parseLink(barcode);
+
         // Validate barcode length (typical barcodes are 5-13 digits)
-        if (barcode.length < 5 || barcode.length > 20) return;
+        if (!link && (barcode.length < 5 || barcode.length > 20)) return;
 
         // Check if barcode is within scan frame
         // Calculate scan frame boundaries (center of screen)
@@ -230,7 +298,7 @@ export default function BarcodeScannerScreen({ navigation, route }) {
 
         // Process scan
         setScanned(true);
-        lookupBarcode(barcode).finally(() => {
+        (link ? openScannedLink(link) : lookupBarcode(barcode)).finally(() => {
             isProcessing.current = false;
         });
     }, [scanned, loading, storecode]);
@@ -238,7 +306,9 @@ export default function BarcodeScannerScreen({ navigation, route }) {
     const handleManualSearch = () => {
         if (!manualBarcode.trim()) return;
         setScanned(true);
-        lookupBarcode(manualBarcode.trim());
+        const link = parseLink(manualBarcode);
+        if (link) openScannedLink(link);
+        else lookupBarcode(manualBarcode.trim());
     };
 
     const resetScanner = () => {
@@ -395,14 +465,25 @@ export default function BarcodeScannerScreen({ navigation, route }) {
                         </View>
                     </View>
 
-                    {/* ปุ่มพิมพ์บาร์โค้ด - อยู่ใต้กล้อง */}
-                    <TouchableOpacity
-                        style={styles.manualInputButton}
-                        onPress={() => setShowManualInput(true)}
-                    >
-                        <Keyboard size={20} color="#fff" />
-                        <Text style={styles.manualInputButtonText}>พิมพ์บาร์โค้ด</Text>
-                    </TouchableOpacity>
+                    {/* ปุ่มพิมพ์บาร์โค้ด / โหมดนับสต็อก - อยู่ใต้กล้อง */}
+                    <View style={styles.cameraActions}>
+                        <TouchableOpacity
+                            style={styles.manualInputButton}
+                            onPress={() => setShowManualInput(true)}
+                        >
+                            <Keyboard size={20} color="#fff" />
+                            <Text style={styles.manualInputButtonText}>พิมพ์บาร์โค้ด</Text>
+                        </TouchableOpacity>
+                        {canStockCount && (
+                            <TouchableOpacity
+                                style={styles.manualInputButton}
+                                onPress={() => navigation.replace('StockCount')}
+                            >
+                                <ListChecks size={20} color="#fff" />
+                                <Text style={styles.manualInputButtonText}>นับสต็อก</Text>
+                            </TouchableOpacity>
+                        )}
+                    </View>
                 </View>
             )}
 
@@ -465,6 +546,9 @@ export default function BarcodeScannerScreen({ navigation, route }) {
                                     <ScanLine size={16} color="#64748b" />
                                     <Text style={styles.barcodeText}>{result.barcode}</Text>
                                 </View>
+                                {result.offline && (
+                                    <Text style={styles.offlineNote}>ข้อมูลจากเครื่อง (ออฟไลน์)</Text>
+                                )}
                             </View>
 
                             {/* Location Details (Only if found) */}
@@ -496,6 +580,16 @@ export default function BarcodeScannerScreen({ navigation, route }) {
                                         <Text style={styles.priceLabel}>ราคา:</Text>
                                         <Text style={styles.priceValue}>{result.price || '-'} ฿</Text>
                                     </View>
+                                    <TouchableOpacity
+                                        style={styles.viewShelfButton}
+                                        onPress={() => navigation.navigate('Planogram', {
+                                            shelfCode: result.shelfCode,
+                                            barcode: result.barcode,
+                                        })}
+                                    >
+                                        <LayoutGrid size={16} color="#3b82f6" />
+                                        <Text style={styles.viewShelfButtonText}>ดูบนชั้นวาง</Text>
+                                    </TouchableOpacity>
                                 </View>
                             )}
 
@@ -514,7 +608,7 @@ export default function BarcodeScannerScreen({ navigation, route }) {
                                     <Text style={styles.btnTextSecondary}>สแกนใหม่</Text>
                                 </TouchableOpacity>
 
-                                {result.found ? (
+                                {!canRequest ? null : result.found ? (
                                     <>
                                         <TouchableOpacity
                                             style={[styles.actionButton, styles.btnBlue]}
@@ -701,10 +795,14 @@ const styles = StyleSheet.create({
         overflow: 'hidden',
     },
     // ปุ่มพิมพ์บาร์โค้ด
-    manualInputButton: {
+    cameraActions: {
         position: 'absolute',
         bottom: 32,
         alignSelf: 'center',
+        flexDirection: 'row',
+        gap: 12,
+    },
+    manualInputButton: {
         flexDirection: 'row',
         alignItems: 'center',
         backgroundColor: 'rgba(0,0,0,0.6)',
@@ -864,7 +962,27 @@ const styles = StyleSheet.create({
         color: '#10b981',
         marginLeft: 'auto',
     },
+    viewShelfButton: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'center',
+        gap: 6,
+        marginTop: 12,
+        paddingVertical: 8,
+        borderRadius: 8,
+        backgroundColor: '#eff6ff',
+    },
+    viewShelfButtonText: {
+        fontSize: 13,
+        fontWeight: '600',
+        color: '#3b82f6',
+    },
 
+    offlineNote: {
+        fontSize: 12,
+        color: '#64748b',
+        marginTop: 4,
+    },
     reasonText: {
         fontSize: 14,
         color: '#f59e0b',
@@ -0,0 +1,983 @@
+/**
+ * BatchPogRequestScreen - Create many POG requests from consecutive scans
+ * Scan products, assign an action and target to each, review the set and
+ * submit it as one batch with per-item results
+ */
+
+// =============================================================================
+// IMPORTS
+// =============================================================================
+
+// React
+import React, { useState, useEffect, useMemo, useRef, useCallback } from 'react';
+
+// React Native
+import {
+    View,
+    Text,
+    TouchableOpacity,
+    StyleSheet,
+    ActivityIndicator,
+    Platform,
+    TextInput,
+    ScrollView,
+    Alert,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+
+// Third-party
+import { CameraView, useCameraPermissions } from 'expo-camera';
+
+// Icons
+import {
+    ChevronLeft, Keyboard, ScanLine, Plus, Trash2, ArrowRightLeft,
+    Check, X, AlertTriangle, Layers, Send, ChevronDown, ChevronUp, RefreshCw
+} from 'lucide-react-native';
+
+// Local imports
+import useAuthStore from '../store/authStore';
+import useBranchStore from '../store/branchStore';
+import { lookupProduct, createPogRequestBatch } from '../api/user';
+import useBranchDataStore, { selectShelfList, selectRequests } from '../store/branchDataStore';
+import { getErrorMessage } from '../utils/errorHelper';
+import { useNetwork } from '../contexts/NetworkContext';
+import { useAutoSave } from '../hooks/useAutoSave';
+import { DRAFT_KEYS, saveDraft } from '../services/draftService';
+import { logAction, ACTION_TYPES } from '../services/actionLogService';
+import { enqueue, isNetworkError, OUTBOX_TYPES } from '../services/outboxService';
+import { lightFeedback, successFeedback, warningFeedback } from '../utils/haptics';
+import { OfflineBanner } from '../components/OfflineIndicator';
+import CustomPicker from '../components/CustomPicker';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const BARCODE_TYPES = [
+    'ean13', 'ean8', 'upc_a', 'upc_e',
+    'code128', 'code39', 'code93',
+    'itf14', 'codabar'
+];
+
+/** Same barcode is ignored within this window (ms) */
+const SCAN_COOLDOWN_MS = 2000;
+
+const ACTION_OPTIONS = {
+    add: { label: 'นำเข้า', icon: Plus, color: '#10b981' },
+    move: { label: 'ย้าย', icon: ArrowRightLeft, color: '#3b82f6' },
+    delete: { label: 'นำออก', icon: Trash2, color: '#ef4444' },
+};
+
+/** Lookup result -> entry state */
+const LOOKUP = {
+    LOADING: 'loading',
+    IN_POG: 'in_pog',         // มีใน Planogram แล้ว (ย้าย/ลบ)
+    NOT_IN_POG: 'not_in_pog', // มีในระบบแต่ยังไม่มีใน Planogram (เพิ่ม)
+    NOT_FOUND: 'not_found',
+    ERROR: 'error',
+};
+
+const needsTarget = (action) => action === 'add' || action === 'move';
+
+/**
+ * Validate one entry before submit
+ * @returns {string} Error message or '' when valid
+ */
+const validateEntry = (entry, pendingBarcodes) => {
+    if (entry.lookup === LOOKUP.LOADING) return 'กำลังค้นหาสินค้า';
+    if (entry.lookup === LOOKUP.NOT_FOUND) return 'ไม่พบสินค้านี้ในระบบ';
+    if (entry.lookup === LOOKUP.ERROR) return 'ค้นหาสินค้าไม่สำเร็จ';
+    if (!entry.action) return 'ยังไม่ได้เลือกประเภท';
+    if (needsTarget(entry.action) && (!entry.toShelf || !entry.toRow || !entry.toIndex)) {
+        return 'ยังไม่ได้ระบุตำแหน่ง';
+    }
+    if (pendingBarcodes.has(entry.barcode)) return 'มีคำขอรอดำเนินการอยู่แล้ว';
+    return '';
+};
+
+// =============================================================================
+// MAIN COMPONENT
+// =============================================================================
+
+export default function BatchPogRequestScreen({ navigation }) {
+    // -------------------------------------------------------------------------
+    // State & Store
+    // -------------------------------------------------------------------------
+    const user = useAuthStore((s) => s.user);
+    const storecode = user?.storecode || user?.name;
+    const getBranchName = useBranchStore((s) => s.getBranchName);
+    const branchData = useBranchDataStore((s) => s.byBranch[storecode]);
+    const loadShelves = useBranchDataStore((s) => s.loadShelves);
+    const loadRequests = useBranchDataStore((s) => s.loadRequests);
+    const invalidateBranchData = useBranchDataStore((s) => s.invalidate);
+
+    const [permission, requestPermission] = useCameraPermissions();
+    const [showManualInput, setShowManualInput] = useState(false);
+    const [manualBarcode, setManualBarcode] = useState('');
+    const [entries, setEntries] = useState([]);
+    const [expandedKey, setExpandedKey] = useState(null);
+    const [step, setStep] = useState('collect'); // 'collect' | 'review' | 'done'
+    const [submitting, setSubmitting] = useState(false);
+    const [summary, setSummary] = useState(null);
+
+    const lastScanTime = useRef(0);
+    const lastBarcode = useRef('');
+
+    const { isConnected, isInternetReachable } = useNetwork();
+    const isOnline = isConnected && isInternetReachable;
+
+    const hasPermission = Platform.OS === 'web' ? true : permission?.granted;
+
+    const branchName = useMemo(() => {
+        if (!storecode) return 'ผู้ใช้';
+        return getBranchName(storecode);
+    }, [storecode, getBranchName]);
+
+    // -------------------------------------------------------------------------
+    // Draft (scanned set survives app restarts)
+    // -------------------------------------------------------------------------
+    const draftData = useMemo(() => (
+        entries.length > 0 && step !== 'done'
+            ? entries.map(({ result, ...entry }) => entry)
+            : null
+    ), [entries, step]);
+
+    const {
+        hasSavedDraft,
+        savedAtFormatted,
+        loadSavedDraft,
+        clearSavedDraft,
+    } = useAutoSave(DRAFT_KEYS.POG_BATCH, draftData, {
+        interval: 5000,
+        identifier: storecode || '',
+        enabled: !!storecode && !submitting,
+    });
+
+    useEffect(() => {
+        if (!hasSavedDraft) return;
+
+        Alert.alert(
+            'พบรายการที่ยังไม่ได้ส่ง',
+            `บันทึกล่าสุดเมื่อ ${savedAtFormatted || '-'} ต้องการทำต่อหรือไม่?`,
+            [
+                { text: 'เริ่มใหม่', style: 'destructive', onPress: () => clearSavedDraft() },
+                {
+                    text: 'ทำต่อ',
+                    onPress: async () => {
+                        const draft = await loadSavedDraft();
+                        if (!Array.isArray(draft)) return;
+                        setEntries(draft);
+                        // Lookups interrupted by the restart are run again
+                        draft
+                            .filter((entry) => entry.lookup === LOOKUP.LOADING)
+                            .forEach((entry) => resolveEntry(entry.key, entry.barcode));
+                    },
+                },
+            ]
+        );
+    }, [hasSavedDraft]);
+
+    // -------------------------------------------------------------------------
+    // Effects
+    // -------------------------------------------------------------------------
+    useEffect(() => {
+        if (Platform.OS !== 'web' && !permission) {
+            requestPermission();
+        }
+    }, [permission, requestPermission]);
+
+    useEffect(() => {
+        if (!storecode) return;
+
+        loadShelves(storecode);
+        loadRequests(storecode);
+    }, [storecode]);
+
+    // -------------------------------------------------------------------------
+    // Derived Values
+    // -------------------------------------------------------------------------
+    const shelves = useMemo(
+        () => selectShelfList(branchData),
+        [branchData?.shelves, branchData?.placements]
+    );
+
+    const pendingRequests = useMemo(
+        () => selectRequests(branchData).filter((r) => r.status === 'pending'),
+        [branchData?.requests, branchData?.requestIds]
+    );
+
+    const pendingBarcodes = useMemo(
+        () => new Set(pendingRequests.map((r) => String(r.barcode).trim())),
+        [pendingRequests]
+    );
+
+    const shelfOptions = useMemo(() => shelves.map((s) => ({
+        value: s.shelfCode,
+        label: `${s.shelfCode} - ${s.fullName || s.shelfCode}`,
+    })), [shelves]);
+
+    const getRowOptions = (shelfCode) => {
+        const shelf = shelves.find((s) => s.shelfCode === shelfCode);
+        const rowQty = Number(shelf?.rowQty || 0);
+        return Array.from({ length: rowQty }, (_, i) => ({ value: String(i + 1), label: `ชั้น ${i + 1}` }));
+    };
+
+    const getIndexOptions = (shelfCode, rowNo) => {
+        const shelf = shelves.find((s) => s.shelfCode === shelfCode);
+        if (!shelf || !rowNo) return [];
+        const count = (shelf.items || []).filter((item) => Number(item.rowNo) === Number(rowNo)).length;
+        return Array.from({ length: count + 1 }, (_, i) => ({
+            value: String(i + 1),
+            label: i === count ? `${i + 1} (ใหม่)` : String(i + 1),
+        }));
+    };
+
+    const errors = useMemo(() => {
+        const map = {};
+        const targets = {};
+        entries.forEach((entry) => {
+            map[entry.key] = validateEntry(entry, pendingBarcodes);
+            if (!map[entry.key] && needsTarget(entry.action)) {
+                const slot = `${entry.toShelf}|${entry.toRow}|${entry.toIndex}`;
+                if (targets[slot]) map[entry.key] = `ตำแหน่งซ้ำกับ ${targets[slot]}`;
+                else targets[slot] = entry.barcode;
+            }
+        });
+        return map;
+    }, [entries, pendingBarcodes]);
+
+    const invalidCount = entries.filter((entry) => errors[entry.key]).length;
+
+    // -------------------------------------------------------------------------
+    // Entry Handlers
+    // -------------------------------------------------------------------------
+    const updateEntry = useCallback((key, changes) => {
+        setEntries((prev) => prev.map((entry) => (entry.key === key ? { ...entry, ...changes } : entry)));
+    }, []);
+
+    const removeEntry = (key) => {
+        setEntries((prev) => prev.filter((entry) => entry.key !== key));
+    };
+
+    const resolveEntry = useCallback(async (key, barcode) => {
+        try {
+            const data = await lookupProduct(storecode, barcode);
+            if (data.found) {
+                const loc = data.locations?.[0] || {};
+                updateEntry(key, {
+                    lookup: LOOKUP.IN_POG,
+                    productName: data.product.name,
+                    currentShelf: loc.shelfCode,
+                    currentRow: loc.rowNo,
+                    currentIndex: loc.index,
+                    action: 'move',
+                });
+            } else if (data.reason === 'NO_LOCATION_IN_POG') {
+                updateEntry(key, { lookup: LOOKUP.NOT_IN_POG, productName: data.product.name, action: 'add' });
+            } else {
+                updateEntry(key, { lookup: LOOKUP.NOT_FOUND });
+            }
+        } catch (err) {
+            if (__DEV__) console.error('Batch lookup error:', err);
+            updateEntry(key, { lookup: LOOKUP.ERROR });
+        }
+    }, [storecode, updateEntry]);
+
+    const addBarcode = useCallback((barcode) => {
+        if (entries.some((entry) => entry.barcode === barcode)) {
+            warningFeedback();
+            return;
+        }
+        const key = Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+        setEntries((prev) => [{
+            key,
+            barcode,
+            productName: '',
+            lookup: LOOKUP.LOADING,
+            action: '',
+            toShelf: '',
+            toRow: '',
+            toIndex: '',
+            result: null,
+        }, ...prev]);
+        setExpandedKey(key);
+        lightFeedback();
+        resolveEntry(key, barcode);
+    }, [entries, resolveEntry]);
+
+    const handleBarCodeScanned = useCallback(({ data }) => {
+        const now = Date.now();
+        const barcode = String(data).trim();
+
+        if (barcode.length < 5 || barcode.length > 20) return;
+        if (barcode === lastBarcode.current && now - lastScanTime.current < SCAN_COOLDOWN_MS) return;
+
+        lastScanTime.current = now;
+        lastBarcode.current = barcode;
+        addBarcode(barcode);
+    }, [addBarcode]);
+
+    const handleManualAdd = () => {
+        const barcode = manualBarcode.trim();
+        if (!barcode) return;
+        addBarcode(barcode);
+        setManualBarcode('');
+    };
+
+    // -------------------------------------------------------------------------
+    // Submit
+    // -------------------------------------------------------------------------
+    const buildPayload = (entry) => ({
+        branchCode: storecode,
+        action: entry.action,
+        barcode: entry.barcode,
+        productName: entry.productName,
+        fromShelf: entry.currentShelf || null,
+        fromRow: entry.currentRow || null,
+        fromIndex: entry.currentIndex || null,
+        toShelf: entry.action !== 'delete' ? entry.toShelf : null,
+        toRow: entry.action !== 'delete' ? Number(entry.toRow) : null,
+        toIndex: entry.action !== 'delete' ? Number(entry.toIndex) : null,
+        note: '',
+    });
+
+    // Only what still has to be sent stays as the draft (autosave is off once submitted)
+    const keepUnsentDraft = async (list) => {
+        const unsent = list.filter((entry) => !entry.result?.ok);
+        if (unsent.length === 0) {
+            await clearSavedDraft();
+        } else {
+            await saveDraft(DRAFT_KEYS.POG_BATCH, unsent.map(({ result, ...entry }) => entry), storecode || '');
+        }
+    };
+
+    // Offline: every item goes to the outbox individually
+    const queueAll = async () => {
+        let queued = 0;
+        const updated = [];
+        for (const entry of entries) {
+            const item = await enqueue(OUTBOX_TYPES.POG_REQUEST, buildPayload(entry), {
+                barcode: entry.barcode,
+                productName: entry.productName,
+                branchCode: storecode,
+                summary: entry.action === 'delete'
+                    ? `นำออกจาก ${entry.currentShelf || '-'}`
+                    : `${entry.action === 'add' ? 'นำเข้า' : 'ย้ายไป'} ${entry.toShelf} / ชั้น ${entry.toRow} / ลำดับ ${entry.toIndex}`,
+            });
+            if (item) queued += 1;
+            updated.push({
+                ...entry,
+                result: item ? { ok: true, queued: true, message: '' } : { ok: false, message: 'บันทึกรายการรอส่งไม่สำเร็จ' },
+            });
+        }
+
+        setEntries(updated);
+        await keepUnsentDraft(updated);
+        setSummary({ sent: 0, failed: updated.length - queued, queued });
+        setStep('done');
+        if (queued < updated.length) warningFeedback();
+    };
+
+    const submitBatch = async () => {
+        if (submitting || entries.length === 0 || invalidCount > 0) return;
+        setSubmitting(true);
+
+        try {
+            if (!isOnline) {
+                await queueAll();
+                return;
+            }
+
+            const response = await createPogRequestBatch(storecode, entries.map(buildPayload));
+            const results = Array.isArray(response?.results) ? response.results : [];
+
+            let sent = 0;
+            const updated = entries.map((entry, idx) => {
+                // Only an explicit ok for this index counts as sent - no result means it was not created
+                const itemResult = results.find((r) => Number(r?.index) === idx);
+                const ok = itemResult?.ok === true;
+                if (ok) sent += 1;
+                return {
+                    ...entry,
+                    result: {
+                        ok,
+                        message: ok ? '' : (itemResult?.message || (itemResult ? 'ส่งไม่สำเร็จ' : 'ไม่ได้รับผลการส่งจากเซิร์ฟเวอร์')),
+                    },
+                };
+            });
+
+            setEntries(updated);
+            setSummary({ sent, failed: updated.length - sent, queued: 0 });
+            setStep('done');
+            await keepUnsentDraft(updated);
+            if (sent > 0) invalidateBranchData(storecode, ['requests']);
+
+            logAction(ACTION_TYPES.CREATE_POG_REQUEST, { batch: true, sent, failed: updated.length - sent }, storecode);
+            if (sent === updated.length) successFeedback();
+            else warningFeedback();
+        } catch (err) {
+            if (__DEV__) console.error('Submit batch error:', err);
+            if (isNetworkError(err)) {
+                await queueAll();
+            } else {
+                Alert.alert('เกิดข้อผิดพลาด', getErrorMessage(err, 'ส่งคำขอไม่สำเร็จ'));
+            }
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    // Put failed items back into the editor, drop the ones that went through
+    const handleRetryFailed = () => {
+        setEntries((prev) => prev
+            .filter((entry) => entry.result && !entry.result.ok)
+            .map((entry) => ({ ...entry, result: null })));
+        setSummary(null);
+        setStep('collect');
+    };
+
+    // -------------------------------------------------------------------------
+    // Render Helpers
+    // -------------------------------------------------------------------------
+    const renderLookupBadge = (entry) => {
+        if (entry.lookup === LOOKUP.LOADING) return <ActivityIndicator size="small" color="#10b981" />;
+        if (entry.lookup === LOOKUP.IN_POG) {
+            return <Text style={styles.locationText}>{entry.currentShelf} / ชั้น {entry.currentRow} / ลำดับ {entry.currentIndex}</Text>;
+        }
+        if (entry.lookup === LOOKUP.NOT_IN_POG) return <Text style={styles.warningText}>ยังไม่มีใน Planogram</Text>;
+        return <Text style={styles.errorText}>ไม่พบสินค้า</Text>;
+    };
+
+    const renderEditor = (entry) => {
+        const allowed = entry.lookup === LOOKUP.IN_POG ? ['move', 'delete']
+            : entry.lookup === LOOKUP.NOT_IN_POG ? ['add'] : [];
+
+        return (
+            <View style={styles.editor}>
+                <View style={styles.actionRow}>
+                    {allowed.map((key) => {
+                        const option = ACTION_OPTIONS[key];
+                        const active = entry.action === key;
+                        const Icon = option.icon;
+                        return (
+                            <TouchableOpacity
+                                key={key}
+                                style={[styles.actionChip, active && { backgroundColor: option.color, borderColor: option.color }]}
+                                onPress={() => updateEntry(entry.key, { action: key })}
+                            >
+                                <Icon size={14} color={active ? '#fff' : option.color} />
+                                <Text style={[styles.actionChipText, { color: active ? '#fff' : option.color }]}>{option.label}</Text>
+                            </TouchableOpacity>
+                        );
+                    })}
+                </View>
+
+                {needsTarget(entry.action) && (
+                    <>
+                        <CustomPicker
+                            label="Shelf ปลายทาง"
+                            value={entry.toShelf}
+                            options={shelfOptions}
+                            onChange={(value) => updateEntry(entry.key, { toShelf: value, toRow: '', toIndex: '' })}
+                            placeholder="เลือก Shelf"
+                            icon={Layers}
+                        />
+                        <View style={styles.pickerRow}>
+                            <View style={{ flex: 1 }}>
+                                <CustomPicker
+                                    label="ชั้น"
+                                    value={entry.toRow}
+                                    options={getRowOptions(entry.toShelf)}
+                                    onChange={(value) => updateEntry(entry.key, { toRow: value, toIndex: '' })}
+                                    placeholder="ชั้น"
+                                    disabled={!entry.toShelf}
+                                />
+                            </View>
+                            <View style={{ flex: 1 }}>
+                                <CustomPicker
+                                    label="ลำดับ"
+                                    value={entry.toIndex}
+                                    options={getIndexOptions(entry.toShelf, entry.toRow)}
+                                    onChange={(value) => updateEntry(entry.key, { toIndex: value })}
+                                    placeholder="ลำดับ"
+                                    disabled={!entry.toRow}
+                                />
+                            </View>
+                        </View>
+                    </>
+                )}
+            </View>
+        );
+    };
+
+    const renderEntry = (entry, { editable }) => {
+        const error = errors[entry.key];
+        const expanded = editable && expandedKey === entry.key;
+        const option = ACTION_OPTIONS[entry.action];
+
+        return (
+            <View
+                key={entry.key}
+                style={[
+                    styles.entryCard,
+                    entry.result?.ok && styles.entrySuccess,
+                    entry.result && !entry.result.ok && styles.entryFailed,
+                ]}
+            >
+                <TouchableOpacity
+                    style={styles.entryHeader}
+                    onPress={() => editable && setExpandedKey(expanded ? null : entry.key)}
+                    activeOpacity={editable ? 0.7 : 1}
+                >
+                    <View style={styles.entryInfo}>
+                        <Text style={styles.entryName} numberOfLines={1}>{entry.productName || 'ไม่ระบุชื่อสินค้า'}</Text>
+                        <Text style={styles.entryBarcode}>{entry.barcode}</Text>
+                        {renderLookupBadge(entry)}
+                        {!!option && (
+                            <Text style={[styles.entrySummary, { color: option.color }]}>
+                                {option.label}
+                                {needsTarget(entry.action) && entry.toShelf
+                                    ? ` → ${entry.toShelf} / ชั้น ${entry.toRow || '-'} / ลำดับ ${entry.toIndex || '-'}`
+                                    : ''}
+                            </Text>
+                        )}
+                        {!entry.result && !!error && <Text style={styles.errorText}>{error}</Text>}
+                        {entry.result && (
+                            <Text style={entry.result.ok ? styles.successText : styles.errorText}>
+                                {entry.result.ok ? (entry.result.queued ? 'รอส่ง' : 'ส่งสำเร็จ') : entry.result.message}
+                            </Text>
+                        )}
+                    </View>
+                    {editable && (
+                        <View style={styles.entryButtons}>
+                            <TouchableOpacity style={styles.iconButton} onPress={() => removeEntry(entry.key)}>
+                                <Trash2 size={16} color="#ef4444" />
+                            </TouchableOpacity>
+                            {expanded ? <ChevronUp size={18} color="#94a3b8" /> : <ChevronDown size={18} color="#94a3b8" />}
+                        </View>
+                    )}
+                    {entry.result && (
+                        entry.result.ok ? <Check size={20} color="#15803d" /> : <X size={20} color="#dc2626" />
+                    )}
+                </TouchableOpacity>
+                {expanded && renderEditor(entry)}
+            </View>
+        );
+    };
+
+    // -------------------------------------------------------------------------
+    // Render
+    // -------------------------------------------------------------------------
+    return (
+        <SafeAreaView style={styles.container} edges={['top', 'left', 'right']}>
+            <OfflineBanner />
+
+            {/* Header */}
+            <View style={styles.header}>
+                <TouchableOpacity
+                    style={styles.backButton}
+                    onPress={() => (step === 'review' ? setStep('collect') : navigation.goBack())}
+                >
+                    <ChevronLeft color="#1e293b" size={24} />
+                    <Text style={styles.backButtonText}>กลับ</Text>
+                </TouchableOpacity>
+                <View style={styles.headerInfo}>
+                    <Text style={styles.title}>
+                        {step === 'collect' ? 'สร้างคำขอหลายรายการ' : step === 'review' ? 'ตรวจสอบก่อนส่ง' : 'ผลการส่ง'}
+                    </Text>
+                    <Text style={styles.subtitle}>{branchName} • {entries.length} รายการ</Text>
+                </View>
+                {step === 'collect' && (
+                    <TouchableOpacity style={styles.iconButton} onPress={() => setShowManualInput(!showManualInput)}>
+                        {showManualInput ? <ScanLine color="#1e293b" size={24} /> : <Keyboard color="#1e293b" size={24} />}
+                    </TouchableOpacity>
+                )}
+            </View>
+
+            {/* Scanner */}
+            {step === 'collect' && (showManualInput || !hasPermission ? (
+                <View style={styles.manualInputContainer}>
+                    <TextInput
+                        style={styles.manualInput}
+                        value={manualBarcode}
+                        onChangeText={setManualBarcode}
+                        placeholder="พิมพ์บาร์โค้ด..."
+                        placeholderTextColor="#94a3b8"
+                        keyboardType="numeric"
+                        onSubmitEditing={handleManualAdd}
+                    />
+                    <TouchableOpacity
+                        style={[styles.addButton, !manualBarcode.trim() && styles.disabledButton]}
+                        onPress={handleManualAdd}
+                        disabled={!manualBarcode.trim()}
+                    >
+                        <Plus color="#fff" size={20} />
+                    </TouchableOpacity>
+                </View>
+            ) : (
+                <View style={styles.cameraContainer}>
+                    <CameraView
+                        style={StyleSheet.absoluteFillObject}
+                        facing="back"
+                        barcodeScannerSettings={{ barcodeTypes: BARCODE_TYPES }}
+                        onBarcodeScanned={handleBarCodeScanned}
+                    />
+                    <View style={styles.scanLine} />
+                    <Text style={styles.scanHint}>สแกนสินค้าทีละชิ้น แล้วกำหนดคำขอในรายการด้านล่าง</Text>
+                </View>
+            ))}
+
+            {/* Done summary */}
+            {step === 'done' && summary && (
+                <View style={styles.summaryBox}>
+                    {summary.queued > 0 ? (
+                        <Text style={styles.summaryText}>
+                            บันทึกไว้รอส่ง {summary.queued} รายการ (จะส่งอัตโนมัติเมื่อออนไลน์)
+                            {summary.failed > 0 ? ` • บันทึกไม่สำเร็จ ${summary.failed} รายการ` : ''}
+                        </Text>
+                    ) : (
+                        <Text style={styles.summaryText}>
+                            สำเร็จ {summary.sent} รายการ{summary.failed > 0 ? ` • ไม่สำเร็จ ${summary.failed} รายการ` : ''}
+                        </Text>
+                    )}
+                </View>
+            )}
+
+            {/* Entries */}
+            <ScrollView contentContainerStyle={styles.listContent} keyboardShouldPersistTaps="handled">
+                {entries.map((entry) => renderEntry(entry, { editable: step === 'collect' }))}
+                {entries.length === 0 && (
+                    <View style={styles.emptyContainer}>
+                        <ScanLine size={40} color="#cbd5e1" />
+                        <Text style={styles.emptyText}>สแกนสินค้าเพื่อเริ่มสร้างคำขอ</Text>
+                    </View>
+                )}
+            </ScrollView>
+
+            {/* Footer */}
+            <View style={styles.footer}>
+                {step === 'collect' && (
+                    <TouchableOpacity
+                        style={[styles.primaryButton, entries.length === 0 && styles.disabledButton]}
+                        onPress={() => setStep('review')}
+                        disabled={entries.length === 0}
+                    >
+                        <Check size={18} color="#fff" />
+                        <Text style={styles.primaryButtonText}>ตรวจสอบ ({entries.length})</Text>
+                    </TouchableOpacity>
+                )}
+
+                {step === 'review' && (
+                    <>
+                        {invalidCount > 0 && (
+                            <View style={styles.invalidBox}>
+                                <AlertTriangle size={14} color="#b91c1c" />
+                                <Text style={styles.errorText}>แก้ไข {invalidCount} รายการก่อนส่ง</Text>
+                            </View>
+                        )}
+                        <TouchableOpacity
+                            style={[styles.primaryButton, (invalidCount > 0 || submitting) && styles.disabledButton]}
+                            onPress={submitBatch}
+                            disabled={invalidCount > 0 || submitting}
+                        >
+                            {submitting ? (
+                                <ActivityIndicator size="small" color="#fff" />
+                            ) : (
+                                <>
+                                    <Send size={18} color="#fff" />
+                                    <Text style={styles.primaryButtonText}>
+                                        {isOnline ? `ส่ง ${entries.length} คำขอ` : `บันทึกไว้รอส่ง ${entries.length} คำขอ`}
+                                    </Text>
+                                </>
+                            )}
+                        </TouchableOpacity>
+                    </>
+                )}
+
+                {step === 'done' && (
+                    <View style={styles.footerRow}>
+                        {summary?.failed > 0 && (
+                            <TouchableOpacity style={styles.secondaryButton} onPress={handleRetryFailed}>
+                                <RefreshCw size={18} color="#475569" />
+                                <Text style={styles.secondaryButtonText}>แก้ไขรายการที่ไม่สำเร็จ</Text>
+                            </TouchableOpacity>
+                        )}
+                        <TouchableOpacity style={[styles.primaryButton, { flex: 1 }]} onPress={() => navigation.goBack()}>
+                            <Text style={styles.primaryButtonText}>เสร็จสิ้น</Text>
+                        </TouchableOpacity>
+                    </View>
+                )}
+            </View>
+        </SafeAreaView>
+    );
+}
+
+// =============================================================================
+// STYLES
+// =============================================================================
+
+const styles = StyleSheet.create({
+    // Layout
+    container: {
+        flex: 1,
+        backgroundColor: '#f8fafc',
+    },
+
+    // Header
+    header: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingHorizontal: 16,
+        paddingVertical: 12,
+        backgroundColor: '#fff',
+        borderBottomWidth: 1,
+        borderBottomColor: '#e2e8f0',
+    },
+    backButton: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingRight: 12,
+    },
+    backButtonText: {
+        fontSize: 16,
+        color: '#1e293b',
+        marginLeft: 4,
+    },
+    headerInfo: {
+        flex: 1,
+    },
+    title: {
+        fontSize: 17,
+        fontWeight: '600',
+        color: '#1e293b',
+    },
+    subtitle: {
+        fontSize: 12,
+        color: '#64748b',
+    },
+    iconButton: {
+        padding: 8,
+    },
+
+    // Manual Input
+    manualInputContainer: {
+        flexDirection: 'row',
+        padding: 16,
+        backgroundColor: '#fff',
+        borderBottomWidth: 1,
+        borderBottomColor: '#e2e8f0',
+    },
+    manualInput: {
+        flex: 1,
+        backgroundColor: '#f8fafc',
+        borderWidth: 1,
+        borderColor: '#cbd5e1',
+        borderRadius: 12,
+        paddingHorizontal: 16,
+        paddingVertical: 12,
+        fontSize: 16,
+        color: '#1e293b',
+        marginRight: 12,
+    },
+    addButton: {
+        backgroundColor: '#10b981',
+        width: 50,
+        justifyContent: 'center',
+        alignItems: 'center',
+        borderRadius: 12,
+    },
+    disabledButton: {
+        backgroundColor: '#cbd5e1',
+    },
+
+    // Camera
+    cameraContainer: {
+        height: 180,
+        backgroundColor: '#000',
+        justifyContent: 'center',
+        alignItems: 'center',
+        overflow: 'hidden',
+    },
+    scanLine: {
+        width: '70%',
+        height: 2,
+        backgroundColor: '#10b981',
+        opacity: 0.8,
+    },
+    scanHint: {
+        position: 'absolute',
+        bottom: 12,
+        color: '#fff',
+        fontSize: 12,
+        backgroundColor: 'rgba(0,0,0,0.5)',
+        paddingHorizontal: 12,
+        paddingVertical: 4,
+        borderRadius: 12,
+        overflow: 'hidden',
+    },
+
+    // Summary
+    summaryBox: {
+        backgroundColor: '#ecfdf5',
+        paddingHorizontal: 16,
+        paddingVertical: 12,
+        borderBottomWidth: 1,
+        borderBottomColor: '#d1fae5',
+    },
+    summaryText: {
+        fontSize: 14,
+        fontWeight: '600',
+        color: '#047857',
+    },
+
+    // Entries
+    listContent: {
+        padding: 16,
+        gap: 10,
+    },
+    entryCard: {
+        backgroundColor: '#fff',
+        borderRadius: 12,
+        borderWidth: 1,
+        borderColor: '#e2e8f0',
+        overflow: 'hidden',
+    },
+    entrySuccess: {
+        borderColor: '#86efac',
+    },
+    entryFailed: {
+        borderColor: '#fca5a5',
+    },
+    entryHeader: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        padding: 12,
+    },
+    entryInfo: {
+        flex: 1,
+        gap: 2,
+    },
+    entryName: {
+        fontSize: 14,
+        fontWeight: '600',
+        color: '#1e293b',
+    },
+    entryBarcode: {
+        fontSize: 12,
+        color: '#64748b',
+        fontFamily: Platform.OS === 'ios' ? 'Menlo' : 'monospace',
+    },
+    entrySummary: {
+        fontSize: 12,
+        fontWeight: '600',
+    },
+    entryButtons: {
+        flexDirection: 'row',
+        alignItems: 'center',
+    },
+    locationText: {
+        fontSize: 12,
+        color: '#3b82f6',
+    },
+    warningText: {
+        fontSize: 12,
+        color: '#b45309',
+    },
+    errorText: {
+        fontSize: 12,
+        color: '#b91c1c',
+    },
+    successText: {
+        fontSize: 12,
+        color: '#15803d',
+    },
+
+    // Editor
+    editor: {
+        borderTopWidth: 1,
+        borderTopColor: '#f1f5f9',
+        padding: 12,
+    },
+    actionRow: {
+        flexDirection: 'row',
+        gap: 8,
+        marginBottom: 12,
+    },
+    actionChip: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 4,
+        paddingHorizontal: 12,
+        paddingVertical: 6,
+        borderRadius: 16,
+        borderWidth: 1,
+        borderColor: '#e2e8f0',
+    },
+    actionChipText: {
+        fontSize: 13,
+        fontWeight: '600',
+    },
+    pickerRow: {
+        flexDirection: 'row',
+        gap: 8,
+    },
+
+    // Empty
+    emptyContainer: {
+        alignItems: 'center',
+        paddingVertical: 48,
+    },
+    emptyText: {
+        marginTop: 12,
+        fontSize: 14,
+        color: '#64748b',
+    },
+
+    // Footer
+    footer: {
+        padding: 16,
+        gap: 8,
+        backgroundColor: '#fff',
+        borderTopWidth: 1,
+        borderTopColor: '#e2e8f0',
+    },
+    footerRow: {
+        flexDirection: 'row',
+        gap: 12,
+    },
+    invalidBox: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 6,
+    },
+    primaryButton: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'center',
+        gap: 8,
+        paddingVertical: 14,
+        borderRadius: 12,
+        backgroundColor: '#10b981',
+    },
+    primaryButtonText: {
+        color: '#fff',
+        fontWeight: '600',
+        fontSize: 15,
+    },
+    secondaryButton: {
+        flex: 1,
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'center',
+        gap: 6,
+        paddingVertical: 14,
+        borderRadius: 12,
+        borderWidth: 1,
+        borderColor: '#e2e8f0',
+    },
+    secondaryButtonText: {
+        color: '#475569',
+        fontWeight: '600',
+        fontSize: 13,
+    },
+});
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import {
     View,
     Text,
@@ -9,72 +9,190 @@ import {
     ActivityIndicator,
     Platform,
     Keyboard,
-    TouchableWithoutFeedback
+    TouchableWithoutFeedback,
+    Modal,
+    Alert,
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
-import { Search, ChevronLeft, ChevronRight, Store, AlertCircle, RefreshCw } from 'lucide-react-native';
+import { Search, ChevronLeft, ChevronRight, Store, AlertCircle, KeyRound, Smartphone } from 'lucide-react-native';
 import useAuthStore from '../store/authStore';
 import useBranchStore from '../store/branchStore';
 import { getErrorMessage } from '../utils/errorHelper';
+import { enroll, getEnrolledBranches, removeEnrollment } from '../services/enrollmentService';
+
+// Branch PIN length accepted by the server
+const PIN_MIN_LENGTH = 4;
+const PIN_MAX_LENGTH = 6;
+
+// Translate common login / enrollment errors to Thai
+const translateAuthError = (err, fallback) => {
+    const code = err?.response?.data?.code;
+    if (code === 'DEVICE_NOT_ENROLLED' || code === 'DEVICE_REVOKED') {
+        return 'เครื่องนี้ถูกยกเลิกการลงทะเบียนกับสาขานี้ กรุณาลงทะเบียนใหม่';
+    }
+    if (code === 'PIN_LOCKED') {
+        return 'ใส่ PIN ผิดหลายครั้ง กรุณาลองใหม่ภายหลัง';
+    }
+
+    const errMsg = getErrorMessage(err, fallback);
+    const lowered = String(errMsg).toLowerCase();
+    if (lowered.includes('user not found') || lowered.includes('not enabled')) {
+        return 'ไม่พบผู้ใช้หรือยังไม่เปิดใช้งาน';
+    }
+    if (lowered.includes('pin invalid') || lowered.includes('password invalid')) {
+        return 'PIN ไม่ถูกต้อง';
+    }
+    if (lowered.includes('enrollment code')) {
+        return 'รหัสลงทะเบียนไม่ถูกต้องหรือหมดอายุ';
+    }
+    return errMsg;
+};
 
 export default function BranchSelectScreen({ navigation }) {
-    const actionLogin = useAuthStore((s) => s.actionLogin);
+    const actionBranchLogin = useAuthStore((s) => s.actionBranchLogin);
 
     const [searchQuery, setSearchQuery] = useState('');
     const [errorMsg, setErrorMsg] = useState('');
     const [selectedBranch, setSelectedBranch] = useState(null);
 
-    // Data from Store
+    // Branches enrolled on this device
+    const [enrolledBranches, setEnrolledBranches] = useState([]);
+    const [isLoadingEnrolled, setIsLoadingEnrolled] = useState(true);
+
+    // PIN modal
+    const [pinBranch, setPinBranch] = useState(null);
+    const [pin, setPin] = useState('');
+    const [pinError, setPinError] = useState('');
+
+    // Enrollment modal
+    const [showEnrollModal, setShowEnrollModal] = useState(false);
+    const [enrollBranchCode, setEnrollBranchCode] = useState('');
+    const [enrollmentCode, setEnrollmentCode] = useState('');
+    const [enrollError, setEnrollError] = useState('');
+    const [isEnrolling, setIsEnrolling] = useState(false);
+
+    // Active branches - used for display names only
     const branches = useBranchStore((s) => s.branches);
-    const isLoadingBranches = useBranchStore((s) => s.isLoading);
     const fetchBranches = useBranchStore((s) => s.fetchBranches);
 
+    const loadEnrolled = useCallback(async () => {
+        const list = await getEnrolledBranches();
+        setEnrolledBranches(list);
+        setIsLoadingEnrolled(false);
+    }, []);
+
     // Fetch branches on mount
     useEffect(() => {
+        loadEnrolled();
         if (branches.length === 0) {
             fetchBranches();
         }
-    }, [branches.length, fetchBranches]);
+    }, [branches.length, fetchBranches, loadEnrolled]);
 
-    // Check if we have error fetching branches
-    const isError = !isLoadingBranches && branches.length === 0;
+    // Enrolled branches with the label of the active branch list when known
+    const listBranches = enrolledBranches.map((b) => {
+        const active = branches.find((branch) => branch.code === b.code);
+        return { code: b.code, label: active?.label || (b.name ? `${b.code} - ${b.name}` : b.code) };
+    });
 
     // Filter branches by search
-    const filteredBranches = branches.filter(
+    const filteredBranches = listBranches.filter(
         (b) =>
             b.code.toLowerCase().includes(searchQuery.toLowerCase()) ||
             b.label.toLowerCase().includes(searchQuery.toLowerCase())
     );
 
-    // Handle branch selection
-    const handleSelectBranch = async (branch) => {
-        setSelectedBranch(branch.code);
+    // Handle branch selection - ask for the branch PIN
+    const handleSelectBranch = (branch) => {
         setErrorMsg('');
+        setPin('');
+        setPinError('');
+        setPinBranch(branch);
+    };
+
+    const closePinModal = () => {
+        if (selectedBranch) return;
+        setPinBranch(null);
+        setPin('');
+        setPinError('');
+    };
+
+    const handleSubmitPin = async () => {
+        if (!pinBranch || selectedBranch) return;
+        if (pin.length < PIN_MIN_LENGTH) {
+            setPinError(`กรุณากรอก PIN ${PIN_MIN_LENGTH}-${PIN_MAX_LENGTH} หลัก`);
+            return;
+        }
+
+        const branch = pinBranch;
+        setSelectedBranch(branch.code);
+        setPinError('');
 
         try {
-            const branchPassword = `POG@${branch.code}`;
-            await actionLogin({
-                name: branch.code,
-                password: branchPassword,
-                storecode: branch.code,
-            });
+            await actionBranchLogin({ branchCode: branch.code, pin });
             // Navigation will happen automatically via AppNavigator
         } catch (err) {
-            let errMsg = getErrorMessage(err, 'เข้าสู่ระบบไม่สำเร็จ');
-
-            // Translate common login errors to Thai
-            const lowered = String(errMsg).toLowerCase();
-            if (lowered.includes('user not found') || lowered.includes('not enabled')) {
-                errMsg = 'ไม่พบผู้ใช้หรือยังไม่เปิดใช้งาน';
-            } else if (lowered.includes('password invalid')) {
-                errMsg = 'รหัสผ่านไม่ถูกต้อง';
+            const code = err?.response?.data?.code;
+            if (code === 'DEVICE_NOT_ENROLLED' || code === 'DEVICE_REVOKED') {
+                // Enrollment was removed by authStore - close the modal and refresh the list
+                setPinBranch(null);
+                setErrorMsg(translateAuthError(err, 'เข้าสู่ระบบไม่สำเร็จ'));
+                loadEnrolled();
+            } else {
+                setPinError(translateAuthError(err, 'เข้าสู่ระบบไม่สำเร็จ'));
             }
-
-            setErrorMsg(errMsg);
+            setPin('');
             setSelectedBranch(null);
         }
     };
 
+    // Remove a branch from this device (long press)
+    const handleRemoveBranch = (branch) => {
+        Alert.alert(
+            'ยกเลิกการลงทะเบียน',
+            `ต้องการนำสาขา ${branch.code} ออกจากเครื่องนี้ใช่หรือไม่?`,
+            [
+                { text: 'ยกเลิก', style: 'cancel' },
+                {
+                    text: 'นำออก',
+                    style: 'destructive',
+                    onPress: async () => {
+                        await removeEnrollment(branch.code);
+                        loadEnrolled();
+                    },
+                },
+            ]
+        );
+    };
+
+    const openEnrollModal = () => {
+        setEnrollBranchCode('');
+        setEnrollmentCode('');
+        setEnrollError('');
+        setShowEnrollModal(true);
+    };
+
+    const handleEnroll = async () => {
+        const code = enrollBranchCode.trim().toUpperCase();
+        const enrollCode = enrollmentCode.trim();
+        if (!code || !enrollCode) {
+            setEnrollError('กรุณากรอกรหัสสาขาและรหัสลงทะเบียน');
+            return;
+        }
+
+        setIsEnrolling(true);
+        setEnrollError('');
+        try {
+            await enroll(code, enrollCode);
+            await loadEnrolled();
+            setShowEnrollModal(false);
+        } catch (err) {
+            setEnrollError(translateAuthError(err, 'ลงทะเบียนเครื่องไม่สำเร็จ'));
+        } finally {
+            setIsEnrolling(false);
+        }
+    };
+
     // Format label to show only "Code - Thai Name"
     const formatBranchLabel = (label, code) => {
         if (!label) return '';
@@ -99,6 +217,7 @@ export default function BranchSelectScreen({ navigation }) {
             <TouchableOpacity
                 style={[styles.branchItem, isSelected && styles.branchItemSelected]}
                 onPress={() => handleSelectBranch(item)}
+                onLongPress={() => handleRemoveBranch(item)}
             >
                 <View style={[styles.iconBox, isSelected ? styles.iconBoxSelected : styles.iconBoxNormal]}>
                     <Store size={20} color={isSelected ? '#10b981' : '#64748b'} />
@@ -108,7 +227,6 @@ export default function BranchSelectScreen({ navigation }) {
                     <Text style={[styles.branchName, isSelected && styles.textSelected]} numberOfLines={1}>
                         {formattedLabel}
                     </Text>
-                    {/* <Text style={[styles.branchCode, isSelected && styles.textSelected]}>รหัสผู้ใช้: {item.code}</Text> */}
                 </View>
 
                 {isSelected ? (
@@ -134,7 +252,9 @@ export default function BranchSelectScreen({ navigation }) {
                             <Text style={styles.backButtonText}>กลับ</Text>
                         </TouchableOpacity>
                         <Text style={styles.title}>เลือกสาขา</Text>
-                        <View style={{ width: 40 }} />
+                        <TouchableOpacity style={styles.enrollButton} onPress={openEnrollModal}>
+                            <Smartphone size={20} color="#10b981" />
+                        </TouchableOpacity>
                     </View>
 
                     {/* Search */}
@@ -160,20 +280,15 @@ export default function BranchSelectScreen({ navigation }) {
                     </View>
 
                     {/* Error Message */}
-                    {errorMsg || isError ? (
+                    {errorMsg ? (
                         <View style={styles.errorContainer}>
                             <AlertCircle size={20} color="#dc2626" />
-                            <Text style={styles.errorText}>{errorMsg || 'ไม่สามารถโหลดข้อมูลสาขาได้'}</Text>
-                            {isError && (
-                                <TouchableOpacity onPress={fetchBranches} style={{ marginLeft: 10 }}>
-                                    <RefreshCw size={16} color="#dc2626" />
-                                </TouchableOpacity>
-                            )}
+                            <Text style={styles.errorText}>{errorMsg}</Text>
                         </View>
                     ) : null}
 
                     {/* Branch List */}
-                    {isLoadingBranches ? (
+                    {isLoadingEnrolled ? (
                         <View style={styles.emptyContainer}>
                             <ActivityIndicator size="large" color="#10b981" />
                             <Text style={[styles.emptyText, { marginTop: 16 }]}>กำลังโหลดข้อมูลสาขา...</Text>
@@ -186,24 +301,159 @@ export default function BranchSelectScreen({ navigation }) {
                             contentContainerStyle={styles.listContent}
                             showsVerticalScrollIndicator={false}
                             ListEmptyComponent={
-                                <View style={styles.emptyContainer}>
-                                    <Store size={48} color="#e2e8f0" />
-                                    <Text style={styles.emptyText}>ไม่พบสาขาที่ค้นหา</Text>
-                                </View>
+                                listBranches.length === 0 ? (
+                                    <View style={styles.emptyContainer}>
+                                        <Smartphone size={48} color="#e2e8f0" />
+                                        <Text style={styles.emptyText}>เครื่องนี้ยังไม่ได้ลงทะเบียนกับสาขาใด</Text>
+                                        <TouchableOpacity style={styles.enrollEmptyButton} onPress={openEnrollModal}>
+                                            <Text style={styles.enrollEmptyButtonText}>ลงทะเบียนเครื่อง</Text>
+                                        </TouchableOpacity>
+                                    </View>
+                                ) : (
+                                    <View style={styles.emptyContainer}>
+                                        <Store size={48} color="#e2e8f0" />
+                                        <Text style={styles.emptyText}>ไม่พบสาขาที่ค้นหา</Text>
+                                    </View>
+                                )
                             }
                         />
                     )}
 
                     {/* Footer hint */}
-                    {!isLoadingBranches && (
+                    {!isLoadingEnrolled && (
                         <View style={styles.footer}>
                             <Text style={styles.footerText}>
-                                พบทั้งหมด {filteredBranches.length} สาขา
+                                ลงทะเบียนไว้ {filteredBranches.length} สาขา · กดค้างเพื่อนำสาขาออก
                             </Text>
                         </View>
                     )}
                 </View>
             </TouchableWithoutFeedback>
+
+            {/* Branch PIN Modal */}
+            <Modal
+                visible={!!pinBranch}
+                transparent
+                animationType="fade"
+                onRequestClose={closePinModal}
+            >
+                <View style={styles.modalOverlay}>
+                    <View style={styles.modalContainer}>
+                        <View style={styles.modalIconBg}>
+                            <KeyRound size={28} color="#10b981" />
+                        </View>
+                        <Text style={styles.modalTitle}>กรอก PIN สาขา</Text>
+                        <Text style={styles.modalMessage}>
+                            {pinBranch ? formatBranchLabel(pinBranch.label, pinBranch.code) : ''}
+                        </Text>
+                        <TextInput
+                            style={[styles.modalInput, styles.pinInput]}
+                            value={pin}
+                            onChangeText={(text) => {
+                                setPin(text.replace(/[^0-9]/g, ''));
+                                if (pinError) setPinError('');
+                            }}
+                            placeholder="••••"
+                            placeholderTextColor="#cbd5e1"
+                            keyboardType="number-pad"
+                            secureTextEntry
+                            maxLength={PIN_MAX_LENGTH}
+                            autoFocus
+                            editable={!selectedBranch}
+                            onSubmitEditing={handleSubmitPin}
+                        />
+                        {pinError ? <Text style={styles.modalError}>{pinError}</Text> : null}
+                        <View style={styles.modalButtons}>
+                            <TouchableOpacity
+                                style={[styles.modalButton, styles.btnCancel]}
+                                onPress={closePinModal}
+                                disabled={!!selectedBranch}
+                            >
+                                <Text style={styles.btnTextCancel}>ยกเลิก</Text>
+                            </TouchableOpacity>
+                            <TouchableOpacity
+                                style={[styles.modalButton, styles.btnSuccess]}
+                                onPress={handleSubmitPin}
+                                disabled={!!selectedBranch}
+                            >
+                                {selectedBranch ? (
+                                    <ActivityIndicator size="small" color="#fff" />
+                                ) : (
+                                    <Text style={styles.btnTextWhite}>เข้าสู่ระบบ</Text>
+                                )}
+                            </TouchableOpacity>
+                        </View>
+                    </View>
+                </View>
+            </Modal>
+
+            {/* Device Enrollment Modal */}
+            <Modal
+                visible={showEnrollModal}
+                transparent
+                animationType="fade"
+                onRequestClose={() => !isEnrolling && setShowEnrollModal(false)}
+            >
+                <View style={styles.modalOverlay}>
+                    <View style={styles.modalContainer}>
+                        <View style={styles.modalIconBg}>
+                            <Smartphone size={28} color="#10b981" />
+                        </View>
+                        <Text style={styles.modalTitle}>ลงทะเบียนเครื่อง</Text>
+                        <Text style={styles.modalMessage}>
+                            กรอกรหัสสาขาและรหัสลงทะเบียนที่ได้รับจากผู้ดูแลระบบ
+                        </Text>
+                        <TextInput
+                            style={styles.modalInput}
+                            value={enrollBranchCode}
+                            onChangeText={(text) => {
+                                setEnrollBranchCode(text);
+                                if (enrollError) setEnrollError('');
+                            }}
+                            placeholder="รหัสสาขา เช่น ST001"
+                            placeholderTextColor="#94a3b8"
+                            autoCapitalize="characters"
+                            autoCorrect={false}
+                            editable={!isEnrolling}
+                        />
+                        <TextInput
+                            style={styles.modalInput}
+                            value={enrollmentCode}
+                            onChangeText={(text) => {
+                                setEnrollmentCode(text);
+                                if (enrollError) setEnrollError('');
+                            }}
+                            placeholder="รหัสลงทะเบียน"
+                            placeholderTextColor="#94a3b8"
+                            autoCapitalize="characters"
+                            autoCorrect={false}
+                            editable={!isEnrolling}
+                            onSubmitEditing={handleEnroll}
+                        />
+                        {enrollError ? <Text style={styles.modalError}>{enrollError}</Text> : null}
+                        <View style={styles.modalButtons}>
+                            <TouchableOpacity
+                                style={[styles.modalButton, styles.btnCancel]}
+                                onPress={() => setShowEnrollModal(false)}
+                                disabled={isEnrolling}
+                            >
+                                <Text style={styles.btnTextCancel}>ยกเลิก</Text>
+                            </TouchableOpacity>
+                            <TouchableOpacity
+                                style={[styles.modalButton, styles.btnSuccess]}
+                                onPress={handleEnroll}
+                                disabled={isEnrolling}
+                            >
+                                {isEnrolling ? (
+                                    <ActivityIndicator size="small" color="#fff" />
+                                ) : (
+                                    <Text style={styles.btnTextWhite}>ลงทะเบียน</Text>
+                                )}
+                            </TouchableOpacity>
+                        </View>
+                    </View>
+                </View>
+            </Modal>
         </SafeAreaView>
     );
 }
@@ -377,4 +627,108 @@ const styles = StyleSheet.create({
         fontSize: 12,
         color: '#94a3b8',
     },
+
+    // Enrollment
+    enrollButton: {
+        width: 40,
+        alignItems: 'flex-end',
+    },
+    enrollEmptyButton: {
+        marginTop: 4,
+        paddingHorizontal: 20,
+        paddingVertical: 10,
+        borderRadius: 12,
+        backgroundColor: '#10b981',
+    },
+    enrollEmptyButtonText: {
+        color: '#fff',
+        fontWeight: '600',
+        fontSize: 14,
+    },
+
+    // Modals
+    modalOverlay: {
+        flex: 1,
+        backgroundColor: 'rgba(15, 23, 42, 0.4)',
+        justifyContent: 'center',
+        alignItems: 'center',
+        padding: 24,
+    },
+    modalContainer: {
+        backgroundColor: '#fff',
+        borderRadius: 24,
+        padding: 24,
+        width: '100%',
+        maxWidth: 340,
+        alignItems: 'center',
+    },
+    modalIconBg: {
+        width: 56,
+        height: 56,
+        borderRadius: 28,
+        backgroundColor: '#d1fae5',
+        justifyContent: 'center',
+        alignItems: 'center',
+        marginBottom: 12,
+    },
+    modalTitle: {
+        fontSize: 18,
+        fontWeight: '700',
+        color: '#1e293b',
+        marginBottom: 6,
+        textAlign: 'center',
+    },
+    modalMessage: {
+        fontSize: 14,
+        color: '#64748b',
+        textAlign: 'center',
+        marginBottom: 16,
+    },
+    modalInput: {
+        width: '100%',
+        backgroundColor: '#f1f5f9',
+        borderRadius: 12,
+        borderWidth: 1,
+        borderColor: '#e2e8f0',
+        paddingHorizontal: 14,
+        paddingVertical: 12,
+        fontSize: 15,
+        color: '#1e293b',
+        marginBottom: 10,
+    },
+    pinInput: {
+        fontSize: 24,
+        letterSpacing: 8,
+        textAlign: 'center',
+    },
+    modalError: {
+        fontSize: 13,
+        color: '#b91c1c',
+        marginBottom: 10,
+        textAlign: 'center',
+    },
+    modalButtons: {
+        flexDirection: 'row',
+        gap: 12,
+        width: '100%',
+        marginTop: 6,
+    },
+    modalButton: {
+        flex: 1,
+        paddingVertical: 14,
+        borderRadius: 12,
+        alignItems: 'center',
+    },
+    btnSuccess: { backgroundColor: '#10b981' },
+    btnCancel: { backgroundColor: '#f1f5f9' },
+    btnTextWhite: {
+        color: '#fff',
+        fontWeight: '600',
+        fontSize: 15,
+    },
+    btnTextCancel: {
+        color: '#64748b',
+        fontWeight: '600',
+        fontSize: 15,
+    },
 });
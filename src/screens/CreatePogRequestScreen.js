@@ -1,6 +1,8 @@
 /**
  * CreatePogRequestScreen - Create POG Change Request
- * Form for submitting product add/move/delete requests
+ * Form for submitting product add/move/swap/delete requests, with optional photo evidence
+ * Also edits a pending request (route param editRequest) - saved online only,
+ * refused by the server once the request has been reviewed or changed elsewhere
  */
 
 import React, { useState, useEffect, useMemo, useCallback, useRef } from 'react';
@@ -13,98 +15,67 @@ import {
     ScrollView,
     ActivityIndicator,
     Modal,
-    FlatList,
+    Image,
     Platform,
     KeyboardAvoidingView
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
+import { CameraView, useCameraPermissions } from 'expo-camera';
 import {
-    ChevronLeft, Check, X, ChevronDown,
-    Plus, Trash2, ArrowRightLeft,
+    ChevronLeft, Check, X,
+    Plus, Trash2, ArrowRightLeft, Repeat, Camera, AlertTriangle,
     MapPin, ScanLine, FileText, Package
 } from 'lucide-react-native';
 
 import useAuthStore from '../store/authStore';
-import { createPogRequest, getBranchShelves, getMyPogRequests } from '../api/user';
+import { createPogRequest, updatePogRequest, getPogRequestDetail } from '../api/user';
 import { getErrorMessage } from '../utils/errorHelper';
 import useBranchStore from '../store/branchStore';
+import useBranchDataStore, { selectShelfList, selectRequests, selectPlanogramItems } from '../store/branchDataStore';
 import { usePreventDoubleTap } from '../hooks/useDebounce';
 import { useCancellableRequest } from '../hooks/useAbortController';
 import { useAutoSave } from '../hooks/useAutoSave';
 import { DRAFT_KEYS } from '../services/draftService';
 import { logAction, ACTION_TYPES } from '../services/actionLogService';
+import { enqueue, isNetworkError, OUTBOX_TYPES } from '../services/outboxService';
+import { useNetwork } from '../contexts/NetworkContext';
+import { compressPhoto, persistPhotos, MAX_REQUEST_PHOTOS } from '../services/requestPhotoService';
+import { getSlotNeighbours, findSlotRequests } from '../utils/planogram';
+import CustomPicker from '../components/CustomPicker';
+import RequestPhotos from '../components/RequestPhotos';
 
 // =============================================================================
-// SUB-COMPONENTS
+// CONSTANTS
 // =============================================================================
 
-function CustomPicker({ label, value, options, onChange, placeholder, disabled, icon: Icon }) {
-    const [isOpen, setIsOpen] = useState(false);
-    const selectedOption = options.find((opt) => opt.value === value);
+/** Barcode types for scanning the product to swap with */
+const BARCODE_TYPES = [
+    'ean13', 'ean8', 'upc_a', 'upc_e',
+    'code128', 'code39', 'code93',
+    'itf14', 'codabar',
+];
+
+/** Short action names for the duplicate-request message */
+const PENDING_ACTION_LABELS = {
+    add: 'เพิ่ม',
+    move: 'ย้าย',
+    swap: 'สลับ',
+    delete: 'ลบ',
+};
 
-    return (
-        <View style={styles.pickerWrapper}>
-            <Text style={styles.label}>{label}</Text>
-            <TouchableOpacity
-                style={[styles.pickerButton, disabled && styles.pickerButtonDisabled]}
-                onPress={() => !disabled && setIsOpen(true)}
-                disabled={disabled}
-            >
-                <View style={styles.pickerBtnContent}>
-                    {Icon && <Icon size={18} color={value ? '#1e293b' : '#94a3b8'} style={styles.pickerIcon} />}
-                    <Text style={[styles.pickerButtonText, !value && styles.pickerPlaceholder]}>
-                        {selectedOption ? selectedOption.label : placeholder}
-                    </Text>
-                </View>
-                <ChevronDown size={20} color="#94a3b8" />
-            </TouchableOpacity>
-
-            <Modal visible={isOpen} transparent animationType="fade">
-                <TouchableOpacity
-                    style={styles.pickerModalOverlay}
-                    activeOpacity={1}
-                    onPress={() => setIsOpen(false)}
-                >
-                    <View style={styles.pickerModalContent}>
-                        <View style={styles.pickerModalHeader}>
-                            <Text style={styles.pickerModalTitle}>{label}</Text>
-                            <TouchableOpacity onPress={() => setIsOpen(false)} style={styles.closeBtn}>
-                                <X size={24} color="#64748b" />
-                            </TouchableOpacity>
-                        </View>
-                        <FlatList
-                            data={options}
-                            keyExtractor={(item) => String(item.value)}
-                            renderItem={({ item }) => (
-                                <TouchableOpacity
-                                    style={[
-                                        styles.pickerOptionItem,
-                                        value === item.value && styles.pickerOptionItemActive,
-                                    ]}
-                                    onPress={() => {
-                                        onChange(item.value);
-                                        setIsOpen(false);
-                                    }}
-                                >
-                                    <Text
-                                        style={[
-                                            styles.pickerOptionText,
-                                            value === item.value && styles.pickerOptionTextActive,
-                                        ]}
-                                    >
-                                        {item.label}
-                                    </Text>
-                                    {value === item.value && <Check size={20} color="#10b981" />}
-                                </TouchableOpacity>
-                            )}
-                            style={styles.pickerOptionList}
-                        />
-                    </View>
-                </TouchableOpacity>
-            </Modal>
-        </View>
-    );
-}
+/**
+ * Planogram placement of a barcode
+ * @param {Array} items - selectPlanogramItems() result
+ * @param {string} barcode
+ * @returns {object|null}
+ */
+const findPlacement = (items, barcode) => {
+    const bc = String(barcode || '').trim();
+    if (!bc) return null;
+    return items.find((item) => String(item.barcode || '').trim() === bc) || null;
+};
+
+const getItemName = (item) => item?.nameProduct || item?.nameBrand || '';
 
 // =============================================================================
 // MAIN COMPONENT
@@ -115,27 +86,51 @@ export default function CreatePogRequestScreen({ navigation, route }) {
     const user = useAuthStore((s) => s.user);
     const getBranchName = useBranchStore((s) => s.getBranchName);
     const storecode = user?.storecode || user?.name;
+    const branchData = useBranchDataStore((s) => s.byBranch[storecode]);
+    const loadShelves = useBranchDataStore((s) => s.loadShelves);
+    const loadPlanogram = useBranchDataStore((s) => s.loadPlanogram);
+    const loadRequests = useBranchDataStore((s) => s.loadRequests);
+    const invalidateBranchData = useBranchDataStore((s) => s.invalidate);
+    const upsertRequests = useBranchDataStore((s) => s.upsertRequests);
+
+    // Pending request being edited (from PogRequestDetail)
+    const editRequest = route.params?.editRequest || null;
+    const isEdit = !!editRequest;
+
+    const [action, setAction] = useState(editRequest?.action || route.params?.defaultAction || '');
+    const [barcode, setBarcode] = useState(editRequest?.barcode || route.params?.barcode || '');
+    const [productName, setProductName] = useState(editRequest?.productName || route.params?.productName || '');
+    const [toShelf, setToShelf] = useState(editRequest?.toShelf || route.params?.targetShelf || '');
+    const [toRow, setToRow] = useState(() => {
+        const row = editRequest ? editRequest.toRow : route.params?.targetRow;
+        return row ? String(row) : '';
+    });
+    const [toIndex, setToIndex] = useState(() => {
+        const index = editRequest ? editRequest.toIndex : route.params?.targetIndex;
+        return index ? String(index) : '';
+    });
+    const [note, setNote] = useState(editRequest?.note || '');
+    // Swap: the second product (its position becomes this product's target)
+    const [swapBarcode, setSwapBarcode] = useState(editRequest?.swapBarcode || '');
+    const [swapPickShelf, setSwapPickShelf] = useState('');
+    const [showSwapScanner, setShowSwapScanner] = useState(false);
+    const [cameraPermission, requestCameraPermission] = useCameraPermissions();
+    // Photo evidence for the reviewer (new photos only - ones already sent stay on the request)
+    const [photos, setPhotos] = useState([]);
+    const [showPhotoCamera, setShowPhotoCamera] = useState(false);
+    const [capturingPhoto, setCapturingPhoto] = useState(false);
+    const photoCameraRef = useRef(null);
 
-    const [action, setAction] = useState(route.params?.defaultAction || '');
-    const [barcode, setBarcode] = useState(route.params?.barcode || '');
-    const [productName, setProductName] = useState(route.params?.productName || '');
-    const [toShelf, setToShelf] = useState('');
-    const [toRow, setToRow] = useState('');
-    const [toIndex, setToIndex] = useState('');
-    const [note, setNote] = useState('');
-
-    const [shelves, setShelves] = useState([]);
-    const [pendingRequests, setPendingRequests] = useState([]);
-    const [shelvesLoading, setShelvesLoading] = useState(false);
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState('');
     const [success, setSuccess] = useState(false);
+    const [queued, setQueued] = useState(false);
     const [showDraftModal, setShowDraftModal] = useState(false);
 
     // Auto-save form data
     const formData = useMemo(() => ({
-        action, barcode, productName, toShelf, toRow, toIndex, note
-    }), [action, barcode, productName, toShelf, toRow, toIndex, note]);
+        action, barcode, productName, toShelf, toRow, toIndex, note, swapBarcode
+    }), [action, barcode, productName, toShelf, toRow, toIndex, note, swapBarcode]);
 
     const {
         hasSavedDraft,
@@ -145,12 +140,12 @@ export default function CreatePogRequestScreen({ navigation, route }) {
     } = useAutoSave(DRAFT_KEYS.POG_REQUEST, formData, {
         interval: 10000, // Save every 10 seconds
         identifier: barcode || 'new',
-        enabled: !success, // Don't save after success
+        enabled: !success && !isEdit, // Don't save after success or while editing a sent request
     });
 
     // Check for saved draft on mount
     useEffect(() => {
-        if (hasSavedDraft && !route.params?.barcode) {
+        if (hasSavedDraft && !route.params?.barcode && !isEdit) {
             setShowDraftModal(true);
         }
     }, [hasSavedDraft]);
@@ -166,6 +161,7 @@ export default function CreatePogRequestScreen({ navigation, route }) {
             setToRow(draft.toRow || '');
             setToIndex(draft.toIndex || '');
             setNote(draft.note || '');
+            setSwapBarcode(draft.swapBarcode || '');
         }
         setShowDraftModal(false);
     };
@@ -177,11 +173,11 @@ export default function CreatePogRequestScreen({ navigation, route }) {
     };
 
     const {
-        barcode: initialBarcode = '',
-        currentShelf = '',
-        currentRow = '',
-        currentIndex = '',
-        productExists = false,
+        barcode: initialBarcode = editRequest?.barcode || '',
+        currentShelf = editRequest?.fromShelf || '',
+        currentRow = editRequest?.fromRow || '',
+        currentIndex = editRequest?.fromIndex || '',
+        productExists = !!editRequest?.fromShelf,
     } = route.params || {};
 
     // Header Info
@@ -190,6 +186,17 @@ export default function CreatePogRequestScreen({ navigation, route }) {
         return getBranchName(storecode);
     }, [storecode, getBranchName]);
 
+    // Shelves and pending requests from the shared branch store
+    const shelves = useMemo(
+        () => selectShelfList(branchData),
+        [branchData?.shelves, branchData?.placements]
+    );
+    const pendingRequests = useMemo(
+        () => selectRequests(branchData).filter((r) => r.status === 'pending'),
+        [branchData?.requests, branchData?.requestIds]
+    );
+    const shelvesLoading = !!branchData?.loading.shelves && !branchData?.loadedAt.shelves;
+
     // Derived Selection Data
     const selectedShelfData = useMemo(() => {
         if (!toShelf) return null;
@@ -212,18 +219,6 @@ export default function CreatePogRequestScreen({ navigation, route }) {
         }));
     }, [selectedShelfData]);
 
-    const indexOptions = useMemo(() => {
-        if (!selectedShelfData || !toRow) return [];
-        const items = selectedShelfData.items || [];
-        const rowNum = Number(toRow);
-        const itemsInRow = items.filter((item) => Number(item.rowNo) === rowNum);
-        const maxIndex = itemsInRow.length;
-        return Array.from({ length: maxIndex + 1 }, (_, i) => ({
-            value: String(i + 1),
-            label: i + 1 === maxIndex + 1 ? `${i + 1} (ใหม่)` : String(i + 1),
-        }));
-    }, [selectedShelfData, toRow]);
-
     const existingProduct = useMemo(() => {
         if (!barcode || !shelves.length) return null;
         const bc = String(barcode).trim();
@@ -244,45 +239,129 @@ export default function CreatePogRequestScreen({ navigation, route }) {
 
     const productExistsInShelf = existingProduct !== null;
 
+    // Swap - both products must be on the planogram
+    const planogramItems = useMemo(
+        () => selectPlanogramItems(branchData),
+        [branchData?.placements, branchData?.products, branchData?.shelves]
+    );
+    const sourcePosition = useMemo(() => {
+        if (existingProduct) return existingProduct;
+        if (currentShelf) return { shelfCode: currentShelf, rowNo: currentRow, index: currentIndex };
+        return null;
+    }, [existingProduct, currentShelf, currentRow, currentIndex]);
+    const swapProduct = useMemo(
+        () => findPlacement(planogramItems, swapBarcode),
+        [planogramItems, swapBarcode]
+    );
+    const sourceName = productName || getItemName(findPlacement(planogramItems, barcode));
+    const swapName = getItemName(swapProduct);
+
+    // Products on the shelf picked for the swap (this product's shelf by default)
+    const swapShelfCode = swapPickShelf || sourcePosition?.shelfCode || '';
+    const swapItemOptions = useMemo(() => {
+        if (!swapShelfCode) return [];
+        return planogramItems
+            .filter((item) => item.shelfCode === swapShelfCode && String(item.barcode).trim() !== String(barcode).trim())
+            .sort((a, b) => (Number(a.rowNo) - Number(b.rowNo)) || (Number(a.index) - Number(b.index)))
+            .map((item) => ({
+                value: item.barcode,
+                label: `ชั้น ${item.rowNo} / ลำดับ ${item.index} - ${getItemName(item) || item.barcode}`,
+            }));
+    }, [planogramItems, swapShelfCode, barcode]);
+
+    // Target row as it is now (a product being moved leaves its slot first)
+    const targetRowItems = useMemo(() => {
+        if (!toShelf || !toRow) return [];
+        return planogramItems
+            .filter((item) => item.shelfCode === toShelf && Number(item.rowNo) === Number(toRow))
+            .filter((item) => action !== 'move' || String(item.barcode).trim() !== String(barcode).trim())
+            .sort((a, b) => Number(a.index) - Number(b.index));
+    }, [planogramItems, toShelf, toRow, action, barcode]);
+
+    // Picking index N puts the product in front of whatever is at N now
+    const indexOptions = useMemo(() => {
+        if (!selectedShelfData || !toRow) return [];
+        return Array.from({ length: targetRowItems.length + 1 }, (_, i) => {
+            const current = targetRowItems[i];
+            return {
+                value: String(i + 1),
+                label: current
+                    ? `${i + 1} (ก่อน ${getItemName(current) || current.barcode})`
+                    : `${i + 1} (ท้ายชั้น)`,
+            };
+        });
+    }, [selectedShelfData, toRow, targetRowItems]);
+
+    const hasTarget = (action === 'add' || action === 'move') && !!toShelf && !!toRow && !!toIndex;
+
+    const isSamePosition = action === 'move' && hasTarget && !!sourcePosition
+        && toShelf === sourcePosition.shelfCode
+        && Number(toRow) === Number(sourcePosition.rowNo)
+        && Number(toIndex) === Number(sourcePosition.index);
+
+    // Neighbours the product will end up between
+    const slotNeighbours = useMemo(() => {
+        if (!hasTarget || isSamePosition) return null;
+        return getSlotNeighbours(planogramItems, {
+            action,
+            barcode: String(barcode).trim(),
+            fromShelf: sourcePosition?.shelfCode,
+            fromRow: sourcePosition?.rowNo,
+            toShelf,
+            toRow: Number(toRow),
+            toIndex: Number(toIndex),
+        });
+    }, [hasTarget, isSamePosition, planogramItems, action, barcode, sourcePosition, toShelf, toRow, toIndex]);
+
+    // Other pending requests that put a product into the same slot(s)
+    const slotConflicts = useMemo(() => {
+        let slots = [];
+        if (hasTarget) {
+            slots = [{ shelfCode: toShelf, rowNo: toRow, index: toIndex }];
+        } else if (action === 'swap' && sourcePosition && swapProduct) {
+            slots = [sourcePosition, swapProduct];
+        }
+        return findSlotRequests(
+            pendingRequests.filter((r) => r.id !== editRequest?.id && String(r.barcode).trim() !== String(barcode).trim()),
+            slots
+        );
+    }, [hasTarget, action, toShelf, toRow, toIndex, sourcePosition, swapProduct, pendingRequests, barcode]);
+
+    // Network status
+    const { isConnected, isInternetReachable } = useNetwork();
+    const isOnline = isConnected && isInternetReachable;
+
     // Effects
     useEffect(() => {
         if (!storecode) return;
-        const loadShelves = async () => {
-            setShelvesLoading(true);
-            try {
-                const result = await getBranchShelves(storecode);
-                setShelves(result?.shelves || []);
-            } catch (err) {
-                if (__DEV__) console.error('Load shelves error:', err);
-            } finally {
-                setShelvesLoading(false);
-            }
-        };
-        loadShelves();
-
+        loadShelves(storecode);
         // Load existing pending requests to check for duplicates
-        const loadPendingRequests = async () => {
-            try {
-                const result = await getMyPogRequests(storecode);
-                const pending = (result?.data || []).filter(r => r.status === 'pending');
-                setPendingRequests(pending);
-            } catch (err) {
-                if (__DEV__) console.error('Load pending requests error:', err);
-            }
-        };
-        loadPendingRequests();
+        loadRequests(storecode);
     }, [storecode]);
 
+    // Product names for the swap picker and the target slot preview
+    useEffect(() => {
+        if (action && action !== 'delete' && storecode) loadPlanogram(storecode);
+    }, [action, storecode]);
+
     useEffect(() => {
         if (error) setError('');
-    }, [action, toShelf, toRow, toIndex, barcode, productName, note]);
+    }, [action, toShelf, toRow, toIndex, barcode, productName, note, swapBarcode]);
+
+    // Keep a target position passed in params (e.g. from ShelfAudit) on first render
+    const keepTargetRef = useRef(!!(route.params?.targetShelf || editRequest?.toShelf));
 
     useEffect(() => {
+        if (keepTargetRef.current) return;
         setToRow('');
         setToIndex('');
     }, [toShelf]);
 
     useEffect(() => {
+        if (keepTargetRef.current) {
+            keepTargetRef.current = false;
+            return;
+        }
         setToIndex('');
     }, [toRow]);
 
@@ -310,49 +389,223 @@ export default function CreatePogRequestScreen({ navigation, route }) {
             setError('กรุณาระบุตำแหน่งให้ครบถ้วน');
             return;
         }
+        if (isSamePosition) {
+            setError('ตำแหน่งใหม่ตรงกับตำแหน่งปัจจุบันของสินค้า');
+            return;
+        }
+        if (action === 'swap') {
+            if (!sourcePosition) {
+                setError('สินค้านี้ไม่อยู่ใน Planogram ไม่สามารถสลับตำแหน่งได้');
+                return;
+            }
+            if (!swapBarcode.trim()) {
+                setError('กรุณาเลือกหรือสแกนสินค้าที่จะสลับตำแหน่ง');
+                return;
+            }
+            if (swapBarcode.trim() === String(barcode).trim()) {
+                setError('ไม่สามารถสลับตำแหน่งสินค้ากับตัวเองได้');
+                return;
+            }
+            if (!swapProduct) {
+                setError('สินค้าที่จะสลับไม่อยู่ใน Planogram');
+                return;
+            }
+        }
 
-        // Check for duplicate pending request
+        // Check for duplicate pending request (either product of a swap counts)
+        const involved = [barcode, action === 'swap' ? swapBarcode : null]
+            .filter(Boolean)
+            .map((code) => String(code).trim());
         const existingPending = pendingRequests.find(
-            r => String(r.barcode).trim() === String(barcode).trim()
+            r => r.id !== editRequest?.id
+                && [r.barcode, r.swapBarcode].some((code) => code && involved.includes(String(code).trim()))
         );
         if (existingPending) {
-            setError(`บาร์โค้ดนี้มีคำขอรอดำเนินการอยู่แล้ว (${existingPending.action === 'add' ? 'เพิ่ม' : existingPending.action === 'move' ? 'ย้าย' : 'ลบ'})`);
+            setError(`บาร์โค้ดนี้มีคำขอรอดำเนินการอยู่แล้ว (${PENDING_ACTION_LABELS[existingPending.action] || existingPending.action})`);
             return;
         }
 
         setLoading(true);
         setError('');
 
+        const payload = {
+            branchCode: storecode,
+            action,
+            barcode,
+            productName,
+            fromShelf: currentShelf || null,
+            fromRow: currentRow || null,
+            fromIndex: currentIndex || null,
+            toShelf: action !== 'delete' ? toShelf : null,
+            toRow: action !== 'delete' ? Number(toRow) : null,
+            toIndex: action !== 'delete' ? Number(toIndex) : null,
+            note,
+            // Swap: this product goes to the other one's slot and the other one comes here
+            ...(action === 'swap' ? {
+                fromShelf: sourcePosition.shelfCode,
+                fromRow: Number(sourcePosition.rowNo),
+                fromIndex: Number(sourcePosition.index),
+                toShelf: swapProduct.shelfCode,
+                toRow: Number(swapProduct.rowNo),
+                toIndex: Number(swapProduct.index),
+                swapBarcode: swapProduct.barcode,
+                swapProductName: swapName || null,
+            } : {}),
+            ...(photos.length ? { photos } : {}),
+        };
+
+        if (isEdit) {
+            await saveEdit(payload);
+            setLoading(false);
+            return;
+        }
+
+        // Offline: keep the request in the outbox and send it when back online
+        const queueRequest = async () => {
+            // Photos are copied out of the cache so they survive until the outbox sends them
+            let queuedPayload = payload;
+            try {
+                if (payload.photos) queuedPayload = { ...payload, photos: persistPhotos(payload.photos) };
+            } catch (err) {
+                if (__DEV__) console.error('Persist request photos error:', err);
+                setError('ไม่สามารถบันทึกรูปถ่ายไว้ในเครื่องได้');
+                return;
+            }
+            const item = await enqueue(OUTBOX_TYPES.POG_REQUEST, queuedPayload, {
+                barcode,
+                productName,
+                branchCode: storecode,
+                summary: action === 'delete'
+                    ? `นำออกจาก ${currentShelf || existingProduct?.shelfCode || '-'}`
+                    : action === 'swap'
+                        ? `สลับตำแหน่งกับ ${swapName || swapBarcode}`
+                        : `${action === 'add' ? 'นำเข้า' : 'ย้ายไป'} ${toShelf} / ชั้น ${toRow} / ลำดับ ${toIndex}`,
+            });
+            if (!item) {
+                setError('ไม่สามารถบันทึกคำขอไว้ในเครื่องได้');
+                return;
+            }
+            await clearSavedDraft();
+            setQueued(true);
+            setSuccess(true);
+        };
+
+        if (!isOnline) {
+            await queueRequest();
+            setLoading(false);
+            return;
+        }
+
         try {
             await executeRequest(async () => {
-                return createPogRequest({
-                    branchCode: storecode,
-                    action,
-                    barcode,
-                    productName,
-                    fromShelf: currentShelf || null,
-                    fromRow: currentRow || null,
-                    fromIndex: currentIndex || null,
-                    toShelf: action !== 'delete' ? toShelf : null,
-                    toRow: action !== 'delete' ? Number(toRow) : null,
-                    toIndex: action !== 'delete' ? Number(toIndex) : null,
-                    note,
-                });
+                return createPogRequest(payload);
             });
             // Clear draft on success and log action
             await clearSavedDraft();
+            // Request list changed - screens reload it on next visit
+            invalidateBranchData(storecode, ['requests']);
             logAction(ACTION_TYPES.CREATE_POG_REQUEST, { barcode, action }, storecode);
+            setQueued(false);
             setSuccess(true);
         } catch (err) {
             if (err) {
                 if (__DEV__) console.error('Create POG request error:', err);
-                setError(getErrorMessage(err));
+                // Connection dropped mid-request - queue instead of losing the submission
+                if (isNetworkError(err)) {
+                    await queueRequest();
+                } else {
+                    setError(getErrorMessage(err));
+                }
             }
         } finally {
             setLoading(false);
         }
     };
 
+    // Send the edited request; the server checks it is still pending and unchanged since it was opened
+    const saveEdit = async (payload) => {
+        if (!isOnline) {
+            setError('ต้องเชื่อมต่ออินเทอร์เน็ตเพื่อแก้ไขคำขอ');
+            return;
+        }
+
+        try {
+            const result = await executeRequest(async () => {
+                return updatePogRequest(editRequest.id, payload, editRequest.updatedAt);
+            });
+            if (result?.data?.id !== undefined) {
+                upsertRequests(storecode, [result.data]);
+            }
+            invalidateBranchData(storecode, ['requests']);
+            logAction(ACTION_TYPES.UPDATE_POG_REQUEST, { requestId: editRequest.id, barcode, action }, storecode);
+            setQueued(false);
+            setSuccess(true);
+        } catch (err) {
+            if (!err) return;
+            if (__DEV__) console.error('Update POG request error:', err);
+
+            if (err.response?.status === 409) {
+                setError(getErrorMessage(err, 'คำขอนี้ถูกตรวจสอบหรือแก้ไขไปแล้ว ไม่สามารถบันทึกได้'));
+                // Show the request's real status on the list / detail screens
+                getPogRequestDetail(editRequest.id)
+                    .then((latest) => {
+                        if (latest?.id !== undefined) upsertRequests(storecode, [latest]);
+                    })
+                    .catch(() => invalidateBranchData(storecode, ['requests']));
+            } else {
+                setError(getErrorMessage(err, 'ไม่สามารถบันทึกการแก้ไขได้'));
+            }
+        }
+    };
+
+    const ensureCameraPermission = async () => {
+        if (Platform.OS === 'web' || cameraPermission?.granted) return true;
+        const result = await requestCameraPermission();
+        if (!result?.granted) {
+            setError('ไม่ได้รับอนุญาตให้ใช้กล้อง');
+            return false;
+        }
+        return true;
+    };
+
+    // Scan the product to swap with
+    const openSwapScanner = async () => {
+        if (await ensureCameraPermission()) setShowSwapScanner(true);
+    };
+
+    const handleSwapScanned = ({ data }) => {
+        const code = String(data || '').trim();
+        if (!code) return;
+        setShowSwapScanner(false);
+        setSwapBarcode(code);
+    };
+
+    const openPhotoCamera = async () => {
+        if (photos.length >= MAX_REQUEST_PHOTOS) return;
+        if (await ensureCameraPermission()) setShowPhotoCamera(true);
+    };
+
+    // Take a photo and shrink it on the device before it is attached
+    const takePhoto = async () => {
+        if (!photoCameraRef.current || capturingPhoto) return;
+        setCapturingPhoto(true);
+        try {
+            const picture = await photoCameraRef.current.takePictureAsync({ quality: 0.8 });
+            const photo = await compressPhoto(picture);
+            setPhotos((prev) => [...prev, photo].slice(0, MAX_REQUEST_PHOTOS));
+        } catch (err) {
+            if (__DEV__) console.error('Take request photo error:', err);
+            setError('ไม่สามารถถ่ายรูปได้ กรุณาลองใหม่');
+        } finally {
+            setCapturingPhoto(false);
+            setShowPhotoCamera(false);
+        }
+    };
+
+    const removePhoto = (name) => {
+        setPhotos((prev) => prev.filter((photo) => photo.name !== name));
+    };
+
     // Protected submit handler (prevents double-tap)
     const handleSubmit = usePreventDoubleTap(submitRequest, 1500);
 
@@ -370,6 +623,33 @@ export default function CreatePogRequestScreen({ navigation, route }) {
         }
     };
 
+    const renderNeighbour = (item) => (
+        <View key={item.barcode} style={styles.neighbourRow}>
+            <Text style={styles.neighbourIndex}>{item.index}</Text>
+            <Text style={styles.neighbourName} numberOfLines={1}>{getItemName(item) || item.barcode}</Text>
+        </View>
+    );
+
+    const renderSwapCard = (label, name, code, position) => (
+        <View style={styles.swapCard}>
+            <Text style={styles.swapCardLabel}>{label}</Text>
+            <Text style={styles.swapCardName} numberOfLines={2}>{name || code || '-'}</Text>
+            {!!name && !!code && <Text style={styles.swapCardBarcode}>{code}</Text>}
+            {position ? (
+                <View style={styles.swapCardPosition}>
+                    <MapPin size={12} color="#0369a1" />
+                    <Text style={styles.swapCardPositionText}>
+                        {position.shelfCode} / ชั้น {position.rowNo} / ลำดับ {position.index}
+                    </Text>
+                </View>
+            ) : (
+                <Text style={styles.swapCardMissing}>
+                    {code && !shelvesLoading ? 'ไม่อยู่ใน Planogram' : '-'}
+                </Text>
+            )}
+        </View>
+    );
+
     return (
         <SafeAreaView style={styles.container} edges={['top', 'left', 'right']}>
             <KeyboardAvoidingView
@@ -383,8 +663,8 @@ export default function CreatePogRequestScreen({ navigation, route }) {
                         if (source === 'BarcodeScanner') {
                             // Go back to BarcodeScanner when came from scanner
                             navigation.replace('BarcodeScanner');
-                        } else if (source === 'Planogram') {
-                            // Go back to Planogram screen
+                        } else if (source === 'Planogram' || isEdit) {
+                            // Go back to Planogram / the request being edited
                             navigation.goBack();
                         } else {
                             // Otherwise go to Home to avoid stack buildup
@@ -398,8 +678,8 @@ export default function CreatePogRequestScreen({ navigation, route }) {
                         <Text style={styles.backButtonText}>กลับ</Text>
                     </TouchableOpacity>
                     <View style={styles.headerInfo}>
-                        <Text style={styles.title}>แจ้งขอเปลี่ยนแปลง</Text>
-                        <Text style={styles.subtitle}>{branchName}</Text>
+                        <Text style={styles.title}>{isEdit ? 'แก้ไขคำขอ' : 'แจ้งขอเปลี่ยนแปลง'}</Text>
+                        <Text style={styles.subtitle}>{isEdit ? `#${editRequest.id} • ${branchName}` : branchName}</Text>
                     </View>
                 </View>
 
@@ -410,6 +690,7 @@ export default function CreatePogRequestScreen({ navigation, route }) {
                             {[
                                 { id: 'add', label: 'นำสินค้าเข้า', icon: Plus, color: '#166534', bg: '#dcfce7', disabled: productExistsInShelf || productExists },
                                 { id: 'move', label: 'เปลี่ยนตำแหน่งสินค้า', icon: ArrowRightLeft, color: '#1e40af', bg: '#dbeafe', disabled: !productExistsInShelf && !productExists },
+                                { id: 'swap', label: 'สลับตำแหน่ง', icon: Repeat, color: '#b45309', bg: '#fef3c7', disabled: !productExistsInShelf && !productExists },
                                 { id: 'delete', label: 'นำสินค้าออก', icon: Trash2, color: '#991b1b', bg: '#fee2e2', disabled: !productExistsInShelf && !productExists },
                             ].map((opt) => {
                                 const isActive = action === opt.id;
@@ -558,6 +839,104 @@ export default function CreatePogRequestScreen({ navigation, route }) {
                         </View>
                     )}
 
+                    {/* Swap With */}
+                    {action === 'swap' && (
+                        <View style={styles.section}>
+                            <Text style={styles.sectionTitle}>สลับตำแหน่งกับ</Text>
+
+                            <View style={styles.compactInputContainer}>
+                                <View style={styles.compactInputRow}>
+                                    <View style={styles.compactIconWrapper}>
+                                        <ScanLine size={18} color="#64748b" />
+                                    </View>
+                                    <TextInput
+                                        style={styles.compactInput}
+                                        value={swapBarcode}
+                                        onChangeText={setSwapBarcode}
+                                        placeholder="บาร์โค้ดสินค้าที่จะสลับ"
+                                        placeholderTextColor="#94a3b8"
+                                        keyboardType="numeric"
+                                    />
+                                    <TouchableOpacity style={styles.swapScanButton} onPress={openSwapScanner}>
+                                        <Camera size={18} color="#b45309" />
+                                    </TouchableOpacity>
+                                </View>
+                            </View>
+
+                            {shelvesLoading ? (
+                                <View style={styles.loadingBox}>
+                                    <ActivityIndicator size="small" color="#10b981" />
+                                    <Text style={styles.loadingText}>โหลดข้อมูลชั้นวาง...</Text>
+                                </View>
+                            ) : (
+                                <View style={{ marginTop: 12 }}>
+                                    <CustomPicker
+                                        label="หรือเลือกจากชั้นวาง"
+                                        value={swapShelfCode}
+                                        options={shelfOptions}
+                                        onChange={setSwapPickShelf}
+                                        placeholder="เลือกชั้นวาง"
+                                        icon={MapPin}
+                                    />
+                                    <CustomPicker
+                                        label="สินค้า"
+                                        value={swapProduct?.shelfCode === swapShelfCode ? swapProduct.barcode : ''}
+                                        options={swapItemOptions}
+                                        onChange={setSwapBarcode}
+                                        placeholder="เลือกสินค้า"
+                                        disabled={!swapShelfCode}
+                                    />
+                                </View>
+                            )}
+
+                            {/* Both positions side by side */}
+                            <View style={styles.swapCompare}>
+                                {renderSwapCard('สินค้านี้', sourceName, barcode, sourcePosition)}
+                                <Repeat size={18} color="#b45309" />
+                                {renderSwapCard('สลับกับ', swapName, swapBarcode, swapProduct)}
+                            </View>
+                        </View>
+                    )}
+
+                    {/* Target Slot Preview */}
+                    {slotNeighbours && (
+                        <View style={styles.section}>
+                            <Text style={[styles.sectionTitle, { marginBottom: 8 }]}>
+                                ตำแหน่งหลังเปลี่ยน ({toShelf} / ชั้น {toRow})
+                            </Text>
+                            {slotNeighbours.before.map(renderNeighbour)}
+                            <View style={[styles.neighbourRow, styles.neighbourRowTarget]}>
+                                <Text style={[styles.neighbourIndex, styles.neighbourTargetText]}>{toIndex}</Text>
+                                <Text style={[styles.neighbourName, styles.neighbourTargetText]} numberOfLines={1}>
+                                    {sourceName || barcode} (สินค้านี้)
+                                </Text>
+                            </View>
+                            {slotNeighbours.after.map(renderNeighbour)}
+                            {!slotNeighbours.before.length && !slotNeighbours.after.length && (
+                                <Text style={styles.neighbourEmpty}>ชั้นนี้ยังไม่มีสินค้าอื่น</Text>
+                            )}
+                        </View>
+                    )}
+
+                    {/* Target Slot Warnings */}
+                    {(isSamePosition || slotConflicts.length > 0) && (
+                        <View style={styles.warningBox}>
+                            <View style={styles.warningHeader}>
+                                <AlertTriangle size={16} color="#b45309" />
+                                <Text style={styles.warningTitle}>
+                                    {isSamePosition ? 'สินค้าอยู่ที่ตำแหน่งนี้อยู่แล้ว' : 'มีคำขอรอดำเนินการที่ใช้ตำแหน่งเดียวกัน'}
+                                </Text>
+                            </View>
+                            {isSamePosition ? (
+                                <Text style={styles.warningText}>กรุณาเลือกชั้นหรือลำดับอื่น</Text>
+                            ) : slotConflicts.map((r) => (
+                                <Text key={r.id} style={styles.warningText}>
+                                    • {r.productName || r.barcode} ({PENDING_ACTION_LABELS[r.action] || r.action})
+                                </Text>
+                            ))}
+                        </View>
+                    )}
+
                     {/* Note */}
                     <View style={styles.section}>
                         <Text style={styles.sectionTitle}>หมายเหตุ</Text>
@@ -573,6 +952,41 @@ export default function CreatePogRequestScreen({ navigation, route }) {
                         />
                     </View>
 
+                    {/* Photos */}
+                    <View style={styles.section}>
+                        <Text style={[styles.sectionTitle, { marginBottom: 4 }]}>รูปถ่ายประกอบ</Text>
+                        <Text style={styles.photoHint}>
+                            ช่วยให้ผู้ตรวจเห็นสภาพชั้นวาง (สูงสุด {MAX_REQUEST_PHOTOS} รูป)
+                        </Text>
+
+                        {isEdit && editRequest.photos?.length > 0 && (
+                            <View style={styles.existingPhotos}>
+                                <Text style={styles.existingPhotosLabel}>แนบไว้แล้ว</Text>
+                                <RequestPhotos photos={editRequest.photos} size={48} viewable />
+                            </View>
+                        )}
+
+                        <View style={styles.photoRow}>
+                            {photos.map((photo) => (
+                                <View key={photo.name} style={styles.photoThumbWrapper}>
+                                    <Image source={{ uri: photo.uri }} style={styles.photoThumb} />
+                                    <TouchableOpacity
+                                        style={styles.photoRemoveButton}
+                                        onPress={() => removePhoto(photo.name)}
+                                    >
+                                        <X size={12} color="#fff" />
+                                    </TouchableOpacity>
+                                </View>
+                            ))}
+                            {photos.length < MAX_REQUEST_PHOTOS && (
+                                <TouchableOpacity style={styles.photoAddTile} onPress={openPhotoCamera}>
+                                    <Camera size={22} color="#64748b" />
+                                    <Text style={styles.photoAddText}>ถ่ายรูป</Text>
+                                </TouchableOpacity>
+                            )}
+                        </View>
+                    </View>
+
                     {/* Error */}
                     {error ? (
                         <View style={styles.errorBox}>
@@ -589,7 +1003,7 @@ export default function CreatePogRequestScreen({ navigation, route }) {
                         {loading ? (
                             <ActivityIndicator color="#fff" />
                         ) : (
-                            <Text style={styles.submitButtonText}>ส่งคำขอ</Text>
+                            <Text style={styles.submitButtonText}>{isEdit ? 'บันทึกการแก้ไข' : 'ส่งคำขอ'}</Text>
                         )}
                     </TouchableOpacity>
 
@@ -597,6 +1011,58 @@ export default function CreatePogRequestScreen({ navigation, route }) {
                 </ScrollView>
             </KeyboardAvoidingView>
 
+            {/* Swap Scanner */}
+            <Modal
+                visible={showSwapScanner}
+                animationType="slide"
+                onRequestClose={() => setShowSwapScanner(false)}
+            >
+                <SafeAreaView style={styles.scannerContainer}>
+                    <View style={styles.scannerHeader}>
+                        <Text style={styles.scannerTitle}>สแกนสินค้าที่จะสลับตำแหน่ง</Text>
+                        <TouchableOpacity onPress={() => setShowSwapScanner(false)}>
+                            <X size={24} color="#fff" />
+                        </TouchableOpacity>
+                    </View>
+                    {showSwapScanner && (
+                        <CameraView
+                            style={{ flex: 1 }}
+                            facing="back"
+                            barcodeScannerSettings={{ barcodeTypes: BARCODE_TYPES }}
+                            onBarcodeScanned={handleSwapScanned}
+                        />
+                    )}
+                </SafeAreaView>
+            </Modal>
+
+            {/* Photo Camera */}
+            <Modal
+                visible={showPhotoCamera}
+                animationType="slide"
+                onRequestClose={() => setShowPhotoCamera(false)}
+            >
+                <SafeAreaView style={styles.scannerContainer}>
+                    <View style={styles.scannerHeader}>
+                        <Text style={styles.scannerTitle}>ถ่ายรูปชั้นวาง</Text>
+                        <TouchableOpacity onPress={() => setShowPhotoCamera(false)} disabled={capturingPhoto}>
+                            <X size={24} color="#fff" />
+                        </TouchableOpacity>
+                    </View>
+                    {showPhotoCamera && (
+                        <CameraView ref={photoCameraRef} style={{ flex: 1 }} facing="back" />
+                    )}
+                    <View style={styles.shutterBar}>
+                        <TouchableOpacity
+                            style={[styles.shutterButton, capturingPhoto && styles.submitButtonDisabled]}
+                            onPress={takePhoto}
+                            disabled={capturingPhoto}
+                        >
+                            {capturingPhoto ? <ActivityIndicator color="#1e293b" /> : <Camera size={28} color="#1e293b" />}
+                        </TouchableOpacity>
+                    </View>
+                </SafeAreaView>
+            </Modal>
+
             {/* Success Modal */}
             <Modal visible={success} transparent animationType="fade">
                 <View style={styles.successOverlay}>
@@ -604,9 +1070,15 @@ export default function CreatePogRequestScreen({ navigation, route }) {
                         <View style={styles.successIconCircle}>
                             <Check size={40} color="#fff" />
                         </View>
-                        <Text style={styles.successTitle}>ส่งคำขอสำเร็จ!</Text>
+                        <Text style={styles.successTitle}>
+                            {queued ? 'บันทึกคำขอไว้แล้ว' : isEdit ? 'แก้ไขคำขอสำเร็จ!' : 'ส่งคำขอสำเร็จ!'}
+                        </Text>
                         <Text style={styles.successMessage}>
-                            คำขอของคุณถูกส่งไปยังส่วนกลางแล้ว{"\n"}กรุณารอการตรวจสอบ
+                            {queued
+                                ? 'ขณะนี้ออฟไลน์ คำขอจะถูกส่งอัตโนมัติ\nเมื่อเชื่อมต่ออินเทอร์เน็ตอีกครั้ง'
+                                : isEdit
+                                    ? 'คำขอที่แก้ไขถูกส่งไปยังส่วนกลางแล้ว\nกรุณารอการตรวจสอบ'
+                                    : 'คำขอของคุณถูกส่งไปยังส่วนกลางแล้ว\nกรุณารอการตรวจสอบ'}
                         </Text>
                         <TouchableOpacity style={styles.successButton} onPress={handleCloseSuccess}>
                             <Text style={styles.successButtonText}>ตกลง</Text>
@@ -820,6 +1292,199 @@ const styles = StyleSheet.create({
         borderRadius: 6,
         alignSelf: 'flex-start',
     },
+    // Swap
+    swapScanButton: {
+        padding: 8,
+        marginLeft: 4,
+        borderRadius: 8,
+        backgroundColor: '#fffbeb',
+    },
+    swapCompare: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 8,
+        marginTop: 12,
+    },
+    swapCard: {
+        flex: 1,
+        backgroundColor: '#f8fafc',
+        borderWidth: 1,
+        borderColor: '#e2e8f0',
+        borderRadius: 10,
+        padding: 10,
+        gap: 4,
+    },
+    swapCardLabel: {
+        fontSize: 11,
+        fontWeight: '600',
+        color: '#94a3b8',
+    },
+    swapCardName: {
+        fontSize: 13,
+        fontWeight: '600',
+        color: '#1e293b',
+    },
+    swapCardBarcode: {
+        fontSize: 11,
+        color: '#64748b',
+    },
+    swapCardPosition: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 4,
+    },
+    swapCardPositionText: {
+        fontSize: 12,
+        color: '#1e40af',
+        flex: 1,
+    },
+    swapCardMissing: {
+        fontSize: 12,
+        color: '#dc2626',
+    },
+    // Target Slot
+    neighbourRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingVertical: 6,
+        paddingHorizontal: 10,
+        borderRadius: 8,
+        gap: 10,
+    },
+    neighbourRowTarget: {
+        backgroundColor: '#ecfdf5',
+        borderWidth: 1,
+        borderColor: '#a7f3d0',
+    },
+    neighbourIndex: {
+        width: 24,
+        fontSize: 12,
+        fontWeight: '700',
+        color: '#94a3b8',
+        textAlign: 'center',
+    },
+    neighbourName: {
+        flex: 1,
+        fontSize: 13,
+        color: '#475569',
+    },
+    neighbourTargetText: {
+        color: '#047857',
+        fontWeight: '700',
+    },
+    neighbourEmpty: {
+        fontSize: 12,
+        color: '#94a3b8',
+        marginTop: 6,
+    },
+    warningBox: {
+        backgroundColor: '#fffbeb',
+        borderWidth: 1,
+        borderColor: '#fde68a',
+        borderRadius: 12,
+        padding: 12,
+        marginBottom: 16,
+        gap: 4,
+    },
+    warningHeader: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 6,
+    },
+    warningTitle: {
+        fontSize: 13,
+        fontWeight: '700',
+        color: '#b45309',
+    },
+    warningText: {
+        fontSize: 12,
+        color: '#92400e',
+    },
+
+    // Photos
+    photoHint: {
+        fontSize: 12,
+        color: '#94a3b8',
+        marginBottom: 12,
+    },
+    existingPhotos: {
+        marginBottom: 12,
+        gap: 6,
+    },
+    existingPhotosLabel: {
+        fontSize: 12,
+        fontWeight: '600',
+        color: '#64748b',
+    },
+    photoRow: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        gap: 10,
+    },
+    photoThumbWrapper: {
+        position: 'relative',
+    },
+    photoThumb: {
+        width: 72,
+        height: 72,
+        borderRadius: 10,
+        backgroundColor: '#f1f5f9',
+    },
+    photoRemoveButton: {
+        position: 'absolute',
+        top: -6,
+        right: -6,
+        width: 22,
+        height: 22,
+        borderRadius: 11,
+        backgroundColor: '#dc2626',
+        justifyContent: 'center',
+        alignItems: 'center',
+    },
+    photoAddTile: {
+        width: 72,
+        height: 72,
+        borderRadius: 10,
+        borderWidth: 1,
+        borderStyle: 'dashed',
+        borderColor: '#cbd5e1',
+        justifyContent: 'center',
+        alignItems: 'center',
+        gap: 4,
+    },
+    photoAddText: {
+        fontSize: 11,
+        color: '#64748b',
+    },
+    shutterBar: {
+        alignItems: 'center',
+        paddingVertical: 20,
+    },
+    shutterButton: {
+        width: 68,
+        height: 68,
+        borderRadius: 34,
+        backgroundColor: '#fff',
+        justifyContent: 'center',
+        alignItems: 'center',
+    },
+    scannerContainer: {
+        flex: 1,
+        backgroundColor: '#000',
+    },
+    scannerHeader: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        paddingHorizontal: 16,
+        paddingVertical: 12,
+    },
+    scannerTitle: {
+        color: '#fff',
+        fontSize: 16,
+        fontWeight: '600',
+    },
+
     compactLocationBox: {
         flexDirection: 'row',
         alignItems: 'center',
@@ -895,88 +1560,6 @@ const styles = StyleSheet.create({
         marginLeft: 22,
     },
 
-    // Pickers
-    pickerWrapper: {
-        marginBottom: 12,
-    },
-    pickerButton: {
-        flexDirection: 'row',
-        justifyContent: 'space-between',
-        alignItems: 'center',
-        backgroundColor: '#f8fafc',
-        borderWidth: 1,
-        borderColor: '#e2e8f0',
-        borderRadius: 12,
-        paddingHorizontal: 12,
-        paddingVertical: 12,
-    },
-    pickerButtonDisabled: {
-        opacity: 0.6,
-        backgroundColor: '#f1f5f9',
-    },
-    pickerBtnContent: {
-        flexDirection: 'row',
-        alignItems: 'center',
-    },
-    pickerIcon: {
-        marginRight: 8,
-    },
-    pickerButtonText: {
-        fontSize: 15,
-        color: '#1e293b',
-    },
-    pickerPlaceholder: {
-        color: '#94a3b8',
-    },
-    pickerModalOverlay: {
-        flex: 1,
-        backgroundColor: 'rgba(0,0,0,0.5)',
-        justifyContent: 'flex-end',
-    },
-    pickerModalContent: {
-        backgroundColor: '#fff',
-        borderTopLeftRadius: 24,
-        borderTopRightRadius: 24,
-        maxHeight: '70%',
-        paddingBottom: 24,
-    },
-    pickerModalHeader: {
-        flexDirection: 'row',
-        justifyContent: 'space-between',
-        alignItems: 'center',
-        padding: 16,
-        borderBottomWidth: 1,
-        borderBottomColor: '#f1f5f9',
-    },
-    pickerModalTitle: {
-        fontSize: 16,
-        fontWeight: '700',
-        color: '#1e293b',
-    },
-    closeBtn: {
-        padding: 4,
-    },
-    pickerOptionList: {
-        padding: 8,
-    },
-    pickerOptionItem: {
-        flexDirection: 'row',
-        justifyContent: 'space-between',
-        alignItems: 'center',
-        padding: 16,
-        borderRadius: 12,
-    },
-    pickerOptionItemActive: {
-        backgroundColor: '#ecfdf5',
-    },
-    pickerOptionText: {
-        fontSize: 15,
-        color: '#1e293b',
-    },
-    pickerOptionTextActive: {
-        color: '#10b981',
-        fontWeight: '600',
-    },
     rowColContainer: {
         flexDirection: 'row',
     },
@@ -26,7 +26,7 @@ import { SafeAreaView } from 'react-native-safe-area-context';
 import {
     Scan, ClipboardList, Package, Bell, LogOut,
     ChevronRight, Store, AlertCircle, Check, X,
-    ArrowRightLeft, Plus, Trash2, History, PackagePlus
+    ArrowRightLeft, Plus, Trash2, History, PackagePlus, CloudUpload, ListChecks, Users
 } from 'lucide-react-native';
 
 // Local imports
@@ -36,15 +36,11 @@ import useShelfUpdateStore from '../store/shelfUpdateStore';
 import useBranchStore from '../store/branchStore';
 import { useNetwork } from '../contexts/NetworkContext';
 import { OfflineBanner } from '../components/OfflineIndicator';
-
-// =============================================================================
-// CONSTANTS
-// =============================================================================
-
-const APP_VERSION = '1.0.1';
-
-// Feature Flag: ลงทะเบียนสินค้าโดยตรง (ตั้งเป็น false เพื่อซ่อนปุ่ม)
-const ENABLE_DIRECT_REGISTER = true;
+import { useOutbox } from '../hooks/useOutbox';
+import { useRole } from '../hooks/usePermission';
+import { useFeatureFlag } from '../hooks/useConfig';
+import { PERMISSIONS, ROLE_LABELS, hasPermission } from '../constants/permissions';
+import { FLAGS } from '../constants/config';
 
 // =============================================================================
 // MAIN COMPONENT
@@ -57,6 +53,10 @@ export default function HomeScreen({ navigation }) {
     const user = useAuthStore((s) => s.user);
     const getBranchName = useBranchStore((s) => s.getBranchName);
     const logout = useAuthStore((s) => s.logout);
+    const lockStaff = useAuthStore((s) => s.lockStaff);
+    const staff = user?.staff;
+    const role = useRole();
+    const directRegisterEnabled = useFeatureFlag(FLAGS.DIRECT_REGISTER);
     const [showLogoutModal, setShowLogoutModal] = useState(false);
 
     // Update state
@@ -76,6 +76,9 @@ export default function HomeScreen({ navigation }) {
     const unacknowledgedCount = useShelfUpdateStore((s) => s.unacknowledgedCount);
     const [showShelfUpdateModal, setShowShelfUpdateModal] = useState(false);
 
+    // Offline outbox state
+    const { items: outboxItems, pendingCount: outboxPendingCount } = useOutbox();
+
     // -------------------------------------------------------------------------
     // Derived Values
     // -------------------------------------------------------------------------
@@ -147,6 +150,7 @@ export default function HomeScreen({ navigation }) {
             subtitle: 'ค้นหาสินค้าด้วยกล้อง',
             screen: 'BarcodeScanner',
             enabled: true,
+            permission: PERMISSIONS.SCAN_BARCODE,
         },
         {
             id: 'planogram',
@@ -157,6 +161,7 @@ export default function HomeScreen({ navigation }) {
             subtitle: 'ดูโครงสร้างชั้นวางสินค้า',
             screen: 'Planogram',
             enabled: true,
+            permission: PERMISSIONS.VIEW_PLANOGRAM,
         },
         {
             id: 'requests',
@@ -167,9 +172,27 @@ export default function HomeScreen({ navigation }) {
             subtitle: 'ดูและจัดการคำขอเปลี่ยนแปลง',
             screen: 'PogRequests',
             enabled: true,
+            permission: PERMISSIONS.VIEW_POG_REQUESTS,
+        },
+        {
+            id: 'stockCount',
+            icon: ListChecks,
+            color: '#f59e0b', // amber-500
+            bg: '#fffbeb', // amber-50
+            title: 'นับสต็อก',
+            subtitle: 'สแกนนับสินค้าและเทียบกับระบบ',
+            screen: 'StockCount',
+            enabled: true,
+            permission: PERMISSIONS.STOCK_COUNT,
         },
     ];
 
+    // Only the menus the user's role may open
+    const visibleMenuItems = menuItems.filter((item) => hasPermission(user, item.permission));
+    // Direct registration is only switched on for pilot branches (remote config)
+    const canRegister = directRegisterEnabled && hasPermission(user, PERMISSIONS.REGISTER_PRODUCT);
+    const canAcknowledge = hasPermission(user, PERMISSIONS.ACKNOWLEDGE_SHELF_UPDATE);
+
     // -------------------------------------------------------------------------
     // Shelf Update Handler
     // -------------------------------------------------------------------------
@@ -230,6 +253,9 @@ export default function HomeScreen({ navigation }) {
                     </View>
                     <View>
                         <Text style={styles.storeName}>สาขา : {branchName}</Text>
+                        <Text style={styles.greeting}>
+                            {staff?.name ? `${staff.name} · ` : ''}{ROLE_LABELS[role]}
+                        </Text>
                     </View>
                 </View>
                 <View style={styles.headerRight}>
@@ -243,6 +269,12 @@ export default function HomeScreen({ navigation }) {
                             <View style={styles.notificationBadge} />
                         </TouchableOpacity>
                     )}
+                    {/* Switch user (shared branch device) */}
+                    {staff && (
+                        <TouchableOpacity style={styles.iconButton} onPress={lockStaff}>
+                            <Users size={14} color="#3b82f6" />
+                        </TouchableOpacity>
+                    )}
                     <TouchableOpacity style={styles.iconButton} onPress={handleLogout}>
                         <LogOut size={14} color="#ef4444" />
                     </TouchableOpacity>
@@ -261,7 +293,7 @@ export default function HomeScreen({ navigation }) {
                 </View>
 
                 <View style={styles.grid}>
-                    {menuItems.map((item) => (
+                    {visibleMenuItems.map((item) => (
                         <TouchableOpacity
                             key={item.id}
                             style={[styles.card, !item.enabled && styles.cardDisabled]}
@@ -280,8 +312,8 @@ export default function HomeScreen({ navigation }) {
                         </TouchableOpacity>
                     ))}
 
-                    {/* ปุ่มลงทะเบียนสินค้า - สีเขียวเด่น */}
-                    {/* {ENABLE_DIRECT_REGISTER && (
+                    {/* ปุ่มลงทะเบียนสินค้า - สีเขียวเด่น (เฉพาะ role ที่มีสิทธิ์) */}
+                    {canRegister && (
                         <TouchableOpacity
                             style={[styles.card, styles.registerCardMain]}
                             onPress={() => navigation.navigate('RegisterProduct')}
@@ -296,7 +328,7 @@ export default function HomeScreen({ navigation }) {
                             </View>
                             <ChevronRight size={20} color="rgba(255,255,255,0.6)" />
                         </TouchableOpacity>
-                    )} */}
+                    )}
 
 
                     {/* Shelf History Card */}
@@ -331,6 +363,31 @@ export default function HomeScreen({ navigation }) {
                         </View>
                         <ChevronRight size={20} color={hasShelfUpdate ? '#fecaca' : '#cbd5e1'} />
                     </TouchableOpacity>
+
+                    {/* Outbox Card - only when there are queued submissions */}
+                    {outboxItems.length > 0 && (
+                        <TouchableOpacity
+                            style={[styles.card, styles.outboxCard]}
+                            onPress={() => navigation.navigate('Outbox')}
+                            activeOpacity={0.7}
+                        >
+                            <View style={[styles.iconBox, { backgroundColor: '#fef3c7' }]}>
+                                <CloudUpload size={28} color="#d97706" />
+                                <View style={styles.countBadge}>
+                                    <Text style={styles.countBadgeText}>{outboxItems.length}</Text>
+                                </View>
+                            </View>
+                            <View style={styles.cardContent}>
+                                <Text style={styles.cardTitle}>รายการรอส่ง</Text>
+                                <Text style={styles.cardSubtitle}>
+                                    {outboxPendingCount > 0
+                                        ? `รอส่งเมื่อออนไลน์ ${outboxPendingCount} รายการ`
+                                        : 'มีรายการที่ต้องตรวจสอบ'}
+                                </Text>
+                            </View>
+                            <ChevronRight size={20} color="#fcd34d" />
+                        </TouchableOpacity>
+                    )}
                 </View>
 
                 <View style={styles.footerSpacing} />
@@ -446,7 +503,7 @@ export default function HomeScreen({ navigation }) {
                                             <View style={styles.ackBadge}>
                                                 <Check size={14} color="#16a34a" />
                                             </View>
-                                        ) : (
+                                        ) : canAcknowledge && (
                                             <TouchableOpacity
                                                 style={styles.btnAck}
                                                 onPress={() => handleAcknowledgeOne(log.id)}
@@ -471,7 +528,7 @@ export default function HomeScreen({ navigation }) {
                                 <Text style={styles.btnTextCancel}>ปิด</Text>
                             </TouchableOpacity>
 
-                            {changeLogs.length > 0 && (
+                            {canAcknowledge && changeLogs.length > 0 && (
                                 <TouchableOpacity
                                     style={[styles.modalButton, styles.btnPrimary]}
                                     onPress={handleAcknowledgeAll}
@@ -634,6 +691,11 @@ const styles = StyleSheet.create({
         borderWidth: 1,
         borderColor: '#fee2e2',
     },
+    outboxCard: {
+        backgroundColor: '#fffbeb',
+        borderWidth: 1,
+        borderColor: '#fef3c7',
+    },
     // Register Card Style - สีเขียวเด่น
     registerCardMain: {
         backgroundColor: '#10b981',
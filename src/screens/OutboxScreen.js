@@ -0,0 +1,345 @@
+/**
+ * OutboxScreen - Offline submission queue
+ * Lists POG requests / product registrations waiting to be sent and their state
+ */
+
+import React, { useState } from 'react';
+import {
+    View,
+    Text,
+    TouchableOpacity,
+    StyleSheet,
+    FlatList,
+    ActivityIndicator,
+    Platform,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import {
+    ChevronLeft, Clock, Send, AlertTriangle, XCircle,
+    RefreshCw, Trash2, Inbox, PackagePlus, FileText
+} from 'lucide-react-native';
+
+import { useOutbox } from '../hooks/useOutbox';
+import { useNetwork } from '../contexts/NetworkContext';
+import { OUTBOX_TYPES, OUTBOX_STATUS } from '../services/outboxService';
+import { OfflineBanner } from '../components/OfflineIndicator';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const STATUS_MAP = {
+    [OUTBOX_STATUS.QUEUED]: { label: 'รอส่ง', bgColor: '#fef3c7', textColor: '#b45309', icon: Clock },
+    [OUTBOX_STATUS.SENDING]: { label: 'กำลังส่ง', bgColor: '#dbeafe', textColor: '#1d4ed8', icon: Send },
+    [OUTBOX_STATUS.FAILED]: { label: 'ส่งไม่สำเร็จ', bgColor: '#fee2e2', textColor: '#b91c1c', icon: XCircle },
+    [OUTBOX_STATUS.CONFLICT]: { label: 'ข้อมูลขัดแย้ง', bgColor: '#ffedd5', textColor: '#c2410c', icon: AlertTriangle },
+};
+
+const TYPE_MAP = {
+    [OUTBOX_TYPES.POG_REQUEST]: { label: 'คำขอเปลี่ยนแปลง', icon: FileText, color: '#8b5cf6' },
+    [OUTBOX_TYPES.REGISTER_PRODUCT]: { label: 'ลงทะเบียนสินค้า', icon: PackagePlus, color: '#10b981' },
+};
+
+const formatTime = (timestamp) => {
+    if (!timestamp) return '-';
+    return new Date(timestamp).toLocaleString('th-TH', {
+        day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit'
+    });
+};
+
+// =============================================================================
+// MAIN COMPONENT
+// =============================================================================
+
+export default function OutboxScreen({ navigation }) {
+    const { items, pendingCount, retry, remove, flush } = useOutbox();
+    const { isConnected, isInternetReachable } = useNetwork();
+    const isOnline = isConnected && isInternetReachable;
+    const [syncing, setSyncing] = useState(false);
+
+    const handleSyncNow = async () => {
+        if (syncing) return;
+        setSyncing(true);
+        await flush();
+        setSyncing(false);
+    };
+
+    const renderItem = ({ item }) => {
+        const statusInfo = STATUS_MAP[item.status] || STATUS_MAP[OUTBOX_STATUS.QUEUED];
+        const typeInfo = TYPE_MAP[item.type] || TYPE_MAP[OUTBOX_TYPES.POG_REQUEST];
+        const StatusIcon = statusInfo.icon;
+        const TypeIcon = typeInfo.icon;
+        const canRetry = item.status === OUTBOX_STATUS.FAILED || item.status === OUTBOX_STATUS.CONFLICT;
+
+        return (
+            <View style={styles.card}>
+                <View style={styles.cardHeader}>
+                    <View style={styles.typeRow}>
+                        <TypeIcon size={16} color={typeInfo.color} />
+                        <Text style={[styles.typeText, { color: typeInfo.color }]}>{typeInfo.label}</Text>
+                    </View>
+                    <View style={[styles.statusBadge, { backgroundColor: statusInfo.bgColor }]}>
+                        {item.status === OUTBOX_STATUS.SENDING ? (
+                            <ActivityIndicator size="small" color={statusInfo.textColor} />
+                        ) : (
+                            <StatusIcon size={12} color={statusInfo.textColor} />
+                        )}
+                        <Text style={[styles.statusText, { color: statusInfo.textColor }]}>{statusInfo.label}</Text>
+                    </View>
+                </View>
+
+                <Text style={styles.productName} numberOfLines={2}>
+                    {item.meta?.productName || 'ไม่ระบุชื่อสินค้า'}
+                </Text>
+                <Text style={styles.barcodeText}>{item.meta?.barcode || item.payload?.barcode}</Text>
+                {!!item.meta?.summary && <Text style={styles.summaryText}>{item.meta.summary}</Text>}
+
+                {!!item.lastError && (
+                    <View style={styles.errorBox}>
+                        <Text style={styles.errorText}>{item.lastError}</Text>
+                    </View>
+                )}
+
+                <View style={styles.cardFooter}>
+                    <Text style={styles.timeText}>
+                        บันทึกเมื่อ {formatTime(item.createdAt)}
+                        {item.attempts > 0 ? ` • ส่งแล้ว ${item.attempts} ครั้ง` : ''}
+                    </Text>
+                    <View style={styles.footerButtons}>
+                        {canRetry && (
+                            <TouchableOpacity
+                                style={styles.iconButton}
+                                onPress={() => retry(item.id)}
+                                disabled={!isOnline}
+                            >
+                                <RefreshCw size={16} color={isOnline ? '#3b82f6' : '#cbd5e1'} />
+                            </TouchableOpacity>
+                        )}
+                        {item.status !== OUTBOX_STATUS.SENDING && (
+                            <TouchableOpacity style={styles.iconButton} onPress={() => remove(item.id)}>
+                                <Trash2 size={16} color="#ef4444" />
+                            </TouchableOpacity>
+                        )}
+                    </View>
+                </View>
+            </View>
+        );
+    };
+
+    return (
+        <SafeAreaView style={styles.container} edges={['top', 'left', 'right']}>
+            <OfflineBanner />
+
+            {/* Header */}
+            <View style={styles.header}>
+                <TouchableOpacity style={styles.backButton} onPress={() => navigation.goBack()}>
+                    <ChevronLeft size={24} color="#10b981" />
+                    <Text style={styles.backButtonText}>กลับ</Text>
+                </TouchableOpacity>
+                <View style={styles.headerInfo}>
+                    <Text style={styles.title}>รายการรอส่ง</Text>
+                    <Text style={styles.subtitle}>รอส่ง {pendingCount} รายการ</Text>
+                </View>
+                <TouchableOpacity
+                    style={[styles.syncButton, (!isOnline || pendingCount === 0) && styles.syncButtonDisabled]}
+                    onPress={handleSyncNow}
+                    disabled={!isOnline || pendingCount === 0 || syncing}
+                >
+                    {syncing ? (
+                        <ActivityIndicator size="small" color="#fff" />
+                    ) : (
+                        <Text style={styles.syncButtonText}>ส่งตอนนี้</Text>
+                    )}
+                </TouchableOpacity>
+            </View>
+
+            <FlatList
+                data={items}
+                keyExtractor={(item) => item.id}
+                renderItem={renderItem}
+                contentContainerStyle={styles.listContent}
+                showsVerticalScrollIndicator={false}
+                ListEmptyComponent={
+                    <View style={styles.emptyContainer}>
+                        <Inbox size={48} color="#cbd5e1" />
+                        <Text style={styles.emptyText}>ไม่มีรายการรอส่ง</Text>
+                    </View>
+                }
+            />
+        </SafeAreaView>
+    );
+}
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: '#f8fafc',
+    },
+    header: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingHorizontal: 16,
+        paddingVertical: 12,
+        backgroundColor: '#fff',
+        borderBottomWidth: 1,
+        borderBottomColor: '#f1f5f9',
+    },
+    backButton: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingRight: 12,
+        gap: 4,
+    },
+    backButtonText: {
+        fontSize: 16,
+        color: '#10b981',
+        fontWeight: '500',
+    },
+    headerInfo: {
+        flex: 1,
+    },
+    title: {
+        fontSize: 17,
+        fontWeight: '600',
+        color: '#1e293b',
+    },
+    subtitle: {
+        fontSize: 12,
+        color: '#64748b',
+    },
+    syncButton: {
+        backgroundColor: '#10b981',
+        paddingHorizontal: 12,
+        paddingVertical: 8,
+        borderRadius: 8,
+        minWidth: 72,
+        alignItems: 'center',
+    },
+    syncButtonDisabled: {
+        backgroundColor: '#cbd5e1',
+    },
+    syncButtonText: {
+        color: '#fff',
+        fontSize: 13,
+        fontWeight: '600',
+    },
+
+    // List
+    listContent: {
+        padding: 16,
+        gap: 12,
+    },
+    card: {
+        backgroundColor: '#fff',
+        borderRadius: 16,
+        padding: 16,
+        borderWidth: 1,
+        borderColor: '#e2e8f0',
+        ...Platform.select({
+            ios: {
+                shadowColor: '#000',
+                shadowOffset: { width: 0, height: 2 },
+                shadowOpacity: 0.05,
+                shadowRadius: 8,
+            },
+            android: {
+                elevation: 2,
+            },
+        }),
+    },
+    cardHeader: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        marginBottom: 12,
+    },
+    typeRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 6,
+    },
+    typeText: {
+        fontSize: 12,
+        fontWeight: '600',
+    },
+    statusBadge: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingHorizontal: 8,
+        paddingVertical: 4,
+        borderRadius: 8,
+        gap: 4,
+    },
+    statusText: {
+        fontSize: 11,
+        fontWeight: '600',
+    },
+    productName: {
+        fontSize: 15,
+        fontWeight: '600',
+        color: '#1e293b',
+        lineHeight: 22,
+        marginBottom: 4,
+    },
+    barcodeText: {
+        fontSize: 13,
+        color: '#64748b',
+        fontFamily: Platform.OS === 'ios' ? 'Menlo' : 'monospace',
+    },
+    summaryText: {
+        fontSize: 13,
+        color: '#475569',
+        marginTop: 6,
+    },
+    errorBox: {
+        backgroundColor: '#fef2f2',
+        borderRadius: 8,
+        padding: 8,
+        marginTop: 8,
+    },
+    errorText: {
+        fontSize: 12,
+        color: '#b91c1c',
+    },
+    cardFooter: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        marginTop: 12,
+        paddingTop: 12,
+        borderTopWidth: 1,
+        borderTopColor: '#f1f5f9',
+    },
+    timeText: {
+        fontSize: 11,
+        color: '#94a3b8',
+        flex: 1,
+    },
+    footerButtons: {
+        flexDirection: 'row',
+        gap: 8,
+    },
+    iconButton: {
+        width: 32,
+        height: 32,
+        borderRadius: 16,
+        backgroundColor: '#f8fafc',
+        justifyContent: 'center',
+        alignItems: 'center',
+        borderWidth: 1,
+        borderColor: '#f1f5f9',
+    },
+
+    // Empty
+    emptyContainer: {
+        flex: 1,
+        justifyContent: 'center',
+        alignItems: 'center',
+        paddingVertical: 80,
+    },
+    emptyText: {
+        marginTop: 16,
+        fontSize: 14,
+        color: '#64748b',
+    },
+});
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import React, { useState, useEffect, useMemo, useCallback, useRef } from 'react';
 import {
     View,
     Text,
@@ -14,42 +14,20 @@ import {
 import { SafeAreaView } from 'react-native-safe-area-context';
 import {
     Search, ChevronLeft, ChevronDown, ChevronRight,
-    Layers, Package, Edit, Clock, Inbox, AlertCircle
+    Layers, Package, Edit, Clock, Inbox, AlertCircle, ClipboardCheck, List, LayoutGrid, Printer
 } from 'lucide-react-native';
 
 import useAuthStore from '../store/authStore';
-import { getTemplateAndProduct, getStockLastUpdate } from '../api/user';
+import useBranchDataStore, { selectPlanogramItems } from '../store/branchDataStore';
+import { getStockLastUpdate } from '../api/user';
 import { getErrorMessage } from '../utils/errorHelper';
 import { useNetwork } from '../contexts/NetworkContext';
-import { setCache, getCacheWithMeta, CACHE_KEYS } from '../services/cacheService';
 import { OfflineBanner, CachedDataNotice } from '../components/OfflineIndicator';
-
-// Group products by shelf
-const groupByShelf = (items) => {
-    if (!items || !items.length) return [];
-
-    const groups = items.reduce((acc, item) => {
-        const code = item.shelfCode || '-';
-        if (!acc[code]) acc[code] = [];
-        acc[code].push(item);
-        return acc;
-    }, {});
-
-    return Object.keys(groups).map((shelfCode) => {
-        const products = groups[shelfCode];
-        const rowNumbers = products.map((i) => i.rowNo || 1);
-        const rowQty = Math.max(...rowNumbers);
-
-        return {
-            shelfCode,
-            fullName: products[0]?.fullName || 'N/A',
-            rowQty,
-            products: products.sort(
-                (a, b) => (a.rowNo || 0) - (b.rowNo || 0) || (a.index || 0) - (b.index || 0)
-            ),
-        };
-    });
-};
+import { groupByShelf } from '../utils/planogram';
+import ShelfDiagram from '../components/ShelfDiagram';
+import { usePermission } from '../hooks/usePermission';
+import { exportShelfSheet } from '../services/printService';
+import { PERMISSIONS } from '../constants/permissions';
 
 const formatValue = (v) => {
     if (v === null || v === undefined || v === 0) return '-';
@@ -77,82 +55,58 @@ const formatBangkokTime = (value) => {
     return `${day}/${month}/${year} ${hours}:${minutes}`;
 };
 
-export default function PlanogramScreen({ navigation }) {
+export default function PlanogramScreen({ navigation, route }) {
     const user = useAuthStore((s) => s.user);
     const checkAuthExpired = useAuthStore((s) => s.checkAuthExpired);
     const storecode = user?.storecode || user?.name;
+    const canAudit = usePermission(PERMISSIONS.SHELF_AUDIT);
+
+    const branchData = useBranchDataStore((s) => s.byBranch[storecode]);
+    const loadPlanogram = useBranchDataStore((s) => s.loadPlanogram);
 
-    const [loading, setLoading] = useState(true);
     const [refreshing, setRefreshing] = useState(false);
-    const [data, setData] = useState([]);
-    const [branchName, setBranchName] = useState('');
     const [searchText, setSearchText] = useState('');
     const [expandedShelf, setExpandedShelf] = useState(null);
     const [stockUpdatedAt, setStockUpdatedAt] = useState(null);
-    const [cachedAt, setCachedAt] = useState(null);
-    const [isOfflineData, setIsOfflineData] = useState(false);
+    const [viewMode, setViewMode] = useState('list'); // 'list' | 'diagram'
+    const [selectedProduct, setSelectedProduct] = useState(null);
+    const [printingShelf, setPrintingShelf] = useState(null);
+    // Barcode found by the scanner (passed in route params) to highlight on the diagram
+    const [focusBarcode, setFocusBarcode] = useState(route?.params?.barcode || null);
+
+    const listRef = useRef(null);
+    // Shelf to scroll into view once it is in the list (shelf QR link / scanner)
+    const scrollToShelfRef = useRef(null);
 
     // Network status
     const { isConnected, isInternetReachable } = useNetwork();
     const isOnline = isConnected && isInternetReachable;
 
+    // Planogram data comes from the shared branch store (cache first, then network)
+    const data = useMemo(
+        () => selectPlanogramItems(branchData),
+        [branchData?.placements, branchData?.products, branchData?.shelves]
+    );
+    const branchName = branchData?.branchName || '';
+    const loading = !branchData || (branchData.loading.planogram && !branchData.loadedAt.planogram);
+    const isOfflineData = !!branchData?.fromCache.planogram;
+    const cachedAt = isOfflineData ? branchData.loadedAt.planogram : null;
+
     const loadData = useCallback(async (isRefresh = false) => {
         if (!storecode) return;
 
         if (isRefresh) setRefreshing(true);
-        else setLoading(true);
-
-        const cacheKey = CACHE_KEYS.PLANOGRAM(storecode);
-
-        // Try to load from network first if online
-        if (isOnline) {
-            try {
-                const result = await getTemplateAndProduct(storecode);
-                const items = Array.isArray(result?.items) ? result.items : [];
-                setBranchName(result?.branchName || '');
-                setData(items);
-                setIsOfflineData(false);
-                setCachedAt(null);
-
-                // Cache the result for offline use
-                await setCache(cacheKey, {
-                    items,
-                    branchName: result?.branchName || '',
-                });
-
-                setLoading(false);
-                setRefreshing(false);
-                return;
-            } catch (err) {
-                if (__DEV__) console.error('Load planogram error:', err);
-                // Check if auth expired
-                if (checkAuthExpired()) {
-                    setLoading(false);
-                    setRefreshing(false);
-                    return;
-                }
-                // Fall through to try cache
-            }
-        }
+        const branch = await loadPlanogram(storecode, { force: isRefresh });
+        setRefreshing(false);
 
-        // Load from cache (offline or network failed)
-        const cached = await getCacheWithMeta(cacheKey);
-        if (cached.data) {
-            setBranchName(cached.data.branchName || '');
-            setData(cached.data.items || []);
-            setCachedAt(cached.cachedAt);
-            setIsOfflineData(true);
-        } else {
-            // No cache available
-            setData([]);
-            if (!isOnline) {
+        if (branch?.error.planogram) {
+            // Check if auth expired
+            if (checkAuthExpired()) return;
+            if (!branch.loadedAt.planogram && !isOnline) {
                 Alert.alert('ออฟไลน์', 'ไม่มีข้อมูลที่บันทึกไว้ กรุณาเชื่อมต่ออินเทอร์เน็ตและโหลดข้อมูลอีกครั้ง');
             }
         }
-
-        setLoading(false);
-        setRefreshing(false);
-    }, [storecode, isOnline, checkAuthExpired]);
+    }, [storecode, isOnline, checkAuthExpired, loadPlanogram]);
 
     useEffect(() => {
         loadData();
@@ -185,6 +139,89 @@ export default function PlanogramScreen({ navigation }) {
         }).filter(shelf => shelf.products.length > 0);
     }, [shelves, searchText]);
 
+    // Open the shelf passed from the scanner / a shelf link as a diagram with the product highlighted
+    useEffect(() => {
+        const shelfCode = route?.params?.shelfCode;
+        if (!shelfCode) return;
+        setSearchText('');
+        setExpandedShelf(shelfCode);
+        setViewMode('diagram');
+        setFocusBarcode(route.params.barcode || null);
+        scrollToShelfRef.current = shelfCode;
+    }, [route?.params?.shelfCode, route?.params?.barcode]);
+
+    useEffect(() => {
+        const shelfCode = scrollToShelfRef.current;
+        if (!shelfCode || loading) return;
+
+        const index = filteredShelves.findIndex((shelf) => shelf.shelfCode === shelfCode);
+        if (index === -1) {
+            // Fresh data may still have the shelf
+            if (branchData?.loading.planogram) return;
+            scrollToShelfRef.current = null;
+            Alert.alert('ไม่พบชั้นวาง', `ไม่พบชั้นวาง ${shelfCode} ใน Planogram ของสาขานี้`);
+            return;
+        }
+
+        scrollToShelfRef.current = null;
+        // Wait for the list to lay out the expanded shelf
+        requestAnimationFrame(() => {
+            listRef.current?.scrollToIndex({ index, animated: true, viewPosition: 0 });
+        });
+    }, [filteredShelves, loading, branchData?.loading.planogram]);
+
+    // Shelf not rendered yet - jump near it, then retry
+    const handleScrollToIndexFailed = ({ index, averageItemLength }) => {
+        listRef.current?.scrollToOffset({ offset: index * averageItemLength, animated: false });
+        setTimeout(() => {
+            listRef.current?.scrollToIndex({ index, animated: true, viewPosition: 0 });
+        }, 100);
+    };
+
+    // Full shelves by code - the diagram always draws the whole shelf, even while searching
+    const shelfMap = useMemo(() => {
+        const map = {};
+        shelves.forEach((shelf) => {
+            map[shelf.shelfCode] = shelf;
+        });
+        return map;
+    }, [shelves]);
+
+    const getHighlightBarcodes = (filteredShelf) => {
+        const barcodes = searchText.trim() ? filteredShelf.products.map((p) => p.barcode) : [];
+        if (focusBarcode) barcodes.push(focusBarcode);
+        return barcodes;
+    };
+
+    const toggleSelectedProduct = (product) => {
+        setSelectedProduct((prev) => (prev?.barcode === product.barcode ? null : product));
+    };
+
+    // PDF sheet (optionally with price labels) from the planogram on the device - works offline
+    const runExport = async (shelf, includeLabels) => {
+        setPrintingShelf(shelf.shelfCode);
+        try {
+            await exportShelfSheet(shelf, { branchName, includeLabels, cachedAt });
+        } catch (err) {
+            if (__DEV__) console.error('Export shelf sheet error:', err);
+            Alert.alert('ผิดพลาด', getErrorMessage(err, 'ไม่สามารถสร้างเอกสารได้'));
+        } finally {
+            setPrintingShelf(null);
+        }
+    };
+
+    const handlePrintShelf = (shelf) => {
+        if (Platform.OS === 'web') {
+            runExport(shelf, window.confirm('พิมพ์ป้ายราคาด้วยหรือไม่?'));
+            return;
+        }
+        Alert.alert('พิมพ์ / แชร์', `ชั้นวาง ${shelf.shelfCode}`, [
+            { text: 'ยกเลิก', style: 'cancel' },
+            { text: 'แผ่น Planogram', onPress: () => runExport(shelf, false) },
+            { text: 'พร้อมป้ายราคา', onPress: () => runExport(shelf, true) },
+        ]);
+    };
+
     // Handle request action
     const handleRequestAction = (product) => {
         navigation.navigate('CreatePogRequest', {
@@ -228,7 +265,74 @@ export default function PlanogramScreen({ navigation }) {
                 {/* Expanded: Show rows */}
                 {isExpanded && (
                     <View style={styles.shelfContent}>
-                        {Array.from({ length: shelf.rowQty }).map((_, idx) => {
+                        <View style={styles.shelfToolbar}>
+                            <View style={styles.viewToggle}>
+                                <TouchableOpacity
+                                    style={[styles.viewToggleButton, viewMode === 'list' && styles.viewToggleActive]}
+                                    onPress={() => setViewMode('list')}
+                                >
+                                    <List size={16} color={viewMode === 'list' ? '#fff' : '#64748b'} />
+                                </TouchableOpacity>
+                                <TouchableOpacity
+                                    style={[styles.viewToggleButton, viewMode === 'diagram' && styles.viewToggleActive]}
+                                    onPress={() => setViewMode('diagram')}
+                                >
+                                    <LayoutGrid size={16} color={viewMode === 'diagram' ? '#fff' : '#64748b'} />
+                                </TouchableOpacity>
+                            </View>
+                            {canAudit && (
+                                <TouchableOpacity
+                                    style={styles.auditButton}
+                                    onPress={() => navigation.navigate('ShelfAudit', { shelfCode: shelf.shelfCode })}
+                                >
+                                    <ClipboardCheck size={16} color="#3b82f6" />
+                                    <Text style={styles.auditButtonText}>ตรวจชั้นวางนี้</Text>
+                                </TouchableOpacity>
+                            )}
+                            <TouchableOpacity
+                                style={styles.printButton}
+                                onPress={() => handlePrintShelf(shelfMap[shelf.shelfCode] || shelf)}
+                                disabled={!!printingShelf}
+                            >
+                                {printingShelf === shelf.shelfCode ? (
+                                    <ActivityIndicator size="small" color="#64748b" />
+                                ) : (
+                                    <Printer size={16} color="#64748b" />
+                                )}
+                            </TouchableOpacity>
+                        </View>
+
+                        {viewMode === 'diagram' ? (
+                            <View>
+                                <ShelfDiagram
+                                    shelf={shelfMap[shelf.shelfCode] || shelf}
+                                    highlightBarcodes={getHighlightBarcodes(shelf)}
+                                    selectedBarcode={selectedProduct?.barcode}
+                                    onSelectProduct={toggleSelectedProduct}
+                                />
+                                {selectedProduct && selectedProduct.shelfCode === shelf.shelfCode ? (
+                                    <View style={styles.inspectCard}>
+                                        <Text style={styles.productName} numberOfLines={2}>
+                                            {selectedProduct.nameProduct || selectedProduct.nameBrand || '-'}
+                                        </Text>
+                                        <Text style={styles.productBarcode}>{selectedProduct.barcode}</Text>
+                                        <View style={styles.inspectRow}>
+                                            <Text style={styles.inspectText}>ชั้น {selectedProduct.rowNo} / ลำดับ {selectedProduct.index}</Text>
+                                            <Text style={styles.priceText}>฿{formatValue(selectedProduct.salesPriceIncVAT)}</Text>
+                                        </View>
+                                        <View style={styles.minMaxRow}>
+                                            <Text style={styles.minMaxText}>Min {formatValue(selectedProduct.minStore)}</Text>
+                                            <Text style={styles.minMaxDivider}>|</Text>
+                                            <Text style={styles.minMaxText}>Max {formatValue(selectedProduct.maxStore)}</Text>
+                                            <Text style={styles.minMaxDivider}>|</Text>
+                                            <Text style={styles.stockText}>สต็อค {formatValue(selectedProduct.stockQuantity)}</Text>
+                                        </View>
+                                    </View>
+                                ) : (
+                                    <Text style={styles.diagramHint}>แตะสินค้าเพื่อดูรายละเอียด</Text>
+                                )}
+                            </View>
+                        ) : Array.from({ length: shelf.rowQty }).map((_, idx) => {
                             const rowNo = idx + 1;
                             const rowProducts = shelf.products.filter((p) => (p.rowNo || 0) === rowNo);
 
@@ -359,9 +463,11 @@ export default function PlanogramScreen({ navigation }) {
                 </View>
             ) : (
                 <FlatList
+                    ref={listRef}
                     data={filteredShelves}
                     keyExtractor={(item) => item.shelfCode}
                     renderItem={renderShelfItem}
+                    onScrollToIndexFailed={handleScrollToIndexFailed}
                     contentContainerStyle={styles.listContent}
                     showsVerticalScrollIndicator={false}
                     initialNumToRender={5}
@@ -569,6 +675,78 @@ const styles = StyleSheet.create({
         borderTopColor: '#f1f5f9',
         padding: 12,
     },
+    shelfToolbar: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 8,
+        marginBottom: 12,
+    },
+    viewToggle: {
+        flexDirection: 'row',
+        backgroundColor: '#fff',
+        borderRadius: 10,
+        borderWidth: 1,
+        borderColor: '#e2e8f0',
+        overflow: 'hidden',
+    },
+    viewToggleButton: {
+        paddingHorizontal: 12,
+        paddingVertical: 10,
+    },
+    viewToggleActive: {
+        backgroundColor: '#3b82f6',
+    },
+    inspectCard: {
+        marginTop: 8,
+        backgroundColor: '#fff',
+        borderRadius: 12,
+        padding: 12,
+        borderWidth: 1,
+        borderColor: '#bfdbfe',
+        gap: 4,
+    },
+    inspectRow: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+    },
+    inspectText: {
+        fontSize: 13,
+        color: '#475569',
+        fontWeight: '500',
+    },
+    diagramHint: {
+        fontSize: 12,
+        color: '#94a3b8',
+        textAlign: 'center',
+        marginTop: 8,
+    },
+    printButton: {
+        marginLeft: 'auto',
+        paddingVertical: 10,
+        paddingHorizontal: 12,
+        borderRadius: 10,
+        backgroundColor: '#f1f5f9',
+        borderWidth: 1,
+        borderColor: '#e2e8f0',
+    },
+    auditButton: {
+        flex: 1,
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'center',
+        gap: 6,
+        paddingVertical: 10,
+        borderRadius: 10,
+        backgroundColor: '#eff6ff',
+        borderWidth: 1,
+        borderColor: '#bfdbfe',
+    },
+    auditButtonText: {
+        fontSize: 14,
+        fontWeight: '600',
+        color: '#3b82f6',
+    },
     rowContainer: {
         marginBottom: 16,
     },
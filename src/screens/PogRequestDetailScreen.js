@@ -0,0 +1,629 @@
+/**
+ * PogRequestDetailScreen - Full POG request with its status timeline
+ * Shows positions, note, the reviewer's comment and who moved the request through each status
+ * A pending request can be opened for editing in CreatePogRequest; attached photos open full screen
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+    View,
+    Text,
+    TouchableOpacity,
+    StyleSheet,
+    ScrollView,
+    ActivityIndicator,
+    RefreshControl,
+    Platform,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import {
+    ChevronLeft, AlertTriangle, ArrowRightLeft, MapPin, FileText, MessageSquare, ChevronRight, Pencil
+} from 'lucide-react-native';
+
+import useAuthStore from '../store/authStore';
+import useBranchDataStore from '../store/branchDataStore';
+import { getPogRequestDetail } from '../api/user';
+import { getErrorMessage } from '../utils/errorHelper';
+import { useNetwork } from '../contexts/NetworkContext';
+import { OfflineBanner } from '../components/OfflineIndicator';
+import { canAccessRoute } from '../constants/permissions';
+import { getRequestStatusInfo, getRequestActionInfo } from '../constants/pogRequests';
+import RequestPhotos from '../components/RequestPhotos';
+
+// =============================================================================
+// HELPER FUNCTIONS
+// =============================================================================
+
+const formatDateTime = (dateStr) => {
+    if (!dateStr) return '-';
+    const d = new Date(dateStr);
+    if (isNaN(d.getTime())) return '-';
+    return d.toLocaleString('th-TH', {
+        day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit'
+    });
+};
+
+/**
+ * Status transitions, oldest first
+ * Requests without a history (list copy / older API) are rebuilt from their own fields
+ * @param {object} request
+ * @returns {Array} [{ status, byName, at, comment }]
+ */
+const buildTimeline = (request) => {
+    if (Array.isArray(request.history) && request.history.length) {
+        return [...request.history].sort((a, b) => new Date(a.at) - new Date(b.at));
+    }
+
+    const entries = [{ status: 'pending', byName: request.createdByName, at: request.createdAt }];
+    if (request.status && request.status !== 'pending') {
+        entries.push({
+            status: request.status,
+            byName: request.reviewedByName,
+            at: request.reviewedAt || request.updatedAt,
+            comment: request.reviewComment,
+        });
+    }
+    return entries;
+};
+
+// Latest reviewer comment (reason for a rejection)
+const getReviewComment = (request, timeline) => {
+    if (request.reviewComment) return request.reviewComment;
+    const reviewed = [...timeline].reverse().find((entry) => entry.status !== 'pending' && entry.comment);
+    return reviewed?.comment || null;
+};
+
+// =============================================================================
+// MAIN COMPONENT
+// =============================================================================
+
+export default function PogRequestDetailScreen({ navigation, route }) {
+    const requestId = route?.params?.requestId;
+
+    const user = useAuthStore((s) => s.user);
+    const storecode = user?.storecode || user?.name;
+    const storedRequest = useBranchDataStore((s) => s.byBranch[storecode]?.requests?.[requestId]);
+    const upsertRequests = useBranchDataStore((s) => s.upsertRequests);
+
+    const { isConnected, isInternetReachable } = useNetwork();
+    const isOnline = isConnected && isInternetReachable;
+
+    const [detail, setDetail] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [refreshing, setRefreshing] = useState(false);
+    const [error, setError] = useState('');
+
+    // List copy first, replaced by the full request once loaded
+    const request = detail ? { ...storedRequest, ...detail } : storedRequest;
+
+    const loadDetail = useCallback(async (isRefresh = false) => {
+        if (!requestId) return;
+        if (isRefresh) setRefreshing(true);
+        setError('');
+
+        try {
+            const result = await getPogRequestDetail(requestId);
+            setDetail(result);
+            // Keep the list / other screens in step with the latest status
+            if (result?.id !== undefined) upsertRequests(storecode, [result]);
+        } catch (err) {
+            if (__DEV__) console.error('Load POG request detail error:', err);
+            setError(getErrorMessage(err, 'ไม่สามารถโหลดรายละเอียดคำขอได้'));
+        } finally {
+            setLoading(false);
+            setRefreshing(false);
+        }
+    }, [requestId, storecode, upsertRequests]);
+
+    useEffect(() => {
+        if (isOnline) {
+            loadDetail();
+        } else {
+            setLoading(false);
+        }
+    }, [requestId, isOnline]);
+
+    // Request changed since it was loaded (e.g. edited) - reload its history
+    useEffect(() => {
+        if (!detail || !isOnline || !storedRequest?.updatedAt) return;
+        if (storedRequest.updatedAt !== detail.updatedAt) loadDetail();
+    }, [storedRequest?.updatedAt]);
+
+    const openShelf = (shelfCode) => {
+        navigation.navigate('Planogram', { shelfCode, barcode: request?.barcode });
+    };
+    const canOpenShelf = canAccessRoute(user, 'Planogram');
+
+    const canEdit = request?.status === 'pending' && canAccessRoute(user, 'CreatePogRequest');
+    const openEdit = () => {
+        navigation.navigate('CreatePogRequest', { editRequest: request, source: 'PogRequestDetail' });
+    };
+
+    // -------------------------------------------------------------------------
+    // Render
+    // -------------------------------------------------------------------------
+
+    const renderPosition = (label, shelf, row, index) => (
+        <View style={styles.positionRow}>
+            <Text style={styles.positionLabel}>{label}</Text>
+            <View style={styles.positionValue}>
+                <MapPin size={14} color="#94a3b8" />
+                <Text style={styles.positionText}>
+                    {shelf} / ชั้น {row || '-'} / ลำดับ {index || '-'}
+                </Text>
+            </View>
+            {canOpenShelf && (
+                <TouchableOpacity style={styles.shelfLink} onPress={() => openShelf(shelf)}>
+                    <Text style={styles.shelfLinkText}>ดูชั้นวาง</Text>
+                    <ChevronRight size={14} color="#3b82f6" />
+                </TouchableOpacity>
+            )}
+        </View>
+    );
+
+    const renderContent = () => {
+        if (!request) {
+            return (
+                <View style={styles.emptyContainer}>
+                    <AlertTriangle size={48} color="#cbd5e1" />
+                    <Text style={styles.emptyText}>
+                        {error || (isOnline ? 'ไม่พบคำขอนี้' : 'ออฟไลน์ - ไม่มีข้อมูลคำขอนี้ในเครื่อง')}
+                    </Text>
+                </View>
+            );
+        }
+
+        const statusInfo = getRequestStatusInfo(request.status);
+        const actionInfo = getRequestActionInfo(request.action);
+        const StatusIcon = statusInfo.icon;
+        const ActionIcon = actionInfo.icon;
+        const timeline = buildTimeline(request);
+        const reviewComment = getReviewComment(request, timeline);
+
+        return (
+            <>
+                {/* Product */}
+                <View style={styles.card}>
+                    <View style={styles.cardHeader}>
+                        <View style={[styles.actionBadge, { backgroundColor: actionInfo.bg }]}>
+                            <ActionIcon size={14} color={actionInfo.color} />
+                            <Text style={[styles.actionText, { color: actionInfo.color }]}>{actionInfo.label}</Text>
+                        </View>
+                        <View style={[styles.statusBadge, { backgroundColor: statusInfo.bgColor }]}>
+                            <StatusIcon size={12} color={statusInfo.textColor} />
+                            <Text style={[styles.statusText, { color: statusInfo.textColor }]}>{statusInfo.label}</Text>
+                        </View>
+                    </View>
+                    <Text style={styles.productName}>{request.productName || 'ไม่ระบุชื่อสินค้า'}</Text>
+                    <Text style={styles.barcodeText}>{request.barcode}</Text>
+
+                    {canEdit && (
+                        <TouchableOpacity
+                            style={[styles.editButton, !isOnline && styles.editButtonDisabled]}
+                            onPress={openEdit}
+                            disabled={!isOnline}
+                        >
+                            <Pencil size={14} color="#3b82f6" />
+                            <Text style={styles.editButtonText}>
+                                {isOnline ? 'แก้ไขคำขอ' : 'แก้ไขคำขอได้เมื่อออนไลน์'}
+                            </Text>
+                        </TouchableOpacity>
+                    )}
+                </View>
+
+                {/* Reviewer comment */}
+                {!!reviewComment && (
+                    <View style={[styles.commentCard, request.status === 'rejected' && styles.commentCardRejected]}>
+                        <View style={styles.commentHeader}>
+                            <MessageSquare size={16} color={request.status === 'rejected' ? '#b91c1c' : '#475569'} />
+                            <Text style={[styles.commentTitle, request.status === 'rejected' && { color: '#b91c1c' }]}>
+                                {request.status === 'rejected' ? 'เหตุผลที่ไม่อนุมัติ' : 'ความเห็นผู้ตรวจ'}
+                            </Text>
+                        </View>
+                        <Text style={styles.commentText}>{reviewComment}</Text>
+                    </View>
+                )}
+
+                {/* Positions */}
+                <View style={styles.card}>
+                    <Text style={styles.sectionTitle}>ตำแหน่ง</Text>
+                    {request.fromShelf && renderPosition('จาก', request.fromShelf, request.fromRow, request.fromIndex)}
+                    {request.toShelf && renderPosition('ไป', request.toShelf, request.toRow, request.toIndex)}
+                    {!request.fromShelf && !request.toShelf && <Text style={styles.mutedText}>-</Text>}
+                    {request.action === 'swap' && !!request.swapBarcode && (
+                        <View style={styles.swapRow}>
+                            <ArrowRightLeft size={14} color="#f59e0b" />
+                            <Text style={styles.swapText}>
+                                สลับกับ {request.swapProductName || 'ไม่ระบุชื่อสินค้า'} ({request.swapBarcode})
+                            </Text>
+                        </View>
+                    )}
+
+                    {!!request.note && (
+                        <View style={styles.noteRow}>
+                            <FileText size={14} color="#94a3b8" style={{ marginTop: 2 }} />
+                            <Text style={styles.noteText}>{request.note}</Text>
+                        </View>
+                    )}
+                </View>
+
+                {/* Photos */}
+                {request.photos?.length > 0 && (
+                    <View style={styles.card}>
+                        <Text style={styles.sectionTitle}>รูปถ่ายประกอบ</Text>
+                        <RequestPhotos photos={request.photos} size={80} viewable />
+                    </View>
+                )}
+
+                {/* Timeline */}
+                <View style={styles.card}>
+                    <Text style={styles.sectionTitle}>ลำดับสถานะ</Text>
+                    {timeline.map((entry, idx) => {
+                        const info = getRequestStatusInfo(entry.status);
+                        const isLast = idx === timeline.length - 1;
+                        return (
+                            <View key={`${entry.status}-${idx}`} style={styles.timelineItem}>
+                                <View style={styles.timelineLeft}>
+                                    <View style={[styles.timelineDot, { backgroundColor: info.textColor }]} />
+                                    {!isLast && <View style={styles.timelineLine} />}
+                                </View>
+                                <View style={styles.timelineBody}>
+                                    <Text style={[styles.timelineStatus, { color: info.textColor }]}>{info.label}</Text>
+                                    <Text style={styles.timelineMeta}>
+                                        {formatDateTime(entry.at)}{entry.byName ? ` • ${entry.byName}` : ''}
+                                    </Text>
+                                    {!!entry.comment && <Text style={styles.timelineComment}>{entry.comment}</Text>}
+                                </View>
+                            </View>
+                        );
+                    })}
+                    {!detail && !error && (
+                        <Text style={styles.mutedText}>
+                            {isOnline ? 'กำลังโหลดประวัติทั้งหมด...' : 'ออฟไลน์ - แสดงข้อมูลที่บันทึกไว้'}
+                        </Text>
+                    )}
+                </View>
+
+                {!!error && <Text style={styles.errorText}>{error}</Text>}
+            </>
+        );
+    };
+
+    return (
+        <SafeAreaView style={styles.container} edges={['top', 'left', 'right']}>
+            <OfflineBanner />
+
+            {/* Header */}
+            <View style={styles.header}>
+                <TouchableOpacity style={styles.backButton} onPress={() => navigation.goBack()}>
+                    <ChevronLeft size={24} color="#10b981" />
+                    <Text style={styles.backButtonText}>กลับ</Text>
+                </TouchableOpacity>
+                <View style={styles.headerInfo}>
+                    <Text style={styles.title}>รายละเอียดคำขอ</Text>
+                    <Text style={styles.subtitle}>#{requestId}</Text>
+                </View>
+            </View>
+
+            {loading && !request ? (
+                <View style={styles.loadingContainer}>
+                    <ActivityIndicator size="large" color="#10b981" />
+                    <Text style={styles.loadingText}>กำลังโหลด...</Text>
+                </View>
+            ) : (
+                <ScrollView
+                    contentContainerStyle={styles.content}
+                    refreshControl={
+                        <RefreshControl
+                            refreshing={refreshing}
+                            onRefresh={() => loadDetail(true)}
+                            enabled={isOnline}
+                            tintColor="#10b981"
+                        />
+                    }
+                >
+                    {renderContent()}
+                </ScrollView>
+            )}
+        </SafeAreaView>
+    );
+}
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: '#f8fafc',
+    },
+    header: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingHorizontal: 16,
+        paddingVertical: 12,
+        backgroundColor: '#fff',
+        borderBottomWidth: 1,
+        borderBottomColor: '#f1f5f9',
+    },
+    backButton: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingRight: 12,
+        gap: 4,
+    },
+    backButtonText: {
+        fontSize: 16,
+        color: '#10b981',
+        fontWeight: '500',
+    },
+    headerInfo: {
+        flex: 1,
+    },
+    title: {
+        fontSize: 17,
+        fontWeight: '600',
+        color: '#1e293b',
+    },
+    subtitle: {
+        fontSize: 12,
+        color: '#64748b',
+    },
+    content: {
+        padding: 16,
+        gap: 12,
+    },
+
+    // Card
+    card: {
+        backgroundColor: '#fff',
+        borderRadius: 16,
+        padding: 16,
+        borderWidth: 1,
+        borderColor: '#e2e8f0',
+        ...Platform.select({
+            ios: {
+                shadowColor: '#000',
+                shadowOffset: { width: 0, height: 2 },
+                shadowOpacity: 0.05,
+                shadowRadius: 8,
+            },
+            android: {
+                elevation: 2,
+            },
+        }),
+    },
+    cardHeader: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        marginBottom: 12,
+    },
+    actionBadge: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingHorizontal: 8,
+        paddingVertical: 4,
+        borderRadius: 8,
+        gap: 4,
+    },
+    actionText: {
+        fontSize: 12,
+        fontWeight: '600',
+    },
+    statusBadge: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingHorizontal: 8,
+        paddingVertical: 4,
+        borderRadius: 8,
+        gap: 4,
+    },
+    statusText: {
+        fontSize: 11,
+        fontWeight: '600',
+    },
+    productName: {
+        fontSize: 16,
+        fontWeight: '600',
+        color: '#1e293b',
+        lineHeight: 24,
+        marginBottom: 4,
+    },
+    barcodeText: {
+        fontSize: 13,
+        color: '#64748b',
+        fontFamily: Platform.OS === 'ios' ? 'Menlo' : 'monospace',
+    },
+    editButton: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'center',
+        gap: 6,
+        marginTop: 12,
+        paddingVertical: 10,
+        borderRadius: 10,
+        backgroundColor: '#eff6ff',
+        borderWidth: 1,
+        borderColor: '#bfdbfe',
+    },
+    editButtonDisabled: {
+        opacity: 0.5,
+    },
+    editButtonText: {
+        fontSize: 13,
+        fontWeight: '600',
+        color: '#3b82f6',
+    },
+    sectionTitle: {
+        fontSize: 14,
+        fontWeight: '700',
+        color: '#1e293b',
+        marginBottom: 12,
+    },
+
+    // Reviewer comment
+    commentCard: {
+        backgroundColor: '#f8fafc',
+        borderRadius: 16,
+        padding: 16,
+        borderWidth: 1,
+        borderColor: '#e2e8f0',
+    },
+    commentCardRejected: {
+        backgroundColor: '#fef2f2',
+        borderColor: '#fecaca',
+    },
+    commentHeader: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 8,
+        marginBottom: 8,
+    },
+    commentTitle: {
+        fontSize: 14,
+        fontWeight: '700',
+        color: '#475569',
+    },
+    commentText: {
+        fontSize: 14,
+        color: '#1e293b',
+        lineHeight: 20,
+    },
+
+    // Positions
+    positionRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 8,
+        paddingVertical: 8,
+        borderBottomWidth: 1,
+        borderBottomColor: '#f1f5f9',
+    },
+    positionLabel: {
+        width: 32,
+        fontSize: 12,
+        fontWeight: '700',
+        color: '#64748b',
+    },
+    positionValue: {
+        flex: 1,
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 6,
+    },
+    positionText: {
+        fontSize: 13,
+        color: '#475569',
+        flex: 1,
+    },
+    shelfLink: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 2,
+        paddingHorizontal: 8,
+        paddingVertical: 4,
+        borderRadius: 8,
+        backgroundColor: '#eff6ff',
+    },
+    shelfLinkText: {
+        fontSize: 12,
+        fontWeight: '600',
+        color: '#3b82f6',
+    },
+    swapRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 8,
+        marginTop: 8,
+    },
+    swapText: {
+        fontSize: 13,
+        color: '#92400e',
+        flex: 1,
+    },
+    noteRow: {
+        flexDirection: 'row',
+        alignItems: 'flex-start',
+        gap: 8,
+        marginTop: 12,
+    },
+    noteText: {
+        fontSize: 13,
+        color: '#64748b',
+        flex: 1,
+        fontStyle: 'italic',
+        lineHeight: 20,
+    },
+
+    // Timeline
+    timelineItem: {
+        flexDirection: 'row',
+        minHeight: 56,
+    },
+    timelineLeft: {
+        width: 20,
+        alignItems: 'center',
+    },
+    timelineDot: {
+        width: 10,
+        height: 10,
+        borderRadius: 5,
+        marginTop: 4,
+    },
+    timelineLine: {
+        flex: 1,
+        width: 2,
+        backgroundColor: '#e2e8f0',
+        marginVertical: 4,
+    },
+    timelineBody: {
+        flex: 1,
+        paddingLeft: 8,
+        paddingBottom: 12,
+    },
+    timelineStatus: {
+        fontSize: 14,
+        fontWeight: '600',
+    },
+    timelineMeta: {
+        fontSize: 12,
+        color: '#94a3b8',
+        marginTop: 2,
+    },
+    timelineComment: {
+        fontSize: 13,
+        color: '#475569',
+        marginTop: 4,
+    },
+    mutedText: {
+        fontSize: 12,
+        color: '#94a3b8',
+    },
+    errorText: {
+        fontSize: 13,
+        color: '#dc2626',
+        textAlign: 'center',
+    },
+
+    // Loading & Empty
+    loadingContainer: {
+        flex: 1,
+        justifyContent: 'center',
+        alignItems: 'center',
+    },
+    loadingText: {
+        marginTop: 12,
+        fontSize: 14,
+        color: '#64748b',
+    },
+    emptyContainer: {
+        flex: 1,
+        justifyContent: 'center',
+        alignItems: 'center',
+        paddingVertical: 80,
+    },
+    emptyText: {
+        marginTop: 16,
+        fontSize: 14,
+        color: '#64748b',
+        textAlign: 'center',
+    },
+});
@@ -15,42 +15,56 @@ import {
     Alert,
     Platform,
     Modal,
+    TextInput,
+    ScrollView,
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import {
-    ChevronLeft, ChevronRight, Clock, CheckCircle2, XCircle,
-    AlertTriangle, Trash2, ArrowRightLeft, Plus,
-    Calendar, MapPin, FileText
+    ChevronLeft, ChevronRight, Clock,
+    AlertTriangle, ArrowRightLeft,
+    Calendar, MapPin, FileText, ListPlus, Download, Search, SlidersHorizontal, X
 } from 'lucide-react-native';
 
 import useAuthStore from '../store/authStore';
 import { getMyPogRequests, cancelPogRequest } from '../api/user';
 import { getErrorMessage } from '../utils/errorHelper';
 import useBranchStore from '../store/branchStore';
-import { usePreventDoubleTap } from '../hooks/useDebounce';
+import useBranchDataStore from '../store/branchDataStore';
+import { usePermission } from '../hooks/usePermission';
+import { PERMISSIONS } from '../constants/permissions';
+import {
+    REQUEST_STATUS_MAP,
+    REQUEST_ACTION_MAP,
+    getRequestStatusInfo,
+    getRequestActionInfo,
+} from '../constants/pogRequests';
+import { usePreventDoubleTap, useDebounceValue } from '../hooks/useDebounce';
 import { useNetwork } from '../contexts/NetworkContext';
-import { setCache, getCacheWithMeta, CACHE_KEYS } from '../services/cacheService';
+import { saveRequests, loadRequests } from '../services/localDataService';
 import { OfflineBanner, CachedDataNotice } from '../components/OfflineIndicator';
+import ExportRangeModal from '../components/ExportRangeModal';
+import RequestPhotos from '../components/RequestPhotos';
+import { exportPogRequests } from '../services/exportService';
+import {
+    REQUEST_SORTS,
+    DEFAULT_REQUEST_FILTERS,
+    countActiveFilters,
+    hasActiveFilters,
+    toQueryParams,
+    applyRequestFilters,
+    loadRequestFilters,
+    saveRequestFilters,
+} from '../services/requestFilterService';
+import { DATE_RANGES, DATE_RANGE_LABELS } from '../utils/dateRanges';
 
 // =============================================================================
 // CONSTANTS
 // =============================================================================
 
-/** Status display configuration */
-const STATUS_MAP = {
-    pending: { label: 'รอดำเนินการ', bgColor: '#fef3c7', textColor: '#b45309', icon: Clock },
-    approved: { label: 'อนุมัติ', bgColor: '#dcfce7', textColor: '#15803d', icon: CheckCircle2 },
-    rejected: { label: 'ไม่อนุมัติ', bgColor: '#fee2e2', textColor: '#b91c1c', icon: XCircle },
-    completed: { label: 'เสร็จสิ้น', bgColor: '#dcfce7', textColor: '#15803d', icon: CheckCircle2 },
-    cancelled: { label: 'ยกเลิก', bgColor: '#f1f5f9', textColor: '#64748b', icon: XCircle },
-};
-
-/** Action type labels */
-const ACTION_MAP = {
-    add: { label: 'นำสินค้าเข้า', icon: Plus, color: '#10b981', bg: '#ecfdf5' },
-    move: { label: 'เปลี่ยนตำแหน่งสินค้า', icon: ArrowRightLeft, color: '#3b82f6', bg: '#eff6ff' },
-    swap: { label: 'สลับตำแหน่ง', icon: ArrowRightLeft, color: '#f59e0b', bg: '#fffbeb' },
-    delete: { label: 'นำสินค้าออก', icon: Trash2, color: '#ef4444', bg: '#fef2f2' },
+/** Sort options */
+const SORT_LABELS = {
+    [REQUEST_SORTS.NEWEST]: 'ใหม่ล่าสุด',
+    [REQUEST_SORTS.OLDEST]: 'เก่าสุด',
 };
 
 // =============================================================================
@@ -73,6 +87,12 @@ export default function PogRequestsScreen({ navigation }) {
     const user = useAuthStore((s) => s.user);
     const getBranchName = useBranchStore((s) => s.getBranchName);
     const storecode = user?.storecode || user?.name;
+    const canCancel = usePermission(PERMISSIONS.CANCEL_POG_REQUEST);
+    const canBatch = usePermission(PERMISSIONS.BATCH_POG_REQUEST);
+    const canExport = usePermission(PERMISSIONS.EXPORT_REPORTS);
+    const storedRequests = useBranchDataStore((s) => s.byBranch[storecode]?.requests);
+    const upsertRequests = useBranchDataStore((s) => s.upsertRequests);
+    const updateRequest = useBranchDataStore((s) => s.updateRequest);
 
     const [loading, setLoading] = useState(true);
     const [refreshing, setRefreshing] = useState(false);
@@ -80,6 +100,14 @@ export default function PogRequestsScreen({ navigation }) {
     const [page, setPage] = useState(1);
     const [totalCount, setTotalCount] = useState(0);
     const [cancellingId, setCancellingId] = useState(null);
+    const [showExportModal, setShowExportModal] = useState(false);
+
+    // Filters (null until the ones remembered for the branch are read)
+    const [filters, setFilters] = useState(null);
+    const [searchInput, setSearchInput] = useState('');
+    const [showFilterModal, setShowFilterModal] = useState(false);
+    const [draftFilters, setDraftFilters] = useState(DEFAULT_REQUEST_FILTERS);
+    const debouncedSearch = useDebounceValue(searchInput, 400);
 
     const ITEMS_PER_PAGE = 15;
     const totalPages = Math.max(1, Math.ceil(totalCount / ITEMS_PER_PAGE));
@@ -100,10 +128,14 @@ export default function PogRequestsScreen({ navigation }) {
         return getBranchName(storecode);
     }, [storecode, getBranchName]);
 
+    // Each load gets a number - a slow response for older filters must not replace a newer one
+    const loadSeqRef = useRef(0);
+
     const loadPage = useCallback(async (targetPage, isRefresh = false) => {
-        if (!storecode) return;
+        if (!storecode || !filters) return;
 
-        const cacheKey = CACHE_KEYS.POG_REQUESTS(storecode);
+        const seq = ++loadSeqRef.current;
+        const isStale = () => seq !== loadSeqRef.current;
 
         if (isRefresh) setRefreshing(true);
         else setLoading(true);
@@ -111,35 +143,41 @@ export default function PogRequestsScreen({ navigation }) {
         // Try network first if online
         if (isOnline) {
             try {
-                const result = await getMyPogRequests(storecode, targetPage, ITEMS_PER_PAGE);
+                const result = await getMyPogRequests(storecode, targetPage, ITEMS_PER_PAGE, toQueryParams(filters));
+                if (isStale()) return;
                 const newData = result?.data || [];
                 const total = result?.pagination?.total || 0;
 
                 setData(newData);
+                upsertRequests(storecode, newData);
                 setPage(targetPage);
                 setTotalCount(total);
                 setIsOfflineData(false);
                 setCachedAt(null);
 
-                // Cache page 1 data for offline use
-                if (targetPage === 1) {
-                    await setCache(cacheKey, { data: newData, total });
+                // Cache page 1 data for offline use (unfiltered list only)
+                if (targetPage === 1 && !hasActiveFilters(filters) && filters.sort === REQUEST_SORTS.NEWEST) {
+                    await saveRequests(storecode, { data: newData, total });
                 }
 
                 setLoading(false);
                 setRefreshing(false);
                 return;
             } catch (err) {
+                if (isStale()) return;
                 if (__DEV__) console.error('Load POG requests error:', err);
                 // Fall through to cache
             }
         }
 
         // Load from cache (offline or network failed) - only show cache for page 1 conceptually
-        const cached = await getCacheWithMeta(cacheKey);
+        const cached = await loadRequests(storecode, ITEMS_PER_PAGE);
+        if (isStale()) return;
         if (cached.data) {
-            setData(cached.data.data || []);
-            setTotalCount(cached.data.total || 0);
+            const cachedItems = cached.data.data || [];
+            const filtered = applyRequestFilters(cachedItems, filters);
+            setData(filtered);
+            setTotalCount(hasActiveFilters(filters) ? filtered.length : cached.data.total || 0);
             setCachedAt(cached.cachedAt);
             setIsOfflineData(true);
         } else {
@@ -148,12 +186,57 @@ export default function PogRequestsScreen({ navigation }) {
 
         setLoading(false);
         setRefreshing(false);
-    }, [storecode, isOnline]);
+    }, [storecode, isOnline, upsertRequests, filters]);
 
+    // Latest copy of each request from the shared store (e.g. cancelled elsewhere)
+    const pageData = useMemo(
+        () => data.map((item) => storedRequests?.[item.id] || item),
+        [data, storedRequests]
+    );
+
+    // Filters remembered from the last visit
     useEffect(() => {
-        loadPage(1);
+        if (!storecode) return;
+        setFilters(null);
+        loadRequestFilters(storecode).then((saved) => {
+            setFilters(saved);
+            setSearchInput(saved.search);
+        });
     }, [storecode]);
 
+    const updateFilters = (patch) => {
+        const next = { ...filters, ...patch };
+        setFilters(next);
+        saveRequestFilters(storecode, next);
+    };
+
+    useEffect(() => {
+        if (filters && debouncedSearch !== filters.search) updateFilters({ search: debouncedSearch });
+    }, [debouncedSearch]);
+
+    useEffect(() => {
+        if (filters) loadPage(1);
+    }, [storecode, filters]);
+
+    const openFilterModal = () => {
+        setDraftFilters(filters || DEFAULT_REQUEST_FILTERS);
+        setShowFilterModal(true);
+    };
+
+    const applyDraftFilters = () => {
+        setShowFilterModal(false);
+        updateFilters({ ...draftFilters, search: filters?.search || '' });
+    };
+
+    const clearFilters = () => {
+        setShowFilterModal(false);
+        setSearchInput('');
+        updateFilters({ ...DEFAULT_REQUEST_FILTERS });
+    };
+
+    const activeFilterCount = filters ? countActiveFilters(filters) : 0;
+    const isFiltered = !!filters && hasActiveFilters(filters);
+
     const goToPage = (targetPage) => {
         if (targetPage < 1 || targetPage > totalPages || targetPage === page) return;
         flatListRef.current?.scrollToOffset?.({ offset: 0, animated: false });
@@ -181,6 +264,7 @@ export default function PogRequestsScreen({ navigation }) {
                         item.id === id ? { ...item, status: 'cancelled' } : item
                     )
                 );
+                updateRequest(storecode, id, { status: 'cancelled' });
             }
         } catch (err) {
             if (__DEV__) console.error('Cancel request error:', err);
@@ -196,13 +280,17 @@ export default function PogRequestsScreen({ navigation }) {
     };
 
     const renderRequestItem = ({ item, index }) => {
-        const statusInfo = STATUS_MAP[item.status] || STATUS_MAP.pending;
-        const actionInfo = ACTION_MAP[item.action] || { label: item.action, icon: AlertTriangle, color: '#64748b', bg: '#f1f5f9' };
+        const statusInfo = getRequestStatusInfo(item.status);
+        const actionInfo = getRequestActionInfo(item.action);
         const StatusIcon = statusInfo.icon;
         const ActionIcon = actionInfo.icon;
 
         return (
-            <View style={styles.requestCard}>
+            <TouchableOpacity
+                style={styles.requestCard}
+                onPress={() => navigation.navigate('PogRequestDetail', { requestId: item.id })}
+                activeOpacity={0.7}
+            >
                 {/* Header: Index, Action & Status */}
                 <View style={styles.cardHeader}>
                     <View style={{ flexDirection: 'row', alignItems: 'center', gap: 8 }}>
@@ -221,7 +309,7 @@ export default function PogRequestsScreen({ navigation }) {
                                 {statusInfo.label}
                             </Text>
                         </View>
-                        {item.status === 'pending' && (
+                        {canCancel && item.status === 'pending' && (
                             <TouchableOpacity
                                 style={styles.cancelButton}
                                 onPress={() => handleCancelPress(item.id)}
@@ -252,10 +340,18 @@ export default function PogRequestsScreen({ navigation }) {
                         <MapPin size={14} color="#94a3b8" />
                         <Text style={styles.locationText} numberOfLines={1}>
                             {item.fromShelf && `${item.fromShelf} / ชั้น ${item.fromRow || '-'} / ลำดับ ${item.fromIndex || '-'}`}
-                            {(item.fromShelf && item.toShelf) && ' → '}
+                            {(item.fromShelf && item.toShelf) && (item.action === 'swap' ? ' ⇄ ' : ' → ')}
                             {item.toShelf && `${item.toShelf} / ชั้น ${item.toRow || '-'} / ลำดับ ${item.toIndex || '-'}`}
                         </Text>
                     </View>
+                    {item.action === 'swap' && !!item.swapBarcode && (
+                        <View style={styles.locationRow}>
+                            <ArrowRightLeft size={14} color="#94a3b8" />
+                            <Text style={styles.locationText} numberOfLines={1}>
+                                สลับกับ {item.swapProductName || item.swapBarcode}
+                            </Text>
+                        </View>
+                    )}
                     <View style={styles.dateRow}>
                         <Calendar size={14} color="#94a3b8" />
                         <Text style={styles.dateText}>{formatDate(item.createdAt)}</Text>
@@ -268,9 +364,14 @@ export default function PogRequestsScreen({ navigation }) {
                             </Text>
                         </View>
                     )}
+                    {item.photos?.length > 0 && (
+                        <View style={styles.photoRow}>
+                            <RequestPhotos photos={item.photos} size={40} max={4} />
+                        </View>
+                    )}
                 </View>
 
-            </View>
+            </TouchableOpacity>
         );
     };
 
@@ -291,6 +392,53 @@ export default function PogRequestsScreen({ navigation }) {
                         {branchName} • {totalCount} รายการ
                     </Text>
                 </View>
+                {canExport && (
+                    <TouchableOpacity style={styles.exportButton} onPress={() => setShowExportModal(true)}>
+                        <Download size={18} color="#10b981" />
+                    </TouchableOpacity>
+                )}
+                {canBatch && (
+                    <TouchableOpacity
+                        style={styles.batchButton}
+                        onPress={() => navigation.navigate('BatchPogRequest')}
+                    >
+                        <ListPlus size={16} color="#fff" />
+                        <Text style={styles.batchButtonText}>หลายรายการ</Text>
+                    </TouchableOpacity>
+                )}
+            </View>
+
+            {/* Search & Filters */}
+            <View style={styles.filterBar}>
+                <View style={styles.searchBox}>
+                    <Search size={16} color="#94a3b8" />
+                    <TextInput
+                        style={styles.searchInput}
+                        value={searchInput}
+                        onChangeText={setSearchInput}
+                        placeholder="ค้นหาบาร์โค้ด หรือชื่อสินค้า"
+                        placeholderTextColor="#94a3b8"
+                        returnKeyType="search"
+                        autoCorrect={false}
+                    />
+                    {!!searchInput && (
+                        <TouchableOpacity onPress={() => setSearchInput('')} hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}>
+                            <X size={16} color="#94a3b8" />
+                        </TouchableOpacity>
+                    )}
+                </View>
+                <TouchableOpacity
+                    style={[styles.filterButton, activeFilterCount > 0 && styles.filterButtonActive]}
+                    onPress={openFilterModal}
+                    disabled={!filters}
+                >
+                    <SlidersHorizontal size={18} color={activeFilterCount > 0 ? '#fff' : '#475569'} />
+                    {activeFilterCount > 0 && (
+                        <View style={styles.filterCountBadge}>
+                            <Text style={styles.filterCountText}>{activeFilterCount}</Text>
+                        </View>
+                    )}
+                </TouchableOpacity>
             </View>
 
             {/* Cached Data Notice */}
@@ -307,7 +455,7 @@ export default function PogRequestsScreen({ navigation }) {
             ) : (
                 <FlatList
                     ref={flatListRef}
-                    data={data}
+                    data={pageData}
                     keyExtractor={(item) => String(item.id)}
                     renderItem={renderRequestItem}
                     contentContainerStyle={styles.listContent}
@@ -322,7 +470,14 @@ export default function PogRequestsScreen({ navigation }) {
                     ListEmptyComponent={
                         <View style={styles.emptyContainer}>
                             <Clock size={48} color="#cbd5e1" />
-                            <Text style={styles.emptyText}>ไม่มีประวัติคำขอ</Text>
+                            <Text style={styles.emptyText}>
+                                {isFiltered ? 'ไม่พบคำขอที่ตรงกับตัวกรอง' : 'ไม่มีประวัติคำขอ'}
+                            </Text>
+                            {isFiltered && (
+                                <TouchableOpacity style={styles.clearFilterButton} onPress={clearFilters}>
+                                    <Text style={styles.clearFilterText}>ล้างตัวกรอง</Text>
+                                </TouchableOpacity>
+                            )}
                         </View>
                     }
                 />
@@ -381,6 +536,115 @@ export default function PogRequestsScreen({ navigation }) {
                     </View>
                 </View>
             </Modal>
+
+            {/* Filter Sheet */}
+            <Modal
+                visible={showFilterModal}
+                transparent
+                animationType="slide"
+                onRequestClose={() => setShowFilterModal(false)}
+            >
+                <View style={styles.sheetOverlay}>
+                    <View style={styles.sheetContainer}>
+                        <View style={styles.sheetHeader}>
+                            <Text style={styles.sheetTitle}>ตัวกรองคำขอ</Text>
+                            <TouchableOpacity onPress={() => setShowFilterModal(false)}>
+                                <X size={22} color="#64748b" />
+                            </TouchableOpacity>
+                        </View>
+
+                        <ScrollView contentContainerStyle={styles.sheetContent} keyboardShouldPersistTaps="handled">
+                            <Text style={styles.sheetLabel}>สถานะ</Text>
+                            <View style={styles.chipRow}>
+                                {[null, ...Object.keys(REQUEST_STATUS_MAP)].map((key) => (
+                                    <TouchableOpacity
+                                        key={key || 'all'}
+                                        style={[styles.chip, draftFilters.status === key && styles.chipActive]}
+                                        onPress={() => setDraftFilters((prev) => ({ ...prev, status: key }))}
+                                    >
+                                        <Text style={[styles.chipText, draftFilters.status === key && styles.chipTextActive]}>
+                                            {key ? REQUEST_STATUS_MAP[key].label : 'ทั้งหมด'}
+                                        </Text>
+                                    </TouchableOpacity>
+                                ))}
+                            </View>
+
+                            <Text style={styles.sheetLabel}>ประเภท</Text>
+                            <View style={styles.chipRow}>
+                                {[null, ...Object.keys(REQUEST_ACTION_MAP)].map((key) => (
+                                    <TouchableOpacity
+                                        key={key || 'all'}
+                                        style={[styles.chip, draftFilters.action === key && styles.chipActive]}
+                                        onPress={() => setDraftFilters((prev) => ({ ...prev, action: key }))}
+                                    >
+                                        <Text style={[styles.chipText, draftFilters.action === key && styles.chipTextActive]}>
+                                            {key ? REQUEST_ACTION_MAP[key].label : 'ทั้งหมด'}
+                                        </Text>
+                                    </TouchableOpacity>
+                                ))}
+                            </View>
+
+                            <Text style={styles.sheetLabel}>ช่วงวันที่</Text>
+                            <View style={styles.chipRow}>
+                                {Object.values(DATE_RANGES).map((key) => (
+                                    <TouchableOpacity
+                                        key={key}
+                                        style={[styles.chip, draftFilters.range === key && styles.chipActive]}
+                                        onPress={() => setDraftFilters((prev) => ({ ...prev, range: key }))}
+                                    >
+                                        <Text style={[styles.chipText, draftFilters.range === key && styles.chipTextActive]}>
+                                            {DATE_RANGE_LABELS[key]}
+                                        </Text>
+                                    </TouchableOpacity>
+                                ))}
+                            </View>
+
+                            <Text style={styles.sheetLabel}>ชั้นวาง</Text>
+                            <TextInput
+                                style={styles.shelfInput}
+                                value={draftFilters.shelf}
+                                onChangeText={(text) => setDraftFilters((prev) => ({ ...prev, shelf: text }))}
+                                placeholder="รหัสชั้นวาง เช่น A01"
+                                placeholderTextColor="#94a3b8"
+                                autoCapitalize="characters"
+                                autoCorrect={false}
+                            />
+
+                            <Text style={styles.sheetLabel}>เรียงลำดับ</Text>
+                            <View style={styles.chipRow}>
+                                {Object.values(REQUEST_SORTS).map((key) => (
+                                    <TouchableOpacity
+                                        key={key}
+                                        style={[styles.chip, draftFilters.sort === key && styles.chipActive]}
+                                        onPress={() => setDraftFilters((prev) => ({ ...prev, sort: key }))}
+                                    >
+                                        <Text style={[styles.chipText, draftFilters.sort === key && styles.chipTextActive]}>
+                                            {SORT_LABELS[key]}
+                                        </Text>
+                                    </TouchableOpacity>
+                                ))}
+                            </View>
+                        </ScrollView>
+
+                        <View style={styles.modalButtons}>
+                            <TouchableOpacity style={[styles.modalButton, styles.btnCancel]} onPress={clearFilters}>
+                                <Text style={styles.btnTextCancel}>ล้างตัวกรอง</Text>
+                            </TouchableOpacity>
+                            <TouchableOpacity style={[styles.modalButton, styles.btnApply]} onPress={applyDraftFilters}>
+                                <Text style={styles.btnTextConfirm}>ใช้ตัวกรอง</Text>
+                            </TouchableOpacity>
+                        </View>
+                    </View>
+                </View>
+            </Modal>
+
+            {/* Export to spreadsheet */}
+            <ExportRangeModal
+                visible={showExportModal}
+                title="ส่งออกประวัติคำขอ"
+                onClose={() => setShowExportModal(false)}
+                onExport={(range) => exportPogRequests(storecode, range)}
+            />
         </SafeAreaView>
     );
 }
@@ -413,6 +677,26 @@ const styles = StyleSheet.create({
     headerInfo: {
         flex: 1,
     },
+    exportButton: {
+        padding: 8,
+        marginRight: 8,
+        borderRadius: 8,
+        backgroundColor: '#ecfdf5',
+    },
+    batchButton: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 4,
+        backgroundColor: '#8b5cf6',
+        paddingHorizontal: 10,
+        paddingVertical: 8,
+        borderRadius: 8,
+    },
+    batchButtonText: {
+        color: '#fff',
+        fontSize: 12,
+        fontWeight: '600',
+    },
     title: {
         fontSize: 17,
         fontWeight: '600',
@@ -536,6 +820,10 @@ const styles = StyleSheet.create({
         lineHeight: 18,
     },
 
+    photoRow: {
+        marginTop: 4,
+    },
+
     // Cancel Button
     cancelButton: {
         backgroundColor: '#fff1f2',
@@ -649,6 +937,142 @@ const styles = StyleSheet.create({
         fontWeight: '600',
     },
 
+    // Search & Filters
+    filterBar: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 8,
+        paddingHorizontal: 16,
+        paddingVertical: 10,
+        backgroundColor: '#fff',
+        borderBottomWidth: 1,
+        borderBottomColor: '#f1f5f9',
+    },
+    searchBox: {
+        flex: 1,
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 8,
+        paddingHorizontal: 12,
+        borderRadius: 10,
+        backgroundColor: '#f1f5f9',
+    },
+    searchInput: {
+        flex: 1,
+        paddingVertical: Platform.OS === 'ios' ? 10 : 6,
+        fontSize: 14,
+        color: '#1e293b',
+    },
+    filterButton: {
+        padding: 10,
+        borderRadius: 10,
+        backgroundColor: '#f1f5f9',
+    },
+    filterButtonActive: {
+        backgroundColor: '#10b981',
+    },
+    filterCountBadge: {
+        position: 'absolute',
+        top: -4,
+        right: -4,
+        minWidth: 18,
+        height: 18,
+        borderRadius: 9,
+        paddingHorizontal: 4,
+        backgroundColor: '#ef4444',
+        justifyContent: 'center',
+        alignItems: 'center',
+    },
+    filterCountText: {
+        color: '#fff',
+        fontSize: 11,
+        fontWeight: '700',
+    },
+    clearFilterButton: {
+        marginTop: 12,
+        paddingHorizontal: 16,
+        paddingVertical: 8,
+        borderRadius: 8,
+        backgroundColor: '#ecfdf5',
+    },
+    clearFilterText: {
+        color: '#10b981',
+        fontWeight: '600',
+    },
+
+    // Filter Sheet
+    sheetOverlay: {
+        flex: 1,
+        backgroundColor: 'rgba(15, 23, 42, 0.4)',
+        justifyContent: 'flex-end',
+    },
+    sheetContainer: {
+        backgroundColor: '#fff',
+        borderTopLeftRadius: 24,
+        borderTopRightRadius: 24,
+        padding: 20,
+        paddingBottom: 32,
+        maxHeight: '85%',
+    },
+    sheetHeader: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        marginBottom: 8,
+    },
+    sheetTitle: {
+        fontSize: 18,
+        fontWeight: '700',
+        color: '#1e293b',
+    },
+    sheetContent: {
+        paddingBottom: 16,
+    },
+    sheetLabel: {
+        fontSize: 13,
+        fontWeight: '600',
+        color: '#475569',
+        marginTop: 16,
+        marginBottom: 8,
+    },
+    chipRow: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        gap: 8,
+    },
+    chip: {
+        paddingHorizontal: 12,
+        paddingVertical: 8,
+        borderRadius: 20,
+        backgroundColor: '#f1f5f9',
+        borderWidth: 1,
+        borderColor: '#e2e8f0',
+    },
+    chipActive: {
+        backgroundColor: '#10b981',
+        borderColor: '#10b981',
+    },
+    chipText: {
+        fontSize: 13,
+        fontWeight: '600',
+        color: '#475569',
+    },
+    chipTextActive: {
+        color: '#fff',
+    },
+    shelfInput: {
+        borderWidth: 1,
+        borderColor: '#e2e8f0',
+        borderRadius: 10,
+        paddingHorizontal: 12,
+        paddingVertical: Platform.OS === 'ios' ? 12 : 8,
+        fontSize: 14,
+        color: '#1e293b',
+    },
+    btnApply: {
+        backgroundColor: '#10b981',
+    },
+
     // Pagination
     paginationBar: {
         flexDirection: 'row',
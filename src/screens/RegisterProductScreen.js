@@ -7,7 +7,7 @@
 // IMPORTS
 // =============================================================================
 
-import React, { useState, useEffect, useRef, useCallback } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import {
     View,
     Text,
@@ -29,13 +29,15 @@ import {
 
 import useAuthStore from '../store/authStore';
 import useBranchStore from '../store/branchStore';
+import useBranchDataStore, { selectShelfList } from '../store/branchDataStore';
 import {
     checkProductExists,
-    getShelvesForRegister,
     getNextIndex,
     registerProduct
 } from '../api/user';
 import { getErrorMessage } from '../utils/errorHelper';
+import { enqueue, isNetworkError, OUTBOX_TYPES } from '../services/outboxService';
+import { useNetwork } from '../contexts/NetworkContext';
 
 // =============================================================================
 // CONSTANTS
@@ -54,9 +56,12 @@ export default function RegisterProductScreen({ navigation }) {
     // -------------------------------------------------------------------------
     const user = useAuthStore((s) => s.user);
     const branchCode = user?.storecode || user?.name;
+    const branchData = useBranchDataStore((s) => s.byBranch[branchCode]);
+    const loadShelves = useBranchDataStore((s) => s.loadShelves);
+    const invalidateBranchData = useBranchDataStore((s) => s.invalidate);
 
     const [permission, requestPermission] = useCameraPermissions();
-    const [step, setStep] = useState('scan'); // scan, select, confirm, success
+    const [step, setStep] = useState('scan'); // scan, select, confirm, success, queued
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState('');
 
@@ -67,7 +72,11 @@ export default function RegisterProductScreen({ navigation }) {
     const [existingLocation, setExistingLocation] = useState(null);
 
     // Shelf/Row selection
-    const [shelves, setShelves] = useState([]);
+    // Shelves from the shared branch store (natural sort: W1, W2 ... W10)
+    const shelves = useMemo(
+        () => selectShelfList(branchData),
+        [branchData?.shelves, branchData?.placements]
+    );
     const [selectedShelf, setSelectedShelf] = useState(null);
     const [selectedRow, setSelectedRow] = useState(null);
     const [nextIndex, setNextIndex] = useState(1);
@@ -89,6 +98,10 @@ export default function RegisterProductScreen({ navigation }) {
     const branchName = getBranchName(branchCode);
     const hasPermission = Platform.OS === 'web' ? true : permission?.granted;
 
+    // Network status
+    const { isConnected, isInternetReachable } = useNetwork();
+    const isOnline = isConnected && isInternetReachable;
+
     // -------------------------------------------------------------------------
     // Effects
     // -------------------------------------------------------------------------
@@ -100,7 +113,7 @@ export default function RegisterProductScreen({ navigation }) {
 
     useEffect(() => {
         if (branchCode) {
-            loadShelves();
+            loadShelves(branchCode);
         }
     }, [branchCode]);
 
@@ -113,21 +126,6 @@ export default function RegisterProductScreen({ navigation }) {
     // -------------------------------------------------------------------------
     // API Functions
     // -------------------------------------------------------------------------
-    const loadShelves = async () => {
-        try {
-            const data = await getShelvesForRegister(branchCode);
-            if (data.ok) {
-                // เรียงลำดับแบบ natural sort (W1, W2, W3...W10, W11, W12)
-                const sorted = [...data.shelves].sort((a, b) => {
-                    return a.shelfCode.localeCompare(b.shelfCode, undefined, { numeric: true, sensitivity: 'base' });
-                });
-                setShelves(sorted);
-            }
-        } catch (err) {
-            if (__DEV__) console.error('Failed to load shelves:', err);
-        }
-    };
-
     const loadNextIndex = async () => {
         try {
             const data = await getNextIndex(branchCode, selectedShelf.shelfCode, selectedRow);
@@ -205,22 +203,52 @@ export default function RegisterProductScreen({ navigation }) {
             return;
         }
 
-        setLoading(true);
-        try {
-            const data = await registerProduct({
-                branchCode,
+        const payload = {
+            branchCode,
+            barcode: scannedBarcode,
+            shelfCode: selectedShelf.shelfCode,
+            rowNo: selectedRow,
+        };
+
+        // Offline: queue the registration and send it when back online
+        const queueRegistration = async () => {
+            const item = await enqueue(OUTBOX_TYPES.REGISTER_PRODUCT, payload, {
                 barcode: scannedBarcode,
-                shelfCode: selectedShelf.shelfCode,
-                rowNo: selectedRow,
+                productName: product?.nameProduct || '',
+                branchCode,
+                summary: `${selectedShelf.shelfCode} / ชั้น ${selectedRow}`,
             });
+            if (item) {
+                setStep('queued');
+            } else {
+                Alert.alert('ผิดพลาด', 'ไม่สามารถบันทึกข้อมูลไว้ในเครื่องได้');
+            }
+        };
+
+        setLoading(true);
+
+        if (!isOnline) {
+            await queueRegistration();
+            setLoading(false);
+            return;
+        }
+
+        try {
+            const data = await registerProduct(payload);
 
             if (data.ok) {
+                // Product was placed on a shelf - planogram/shelves need a reload
+                invalidateBranchData(branchCode, ['planogram', 'shelves']);
                 setStep('success');
             } else {
                 Alert.alert('ผิดพลาด', data.msg || 'ไม่สามารถลงทะเบียนได้');
             }
         } catch (err) {
-            Alert.alert('ผิดพลาด', getErrorMessage(err));
+            if (isNetworkError(err)) {
+                await queueRegistration();
+            } else {
+                Alert.alert('ผิดพลาด', getErrorMessage(err));
+            }
         } finally {
             setLoading(false);
         }
@@ -420,8 +448,13 @@ export default function RegisterProductScreen({ navigation }) {
                 <View style={styles.successIcon}>
                     <Check size={48} color="#fff" />
                 </View>
-                <Text style={styles.successTitle}>ลงทะเบียนสำเร็จ!</Text>
+                <Text style={styles.successTitle}>
+                    {step === 'queued' ? 'บันทึกไว้รอส่ง' : 'ลงทะเบียนสำเร็จ!'}
+                </Text>
                 <Text style={styles.productName}>{product?.nameProduct}</Text>
+                {step === 'queued' && (
+                    <Text style={styles.productBrand}>ข้อมูลจะถูกส่งอัตโนมัติเมื่อกลับมาออนไลน์</Text>
+                )}
 
                 <View style={styles.locationBadge}>
                     <MapPin size={16} color="#10b981" />
@@ -464,7 +497,7 @@ export default function RegisterProductScreen({ navigation }) {
             {step === 'scan' && renderScanner()}
             {step === 'exists' && renderProductExists()}
             {step === 'select' && renderSelectLocation()}
-            {step === 'success' && renderSuccess()}
+            {(step === 'success' || step === 'queued') && renderSuccess()}
 
             {/* Manual Input Modal */}
             <Modal visible={showManualInput} transparent animationType="fade">
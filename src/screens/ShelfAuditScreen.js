@@ -0,0 +1,831 @@
+/**
+ * ShelfAuditScreen - Planogram compliance audit for one shelf
+ * Walk the shelf row by row scanning what is physically there, then compare
+ * with the planogram and raise POG requests from each finding
+ */
+
+// =============================================================================
+// IMPORTS
+// =============================================================================
+
+// React
+import React, { useState, useEffect, useMemo, useRef, useCallback } from 'react';
+
+// React Native
+import {
+    View,
+    Text,
+    TouchableOpacity,
+    StyleSheet,
+    ActivityIndicator,
+    Platform,
+    TextInput,
+    ScrollView,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+
+// Third-party
+import { CameraView, useCameraPermissions } from 'expo-camera';
+
+// Icons
+import {
+    ChevronLeft, Keyboard, ScanLine, Plus, Trash2, Check,
+    AlertTriangle, PackageX, PackagePlus, ArrowRightLeft, ChevronRight, Inbox
+} from 'lucide-react-native';
+
+// Local imports
+import useAuthStore from '../store/authStore';
+import useBranchDataStore, { selectPlanogramItems } from '../store/branchDataStore';
+import { usePermission } from '../hooks/usePermission';
+import { PERMISSIONS } from '../constants/permissions';
+import { groupByShelf, auditShelf } from '../utils/planogram';
+import { lightFeedback, warningFeedback } from '../utils/haptics';
+import { OfflineBanner } from '../components/OfflineIndicator';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/** Product barcode types (QR is not a product) */
+const BARCODE_TYPES = [
+    'ean13', 'ean8', 'upc_a', 'upc_e',
+    'code128', 'code39', 'code93',
+    'itf14', 'codabar'
+];
+
+/** Same barcode is ignored within this window (ms) */
+const SCAN_COOLDOWN_MS = 1500;
+
+// =============================================================================
+// MAIN COMPONENT
+// =============================================================================
+
+export default function ShelfAuditScreen({ navigation, route }) {
+    // -------------------------------------------------------------------------
+    // State & Store
+    // -------------------------------------------------------------------------
+    const user = useAuthStore((s) => s.user);
+    const storecode = user?.storecode || user?.name;
+    const canRequest = usePermission(PERMISSIONS.CREATE_POG_REQUEST);
+    const shelfCode = route.params?.shelfCode;
+
+    const [permission, requestPermission] = useCameraPermissions();
+    const branchData = useBranchDataStore((s) => s.byBranch[storecode]);
+    const loadPlanogram = useBranchDataStore((s) => s.loadPlanogram);
+    const items = useMemo(
+        () => selectPlanogramItems(branchData),
+        [branchData?.placements, branchData?.products, branchData?.shelves]
+    );
+    const loading = !branchData || (branchData.loading.planogram && !branchData.loadedAt.planogram);
+    const [step, setStep] = useState('scan'); // 'scan' | 'result'
+    const [currentRow, setCurrentRow] = useState(1);
+    const [scansByRow, setScansByRow] = useState({});
+    const [showManualInput, setShowManualInput] = useState(false);
+    const [manualBarcode, setManualBarcode] = useState('');
+    const [notice, setNotice] = useState('');
+
+    const lastScanTime = useRef(0);
+    const lastBarcode = useRef('');
+
+    const hasPermission = Platform.OS === 'web' ? true : permission?.granted;
+
+    // -------------------------------------------------------------------------
+    // Effects
+    // -------------------------------------------------------------------------
+    useEffect(() => {
+        if (Platform.OS !== 'web' && !permission) {
+            requestPermission();
+        }
+    }, [permission, requestPermission]);
+
+    // Planogram from the shared branch store (cached data first, then network)
+    useEffect(() => {
+        if (!storecode) return;
+        loadPlanogram(storecode);
+    }, [storecode]);
+
+    // -------------------------------------------------------------------------
+    // Derived Values
+    // -------------------------------------------------------------------------
+    const shelf = useMemo(
+        () => groupByShelf(items).find((s) => s.shelfCode === shelfCode) || null,
+        [items, shelfCode]
+    );
+
+    // Whole-branch lookup so items from other shelves become "move" instead of "add"
+    const productMap = useMemo(() => {
+        const map = {};
+        items.forEach((item) => {
+            if (item.barcode && !map[item.barcode]) map[item.barcode] = item;
+        });
+        return map;
+    }, [items]);
+
+    const rowQty = shelf?.rowQty || 0;
+    const rowScans = scansByRow[currentRow] || [];
+    const expectedInRow = useMemo(
+        () => (shelf?.products || []).filter((p) => Number(p.rowNo) === currentRow),
+        [shelf, currentRow]
+    );
+
+    const result = useMemo(
+        () => (step === 'result' && shelf ? auditShelf(shelf, scansByRow) : null),
+        [step, shelf, scansByRow]
+    );
+
+    const issueCount = result
+        ? result.missing.length + result.unexpected.length + result.wrongPosition.length
+        : 0;
+
+    // -------------------------------------------------------------------------
+    // Scan Handlers
+    // -------------------------------------------------------------------------
+    const addScan = useCallback((barcode) => {
+        // Repeated facings of the same product are only recorded once
+        const alreadyRow = Object.keys(scansByRow).find((row) => (scansByRow[row] || []).includes(barcode));
+        if (alreadyRow) {
+            setNotice(`สแกนแล้วที่ชั้น ${alreadyRow}`);
+            warningFeedback();
+            return;
+        }
+        setNotice('');
+        lightFeedback();
+        setScansByRow((prev) => ({ ...prev, [currentRow]: [...(prev[currentRow] || []), barcode] }));
+    }, [currentRow, scansByRow]);
+
+    const handleBarCodeScanned = useCallback(({ data }) => {
+        const now = Date.now();
+        const barcode = String(data).trim();
+
+        if (barcode.length < 5 || barcode.length > 20) return;
+        if (barcode === lastBarcode.current && now - lastScanTime.current < SCAN_COOLDOWN_MS) return;
+
+        lastScanTime.current = now;
+        lastBarcode.current = barcode;
+        addScan(barcode);
+    }, [addScan]);
+
+    const handleManualAdd = () => {
+        const barcode = manualBarcode.trim();
+        if (!barcode) return;
+        addScan(barcode);
+        setManualBarcode('');
+    };
+
+    const removeScan = (barcode) => {
+        setScansByRow((prev) => ({
+            ...prev,
+            [currentRow]: (prev[currentRow] || []).filter((bc) => bc !== barcode),
+        }));
+    };
+
+    const goToRow = (rowNo) => {
+        setCurrentRow(rowNo);
+        setNotice('');
+        lastBarcode.current = '';
+    };
+
+    // -------------------------------------------------------------------------
+    // Finding -> POG Request
+    // -------------------------------------------------------------------------
+    const raiseRequest = (action, barcode, target = null) => {
+        const product = productMap[barcode];
+        navigation.navigate('CreatePogRequest', {
+            barcode,
+            productName: product?.nameProduct || product?.nameBrand || '',
+            currentShelf: product?.shelfCode || '',
+            currentRow: product?.rowNo || '',
+            currentIndex: product?.index || '',
+            defaultAction: action,
+            productExists: !!product,
+            targetShelf: target ? shelfCode : undefined,
+            targetRow: target?.rowNo,
+            targetIndex: target?.index,
+            source: 'ShelfAudit',
+        });
+    };
+
+    // -------------------------------------------------------------------------
+    // Render Helpers
+    // -------------------------------------------------------------------------
+    const getName = (barcode) => {
+        const product = productMap[barcode];
+        return product?.nameProduct || product?.nameBrand || 'ไม่พบใน Planogram';
+    };
+
+    const renderFinding = ({ key, icon: Icon, color, bg, title, subtitle, detail, actionLabel, onPress }) => (
+        <View key={key} style={styles.findingCard}>
+            <View style={[styles.findingIcon, { backgroundColor: bg }]}>
+                <Icon size={18} color={color} />
+            </View>
+            <View style={styles.findingInfo}>
+                <Text style={styles.findingTitle} numberOfLines={2}>{title}</Text>
+                <Text style={styles.findingBarcode}>{subtitle}</Text>
+                <Text style={[styles.findingDetail, { color }]}>{detail}</Text>
+            </View>
+            {canRequest && (
+                <TouchableOpacity style={[styles.findingAction, { borderColor: color }]} onPress={onPress}>
+                    <Text style={[styles.findingActionText, { color }]}>{actionLabel}</Text>
+                </TouchableOpacity>
+            )}
+        </View>
+    );
+
+    const renderHeader = () => (
+        <View style={styles.header}>
+            <TouchableOpacity style={styles.backButton} onPress={() => navigation.goBack()}>
+                <ChevronLeft size={24} color="#10b981" />
+                <Text style={styles.backButtonText}>กลับ</Text>
+            </TouchableOpacity>
+            <View style={styles.headerInfo}>
+                <Text style={styles.title}>ตรวจชั้นวาง {shelfCode}</Text>
+                <Text style={styles.subtitle} numberOfLines={1}>{shelf?.fullName || '-'}</Text>
+            </View>
+            {step === 'scan' && (
+                <TouchableOpacity style={styles.iconButton} onPress={() => setShowManualInput(!showManualInput)}>
+                    {showManualInput ? <ScanLine color="#1e293b" size={24} /> : <Keyboard color="#1e293b" size={24} />}
+                </TouchableOpacity>
+            )}
+        </View>
+    );
+
+    // -------------------------------------------------------------------------
+    // Render: Loading / Not Found
+    // -------------------------------------------------------------------------
+    if (loading || !shelf) {
+        return (
+            <SafeAreaView style={styles.container} edges={['top', 'left', 'right']}>
+                {renderHeader()}
+                <View style={styles.centerContent}>
+                    {loading ? (
+                        <ActivityIndicator size="large" color="#10b981" />
+                    ) : (
+                        <>
+                            <Inbox size={48} color="#cbd5e1" />
+                            <Text style={styles.emptyText}>ไม่พบข้อมูล Shelf นี้ใน Planogram</Text>
+                        </>
+                    )}
+                </View>
+            </SafeAreaView>
+        );
+    }
+
+    // -------------------------------------------------------------------------
+    // Render: Result
+    // -------------------------------------------------------------------------
+    if (step === 'result' && result) {
+        return (
+            <SafeAreaView style={styles.container} edges={['top', 'left', 'right']}>
+                <OfflineBanner />
+                {renderHeader()}
+
+                <ScrollView contentContainerStyle={styles.resultContent}>
+                    {/* Summary */}
+                    <View style={styles.summaryRow}>
+                        <View style={[styles.summaryBox, { backgroundColor: '#dcfce7' }]}>
+                            <Text style={[styles.summaryValue, { color: '#15803d' }]}>{result.inPlace}</Text>
+                            <Text style={styles.summaryLabel}>ถูกต้อง</Text>
+                        </View>
+                        <View style={[styles.summaryBox, { backgroundColor: '#fee2e2' }]}>
+                            <Text style={[styles.summaryValue, { color: '#b91c1c' }]}>{result.missing.length}</Text>
+                            <Text style={styles.summaryLabel}>ไม่พบ</Text>
+                        </View>
+                        <View style={[styles.summaryBox, { backgroundColor: '#fef3c7' }]}>
+                            <Text style={[styles.summaryValue, { color: '#b45309' }]}>{result.unexpected.length}</Text>
+                            <Text style={styles.summaryLabel}>เกินมา</Text>
+                        </View>
+                        <View style={[styles.summaryBox, { backgroundColor: '#dbeafe' }]}>
+                            <Text style={[styles.summaryValue, { color: '#1d4ed8' }]}>{result.wrongPosition.length}</Text>
+                            <Text style={styles.summaryLabel}>ผิดตำแหน่ง</Text>
+                        </View>
+                    </View>
+
+                    {issueCount === 0 && (
+                        <View style={styles.allGoodBox}>
+                            <Check size={32} color="#15803d" />
+                            <Text style={styles.allGoodText}>ชั้นวางตรงกับ Planogram</Text>
+                        </View>
+                    )}
+
+                    {/* Missing -> delete */}
+                    {result.missing.length > 0 && (
+                        <Text style={styles.sectionTitle}>ไม่พบบนชั้นวาง</Text>
+                    )}
+                    {result.missing.map((product) => renderFinding({
+                        key: `missing-${product.barcode}`,
+                        icon: PackageX,
+                        color: '#dc2626',
+                        bg: '#fee2e2',
+                        title: product.nameProduct || product.nameBrand || '-',
+                        subtitle: product.barcode,
+                        detail: `ควรอยู่ชั้น ${product.rowNo} ลำดับ ${product.index}`,
+                        actionLabel: 'ขอลบ',
+                        onPress: () => raiseRequest('delete', product.barcode),
+                    }))}
+
+                    {/* Unexpected -> add (or move if it belongs to another shelf) */}
+                    {result.unexpected.length > 0 && (
+                        <Text style={styles.sectionTitle}>ไม่อยู่ใน Planogram ของชั้นนี้</Text>
+                    )}
+                    {result.unexpected.map((scan) => {
+                        const elsewhere = productMap[scan.barcode];
+                        return renderFinding({
+                            key: `unexpected-${scan.barcode}`,
+                            icon: PackagePlus,
+                            color: '#d97706',
+                            bg: '#fef3c7',
+                            title: getName(scan.barcode),
+                            subtitle: scan.barcode,
+                            detail: elsewhere
+                                ? `พบที่ชั้น ${scan.rowNo} ลำดับ ${scan.index} (Planogram: ${elsewhere.shelfCode})`
+                                : `พบที่ชั้น ${scan.rowNo} ลำดับ ${scan.index}`,
+                            actionLabel: elsewhere ? 'ขอย้าย' : 'ขอเพิ่ม',
+                            onPress: () => raiseRequest(elsewhere ? 'move' : 'add', scan.barcode, scan),
+                        });
+                    })}
+
+                    {/* Wrong position -> move */}
+                    {result.wrongPosition.length > 0 && (
+                        <Text style={styles.sectionTitle}>ผิดตำแหน่ง</Text>
+                    )}
+                    {result.wrongPosition.map((finding) => renderFinding({
+                        key: `wrong-${finding.barcode}`,
+                        icon: ArrowRightLeft,
+                        color: '#2563eb',
+                        bg: '#dbeafe',
+                        title: getName(finding.barcode),
+                        subtitle: finding.barcode,
+                        detail: `Planogram ชั้น ${finding.expectedRow} ลำดับ ${finding.expectedIndex} → พบชั้น ${finding.rowNo} ลำดับ ${finding.index}`,
+                        actionLabel: 'ขอย้าย',
+                        onPress: () => raiseRequest('move', finding.barcode, finding),
+                    }))}
+                </ScrollView>
+
+                <View style={styles.footer}>
+                    <TouchableOpacity style={[styles.footerButton, styles.secondaryButton]} onPress={() => setStep('scan')}>
+                        <ScanLine size={18} color="#475569" />
+                        <Text style={styles.secondaryButtonText}>กลับไปสแกน</Text>
+                    </TouchableOpacity>
+                </View>
+            </SafeAreaView>
+        );
+    }
+
+    // -------------------------------------------------------------------------
+    // Render: Scan
+    // -------------------------------------------------------------------------
+    return (
+        <SafeAreaView style={styles.container} edges={['top', 'left', 'right']}>
+            <OfflineBanner />
+            {renderHeader()}
+
+            {/* Row Tabs */}
+            <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.rowTabs}>
+                {Array.from({ length: rowQty }).map((_, idx) => {
+                    const rowNo = idx + 1;
+                    const scanned = (scansByRow[rowNo] || []).length;
+                    const active = rowNo === currentRow;
+                    return (
+                        <TouchableOpacity
+                            key={rowNo}
+                            style={[styles.rowTab, active && styles.rowTabActive]}
+                            onPress={() => goToRow(rowNo)}
+                        >
+                            <Text style={[styles.rowTabText, active && styles.rowTabTextActive]}>ชั้น {rowNo}</Text>
+                            {scanned > 0 && (
+                                <Text style={[styles.rowTabCount, active && styles.rowTabTextActive]}>{scanned}</Text>
+                            )}
+                        </TouchableOpacity>
+                    );
+                })}
+            </ScrollView>
+
+            {/* Scanner / Manual Input */}
+            {showManualInput || !hasPermission ? (
+                <View style={styles.manualInputContainer}>
+                    <TextInput
+                        style={styles.manualInput}
+                        value={manualBarcode}
+                        onChangeText={setManualBarcode}
+                        placeholder="พิมพ์บาร์โค้ด..."
+                        placeholderTextColor="#94a3b8"
+                        keyboardType="numeric"
+                        onSubmitEditing={handleManualAdd}
+                        autoFocus
+                    />
+                    <TouchableOpacity
+                        style={[styles.addButton, !manualBarcode.trim() && styles.disabledButton]}
+                        onPress={handleManualAdd}
+                        disabled={!manualBarcode.trim()}
+                    >
+                        <Plus color="#fff" size={20} />
+                    </TouchableOpacity>
+                </View>
+            ) : (
+                <View style={styles.cameraContainer}>
+                    <CameraView
+                        style={StyleSheet.absoluteFillObject}
+                        facing="back"
+                        barcodeScannerSettings={{ barcodeTypes: BARCODE_TYPES }}
+                        onBarcodeScanned={handleBarCodeScanned}
+                    />
+                    <View style={styles.scanLine} />
+                    <Text style={styles.scanHint}>สแกนสินค้าชั้น {currentRow} จากซ้ายไปขวา</Text>
+                </View>
+            )}
+
+            {!!notice && (
+                <View style={styles.noticeBox}>
+                    <AlertTriangle size={14} color="#b45309" />
+                    <Text style={styles.noticeText}>{notice}</Text>
+                </View>
+            )}
+
+            {/* Scanned items in this row */}
+            <ScrollView contentContainerStyle={styles.scanList}>
+                <Text style={styles.sectionTitle}>
+                    ชั้น {currentRow}: สแกนแล้ว {rowScans.length} / Planogram {expectedInRow.length} รายการ
+                </Text>
+                {rowScans.map((barcode, idx) => {
+                    const product = productMap[barcode];
+                    const belongsHere = product && product.shelfCode === shelfCode;
+                    return (
+                        <View key={barcode} style={styles.scanRow}>
+                            <View style={styles.indexBadge}>
+                                <Text style={styles.indexText}>{idx + 1}</Text>
+                            </View>
+                            <View style={styles.scanInfo}>
+                                <Text style={styles.scanName} numberOfLines={1}>{getName(barcode)}</Text>
+                                <Text style={[styles.scanBarcode, !belongsHere && { color: '#d97706' }]}>
+                                    {barcode}{!belongsHere ? ' • ไม่อยู่ในชั้นนี้' : ''}
+                                </Text>
+                            </View>
+                            <TouchableOpacity style={styles.removeButton} onPress={() => removeScan(barcode)}>
+                                <Trash2 size={16} color="#ef4444" />
+                            </TouchableOpacity>
+                        </View>
+                    );
+                })}
+                {rowScans.length === 0 && (
+                    <Text style={styles.emptyRowText}>ยังไม่ได้สแกนสินค้าในชั้นนี้</Text>
+                )}
+            </ScrollView>
+
+            {/* Footer */}
+            <View style={styles.footer}>
+                {currentRow < rowQty && (
+                    <TouchableOpacity
+                        style={[styles.footerButton, styles.secondaryButton]}
+                        onPress={() => goToRow(currentRow + 1)}
+                    >
+                        <Text style={styles.secondaryButtonText}>ชั้นถัดไป</Text>
+                        <ChevronRight size={18} color="#475569" />
+                    </TouchableOpacity>
+                )}
+                <TouchableOpacity style={[styles.footerButton, styles.primaryButton]} onPress={() => setStep('result')}>
+                    <Check size={18} color="#fff" />
+                    <Text style={styles.primaryButtonText}>ดูผลตรวจ</Text>
+                </TouchableOpacity>
+            </View>
+        </SafeAreaView>
+    );
+}
+
+// =============================================================================
+// STYLES
+// =============================================================================
+
+const styles = StyleSheet.create({
+    // Layout
+    container: {
+        flex: 1,
+        backgroundColor: '#f8fafc',
+    },
+    centerContent: {
+        flex: 1,
+        justifyContent: 'center',
+        alignItems: 'center',
+        padding: 20,
+    },
+    emptyText: {
+        marginTop: 16,
+        fontSize: 14,
+        color: '#64748b',
+    },
+
+    // Header
+    header: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingHorizontal: 16,
+        paddingVertical: 12,
+        backgroundColor: '#fff',
+        borderBottomWidth: 1,
+        borderBottomColor: '#f1f5f9',
+    },
+    backButton: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingRight: 12,
+        gap: 4,
+    },
+    backButtonText: {
+        fontSize: 16,
+        color: '#10b981',
+        fontWeight: '500',
+    },
+    headerInfo: {
+        flex: 1,
+    },
+    title: {
+        fontSize: 17,
+        fontWeight: '600',
+        color: '#1e293b',
+    },
+    subtitle: {
+        fontSize: 12,
+        color: '#64748b',
+    },
+    iconButton: {
+        padding: 8,
+    },
+
+    // Row Tabs
+    rowTabs: {
+        paddingHorizontal: 16,
+        paddingVertical: 10,
+        gap: 8,
+    },
+    rowTab: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingHorizontal: 14,
+        paddingVertical: 6,
+        borderRadius: 16,
+        backgroundColor: '#fff',
+        borderWidth: 1,
+        borderColor: '#e2e8f0',
+        gap: 6,
+    },
+    rowTabActive: {
+        backgroundColor: '#3b82f6',
+        borderColor: '#3b82f6',
+    },
+    rowTabText: {
+        fontSize: 13,
+        fontWeight: '500',
+        color: '#475569',
+    },
+    rowTabTextActive: {
+        color: '#fff',
+    },
+    rowTabCount: {
+        fontSize: 11,
+        fontWeight: '700',
+        color: '#3b82f6',
+    },
+
+    // Manual Input
+    manualInputContainer: {
+        flexDirection: 'row',
+        padding: 16,
+        backgroundColor: '#fff',
+        borderBottomWidth: 1,
+        borderBottomColor: '#e2e8f0',
+    },
+    manualInput: {
+        flex: 1,
+        backgroundColor: '#f8fafc',
+        borderWidth: 1,
+        borderColor: '#cbd5e1',
+        borderRadius: 12,
+        paddingHorizontal: 16,
+        paddingVertical: 12,
+        fontSize: 16,
+        color: '#1e293b',
+        marginRight: 12,
+    },
+    addButton: {
+        backgroundColor: '#10b981',
+        width: 50,
+        justifyContent: 'center',
+        alignItems: 'center',
+        borderRadius: 12,
+    },
+    disabledButton: {
+        backgroundColor: '#cbd5e1',
+    },
+
+    // Camera
+    cameraContainer: {
+        height: 180,
+        backgroundColor: '#000',
+        justifyContent: 'center',
+        alignItems: 'center',
+        overflow: 'hidden',
+    },
+    scanLine: {
+        width: '70%',
+        height: 2,
+        backgroundColor: '#3b82f6',
+        opacity: 0.8,
+    },
+    scanHint: {
+        position: 'absolute',
+        bottom: 12,
+        color: '#fff',
+        fontSize: 12,
+        backgroundColor: 'rgba(0,0,0,0.5)',
+        paddingHorizontal: 12,
+        paddingVertical: 4,
+        borderRadius: 12,
+        overflow: 'hidden',
+    },
+    noticeBox: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 6,
+        backgroundColor: '#fffbeb',
+        paddingHorizontal: 16,
+        paddingVertical: 8,
+    },
+    noticeText: {
+        fontSize: 12,
+        color: '#b45309',
+    },
+
+    // Scan List
+    scanList: {
+        padding: 16,
+        gap: 8,
+    },
+    sectionTitle: {
+        fontSize: 13,
+        fontWeight: '600',
+        color: '#475569',
+        marginTop: 8,
+        marginBottom: 4,
+    },
+    scanRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        backgroundColor: '#fff',
+        borderRadius: 12,
+        padding: 10,
+        borderWidth: 1,
+        borderColor: '#e2e8f0',
+    },
+    indexBadge: {
+        width: 28,
+        height: 28,
+        borderRadius: 8,
+        backgroundColor: '#eff6ff',
+        justifyContent: 'center',
+        alignItems: 'center',
+        marginRight: 10,
+    },
+    indexText: {
+        fontSize: 13,
+        fontWeight: '700',
+        color: '#3b82f6',
+    },
+    scanInfo: {
+        flex: 1,
+    },
+    scanName: {
+        fontSize: 14,
+        fontWeight: '500',
+        color: '#1e293b',
+    },
+    scanBarcode: {
+        fontSize: 12,
+        color: '#64748b',
+        fontFamily: Platform.OS === 'ios' ? 'Menlo' : 'monospace',
+    },
+    removeButton: {
+        padding: 8,
+    },
+    emptyRowText: {
+        fontSize: 13,
+        color: '#94a3b8',
+        textAlign: 'center',
+        paddingVertical: 24,
+    },
+
+    // Result
+    resultContent: {
+        padding: 16,
+        gap: 8,
+    },
+    summaryRow: {
+        flexDirection: 'row',
+        gap: 8,
+        marginBottom: 8,
+    },
+    summaryBox: {
+        flex: 1,
+        alignItems: 'center',
+        borderRadius: 12,
+        paddingVertical: 12,
+    },
+    summaryValue: {
+        fontSize: 20,
+        fontWeight: '700',
+    },
+    summaryLabel: {
+        fontSize: 11,
+        color: '#475569',
+    },
+    allGoodBox: {
+        alignItems: 'center',
+        paddingVertical: 32,
+        gap: 8,
+    },
+    allGoodText: {
+        fontSize: 15,
+        fontWeight: '600',
+        color: '#15803d',
+    },
+    findingCard: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        backgroundColor: '#fff',
+        borderRadius: 12,
+        padding: 12,
+        borderWidth: 1,
+        borderColor: '#e2e8f0',
+    },
+    findingIcon: {
+        width: 36,
+        height: 36,
+        borderRadius: 10,
+        justifyContent: 'center',
+        alignItems: 'center',
+        marginRight: 10,
+    },
+    findingInfo: {
+        flex: 1,
+        marginRight: 8,
+    },
+    findingTitle: {
+        fontSize: 14,
+        fontWeight: '600',
+        color: '#1e293b',
+    },
+    findingBarcode: {
+        fontSize: 12,
+        color: '#64748b',
+        fontFamily: Platform.OS === 'ios' ? 'Menlo' : 'monospace',
+    },
+    findingDetail: {
+        fontSize: 12,
+        marginTop: 2,
+    },
+    findingAction: {
+        paddingHorizontal: 10,
+        paddingVertical: 6,
+        borderRadius: 8,
+        borderWidth: 1,
+    },
+    findingActionText: {
+        fontSize: 12,
+        fontWeight: '600',
+    },
+
+    // Footer
+    footer: {
+        flexDirection: 'row',
+        padding: 16,
+        gap: 12,
+        backgroundColor: '#fff',
+        borderTopWidth: 1,
+        borderTopColor: '#e2e8f0',
+    },
+    footerButton: {
+        flex: 1,
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'center',
+        paddingVertical: 14,
+        borderRadius: 12,
+        gap: 6,
+    },
+    secondaryButton: {
+        backgroundColor: '#fff',
+        borderWidth: 1,
+        borderColor: '#e2e8f0',
+    },
+    secondaryButtonText: {
+        color: '#475569',
+        fontWeight: '600',
+        fontSize: 15,
+    },
+    primaryButton: {
+        backgroundColor: '#3b82f6',
+    },
+    primaryButtonText: {
+        color: '#fff',
+        fontWeight: '600',
+        fontSize: 15,
+    },
+});
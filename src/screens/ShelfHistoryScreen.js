@@ -13,17 +13,22 @@ import {
     ActivityIndicator,
     RefreshControl,
     Platform,
+    Alert,
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import {
     ChevronLeft, ChevronRight, CheckCircle2, AlertCircle,
     Plus, Trash2, ArrowRightLeft, Package,
-    Clock, Check
+    Clock, Check, Download
 } from 'lucide-react-native';
 
 import useAuthStore from '../store/authStore';
 import useShelfUpdateStore from '../store/shelfUpdateStore';
 import useBranchStore from '../store/branchStore';
+import { usePermission } from '../hooks/usePermission';
+import { PERMISSIONS } from '../constants/permissions';
+import ExportRangeModal from '../components/ExportRangeModal';
+import { exportShelfChangeLogs } from '../services/exportService';
 
 // =============================================================================
 // CONSTANTS
@@ -47,7 +52,7 @@ const formatDate = (dateStr) => {
 // MAIN COMPONENT
 // =============================================================================
 
-export default function ShelfHistoryScreen({ navigation }) {
+export default function ShelfHistoryScreen({ navigation, route }) {
     const user = useAuthStore((s) => s.user);
     const storecode = user?.storecode || user?.name;
 
@@ -56,12 +61,17 @@ export default function ShelfHistoryScreen({ navigation }) {
     const fetchAllHistory = useShelfUpdateStore((s) => s.fetchAllHistory);
     const acknowledgeOne = useShelfUpdateStore((s) => s.acknowledgeOne);
     const acknowledgeAll = useShelfUpdateStore((s) => s.acknowledgeAll);
+    const canAcknowledge = usePermission(PERMISSIONS.ACKNOWLEDGE_SHELF_UPDATE);
+    const canExport = usePermission(PERMISSIONS.EXPORT_REPORTS);
 
     const [loading, setLoading] = useState(true);
     const [refreshing, setRefreshing] = useState(false);
     const [ackingId, setAckingId] = useState(null);
     const [page, setPage] = useState(1);
     const [totalCount, setTotalCount] = useState(0);
+    const [showExportModal, setShowExportModal] = useState(false);
+    // Acknowledged entries are listed too while showing an entry opened from a link
+    const [showAll, setShowAll] = useState(false);
 
     const ITEMS_PER_PAGE = 15;
     const totalPages = Math.max(1, Math.ceil(totalCount / ITEMS_PER_PAGE));
@@ -74,28 +84,65 @@ export default function ShelfHistoryScreen({ navigation }) {
         return getBranchName(storecode);
     }, [storecode, getBranchName]);
 
-    const loadPage = useCallback(async (targetPage, isRefresh = false) => {
-        if (!storecode) return;
+    // Resolves to the page result, null when it couldn't be loaded
+    const loadPage = useCallback(async (targetPage, isRefresh = false, all = showAll) => {
+        if (!storecode) return null;
 
         if (isRefresh) setRefreshing(true);
         else setLoading(true);
 
         try {
-            const result = await fetchAllHistory(storecode, targetPage, ITEMS_PER_PAGE, false);
-            const { total } = result;
-            setTotalCount(total);
+            const result = await fetchAllHistory(storecode, targetPage, ITEMS_PER_PAGE, false, all);
+            if (result.failed) return null;
+            setTotalCount(result.total);
             setPage(targetPage);
+            return result;
         } catch (err) {
             if (__DEV__) console.error('Load shelf history error:', err);
+            return null;
         } finally {
             setLoading(false);
             setRefreshing(false);
         }
-    }, [storecode, fetchAllHistory]);
+    }, [storecode, fetchAllHistory, showAll]);
+
+    const showAlert = (title, msg) => {
+        if (Platform.OS === 'web') {
+            window.alert(msg);
+        } else {
+            Alert.alert(title, msg);
+        }
+    };
+
+    // Log entry opened from a link - highlighted and scrolled to
+    const highlightId = route?.params?.logId;
+
+    // Walk the history (acknowledged entries included) until the linked entry turns up
+    const locateLog = async (logId) => {
+        setShowAll(true);
+        for (let target = 1; ; target++) {
+            const result = await loadPage(target, false, true);
+            if (!result) {
+                showAlert('ผิดพลาด', 'ไม่สามารถโหลดประวัติการปรับเปลี่ยนได้ กรุณาลองใหม่');
+                return;
+            }
+
+            const index = result.logs.findIndex((log) => String(log.id) === String(logId));
+            if (index !== -1) {
+                requestAnimationFrame(() => {
+                    flatListRef.current?.scrollToIndex({ index, animated: true, viewPosition: 0.3 });
+                });
+                return;
+            }
+            if (target * ITEMS_PER_PAGE >= result.total || !result.logs.length) break;
+        }
+        showAlert('ไม่พบรายการ', 'ไม่พบรายการปรับเปลี่ยนนี้ในประวัติของสาขา');
+    };
 
     useEffect(() => {
-        loadPage(1);
-    }, [storecode]);
+        if (highlightId) locateLog(highlightId);
+        else loadPage(1);
+    }, [storecode, highlightId]);
 
     const goToPage = (targetPage) => {
         if (targetPage < 1 || targetPage > totalPages || targetPage === page) return;
@@ -138,7 +185,7 @@ export default function ShelfHistoryScreen({ navigation }) {
                 </View>
 
                 {/* Content Card */}
-                <View style={[styles.card, item.acknowledged && styles.cardAcked]}>
+                <View style={[styles.card, item.acknowledged && styles.cardAcked, String(item.id) === String(highlightId) && styles.cardHighlight]}>
                     <View style={styles.cardHeader}>
                         <View style={{ flexDirection: 'row', alignItems: 'center', gap: 8 }}>
                             <Text style={{ fontSize: 12, fontWeight: '700', color: '#64748b' }}>#{globalIndex}</Text>
@@ -187,7 +234,7 @@ export default function ShelfHistoryScreen({ navigation }) {
                                 <Check size={12} color="#059669" />
                                 <Text style={styles.ackedText}>รับทราบแล้ว</Text>
                             </View>
-                        ) : (
+                        ) : canAcknowledge && (
                             <TouchableOpacity
                                 style={styles.ackButton}
                                 onPress={() => handleAcknowledgeOne(item.id)}
@@ -219,6 +266,11 @@ export default function ShelfHistoryScreen({ navigation }) {
                         {branchName} ({totalCount})
                     </Text>
                 </View>
+                {canExport && (
+                    <TouchableOpacity style={styles.exportButton} onPress={() => setShowExportModal(true)}>
+                        <Download size={18} color="#10b981" />
+                    </TouchableOpacity>
+                )}
             </View>
 
             {unacknowledgedCount > 0 ? (
@@ -229,9 +281,11 @@ export default function ShelfHistoryScreen({ navigation }) {
                             คุณมีรายการที่ยังไม่ได้รับทราบ {unacknowledgedCount} รายการ
                         </Text>
                     </View>
-                    <TouchableOpacity style={styles.ackAllButton} onPress={handleAcknowledgeAll}>
-                        <Text style={styles.ackAllButtonText}>รับทราบทั้งหมด</Text>
-                    </TouchableOpacity>
+                    {canAcknowledge && (
+                        <TouchableOpacity style={styles.ackAllButton} onPress={handleAcknowledgeAll}>
+                            <Text style={styles.ackAllButtonText}>รับทราบทั้งหมด</Text>
+                        </TouchableOpacity>
+                    )}
                 </View>
             ) : (
                 <View style={[styles.alertBanner, { backgroundColor: '#f0fdf4', borderColor: '#dcfce7' }]}>
@@ -255,6 +309,9 @@ export default function ShelfHistoryScreen({ navigation }) {
                     data={changeLogs}
                     keyExtractor={(item) => String(item.id)}
                     renderItem={renderLogItem}
+                    onScrollToIndexFailed={({ index, averageItemLength }) => {
+                        flatListRef.current?.scrollToOffset({ offset: index * averageItemLength, animated: true });
+                    }}
                     contentContainerStyle={styles.listContent}
                     showsVerticalScrollIndicator={false}
                     refreshControl={
@@ -297,6 +354,14 @@ export default function ShelfHistoryScreen({ navigation }) {
                     </TouchableOpacity>
                 </View>
             )}
+
+            {/* Export to spreadsheet (acknowledged changes included) */}
+            <ExportRangeModal
+                visible={showExportModal}
+                title="ส่งออกประวัติการปรับตำแหน่ง"
+                onClose={() => setShowExportModal(false)}
+                onExport={(range) => exportShelfChangeLogs(storecode, range)}
+            />
         </SafeAreaView>
     );
 }
@@ -321,6 +386,11 @@ const styles = StyleSheet.create({
         paddingRight: 12,
         gap: 4,
     },
+    exportButton: {
+        padding: 8,
+        borderRadius: 8,
+        backgroundColor: '#ecfdf5',
+    },
     backButtonText: {
         fontSize: 16,
         color: '#10b981',
@@ -431,6 +501,10 @@ const styles = StyleSheet.create({
         opacity: 0.8,
         backgroundColor: '#f8fafc',
     },
+    cardHighlight: {
+        borderColor: '#3b82f6',
+        borderWidth: 2,
+    },
     cardHeader: {
         flexDirection: 'row',
         justifyContent: 'space-between',
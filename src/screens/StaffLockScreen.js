@@ -0,0 +1,250 @@
+/**
+ * StaffLockScreen - Lock screen of a shared branch device
+ * The branch stays signed in; each staff member identifies themselves with a personal PIN
+ */
+
+// =============================================================================
+// IMPORTS
+// =============================================================================
+
+// React
+import React, { useState } from 'react';
+
+// React Native
+import {
+    View,
+    Text,
+    TextInput,
+    TouchableOpacity,
+    StyleSheet,
+    ActivityIndicator,
+    KeyboardAvoidingView,
+    Platform,
+    Alert,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+
+// Icons
+import { Lock, Store, LogOut } from 'lucide-react-native';
+
+// Local imports
+import useAuthStore from '../store/authStore';
+import useBranchStore from '../store/branchStore';
+import { getErrorMessage } from '../utils/errorHelper';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const PIN_MIN_LENGTH = 4;
+const PIN_MAX_LENGTH = 6;
+
+// =============================================================================
+// MAIN COMPONENT
+// =============================================================================
+
+export default function StaffLockScreen() {
+    const user = useAuthStore((s) => s.user);
+    const unlockStaff = useAuthStore((s) => s.unlockStaff);
+    const logout = useAuthStore((s) => s.logout);
+    const getBranchName = useBranchStore((s) => s.getBranchName);
+
+    const [pin, setPin] = useState('');
+    const [error, setError] = useState('');
+    const [loading, setLoading] = useState(false);
+
+    const storecode = user?.storecode || user?.name;
+    const branchName = user?.branchname || getBranchName(storecode);
+
+    const handleUnlock = async () => {
+        if (loading) return;
+        if (pin.length < PIN_MIN_LENGTH) {
+            setError(`กรุณากรอก PIN ${PIN_MIN_LENGTH}-${PIN_MAX_LENGTH} หลัก`);
+            return;
+        }
+
+        setLoading(true);
+        setError('');
+        try {
+            await unlockStaff(pin);
+            // AppNavigator switches to the app once a staff member is set
+        } catch (err) {
+            const msg = getErrorMessage(err, 'ยืนยันตัวตนไม่สำเร็จ');
+            setError(String(msg).toLowerCase().includes('pin') ? 'PIN ไม่ถูกต้อง' : msg);
+            setPin('');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleBranchLogout = () => {
+        Alert.alert(
+            'ออกจากระบบสาขา',
+            'เครื่องนี้จะออกจากระบบของสาขา ต้องเข้าสู่ระบบสาขาใหม่อีกครั้ง',
+            [
+                { text: 'ยกเลิก', style: 'cancel' },
+                { text: 'ออกจากระบบ', style: 'destructive', onPress: () => logout() },
+            ]
+        );
+    };
+
+    return (
+        <SafeAreaView style={styles.container}>
+            <KeyboardAvoidingView
+                style={styles.content}
+                behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+            >
+                {/* Branch */}
+                <View style={styles.branchBadge}>
+                    <Store size={16} color="#059669" />
+                    <Text style={styles.branchText} numberOfLines={1}>
+                        {storecode}{branchName && branchName !== storecode ? ` - ${branchName}` : ''}
+                    </Text>
+                </View>
+
+                <View style={styles.iconContainer}>
+                    <Lock size={36} color="#10b981" />
+                </View>
+                <Text style={styles.title}>ใครกำลังใช้งาน?</Text>
+                <Text style={styles.subtitle}>กรอก PIN ส่วนตัวเพื่อเริ่มใช้งาน</Text>
+
+                <TextInput
+                    style={styles.pinInput}
+                    value={pin}
+                    onChangeText={(text) => {
+                        setPin(text.replace(/[^0-9]/g, ''));
+                        if (error) setError('');
+                    }}
+                    placeholder="••••"
+                    placeholderTextColor="#cbd5e1"
+                    keyboardType="number-pad"
+                    secureTextEntry
+                    maxLength={PIN_MAX_LENGTH}
+                    autoFocus
+                    editable={!loading}
+                    onSubmitEditing={handleUnlock}
+                />
+
+                {error ? <Text style={styles.errorText}>{error}</Text> : null}
+
+                <TouchableOpacity
+                    style={[styles.unlockButton, (loading || pin.length < PIN_MIN_LENGTH) && styles.unlockButtonDisabled]}
+                    onPress={handleUnlock}
+                    disabled={loading || pin.length < PIN_MIN_LENGTH}
+                >
+                    {loading ? (
+                        <ActivityIndicator color="#fff" />
+                    ) : (
+                        <Text style={styles.unlockButtonText}>เริ่มใช้งาน</Text>
+                    )}
+                </TouchableOpacity>
+
+                <TouchableOpacity style={styles.logoutButton} onPress={handleBranchLogout} disabled={loading}>
+                    <LogOut size={14} color="#ef4444" />
+                    <Text style={styles.logoutText}>ออกจากระบบสาขา</Text>
+                </TouchableOpacity>
+            </KeyboardAvoidingView>
+        </SafeAreaView>
+    );
+}
+
+// =============================================================================
+// STYLES
+// =============================================================================
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: '#f0fdf4',
+    },
+    content: {
+        flex: 1,
+        justifyContent: 'center',
+        alignItems: 'center',
+        padding: 24,
+    },
+    branchBadge: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 6,
+        backgroundColor: '#d1fae5',
+        paddingHorizontal: 12,
+        paddingVertical: 6,
+        borderRadius: 20,
+        marginBottom: 32,
+        maxWidth: '90%',
+    },
+    branchText: {
+        fontSize: 13,
+        fontWeight: '600',
+        color: '#059669',
+    },
+    iconContainer: {
+        width: 80,
+        height: 80,
+        borderRadius: 40,
+        backgroundColor: '#fff',
+        justifyContent: 'center',
+        alignItems: 'center',
+        marginBottom: 16,
+    },
+    title: {
+        fontSize: 22,
+        fontWeight: '700',
+        color: '#1e293b',
+        marginBottom: 6,
+    },
+    subtitle: {
+        fontSize: 14,
+        color: '#64748b',
+        marginBottom: 24,
+    },
+    pinInput: {
+        width: '100%',
+        maxWidth: 280,
+        backgroundColor: '#fff',
+        borderRadius: 16,
+        borderWidth: 1,
+        borderColor: '#d1fae5',
+        paddingVertical: 14,
+        fontSize: 28,
+        letterSpacing: 12,
+        textAlign: 'center',
+        color: '#1e293b',
+    },
+    errorText: {
+        marginTop: 12,
+        fontSize: 14,
+        color: '#b91c1c',
+        textAlign: 'center',
+    },
+    unlockButton: {
+        width: '100%',
+        maxWidth: 280,
+        marginTop: 20,
+        backgroundColor: '#10b981',
+        paddingVertical: 16,
+        borderRadius: 16,
+        alignItems: 'center',
+    },
+    unlockButtonDisabled: {
+        backgroundColor: '#a7f3d0',
+    },
+    unlockButtonText: {
+        color: '#fff',
+        fontSize: 16,
+        fontWeight: '700',
+    },
+    logoutButton: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 6,
+        marginTop: 32,
+        padding: 8,
+    },
+    logoutText: {
+        fontSize: 14,
+        color: '#ef4444',
+        fontWeight: '500',
+    },
+});
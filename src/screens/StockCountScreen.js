@@ -0,0 +1,893 @@
+/**
+ * StockCountScreen - Cycle count mode built on the barcode scanner
+ * Each scan adds to a running tally per barcode, the session is auto-saved
+ * and the result is reconciled against planogram stockQuantity before submit
+ */
+
+// =============================================================================
+// IMPORTS
+// =============================================================================
+
+// React
+import React, { useState, useEffect, useMemo, useRef, useCallback } from 'react';
+
+// React Native
+import {
+    View,
+    Text,
+    TouchableOpacity,
+    StyleSheet,
+    ActivityIndicator,
+    Platform,
+    TextInput,
+    FlatList,
+    Alert,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+
+// Third-party
+import { CameraView, useCameraPermissions } from 'expo-camera';
+
+// Icons
+import {
+    ChevronLeft, Keyboard, ScanLine, Plus, Minus,
+    Trash2, Send, Check, AlertTriangle, Inbox
+} from 'lucide-react-native';
+
+// Local imports
+import useAuthStore from '../store/authStore';
+import useBranchStore from '../store/branchStore';
+import useBranchDataStore, { selectPlanogramItems } from '../store/branchDataStore';
+import { submitStockCount } from '../api/user';
+import { getErrorMessage } from '../utils/errorHelper';
+import { useNetwork } from '../contexts/NetworkContext';
+import { DRAFT_KEYS } from '../services/draftService';
+import { logAction, ACTION_TYPES } from '../services/actionLogService';
+import { useAutoSave } from '../hooks/useAutoSave';
+import { successFeedback, lightFeedback, errorFeedback } from '../utils/haptics';
+import { OfflineBanner } from '../components/OfflineIndicator';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/** Supported barcode types for counting (no QR - only product barcodes) */
+const BARCODE_TYPES = [
+    'ean13', 'ean8', 'upc_a', 'upc_e',
+    'code128', 'code39', 'code93',
+    'itf14', 'codabar'
+];
+
+/** Same barcode is ignored within this window so one pass = one unit (ms) */
+const SCAN_COOLDOWN_MS = 1200;
+
+/** Filters for the reconcile list */
+const FILTERS = [
+    { key: 'counted', label: 'นับแล้ว' },
+    { key: 'diff', label: 'ไม่ตรง' },
+    { key: 'uncounted', label: 'ยังไม่นับ' },
+];
+
+/**
+ * Difference between counted and system quantity
+ * @returns {number|null} null when the system has no stock figure
+ */
+const getDiff = (countedQty, systemQty) => {
+    if (systemQty === null || systemQty === undefined) return null;
+    return countedQty - Number(systemQty);
+};
+
+// =============================================================================
+// MAIN COMPONENT
+// =============================================================================
+
+export default function StockCountScreen({ navigation }) {
+    // -------------------------------------------------------------------------
+    // State & Store
+    // -------------------------------------------------------------------------
+    const user = useAuthStore((s) => s.user);
+    const storecode = user?.storecode || user?.name;
+    const getBranchName = useBranchStore((s) => s.getBranchName);
+
+    const [permission, requestPermission] = useCameraPermissions();
+    const [showManualInput, setShowManualInput] = useState(false);
+    const [manualBarcode, setManualBarcode] = useState('');
+    const [filter, setFilter] = useState('counted');
+    const [submitting, setSubmitting] = useState(false);
+
+    // Count session: { [barcode]: { barcode, qty, lastScannedAt } }
+    const [counts, setCounts] = useState({});
+    const [startedAt, setStartedAt] = useState(null);
+    const [lastScanned, setLastScanned] = useState('');
+
+    // Planogram items from the shared branch store (for names and stockQuantity)
+    const branchData = useBranchDataStore((s) => s.byBranch[storecode]);
+    const loadPlanogram = useBranchDataStore((s) => s.loadPlanogram);
+    const planogramItems = useMemo(
+        () => selectPlanogramItems(branchData),
+        [branchData?.placements, branchData?.products, branchData?.shelves]
+    );
+    const planogramLoading = !branchData || (branchData.loading.planogram && !branchData.loadedAt.planogram);
+
+    const lastScanTime = useRef(0);
+    const lastBarcode = useRef('');
+
+    const { isConnected, isInternetReachable } = useNetwork();
+    const isOnline = isConnected && isInternetReachable;
+
+    const branchName = useMemo(() => {
+        if (!storecode) return 'ผู้ใช้';
+        return getBranchName(storecode);
+    }, [storecode, getBranchName]);
+
+    const hasPermission = Platform.OS === 'web' ? true : permission?.granted;
+
+    // -------------------------------------------------------------------------
+    // Session Persistence
+    // -------------------------------------------------------------------------
+    const countedTotal = Object.keys(counts).length;
+
+    // null is never saved, so an empty session doesn't leave a draft behind
+    const sessionData = useMemo(() => (
+        countedTotal > 0 ? { startedAt, counts } : null
+    ), [countedTotal, startedAt, counts]);
+
+    const {
+        hasSavedDraft,
+        savedAtFormatted,
+        loadSavedDraft,
+        clearSavedDraft,
+    } = useAutoSave(DRAFT_KEYS.STOCK_COUNT, sessionData, {
+        interval: 3000,
+        identifier: storecode || '',
+        enabled: !!storecode && !submitting,
+    });
+
+    // Offer to resume an unfinished session
+    useEffect(() => {
+        if (!hasSavedDraft) return;
+
+        Alert.alert(
+            'พบการนับที่ยังไม่เสร็จ',
+            `บันทึกล่าสุดเมื่อ ${savedAtFormatted || '-'} ต้องการนับต่อหรือไม่?`,
+            [
+                { text: 'เริ่มใหม่', style: 'destructive', onPress: () => clearSavedDraft() },
+                {
+                    text: 'นับต่อ',
+                    onPress: async () => {
+                        const draft = await loadSavedDraft();
+                        if (draft?.counts) {
+                            setCounts(draft.counts);
+                            setStartedAt(draft.startedAt || Date.now());
+                        }
+                    },
+                },
+            ]
+        );
+    }, [hasSavedDraft]);
+
+    // -------------------------------------------------------------------------
+    // Effects
+    // -------------------------------------------------------------------------
+    useEffect(() => {
+        if (Platform.OS !== 'web' && !permission) {
+            requestPermission();
+        }
+    }, [permission, requestPermission]);
+
+    // Load planogram (cached data is shown while it revalidates)
+    useEffect(() => {
+        if (!storecode) return;
+        loadPlanogram(storecode);
+    }, [storecode]);
+
+    // -------------------------------------------------------------------------
+    // Derived Values
+    // -------------------------------------------------------------------------
+    const productMap = useMemo(() => {
+        const map = {};
+        planogramItems.forEach((item) => {
+            if (item.barcode && !map[item.barcode]) map[item.barcode] = item;
+        });
+        return map;
+    }, [planogramItems]);
+
+    const countedRows = useMemo(() => (
+        Object.values(counts)
+            .sort((a, b) => b.lastScannedAt - a.lastScannedAt)
+            .map((entry) => {
+                const product = productMap[entry.barcode];
+                const systemQty = product ? product.stockQuantity ?? null : null;
+                return {
+                    ...entry,
+                    name: product?.nameProduct || product?.nameBrand || '',
+                    location: product ? `${product.shelfCode} / ชั้น ${product.rowNo} / ลำดับ ${product.index}` : '',
+                    inPlanogram: !!product,
+                    systemQty,
+                    diff: getDiff(entry.qty, systemQty),
+                };
+            })
+    ), [counts, productMap]);
+
+    const uncountedRows = useMemo(() => (
+        Object.values(productMap)
+            .filter((product) => !counts[product.barcode])
+            .map((product) => ({
+                barcode: product.barcode,
+                qty: 0,
+                name: product.nameProduct || product.nameBrand || '',
+                location: `${product.shelfCode} / ชั้น ${product.rowNo} / ลำดับ ${product.index}`,
+                inPlanogram: true,
+                systemQty: product.stockQuantity ?? null,
+                diff: null,
+                uncounted: true,
+            }))
+    ), [productMap, counts]);
+
+    const mismatchRows = useMemo(
+        () => countedRows.filter((row) => row.diff !== null && row.diff !== 0),
+        [countedRows]
+    );
+
+    const totalUnits = useMemo(
+        () => countedRows.reduce((sum, row) => sum + row.qty, 0),
+        [countedRows]
+    );
+
+    const listData = filter === 'diff' ? mismatchRows
+        : filter === 'uncounted' ? uncountedRows
+            : countedRows;
+
+    // -------------------------------------------------------------------------
+    // Count Handlers
+    // -------------------------------------------------------------------------
+    const addCount = useCallback((barcode, amount = 1) => {
+        setStartedAt((prev) => prev || Date.now());
+        setCounts((prev) => {
+            const current = prev[barcode]?.qty || 0;
+            return {
+                ...prev,
+                [barcode]: { barcode, qty: current + amount, lastScannedAt: Date.now() },
+            };
+        });
+        setLastScanned(barcode);
+    }, []);
+
+    const setQty = (barcode, text) => {
+        const qty = parseInt(text.replace(/[^0-9]/g, ''), 10);
+        setCounts((prev) => ({
+            ...prev,
+            [barcode]: { ...prev[barcode], qty: isNaN(qty) ? 0 : qty },
+        }));
+    };
+
+    const decrement = (barcode) => {
+        setCounts((prev) => {
+            const current = prev[barcode]?.qty || 0;
+            if (current <= 0) return prev;
+            return { ...prev, [barcode]: { ...prev[barcode], qty: current - 1 } };
+        });
+    };
+
+    const removeEntry = (barcode) => {
+        setCounts((prev) => {
+            const next = { ...prev };
+            delete next[barcode];
+            return next;
+        });
+    };
+
+    const handleBarCodeScanned = useCallback(({ data }) => {
+        const now = Date.now();
+        const barcode = String(data).trim();
+
+        if (barcode.length < 5 || barcode.length > 20) return;
+
+        // Same item held in front of the camera should count once
+        if (barcode === lastBarcode.current && now - lastScanTime.current < SCAN_COOLDOWN_MS) return;
+
+        lastScanTime.current = now;
+        lastBarcode.current = barcode;
+
+        addCount(barcode);
+        lightFeedback();
+    }, [addCount]);
+
+    const handleManualAdd = () => {
+        const barcode = manualBarcode.trim();
+        if (!barcode) return;
+        addCount(barcode);
+        setManualBarcode('');
+    };
+
+    const handleClearSession = () => {
+        Alert.alert('ล้างการนับ', 'ต้องการล้างรายการนับทั้งหมดหรือไม่?', [
+            { text: 'ยกเลิก', style: 'cancel' },
+            {
+                text: 'ล้าง',
+                style: 'destructive',
+                onPress: async () => {
+                    setCounts({});
+                    setStartedAt(null);
+                    setLastScanned('');
+                    await clearSavedDraft();
+                },
+            },
+        ]);
+    };
+
+    // -------------------------------------------------------------------------
+    // Submit
+    // -------------------------------------------------------------------------
+    const submitCount = async () => {
+        setSubmitting(true);
+        try {
+            await submitStockCount({
+                branchCode: storecode,
+                startedAt: startedAt ? new Date(startedAt).toISOString() : null,
+                finishedAt: new Date().toISOString(),
+                items: countedRows.map((row) => ({
+                    barcode: row.barcode,
+                    countedQty: row.qty,
+                    systemQty: row.systemQty,
+                })),
+            });
+
+            await clearSavedDraft();
+            logAction(ACTION_TYPES.SUBMIT_STOCK_COUNT, {
+                items: countedRows.length,
+                units: totalUnits,
+                mismatches: mismatchRows.length,
+            }, storecode);
+            successFeedback();
+
+            setCounts({});
+            setStartedAt(null);
+            setLastScanned('');
+            Alert.alert('ส่งผลนับสำเร็จ', `ส่งผลนับ ${countedRows.length} รายการเรียบร้อยแล้ว`);
+        } catch (err) {
+            if (__DEV__) console.error('Submit stock count error:', err);
+            errorFeedback();
+            Alert.alert('เกิดข้อผิดพลาด', getErrorMessage(err, 'ส่งผลนับไม่สำเร็จ'));
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    const handleSubmit = () => {
+        if (countedTotal === 0 || submitting) return;
+
+        if (!isOnline) {
+            Alert.alert('ออฟไลน์', 'ผลนับถูกบันทึกไว้ในเครื่องแล้ว กรุณาเชื่อมต่ออินเทอร์เน็ตเพื่อส่ง');
+            return;
+        }
+
+        const message = mismatchRows.length > 0
+            ? `มี ${mismatchRows.length} รายการที่จำนวนไม่ตรงกับระบบ ต้องการส่งผลนับหรือไม่?`
+            : `ส่งผลนับ ${countedTotal} รายการ (${totalUnits} ชิ้น)?`;
+
+        Alert.alert('ยืนยันส่งผลนับ', message, [
+            { text: 'ยกเลิก', style: 'cancel' },
+            { text: 'ส่ง', onPress: submitCount },
+        ]);
+    };
+
+    // -------------------------------------------------------------------------
+    // Render Helpers
+    // -------------------------------------------------------------------------
+    const renderDiffBadge = (row) => {
+        if (row.uncounted) {
+            return <Text style={styles.systemText}>ระบบ {row.systemQty ?? '-'}</Text>;
+        }
+        if (row.diff === null) {
+            return <Text style={styles.systemText}>ไม่มีข้อมูลสต็อก</Text>;
+        }
+        if (row.diff === 0) {
+            return (
+                <View style={[styles.diffBadge, styles.diffMatch]}>
+                    <Check size={12} color="#15803d" />
+                    <Text style={[styles.diffText, { color: '#15803d' }]}>ตรง ({row.systemQty})</Text>
+                </View>
+            );
+        }
+        const over = row.diff > 0;
+        return (
+            <View style={[styles.diffBadge, over ? styles.diffOver : styles.diffUnder]}>
+                <Text style={[styles.diffText, { color: over ? '#1d4ed8' : '#b91c1c' }]}>
+                    {over ? `+${row.diff}` : row.diff} (ระบบ {row.systemQty})
+                </Text>
+            </View>
+        );
+    };
+
+    const renderItem = ({ item }) => (
+        <View style={[styles.row, item.barcode === lastScanned && styles.rowHighlight]}>
+            <View style={styles.rowInfo}>
+                <Text style={styles.rowName} numberOfLines={1}>
+                    {item.name || (item.inPlanogram ? 'ไม่ระบุชื่อสินค้า' : 'ไม่พบใน Planogram')}
+                </Text>
+                <Text style={styles.rowBarcode}>{item.barcode}</Text>
+                {!!item.location && <Text style={styles.rowLocation}>{item.location}</Text>}
+                <View style={styles.rowBadges}>{renderDiffBadge(item)}</View>
+            </View>
+
+            {item.uncounted ? (
+                <TouchableOpacity style={styles.qtyButton} onPress={() => addCount(item.barcode, 0)}>
+                    <Plus size={18} color="#10b981" />
+                </TouchableOpacity>
+            ) : (
+                <View style={styles.qtyControls}>
+                    <TouchableOpacity style={styles.qtyButton} onPress={() => decrement(item.barcode)}>
+                        <Minus size={16} color="#475569" />
+                    </TouchableOpacity>
+                    <TextInput
+                        style={styles.qtyInput}
+                        value={String(item.qty)}
+                        onChangeText={(text) => setQty(item.barcode, text)}
+                        keyboardType="number-pad"
+                        selectTextOnFocus
+                    />
+                    <TouchableOpacity style={styles.qtyButton} onPress={() => addCount(item.barcode)}>
+                        <Plus size={16} color="#10b981" />
+                    </TouchableOpacity>
+                    <TouchableOpacity style={styles.removeButton} onPress={() => removeEntry(item.barcode)}>
+                        <Trash2 size={16} color="#ef4444" />
+                    </TouchableOpacity>
+                </View>
+            )}
+        </View>
+    );
+
+    // -------------------------------------------------------------------------
+    // Render
+    // -------------------------------------------------------------------------
+    return (
+        <SafeAreaView style={styles.container} edges={['top', 'left', 'right']}>
+            <OfflineBanner />
+
+            {/* Header */}
+            <View style={styles.header}>
+                <TouchableOpacity style={styles.backButton} onPress={() => navigation.goBack()}>
+                    <ChevronLeft color="#1e293b" size={24} />
+                    <Text style={styles.backButtonText}>กลับ</Text>
+                </TouchableOpacity>
+                <View style={styles.headerInfo}>
+                    <Text style={styles.title}>นับสต็อก</Text>
+                    <Text style={styles.subtitle}>{branchName}</Text>
+                </View>
+                <TouchableOpacity
+                    style={styles.iconButton}
+                    onPress={() => setShowManualInput(!showManualInput)}
+                >
+                    {showManualInput ? (
+                        <ScanLine color="#1e293b" size={24} />
+                    ) : (
+                        <Keyboard color="#1e293b" size={24} />
+                    )}
+                </TouchableOpacity>
+            </View>
+
+            {/* Scanner / Manual Input */}
+            {showManualInput || !hasPermission ? (
+                <View style={styles.manualInputContainer}>
+                    <TextInput
+                        style={styles.manualInput}
+                        value={manualBarcode}
+                        onChangeText={setManualBarcode}
+                        placeholder="พิมพ์บาร์โค้ด..."
+                        placeholderTextColor="#94a3b8"
+                        keyboardType="numeric"
+                        onSubmitEditing={handleManualAdd}
+                        autoFocus
+                    />
+                    <TouchableOpacity
+                        style={[styles.addButton, !manualBarcode.trim() && styles.disabledButton]}
+                        onPress={handleManualAdd}
+                        disabled={!manualBarcode.trim()}
+                    >
+                        <Plus color="#fff" size={20} />
+                    </TouchableOpacity>
+                </View>
+            ) : (
+                <View style={styles.cameraContainer}>
+                    <CameraView
+                        style={StyleSheet.absoluteFillObject}
+                        facing="back"
+                        barcodeScannerSettings={{ barcodeTypes: BARCODE_TYPES }}
+                        onBarcodeScanned={submitting ? undefined : handleBarCodeScanned}
+                    />
+                    <View style={styles.scanLine} />
+                    <Text style={styles.scanHint}>สแกนต่อเนื่อง ทุกครั้งที่สแกนจะเพิ่ม 1 ชิ้น</Text>
+                </View>
+            )}
+
+            {/* Summary */}
+            <View style={styles.summaryBar}>
+                <View style={styles.summaryItem}>
+                    <Text style={styles.summaryValue}>{countedTotal}</Text>
+                    <Text style={styles.summaryLabel}>รายการ</Text>
+                </View>
+                <View style={styles.summaryItem}>
+                    <Text style={styles.summaryValue}>{totalUnits}</Text>
+                    <Text style={styles.summaryLabel}>ชิ้น</Text>
+                </View>
+                <View style={styles.summaryItem}>
+                    <Text style={[styles.summaryValue, mismatchRows.length > 0 && { color: '#dc2626' }]}>
+                        {mismatchRows.length}
+                    </Text>
+                    <Text style={styles.summaryLabel}>ไม่ตรง</Text>
+                </View>
+            </View>
+
+            {/* Filters */}
+            <View style={styles.filterRow}>
+                {FILTERS.map((f) => (
+                    <TouchableOpacity
+                        key={f.key}
+                        style={[styles.filterChip, filter === f.key && styles.filterChipActive]}
+                        onPress={() => setFilter(f.key)}
+                    >
+                        <Text style={[styles.filterText, filter === f.key && styles.filterTextActive]}>
+                            {f.label}
+                        </Text>
+                    </TouchableOpacity>
+                ))}
+                {planogramLoading && <ActivityIndicator size="small" color="#10b981" />}
+            </View>
+
+            {/* List */}
+            <FlatList
+                data={listData}
+                keyExtractor={(item) => item.barcode}
+                renderItem={renderItem}
+                contentContainerStyle={styles.listContent}
+                keyboardShouldPersistTaps="handled"
+                initialNumToRender={15}
+                ListEmptyComponent={
+                    <View style={styles.emptyContainer}>
+                        {filter === 'diff' ? (
+                            <Check size={40} color="#cbd5e1" />
+                        ) : (
+                            <Inbox size={40} color="#cbd5e1" />
+                        )}
+                        <Text style={styles.emptyText}>
+                            {filter === 'diff' ? 'ไม่มีรายการที่ไม่ตรง'
+                                : filter === 'uncounted' ? 'ไม่มีสินค้าที่ยังไม่นับ'
+                                    : 'เริ่มสแกนเพื่อนับสินค้า'}
+                        </Text>
+                    </View>
+                }
+            />
+
+            {/* Footer Actions */}
+            <View style={styles.footer}>
+                <TouchableOpacity
+                    style={[styles.footerButton, styles.clearButton]}
+                    onPress={handleClearSession}
+                    disabled={countedTotal === 0 || submitting}
+                >
+                    <Trash2 size={18} color={countedTotal === 0 ? '#cbd5e1' : '#ef4444'} />
+                    <Text style={[styles.clearButtonText, countedTotal === 0 && { color: '#cbd5e1' }]}>ล้าง</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                    style={[styles.footerButton, styles.submitButton, (countedTotal === 0 || submitting) && styles.disabledButton]}
+                    onPress={handleSubmit}
+                    disabled={countedTotal === 0 || submitting}
+                >
+                    {submitting ? (
+                        <ActivityIndicator size="small" color="#fff" />
+                    ) : (
+                        <>
+                            {isOnline ? <Send size={18} color="#fff" /> : <AlertTriangle size={18} color="#fff" />}
+                            <Text style={styles.submitButtonText}>ส่งผลนับ</Text>
+                        </>
+                    )}
+                </TouchableOpacity>
+            </View>
+        </SafeAreaView>
+    );
+}
+
+// =============================================================================
+// STYLES
+// =============================================================================
+
+const styles = StyleSheet.create({
+    // Layout
+    container: {
+        flex: 1,
+        backgroundColor: '#f8fafc',
+    },
+
+    // Header
+    header: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingHorizontal: 16,
+        paddingVertical: 12,
+        backgroundColor: '#fff',
+        borderBottomWidth: 1,
+        borderBottomColor: '#e2e8f0',
+    },
+    backButton: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingRight: 12,
+    },
+    backButtonText: {
+        fontSize: 16,
+        color: '#1e293b',
+        marginLeft: 4,
+    },
+    headerInfo: {
+        flex: 1,
+    },
+    title: {
+        fontSize: 17,
+        fontWeight: '600',
+        color: '#1e293b',
+    },
+    subtitle: {
+        fontSize: 12,
+        color: '#64748b',
+    },
+    iconButton: {
+        padding: 8,
+    },
+
+    // Manual Input
+    manualInputContainer: {
+        flexDirection: 'row',
+        padding: 16,
+        backgroundColor: '#fff',
+        borderBottomWidth: 1,
+        borderBottomColor: '#e2e8f0',
+    },
+    manualInput: {
+        flex: 1,
+        backgroundColor: '#f8fafc',
+        borderWidth: 1,
+        borderColor: '#cbd5e1',
+        borderRadius: 12,
+        paddingHorizontal: 16,
+        paddingVertical: 12,
+        fontSize: 16,
+        color: '#1e293b',
+        marginRight: 12,
+    },
+    addButton: {
+        backgroundColor: '#10b981',
+        width: 50,
+        justifyContent: 'center',
+        alignItems: 'center',
+        borderRadius: 12,
+    },
+    disabledButton: {
+        backgroundColor: '#cbd5e1',
+    },
+
+    // Camera
+    cameraContainer: {
+        height: 200,
+        backgroundColor: '#000',
+        justifyContent: 'center',
+        alignItems: 'center',
+        overflow: 'hidden',
+    },
+    scanLine: {
+        width: '70%',
+        height: 2,
+        backgroundColor: '#10b981',
+        opacity: 0.8,
+    },
+    scanHint: {
+        position: 'absolute',
+        bottom: 12,
+        color: '#fff',
+        fontSize: 12,
+        backgroundColor: 'rgba(0,0,0,0.5)',
+        paddingHorizontal: 12,
+        paddingVertical: 4,
+        borderRadius: 12,
+        overflow: 'hidden',
+    },
+
+    // Summary
+    summaryBar: {
+        flexDirection: 'row',
+        backgroundColor: '#fff',
+        paddingVertical: 12,
+        borderBottomWidth: 1,
+        borderBottomColor: '#f1f5f9',
+    },
+    summaryItem: {
+        flex: 1,
+        alignItems: 'center',
+    },
+    summaryValue: {
+        fontSize: 18,
+        fontWeight: '700',
+        color: '#1e293b',
+    },
+    summaryLabel: {
+        fontSize: 11,
+        color: '#64748b',
+    },
+
+    // Filters
+    filterRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingHorizontal: 16,
+        paddingVertical: 10,
+        gap: 8,
+    },
+    filterChip: {
+        paddingHorizontal: 14,
+        paddingVertical: 6,
+        borderRadius: 16,
+        backgroundColor: '#fff',
+        borderWidth: 1,
+        borderColor: '#e2e8f0',
+    },
+    filterChipActive: {
+        backgroundColor: '#10b981',
+        borderColor: '#10b981',
+    },
+    filterText: {
+        fontSize: 13,
+        color: '#475569',
+        fontWeight: '500',
+    },
+    filterTextActive: {
+        color: '#fff',
+    },
+
+    // List
+    listContent: {
+        paddingHorizontal: 16,
+        paddingBottom: 16,
+        gap: 8,
+    },
+    row: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        backgroundColor: '#fff',
+        borderRadius: 12,
+        padding: 12,
+        borderWidth: 1,
+        borderColor: '#e2e8f0',
+    },
+    rowHighlight: {
+        borderColor: '#10b981',
+        backgroundColor: '#f0fdf4',
+    },
+    rowInfo: {
+        flex: 1,
+        marginRight: 8,
+    },
+    rowName: {
+        fontSize: 14,
+        fontWeight: '600',
+        color: '#1e293b',
+    },
+    rowBarcode: {
+        fontSize: 12,
+        color: '#64748b',
+        fontFamily: Platform.OS === 'ios' ? 'Menlo' : 'monospace',
+    },
+    rowLocation: {
+        fontSize: 11,
+        color: '#94a3b8',
+        marginTop: 2,
+    },
+    rowBadges: {
+        flexDirection: 'row',
+        marginTop: 6,
+    },
+    systemText: {
+        fontSize: 11,
+        color: '#94a3b8',
+    },
+    diffBadge: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingHorizontal: 8,
+        paddingVertical: 2,
+        borderRadius: 8,
+        gap: 4,
+    },
+    diffMatch: {
+        backgroundColor: '#dcfce7',
+    },
+    diffOver: {
+        backgroundColor: '#dbeafe',
+    },
+    diffUnder: {
+        backgroundColor: '#fee2e2',
+    },
+    diffText: {
+        fontSize: 11,
+        fontWeight: '600',
+    },
+    qtyControls: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 4,
+    },
+    qtyButton: {
+        width: 32,
+        height: 32,
+        borderRadius: 8,
+        backgroundColor: '#f1f5f9',
+        justifyContent: 'center',
+        alignItems: 'center',
+    },
+    qtyInput: {
+        width: 48,
+        height: 32,
+        borderWidth: 1,
+        borderColor: '#cbd5e1',
+        borderRadius: 8,
+        textAlign: 'center',
+        fontSize: 15,
+        fontWeight: '600',
+        color: '#1e293b',
+        paddingVertical: 0,
+    },
+    removeButton: {
+        width: 32,
+        height: 32,
+        justifyContent: 'center',
+        alignItems: 'center',
+    },
+
+    // Empty
+    emptyContainer: {
+        alignItems: 'center',
+        paddingVertical: 48,
+    },
+    emptyText: {
+        marginTop: 12,
+        fontSize: 14,
+        color: '#64748b',
+    },
+
+    // Footer
+    footer: {
+        flexDirection: 'row',
+        padding: 16,
+        gap: 12,
+        backgroundColor: '#fff',
+        borderTopWidth: 1,
+        borderTopColor: '#e2e8f0',
+    },
+    footerButton: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'center',
+        paddingVertical: 14,
+        borderRadius: 12,
+        gap: 8,
+    },
+    clearButton: {
+        flex: 1,
+        backgroundColor: '#fff',
+        borderWidth: 1,
+        borderColor: '#e2e8f0',
+    },
+    clearButtonText: {
+        color: '#ef4444',
+        fontWeight: '600',
+        fontSize: 15,
+    },
+    submitButton: {
+        flex: 2,
+        backgroundColor: '#10b981',
+    },
+    submitButtonText: {
+        color: '#fff',
+        fontWeight: '600',
+        fontSize: 15,
+    },
+});
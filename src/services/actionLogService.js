@@ -1,9 +1,12 @@
 /**
  * ActionLogService - Local action history for audit and recovery
  * Logs user actions locally for troubleshooting
+ * Each entry is one row in the SQLite action_logs table (single AsyncStorage key on web)
  */
 
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getDatabase } from './database';
+import { getActiveStaff } from './staffSession';
 
 const LOG_KEY = '@bmr_action_log';
 const MAX_LOG_ENTRIES = 100;
@@ -14,34 +17,75 @@ export const ACTION_TYPES = {
     LOGOUT: 'LOGOUT',
     SCAN_BARCODE: 'SCAN_BARCODE',
     CREATE_POG_REQUEST: 'CREATE_POG_REQUEST',
+    UPDATE_POG_REQUEST: 'UPDATE_POG_REQUEST',
     CANCEL_POG_REQUEST: 'CANCEL_POG_REQUEST',
     VIEW_PLANOGRAM: 'VIEW_PLANOGRAM',
     REGISTER_PRODUCT: 'REGISTER_PRODUCT',
+    SUBMIT_STOCK_COUNT: 'SUBMIT_STOCK_COUNT',
     ACKNOWLEDGE_SHELF_UPDATE: 'ACKNOWLEDGE_SHELF_UPDATE',
+    STAFF_UNLOCK: 'STAFF_UNLOCK',
+    STAFF_LOCK: 'STAFF_LOCK',
     APP_RESUME: 'APP_RESUME',
     APP_BACKGROUND: 'APP_BACKGROUND',
     NETWORK_CHANGE: 'NETWORK_CHANGE',
     ERROR: 'ERROR',
 };
 
+// Table row -> log entry shape used by callers
+const toLogEntry = (row) => ({
+    id: row.id,
+    type: row.type,
+    details: row.details ? JSON.parse(row.details) : {},
+    userId: row.user_id || '',
+    staffId: row.staff_id || null,
+    staffName: row.staff_name || '',
+    timestamp: row.timestamp,
+});
+
 /**
  * Log an action
  * @param {string} actionType - Action type from ACTION_TYPES
  * @param {object} details - Additional details
- * @param {string} userId - User identifier
+ * @param {string} userId - User identifier (branch)
+ * @param {object} staff - Acting staff member { id, name } (default: whoever is using the device)
  */
-export async function logAction(actionType, details = {}, userId = '') {
+export async function logAction(actionType, details = {}, userId = '', staff = getActiveStaff()) {
     try {
-        const logs = await getActionLogs();
-        
         const newEntry = {
             id: Date.now().toString(36) + Math.random().toString(36).substr(2, 5),
             type: actionType,
             details,
             userId,
+            staffId: staff?.id ?? null,
+            staffName: staff?.name || '',
             timestamp: Date.now(),
         };
 
+        const db = await getDatabase();
+        if (db) {
+            // Insert one row and trim old ones - no need to rewrite the whole log
+            await db.runAsync(
+                `INSERT INTO action_logs (id, type, details, user_id, staff_id, staff_name, timestamp)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    newEntry.id,
+                    actionType,
+                    JSON.stringify(details),
+                    userId,
+                    newEntry.staffId == null ? null : String(newEntry.staffId),
+                    newEntry.staffName,
+                    newEntry.timestamp,
+                ]
+            );
+            await db.runAsync(
+                'DELETE FROM action_logs WHERE id NOT IN (SELECT id FROM action_logs ORDER BY timestamp DESC LIMIT ?)',
+                [MAX_LOG_ENTRIES]
+            );
+            return newEntry.id;
+        }
+
+        const logs = await getActionLogs();
+
         // Add new entry and trim to max size
         logs.unshift(newEntry);
         const trimmedLogs = logs.slice(0, MAX_LOG_ENTRIES);
@@ -60,6 +104,12 @@ export async function logAction(actionType, details = {}, userId = '') {
  */
 export async function getActionLogs() {
     try {
+        const db = await getDatabase();
+        if (db) {
+            const rows = await db.getAllAsync('SELECT * FROM action_logs ORDER BY timestamp DESC');
+            return rows.map(toLogEntry);
+        }
+
         const stored = await AsyncStorage.getItem(LOG_KEY);
         if (!stored) return [];
         return JSON.parse(stored);
@@ -75,6 +125,17 @@ export async function getActionLogs() {
  * @returns {Array}
  */
 export async function getRecentActions(count = 10) {
+    const db = await getDatabase();
+    if (db) {
+        try {
+            const rows = await db.getAllAsync('SELECT * FROM action_logs ORDER BY timestamp DESC LIMIT ?', [count]);
+            return rows.map(toLogEntry);
+        } catch (error) {
+            if (__DEV__) console.error('Get recent actions error:', error);
+            return [];
+        }
+    }
+
     const logs = await getActionLogs();
     return logs.slice(0, count);
 }
@@ -85,6 +146,20 @@ export async function getRecentActions(count = 10) {
  * @returns {Array}
  */
 export async function getActionsByType(actionType) {
+    const db = await getDatabase();
+    if (db) {
+        try {
+            const rows = await db.getAllAsync(
+                'SELECT * FROM action_logs WHERE type = ? ORDER BY timestamp DESC',
+                [actionType]
+            );
+            return rows.map(toLogEntry);
+        } catch (error) {
+            if (__DEV__) console.error('Get actions by type error:', error);
+            return [];
+        }
+    }
+
     const logs = await getActionLogs();
     return logs.filter(log => log.type === actionType);
 }
@@ -94,6 +169,12 @@ export async function getActionsByType(actionType) {
  */
 export async function clearActionLogs() {
     try {
+        const db = await getDatabase();
+        if (db) {
+            await db.runAsync('DELETE FROM action_logs');
+            return true;
+        }
+
         await AsyncStorage.removeItem(LOG_KEY);
         return true;
     } catch (error) {
@@ -1,9 +1,10 @@
 /**
  * CacheService - Local data caching for offline support
- * Stores API responses in AsyncStorage for offline access
+ * Stores API responses in the SQLite cache table (AsyncStorage on web)
  */
 
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getDatabase } from './database';
 
 const CACHE_PREFIX = '@bmr_cache_';
 const CACHE_EXPIRY_PREFIX = '@bmr_cache_expiry_';
@@ -17,6 +18,7 @@ export const CACHE_KEYS = {
     POG_REQUESTS: (branchCode) => `pog_requests_${branchCode}`,
     SHELVES: (branchCode) => `shelves_${branchCode}`,
     SHELF_HISTORY: (branchCode) => `shelf_history_${branchCode}`,
+    APP_CONFIG: (branchCode) => `app_config_${branchCode || 'default'}`,
 };
 
 /**
@@ -31,6 +33,15 @@ export async function setCache(key, data, duration = DEFAULT_CACHE_DURATION) {
         const expiryKey = CACHE_EXPIRY_PREFIX + key;
         const expiryTime = Date.now() + duration;
 
+        const db = await getDatabase();
+        if (db) {
+            await db.runAsync(
+                'INSERT OR REPLACE INTO cache (key, data, expires_at, cached_at) VALUES (?, ?, ?, ?)',
+                [key, JSON.stringify(data), expiryTime, Date.now()]
+            );
+            return true;
+        }
+
         await AsyncStorage.multiSet([
             [cacheKey, JSON.stringify(data)],
             [expiryKey, String(expiryTime)],
@@ -53,6 +64,17 @@ export async function getCache(key) {
         const cacheKey = CACHE_PREFIX + key;
         const expiryKey = CACHE_EXPIRY_PREFIX + key;
 
+        const db = await getDatabase();
+        if (db) {
+            const row = await db.getFirstAsync('SELECT data, expires_at FROM cache WHERE key = ?', [key]);
+            if (!row) return null;
+            if (Date.now() > row.expires_at) {
+                await db.runAsync('DELETE FROM cache WHERE key = ?', [key]);
+                return null;
+            }
+            return JSON.parse(row.data);
+        }
+
         const [[, data], [, expiry]] = await AsyncStorage.multiGet([cacheKey, expiryKey]);
 
         if (!data || !expiry) {
@@ -83,6 +105,17 @@ export async function getCacheWithMeta(key) {
         const cacheKey = CACHE_PREFIX + key;
         const expiryKey = CACHE_EXPIRY_PREFIX + key;
 
+        const db = await getDatabase();
+        if (db) {
+            const row = await db.getFirstAsync('SELECT data, expires_at, cached_at FROM cache WHERE key = ?', [key]);
+            if (!row) return { data: null, isExpired: true, cachedAt: null };
+            return {
+                data: JSON.parse(row.data),
+                isExpired: Date.now() > row.expires_at,
+                cachedAt: row.cached_at,
+            };
+        }
+
         const [[, data], [, expiry]] = await AsyncStorage.multiGet([cacheKey, expiryKey]);
 
         if (!data) {
@@ -111,6 +144,12 @@ export async function getCacheWithMeta(key) {
  */
 export async function removeCache(key) {
     try {
+        const db = await getDatabase();
+        if (db) {
+            await db.runAsync('DELETE FROM cache WHERE key = ?', [key]);
+            return true;
+        }
+
         const cacheKey = CACHE_PREFIX + key;
         const expiryKey = CACHE_EXPIRY_PREFIX + key;
         await AsyncStorage.multiRemove([cacheKey, expiryKey]);
@@ -126,6 +165,19 @@ export async function removeCache(key) {
  */
 export async function clearAllCache() {
     try {
+        const db = await getDatabase();
+        if (db) {
+            await db.execAsync(`
+                DELETE FROM cache;
+                DELETE FROM products;
+                DELETE FROM shelves;
+                DELETE FROM placements;
+                DELETE FROM requests;
+                DELETE FROM branch_sync;
+            `);
+            return true;
+        }
+
         const allKeys = await AsyncStorage.getAllKeys();
         const cacheKeys = allKeys.filter(
             key => key.startsWith(CACHE_PREFIX) || key.startsWith(CACHE_EXPIRY_PREFIX)
@@ -146,6 +198,17 @@ export async function clearAllCache() {
  */
 export async function getCacheInfo() {
     try {
+        const db = await getDatabase();
+        if (db) {
+            const rows = await db.getAllAsync('SELECT key FROM cache');
+            const branches = await db.getAllAsync('SELECT branch_code, resource FROM branch_sync');
+            const keys = [
+                ...rows.map((row) => row.key),
+                ...branches.map((row) => `${row.resource}_${row.branch_code}`),
+            ];
+            return { count: keys.length, keys };
+        }
+
         const allKeys = await AsyncStorage.getAllKeys();
         const cacheKeys = allKeys.filter(key => key.startsWith(CACHE_PREFIX));
         return {
@@ -0,0 +1,128 @@
+/**
+ * ConfigService - Remote feature flags and runtime settings per branch
+ * Fetches /app-config, validates it against safe defaults and caches it for offline starts
+ */
+
+import { getAppConfig } from '../api/user';
+import { setCache, getCacheWithMeta, CACHE_KEYS } from './cacheService';
+import { APP_VERSION, DEFAULT_CONFIG, SETTING_LIMITS } from '../constants/config';
+
+// Cached config stays usable offline for 30 days
+const CONFIG_CACHE_DURATION = 30 * 24 * 60 * 60 * 1000;
+
+// The API may only be moved to another host of our own domain over HTTPS
+const ALLOWED_API_URL = /^https:\/\/([a-z0-9-]+\.)*bmrpog\.com(\/|$)/i;
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+// Keep a number only when it is inside the allowed range of the setting
+const pickNumber = (value, fallback, limits) => {
+    const n = Number(value);
+    if (value === null || value === '' || !Number.isFinite(n)) return fallback;
+    if (limits && (n < limits.min || n > limits.max)) return fallback;
+    return n;
+};
+
+/**
+ * Merge a server payload over the defaults, dropping anything invalid
+ * @param {object} raw - { flags, settings } from the server or cache
+ * @returns {object} Complete config in DEFAULT_CONFIG shape
+ */
+export function normalizeConfig(raw) {
+    const flags = { ...DEFAULT_CONFIG.flags };
+    if (isPlainObject(raw?.flags)) {
+        Object.entries(raw.flags).forEach(([name, value]) => {
+            if (typeof value === 'boolean') flags[name] = value;
+        });
+    }
+
+    const defaults = DEFAULT_CONFIG.settings;
+    const settings = isPlainObject(raw?.settings) ? raw.settings : {};
+    const retry = isPlainObject(settings.retry) ? settings.retry : {};
+
+    const apiUrl = typeof settings.apiUrl === 'string' && ALLOWED_API_URL.test(settings.apiUrl)
+        ? settings.apiUrl.replace(/\/+$/, '')
+        : defaults.apiUrl;
+
+    const baseDelay = pickNumber(retry.baseDelay, defaults.retry.baseDelay, SETTING_LIMITS['retry.baseDelay']);
+    const maxDelay = pickNumber(retry.maxDelay, defaults.retry.maxDelay, SETTING_LIMITS['retry.maxDelay']);
+
+    return {
+        flags,
+        settings: {
+            apiUrl,
+            idleTimeoutMinutes: pickNumber(
+                settings.idleTimeoutMinutes,
+                defaults.idleTimeoutMinutes,
+                SETTING_LIMITS.idleTimeoutMinutes
+            ),
+            refreshIntervalMinutes: pickNumber(
+                settings.refreshIntervalMinutes,
+                defaults.refreshIntervalMinutes,
+                SETTING_LIMITS.refreshIntervalMinutes
+            ),
+            retry: {
+                maxRetries: Math.round(pickNumber(retry.maxRetries, defaults.retry.maxRetries, SETTING_LIMITS['retry.maxRetries'])),
+                baseDelay,
+                maxDelay: Math.max(maxDelay, baseDelay),
+            },
+        },
+    };
+}
+
+/**
+ * Read a setting by dot path (e.g. 'retry.maxRetries')
+ * @param {object} config - Normalized config
+ * @param {string} path
+ * @returns {any} Setting value (default value when missing)
+ */
+export function getSetting(config, path) {
+    const read = (source) => String(path).split('.').reduce(
+        (value, key) => (value == null ? undefined : value[key]),
+        source
+    );
+    const value = read(config?.settings);
+    return value === undefined ? read(DEFAULT_CONFIG.settings) : value;
+}
+
+/**
+ * Check a feature flag
+ * @param {object} config - Normalized config
+ * @param {string} flag - One of FLAGS
+ * @returns {boolean}
+ */
+export function isFeatureEnabled(config, flag) {
+    return (config?.flags || DEFAULT_CONFIG.flags)[flag] === true;
+}
+
+/**
+ * Read the last config stored for a branch
+ * @param {string} branchCode - null for the config used before login
+ * @returns {Object|null} { config, cachedAt } or null when nothing is stored
+ */
+export async function loadCachedConfig(branchCode) {
+    const cached = await getCacheWithMeta(CACHE_KEYS.APP_CONFIG(branchCode));
+    if (!cached.data) return null;
+    return { config: normalizeConfig(cached.data), cachedAt: cached.cachedAt };
+}
+
+/**
+ * Fetch the config of a branch and store it for offline use
+ * Throws on network / server errors so the caller can keep its current config
+ * @param {string} branchCode - null for the config used before login
+ * @returns {object} Normalized config
+ */
+export async function fetchConfig(branchCode) {
+    const data = await getAppConfig(branchCode || undefined, APP_VERSION);
+    const config = normalizeConfig(data);
+    await setCache(CACHE_KEYS.APP_CONFIG(branchCode), config, CONFIG_CACHE_DURATION);
+    return config;
+}
+
+export default {
+    normalizeConfig,
+    getSetting,
+    isFeatureEnabled,
+    loadCachedConfig,
+    fetchConfig,
+};
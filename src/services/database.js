@@ -0,0 +1,409 @@
+/**
+ * Database - Embedded SQLite store for offline data
+ * Owns the connection, schema migrations and the one-time move from AsyncStorage blobs
+ */
+
+import { Platform } from 'react-native';
+import * as SQLite from 'expo-sqlite';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const DB_NAME = 'bmr.db';
+
+// Keys used before the SQLite store (AsyncStorage)
+const LEGACY_CACHE_PREFIX = '@bmr_cache_';
+const LEGACY_CACHE_EXPIRY_PREFIX = '@bmr_cache_expiry_';
+const LEGACY_DRAFT_PREFIX = '@bmr_draft_';
+const LEGACY_ACTION_LOG_KEY = '@bmr_action_log';
+const LEGACY_CACHE_DURATION = 24 * 60 * 60 * 1000;
+
+// =============================================================================
+// SCHEMA
+// =============================================================================
+
+// Each entry moves the schema up one version (PRAGMA user_version)
+const MIGRATIONS = [
+    `
+    CREATE TABLE IF NOT EXISTS meta (
+        key TEXT PRIMARY KEY NOT NULL,
+        value TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS cache (
+        key TEXT PRIMARY KEY NOT NULL,
+        data TEXT NOT NULL,
+        expires_at INTEGER NOT NULL,
+        cached_at INTEGER NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS drafts (
+        key TEXT PRIMARY KEY NOT NULL,
+        data TEXT NOT NULL,
+        saved_at INTEGER NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS action_logs (
+        id TEXT PRIMARY KEY NOT NULL,
+        type TEXT NOT NULL,
+        details TEXT,
+        user_id TEXT,
+        timestamp INTEGER NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_action_logs_timestamp ON action_logs (timestamp);
+    CREATE INDEX IF NOT EXISTS idx_action_logs_type ON action_logs (type);
+
+    CREATE TABLE IF NOT EXISTS branch_sync (
+        branch_code TEXT NOT NULL,
+        resource TEXT NOT NULL,
+        branch_name TEXT,
+        synced_at TEXT,
+        total INTEGER,
+        cached_at INTEGER NOT NULL,
+        PRIMARY KEY (branch_code, resource)
+    );
+
+    CREATE TABLE IF NOT EXISTS products (
+        branch_code TEXT NOT NULL,
+        barcode TEXT NOT NULL,
+        name_product TEXT,
+        name_brand TEXT,
+        data TEXT NOT NULL,
+        PRIMARY KEY (branch_code, barcode)
+    );
+    CREATE INDEX IF NOT EXISTS idx_products_name ON products (branch_code, name_product);
+    CREATE INDEX IF NOT EXISTS idx_products_brand ON products (branch_code, name_brand);
+
+    CREATE TABLE IF NOT EXISTS shelves (
+        branch_code TEXT NOT NULL,
+        shelf_code TEXT NOT NULL,
+        full_name TEXT,
+        row_qty INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (branch_code, shelf_code)
+    );
+
+    CREATE TABLE IF NOT EXISTS placements (
+        branch_code TEXT NOT NULL,
+        barcode TEXT NOT NULL,
+        shelf_code TEXT NOT NULL,
+        row_no INTEGER,
+        idx INTEGER
+    );
+    CREATE INDEX IF NOT EXISTS idx_placements_shelf ON placements (branch_code, shelf_code, row_no, idx);
+    CREATE INDEX IF NOT EXISTS idx_placements_barcode ON placements (branch_code, barcode);
+
+    CREATE TABLE IF NOT EXISTS requests (
+        branch_code TEXT NOT NULL,
+        id TEXT NOT NULL,
+        barcode TEXT,
+        status TEXT,
+        created_at TEXT,
+        data TEXT NOT NULL,
+        PRIMARY KEY (branch_code, id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_requests_status ON requests (branch_code, status);
+    CREATE INDEX IF NOT EXISTS idx_requests_barcode ON requests (branch_code, barcode);
+    `,
+    `
+    ALTER TABLE action_logs ADD COLUMN staff_id TEXT;
+    ALTER TABLE action_logs ADD COLUMN staff_name TEXT;
+    CREATE INDEX IF NOT EXISTS idx_action_logs_staff ON action_logs (staff_id);
+    `,
+    `
+    ALTER TABLE branch_sync ADD COLUMN products_synced_at TEXT;
+    `,
+];
+
+let dbPromise = null;
+
+async function runMigrations(db) {
+    const row = await db.getFirstAsync('PRAGMA user_version');
+    const currentVersion = row?.user_version || 0;
+
+    for (let version = currentVersion; version < MIGRATIONS.length; version++) {
+        await db.withTransactionAsync(async () => {
+            await db.execAsync(MIGRATIONS[version]);
+            await db.execAsync(`PRAGMA user_version = ${version + 1}`);
+        });
+    }
+}
+
+async function openDatabase() {
+    const db = await SQLite.openDatabaseAsync(DB_NAME);
+    await db.execAsync('PRAGMA journal_mode = WAL;');
+    await runMigrations(db);
+    await migrateLegacyStorage(db);
+    return db;
+}
+
+/**
+ * Get the shared database connection
+ * Resolves to null where SQLite isn't available (web) - callers fall back to AsyncStorage
+ * @returns {Promise<object|null>}
+ */
+export function getDatabase() {
+    if (Platform.OS === 'web') return Promise.resolve(null);
+
+    if (!dbPromise) {
+        dbPromise = openDatabase().catch((error) => {
+            if (__DEV__) console.error('Open database error:', error);
+            dbPromise = null;
+            return null;
+        });
+    }
+    return dbPromise;
+}
+
+// Transactions on the shared connection aren't isolated - one started while another is
+// awaiting would run its statements inside the other, so they take turns
+let transactionChain = Promise.resolve();
+
+/**
+ * Run a write transaction once every earlier one has finished
+ * @param {object} db
+ * @param {Function} task - async () => void, writes through db
+ * @returns {Promise<void>}
+ */
+export function runTransaction(db, task) {
+    const run = transactionChain.then(() => db.withTransactionAsync(task));
+    transactionChain = run.catch(() => {});
+    return run;
+}
+
+// =============================================================================
+// TABLE WRITERS (call inside runTransaction)
+// =============================================================================
+
+/**
+ * Record when a branch resource was stored
+ * @param {object} db
+ * @param {string} branchCode
+ * @param {string} resource - 'planogram' | 'shelves' | 'requests'
+ * @param {object} info - { branchName, syncedAt, productsSyncedAt, total }
+ * @param {number} cachedAt
+ */
+export async function writeSync(db, branchCode, resource, info = {}, cachedAt = Date.now()) {
+    await db.runAsync(
+        `INSERT OR REPLACE INTO branch_sync
+            (branch_code, resource, branch_name, synced_at, products_synced_at, total, cached_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [
+            branchCode, resource, info.branchName || null, info.syncedAt || null,
+            info.productsSyncedAt || null, info.total ?? null, cachedAt,
+        ]
+    );
+}
+
+/**
+ * Replace the planogram of a branch (products + placements)
+ * @param {object} db
+ * @param {string} branchCode
+ * @param {object} data - { items, branchName, syncedAt, productsSyncedAt }
+ * @param {number} cachedAt
+ */
+export async function writePlanogram(db, branchCode, data, cachedAt = Date.now()) {
+    const items = Array.isArray(data?.items) ? data.items : [];
+
+    await db.runAsync('DELETE FROM products WHERE branch_code = ?', [branchCode]);
+    await db.runAsync('DELETE FROM placements WHERE branch_code = ?', [branchCode]);
+
+    const productStmt = await db.prepareAsync(
+        'INSERT OR REPLACE INTO products (branch_code, barcode, name_product, name_brand, data) VALUES (?, ?, ?, ?, ?)'
+    );
+    const placementStmt = await db.prepareAsync(
+        'INSERT INTO placements (branch_code, barcode, shelf_code, row_no, idx) VALUES (?, ?, ?, ?, ?)'
+    );
+    // Planogram only knows rows that hold products - keep the larger rowQty from getBranchShelves
+    const shelfStmt = await db.prepareAsync(
+        `INSERT INTO shelves (branch_code, shelf_code, full_name, row_qty) VALUES (?, ?, ?, ?)
+         ON CONFLICT (branch_code, shelf_code)
+         DO UPDATE SET full_name = excluded.full_name, row_qty = MAX(row_qty, excluded.row_qty)`
+    );
+
+    try {
+        const shelves = {};
+        for (const item of items) {
+            const { shelfCode, fullName, rowNo, index, ...product } = item;
+            const code = shelfCode || '-';
+            const barcode = String(item.barcode);
+
+            await productStmt.executeAsync([
+                branchCode, barcode, product.nameProduct || null, product.nameBrand || null, JSON.stringify(product),
+            ]);
+            await placementStmt.executeAsync([branchCode, barcode, code, Number(rowNo) || null, Number(index) || null]);
+
+            const rows = Number(rowNo) || 1;
+            if (!shelves[code] || rows > shelves[code].rowQty) {
+                shelves[code] = { fullName: fullName || code, rowQty: rows };
+            }
+        }
+        for (const [code, shelf] of Object.entries(shelves)) {
+            await shelfStmt.executeAsync([branchCode, code, shelf.fullName, shelf.rowQty]);
+        }
+    } finally {
+        await productStmt.finalizeAsync();
+        await placementStmt.finalizeAsync();
+        await shelfStmt.finalizeAsync();
+    }
+
+    await writeSync(db, branchCode, 'planogram', data, cachedAt);
+}
+
+/**
+ * Replace shelf templates of a branch
+ * @param {object} db
+ * @param {string} branchCode
+ * @param {object} data - { shelves } as returned by getBranchShelves
+ * @param {number} cachedAt
+ */
+export async function writeShelves(db, branchCode, data, cachedAt = Date.now()) {
+    const shelves = Array.isArray(data?.shelves) ? data.shelves : [];
+
+    await db.runAsync('DELETE FROM shelves WHERE branch_code = ?', [branchCode]);
+    await db.runAsync('DELETE FROM placements WHERE branch_code = ?', [branchCode]);
+
+    const shelfStmt = await db.prepareAsync(
+        'INSERT OR REPLACE INTO shelves (branch_code, shelf_code, full_name, row_qty) VALUES (?, ?, ?, ?)'
+    );
+    const placementStmt = await db.prepareAsync(
+        'INSERT INTO placements (branch_code, barcode, shelf_code, row_no, idx) VALUES (?, ?, ?, ?, ?)'
+    );
+
+    try {
+        for (const shelf of shelves) {
+            await shelfStmt.executeAsync([
+                branchCode, shelf.shelfCode, shelf.fullName || shelf.shelfCode, Number(shelf.rowQty || 0),
+            ]);
+            for (const item of shelf.items || []) {
+                await placementStmt.executeAsync([
+                    branchCode, String(item.barcode), shelf.shelfCode, Number(item.rowNo) || null, Number(item.index) || null,
+                ]);
+            }
+        }
+    } finally {
+        await shelfStmt.finalizeAsync();
+        await placementStmt.finalizeAsync();
+    }
+
+    await writeSync(db, branchCode, 'shelves', {}, cachedAt);
+}
+
+/**
+ * Replace stored POG requests of a branch (latest page only, like the old cache blob)
+ * @param {object} db
+ * @param {string} branchCode
+ * @param {object} data - { data, total } (first page of getMyPogRequests)
+ * @param {number} cachedAt
+ */
+export async function writeRequests(db, branchCode, data, cachedAt = Date.now()) {
+    const list = Array.isArray(data?.data) ? data.data : [];
+
+    await db.runAsync('DELETE FROM requests WHERE branch_code = ?', [branchCode]);
+
+    const stmt = await db.prepareAsync(
+        `INSERT OR REPLACE INTO requests (branch_code, id, barcode, status, created_at, data)
+         VALUES (?, ?, ?, ?, ?, ?)`
+    );
+    try {
+        for (const request of list) {
+            await stmt.executeAsync([
+                branchCode,
+                String(request.id),
+                request.barcode ? String(request.barcode) : null,
+                request.status || null,
+                request.createdAt || null,
+                JSON.stringify(request),
+            ]);
+        }
+    } finally {
+        await stmt.finalizeAsync();
+    }
+
+    await writeSync(db, branchCode, 'requests', { total: data?.total || 0 }, cachedAt);
+}
+
+// =============================================================================
+// LEGACY MIGRATION (AsyncStorage -> SQLite)
+// =============================================================================
+
+const parseJson = (value) => {
+    try {
+        return JSON.parse(value);
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Move @bmr_cache_ / @bmr_draft_ / action log keys into tables (runs once)
+ * Old keys are removed only after the transaction commits
+ */
+async function migrateLegacyStorage(db) {
+    const done = await db.getFirstAsync('SELECT value FROM meta WHERE key = ?', ['legacy_migrated']);
+    if (done) return;
+
+    const allKeys = await AsyncStorage.getAllKeys();
+    const legacyKeys = allKeys.filter((key) => (
+        key.startsWith(LEGACY_CACHE_PREFIX)
+        || key.startsWith(LEGACY_DRAFT_PREFIX)
+        || key === LEGACY_ACTION_LOG_KEY
+    ));
+    const values = Object.fromEntries(legacyKeys.length ? await AsyncStorage.multiGet(legacyKeys) : []);
+
+    await db.withTransactionAsync(async () => {
+        for (const key of legacyKeys) {
+            const value = parseJson(values[key]);
+            if (value === null) continue;
+
+            // Expiry keys share the cache prefix - they're read together with their data key
+            if (key.startsWith(LEGACY_CACHE_EXPIRY_PREFIX)) continue;
+
+            if (key.startsWith(LEGACY_CACHE_PREFIX)) {
+                const cacheKey = key.slice(LEGACY_CACHE_PREFIX.length);
+                const expiresAt = parseInt(values[LEGACY_CACHE_EXPIRY_PREFIX + cacheKey], 10) || Date.now();
+                const cachedAt = expiresAt - LEGACY_CACHE_DURATION;
+
+                if (cacheKey.startsWith('planogram_')) {
+                    await writePlanogram(db, cacheKey.slice('planogram_'.length), value, cachedAt);
+                } else if (cacheKey.startsWith('shelves_')) {
+                    await writeShelves(db, cacheKey.slice('shelves_'.length), value, cachedAt);
+                } else if (cacheKey.startsWith('pog_requests_')) {
+                    await writeRequests(db, cacheKey.slice('pog_requests_'.length), value, cachedAt);
+                } else {
+                    await db.runAsync(
+                        'INSERT OR REPLACE INTO cache (key, data, expires_at, cached_at) VALUES (?, ?, ?, ?)',
+                        [cacheKey, values[key], expiresAt, cachedAt]
+                    );
+                }
+            } else if (key.startsWith(LEGACY_DRAFT_PREFIX)) {
+                await db.runAsync(
+                    'INSERT OR REPLACE INTO drafts (key, data, saved_at) VALUES (?, ?, ?)',
+                    [key.slice(LEGACY_DRAFT_PREFIX.length), JSON.stringify(value.data ?? null), value.savedAt || Date.now()]
+                );
+            } else if (key === LEGACY_ACTION_LOG_KEY && Array.isArray(value)) {
+                for (const log of value) {
+                    await db.runAsync(
+                        'INSERT OR IGNORE INTO action_logs (id, type, details, user_id, timestamp) VALUES (?, ?, ?, ?, ?)',
+                        [log.id, log.type, JSON.stringify(log.details || {}), log.userId || '', log.timestamp || Date.now()]
+                    );
+                }
+            }
+        }
+
+        await db.runAsync(
+            'INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)',
+            ['legacy_migrated', String(Date.now())]
+        );
+    });
+
+    if (legacyKeys.length > 0) {
+        await AsyncStorage.multiRemove(legacyKeys);
+    }
+}
+
+export default {
+    getDatabase,
+    runTransaction,
+    writeSync,
+    writePlanogram,
+    writeShelves,
+    writeRequests,
+};
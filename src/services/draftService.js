@@ -1,9 +1,11 @@
 /**
  * DraftService - Auto-save form drafts for data safety
  * Prevents data loss when app crashes or session expires
+ * Drafts live in the SQLite drafts table (AsyncStorage on web)
  */
 
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getDatabase } from './database';
 
 const DRAFT_PREFIX = '@bmr_draft_';
 
@@ -11,8 +13,13 @@ const DRAFT_PREFIX = '@bmr_draft_';
 export const DRAFT_KEYS = {
     POG_REQUEST: 'pog_request',
     REGISTER_PRODUCT: 'register_product',
+    STOCK_COUNT: 'stock_count',
+    POG_BATCH: 'pog_batch',
 };
 
+// Table key without the AsyncStorage prefix (e.g. 'pog_request_8850001')
+const draftId = (key, identifier) => key + (identifier ? `_${identifier}` : '');
+
 /**
  * Save draft data
  * @param {string} key - Draft key (e.g., 'pog_request')
@@ -21,11 +28,21 @@ export const DRAFT_KEYS = {
  */
 export async function saveDraft(key, data, identifier = '') {
     try {
-        const draftKey = DRAFT_PREFIX + key + (identifier ? `_${identifier}` : '');
         const draftData = {
             data,
             savedAt: Date.now(),
         };
+
+        const db = await getDatabase();
+        if (db) {
+            await db.runAsync(
+                'INSERT OR REPLACE INTO drafts (key, data, saved_at) VALUES (?, ?, ?)',
+                [draftId(key, identifier), JSON.stringify(data), draftData.savedAt]
+            );
+            return true;
+        }
+
+        const draftKey = DRAFT_PREFIX + draftId(key, identifier);
         await AsyncStorage.setItem(draftKey, JSON.stringify(draftData));
         return true;
     } catch (error) {
@@ -42,7 +59,17 @@ export async function saveDraft(key, data, identifier = '') {
  */
 export async function loadDraft(key, identifier = '') {
     try {
-        const draftKey = DRAFT_PREFIX + key + (identifier ? `_${identifier}` : '');
+        const db = await getDatabase();
+        if (db) {
+            const row = await db.getFirstAsync('SELECT data, saved_at FROM drafts WHERE key = ?', [draftId(key, identifier)]);
+            if (!row) return null;
+            return {
+                data: JSON.parse(row.data),
+                savedAt: row.saved_at,
+            };
+        }
+
+        const draftKey = DRAFT_PREFIX + draftId(key, identifier);
         const stored = await AsyncStorage.getItem(draftKey);
         if (!stored) return null;
         
@@ -64,7 +91,13 @@ export async function loadDraft(key, identifier = '') {
  */
 export async function clearDraft(key, identifier = '') {
     try {
-        const draftKey = DRAFT_PREFIX + key + (identifier ? `_${identifier}` : '');
+        const db = await getDatabase();
+        if (db) {
+            await db.runAsync('DELETE FROM drafts WHERE key = ?', [draftId(key, identifier)]);
+            return true;
+        }
+
+        const draftKey = DRAFT_PREFIX + draftId(key, identifier);
         await AsyncStorage.removeItem(draftKey);
         return true;
     } catch (error) {
@@ -78,6 +111,12 @@ export async function clearDraft(key, identifier = '') {
  */
 export async function clearAllDrafts() {
     try {
+        const db = await getDatabase();
+        if (db) {
+            await db.runAsync('DELETE FROM drafts');
+            return true;
+        }
+
         const allKeys = await AsyncStorage.getAllKeys();
         const draftKeys = allKeys.filter(key => key.startsWith(DRAFT_PREFIX));
         if (draftKeys.length > 0) {
@@ -105,6 +144,36 @@ export async function hasDraft(key, identifier = '') {
     return (Date.now() - draft.savedAt) < maxAge;
 }
 
+// =============================================================================
+// FLUSH ON LOGOUT
+// =============================================================================
+
+// Save callbacks of mounted forms (registered by useAutoSave)
+const flushHandlers = new Set();
+
+/**
+ * Register a callback that saves a form's pending changes immediately
+ * @param {Function} handler - async () => void
+ * @returns {Function} Unregister
+ */
+export function registerDraftFlush(handler) {
+    flushHandlers.add(handler);
+    return () => flushHandlers.delete(handler);
+}
+
+/**
+ * Save pending changes of every mounted form (e.g. before an idle logout)
+ */
+export async function flushDrafts() {
+    await Promise.all(
+        [...flushHandlers].map((handler) => Promise.resolve()
+            .then(handler)
+            .catch((error) => {
+                if (__DEV__) console.error('Flush draft error:', error);
+            }))
+    );
+}
+
 /**
  * Format draft save time
  * @param {number} timestamp
@@ -125,6 +194,8 @@ export default {
     clearDraft,
     clearAllDrafts,
     hasDraft,
+    registerDraftFlush,
+    flushDrafts,
     formatDraftTime,
     DRAFT_KEYS,
 };
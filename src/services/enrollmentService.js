@@ -0,0 +1,113 @@
+/**
+ * EnrollmentService - Branches this device is enrolled for
+ * The server issues one device token per branch at enrollment; tokens live in secure storage only
+ */
+
+import { Platform } from 'react-native';
+import { enrollDevice } from '../api/user';
+import { secureGet, secureSet, secureDelete } from './secureStorage';
+
+// Kept apart from SECURE_KEYS so logout / secureClearAll never unenrolls the device
+const ENROLLMENT_KEYS = {
+    DEVICE_ID: 'bmr_device_id',
+    BRANCHES: 'bmr_enrolled_branches',
+    DEVICE_TOKEN: (branchCode) => `bmr_device_token_${branchCode}`,
+};
+
+/**
+ * Stable id of this installation (sent with enrollment and branch login)
+ * @returns {string}
+ */
+export async function getDeviceId() {
+    const existing = await secureGet(ENROLLMENT_KEYS.DEVICE_ID);
+    if (existing) return existing;
+
+    const deviceId = `dev-${Date.now().toString(36)}${Math.random().toString(36).substr(2, 10)}`;
+    await secureSet(ENROLLMENT_KEYS.DEVICE_ID, deviceId);
+    return deviceId;
+}
+
+/**
+ * Branches enrolled on this device
+ * @returns {Array} [{ code, name, enrolledAt }]
+ */
+export async function getEnrolledBranches() {
+    try {
+        const json = await secureGet(ENROLLMENT_KEYS.BRANCHES);
+        const list = json ? JSON.parse(json) : [];
+        return Array.isArray(list) ? list : [];
+    } catch (error) {
+        if (__DEV__) console.error('Get enrolled branches error:', error);
+        return [];
+    }
+}
+
+/**
+ * Store the device token issued for a branch
+ * @param {object} enrollment - { branchCode, branchName, deviceToken }
+ */
+export async function saveEnrollment({ branchCode, branchName, deviceToken }) {
+    if (!branchCode || !deviceToken) return false;
+
+    const saved = await secureSet(ENROLLMENT_KEYS.DEVICE_TOKEN(branchCode), deviceToken);
+    if (!saved) return false;
+
+    const list = (await getEnrolledBranches()).filter((b) => b.code !== branchCode);
+    list.push({ code: branchCode, name: branchName || '', enrolledAt: Date.now() });
+    return secureSet(ENROLLMENT_KEYS.BRANCHES, JSON.stringify(list));
+}
+
+/**
+ * Remove a branch from this device (token revoked or removed by the user)
+ * @param {string} branchCode
+ */
+export async function removeEnrollment(branchCode) {
+    await secureDelete(ENROLLMENT_KEYS.DEVICE_TOKEN(branchCode));
+    const list = (await getEnrolledBranches()).filter((b) => b.code !== branchCode);
+    return secureSet(ENROLLMENT_KEYS.BRANCHES, JSON.stringify(list));
+}
+
+/**
+ * Device token of an enrolled branch
+ * @param {string} branchCode
+ * @returns {string|null}
+ */
+export async function getDeviceToken(branchCode) {
+    if (!branchCode) return null;
+    return secureGet(ENROLLMENT_KEYS.DEVICE_TOKEN(branchCode));
+}
+
+/**
+ * Enroll this device for a branch with the one-time code issued by the back office
+ * Throws the API error when the code is invalid or expired
+ * @param {string} branchCode
+ * @param {string} enrollmentCode
+ * @returns {object} { code, name }
+ */
+export async function enroll(branchCode, enrollmentCode) {
+    const deviceId = await getDeviceId();
+    const data = await enrollDevice({
+        branchCode,
+        enrollmentCode,
+        deviceId,
+        deviceName: `${Platform.OS} ${Platform.Version ?? ''}`.trim(),
+    });
+
+    const saved = await saveEnrollment({
+        branchCode: data?.branchCode || branchCode,
+        branchName: data?.branchName,
+        deviceToken: data?.deviceToken,
+    });
+    if (!saved) throw new Error('ไม่สามารถบันทึกการลงทะเบียนบนเครื่องได้');
+
+    return { code: data?.branchCode || branchCode, name: data?.branchName || '' };
+}
+
+export default {
+    enroll,
+    getDeviceId,
+    getEnrolledBranches,
+    saveEnrollment,
+    removeEnrollment,
+    getDeviceToken,
+};
@@ -0,0 +1,217 @@
+/**
+ * ExportService - Spreadsheet export of POG request history and shelf change logs
+ * Pages through the API for a date range, writes a CSV (UTF-8 with BOM so Excel shows Thai)
+ * and hands it to the OS share sheet
+ */
+
+import { Platform } from 'react-native';
+import { File, Paths } from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+import { getMyPogRequests, getShelfChangeLogs } from '../api/user';
+import { getRangeDates } from '../utils/dateRanges';
+import { REQUEST_STATUS_MAP, REQUEST_ACTION_MAP } from '../constants/pogRequests';
+
+// Rows per API call while exporting
+const PAGE_SIZE = 100;
+
+// Hard stop so a server that ignores paging can't loop forever
+const MAX_PAGES = 200;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// Local time in a format Excel reads as a date
+const formatDateTime = (value) => {
+    if (!value) return '';
+    const d = new Date(value);
+    if (isNaN(d.getTime())) return String(value);
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
+};
+
+const formatYesNo = (value) => (value ? 'ใช่' : 'ไม่');
+
+// Columns shown first (in this order); any other field the server sends is appended as-is
+const REQUEST_COLUMNS = [
+    { key: 'id', label: 'เลขที่คำขอ' },
+    { key: 'createdAt', label: 'วันที่ขอ', format: formatDateTime },
+    { key: 'updatedAt', label: 'อัปเดตล่าสุด', format: formatDateTime },
+    { key: 'action', label: 'ประเภท', format: (v) => REQUEST_ACTION_MAP[v]?.label || v },
+    { key: 'status', label: 'สถานะ', format: (v) => REQUEST_STATUS_MAP[v]?.label || v },
+    { key: 'barcode', label: 'บาร์โค้ด' },
+    { key: 'productName', label: 'ชื่อสินค้า' },
+    { key: 'fromShelf', label: 'จากชั้นวาง' },
+    { key: 'fromRow', label: 'จากชั้นที่' },
+    { key: 'fromIndex', label: 'จากลำดับ' },
+    { key: 'toShelf', label: 'ไปชั้นวาง' },
+    { key: 'toRow', label: 'ไปชั้นที่' },
+    { key: 'toIndex', label: 'ไปลำดับ' },
+    { key: 'swapBarcode', label: 'สลับกับบาร์โค้ด' },
+    { key: 'swapProductName', label: 'สลับกับสินค้า' },
+    { key: 'note', label: 'หมายเหตุ' },
+];
+
+const SHELF_LOG_COLUMNS = [
+    { key: 'id', label: 'เลขที่' },
+    { key: 'createdAt', label: 'วันที่เปลี่ยน', format: formatDateTime },
+    { key: 'action', label: 'ประเภท', format: (v) => REQUEST_ACTION_MAP[v]?.label || v },
+    { key: 'shelfCode', label: 'ชั้นวาง' },
+    { key: 'codeProduct', label: 'รหัสสินค้า' },
+    { key: 'productName', label: 'ชื่อสินค้า' },
+    { key: 'fromShelf', label: 'จากชั้นวาง' },
+    { key: 'fromRow', label: 'จากชั้นที่' },
+    { key: 'fromIndex', label: 'จากลำดับ' },
+    { key: 'toShelf', label: 'ไปชั้นวาง' },
+    { key: 'toRow', label: 'ไปชั้นที่' },
+    { key: 'toIndex', label: 'ไปลำดับ' },
+    { key: 'acknowledged', label: 'รับทราบแล้ว', format: formatYesNo },
+    { key: 'acknowledgedAt', label: 'วันที่รับทราบ', format: formatDateTime },
+    { key: 'acknowledgedBy', label: 'ผู้รับทราบ' },
+];
+
+/**
+ * Page through a newest-first list and keep the items created inside the range
+ * @param {Function} fetchPage - (page, limit) => { items, total }
+ * @param {object} range - { from, to } from getRangeDates (utils/dateRanges)
+ * @returns {Array}
+ */
+async function collectInRange(fetchPage, { from, to }) {
+    const rows = [];
+
+    for (let page = 1; page <= MAX_PAGES; page++) {
+        const { items, total } = await fetchPage(page, PAGE_SIZE);
+        let passedStart = false;
+
+        items.forEach((item) => {
+            const time = new Date(item.createdAt).getTime();
+            if (from && time < from) {
+                passedStart = true;
+                return;
+            }
+            if (to && time > to) return;
+            rows.push(item);
+        });
+
+        // Everything after this page is older than the range
+        if (passedStart || items.length < PAGE_SIZE || page * PAGE_SIZE >= total) break;
+    }
+    return rows;
+}
+
+// Cells starting like a formula are run by Excel - staff type notes and product names freely
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const escapeCsv = (value) => {
+    let text = String(value ?? '');
+    if (FORMULA_START.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build CSV text from rows
+ * @param {Array} rows
+ * @param {Array} columns - [{ key, label, format }]
+ * @returns {string}
+ */
+export function toCsv(rows, columns) {
+    // Extra scalar fields from the server so nothing is lost
+    const known = new Set(columns.map((c) => c.key));
+    const extra = [];
+    rows.forEach((row) => {
+        Object.keys(row).forEach((key) => {
+            const value = row[key];
+            if (known.has(key) || (value !== null && typeof value === 'object')) return;
+            known.add(key);
+            extra.push({ key, label: key });
+        });
+    });
+
+    const allColumns = [...columns, ...extra];
+    const lines = [
+        allColumns.map((c) => escapeCsv(c.label)).join(','),
+        ...rows.map((row) => allColumns
+            .map((c) => escapeCsv(c.format ? c.format(row[c.key]) : row[c.key]))
+            .join(',')),
+    ];
+    return `\uFEFF${lines.join('\r\n')}`;
+}
+
+/**
+ * Write the CSV and open the share sheet (download on web)
+ * @param {string} fileName
+ * @param {string} content
+ */
+async function shareCsv(fileName, content) {
+    if (Platform.OS === 'web') {
+        const url = URL.createObjectURL(new Blob([content], { type: 'text/csv;charset=utf-8' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.click();
+        URL.revokeObjectURL(url);
+        return;
+    }
+
+    const file = new File(Paths.cache, fileName);
+    if (file.exists) file.delete();
+    file.create();
+    file.write(content);
+
+    if (!(await Sharing.isAvailableAsync())) {
+        throw new Error('อุปกรณ์นี้ไม่รองรับการแชร์ไฟล์');
+    }
+    await Sharing.shareAsync(file.uri, {
+        mimeType: 'text/csv',
+        UTI: 'public.comma-separated-values-text',
+        dialogTitle: fileName,
+    });
+}
+
+const formatFileDate = (d) => `${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}`;
+
+const buildFileName = (prefix, branchCode, range) => {
+    const rangePart = range?.fromDate
+        ? `${formatFileDate(range.fromDate)}-${formatFileDate(range.toDate)}`
+        : range;
+    return `${prefix}_${branchCode}_${rangePart}_${formatFileDate(new Date())}.csv`;
+};
+
+/**
+ * Export the branch's POG requests created in a date range
+ * @param {string} branchCode
+ * @param {string|object} range - One of DATE_RANGES, or { fromDate, toDate }
+ * @returns {number} Rows exported (0 = nothing in the range, no file shared)
+ */
+export async function exportPogRequests(branchCode, range) {
+    const rows = await collectInRange(async (page, limit) => {
+        const res = await getMyPogRequests(branchCode, page, limit);
+        return { items: res?.data || [], total: res?.pagination?.total || 0 };
+    }, getRangeDates(range));
+
+    if (rows.length) {
+        await shareCsv(buildFileName('pog_requests', branchCode, range), toCsv(rows, REQUEST_COLUMNS));
+    }
+    return rows.length;
+}
+
+/**
+ * Export the branch's shelf change logs (acknowledged ones included) in a date range
+ * @param {string} branchCode
+ * @param {string|object} range - One of DATE_RANGES, or { fromDate, toDate }
+ * @returns {number} Rows exported (0 = nothing in the range, no file shared)
+ */
+export async function exportShelfChangeLogs(branchCode, range) {
+    const rows = await collectInRange(async (page, limit) => {
+        const res = await getShelfChangeLogs(branchCode, { page, limit, all: true });
+        return { items: res?.logs || [], total: res?.pagination?.total || 0 };
+    }, getRangeDates(range));
+
+    if (rows.length) {
+        await shareCsv(buildFileName('shelf_changes', branchCode, range), toCsv(rows, SHELF_LOG_COLUMNS));
+    }
+    return rows.length;
+}
+
+export default {
+    toCsv,
+    exportPogRequests,
+    exportShelfChangeLogs,
+};
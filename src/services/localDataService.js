@@ -0,0 +1,326 @@
+/**
+ * LocalDataService - Indexed offline copy of branch data
+ * Planogram, shelves and POG requests are kept in SQLite tables so screens can query them offline
+ * Falls back to cacheService JSON blobs where SQLite isn't available (web)
+ */
+
+import { getDatabase, runTransaction, writePlanogram, writeShelves, writeRequests } from './database';
+import { setCache, getCacheWithMeta, CACHE_KEYS } from './cacheService';
+
+const EMPTY = { data: null, cachedAt: null };
+
+const getSync = (db, branchCode, resource) => db.getFirstAsync(
+    'SELECT branch_name, synced_at, products_synced_at, total, cached_at FROM branch_sync WHERE branch_code = ? AND resource = ?',
+    [branchCode, resource]
+);
+
+// Product row + placement -> item shape of getTemplateAndProduct
+const toPlanogramItem = (row) => ({
+    ...(row.data ? JSON.parse(row.data) : {}),
+    barcode: row.barcode,
+    shelfCode: row.shelf_code,
+    fullName: row.full_name || row.shelf_code,
+    rowNo: row.row_no,
+    index: row.idx,
+});
+
+const PLANOGRAM_SELECT = `
+    SELECT pl.barcode, pl.shelf_code, pl.row_no, pl.idx, s.full_name, pr.data
+    FROM placements pl
+    LEFT JOIN products pr ON pr.branch_code = pl.branch_code AND pr.barcode = pl.barcode
+    LEFT JOIN shelves s ON s.branch_code = pl.branch_code AND s.shelf_code = pl.shelf_code
+`;
+
+// =============================================================================
+// PLANOGRAM
+// =============================================================================
+
+/**
+ * Store the planogram of a branch
+ * @param {string} branchCode
+ * @param {object} data - { items, branchName, syncedAt, productsSyncedAt } or { unchanged: true, syncedAt } after a delta sync
+ */
+export async function savePlanogram(branchCode, data) {
+    try {
+        const db = await getDatabase();
+        if (!db) {
+            if (data.unchanged) return true;
+            return setCache(CACHE_KEYS.PLANOGRAM(branchCode), data);
+        }
+
+        if (data.unchanged) {
+            // Nothing changed - only move the sync cursor
+            await runTransaction(db, () => db.runAsync(
+                'UPDATE branch_sync SET synced_at = ?, cached_at = ? WHERE branch_code = ? AND resource = ?',
+                [data.syncedAt || null, Date.now(), branchCode, 'planogram']
+            ));
+            return true;
+        }
+
+        await runTransaction(db, () => writePlanogram(db, branchCode, data));
+        return true;
+    } catch (error) {
+        if (__DEV__) console.error('Save planogram error:', error);
+        return false;
+    }
+}
+
+/**
+ * Read the stored planogram of a branch
+ * @param {string} branchCode
+ * @returns {Object} { data: { items, branchName, syncedAt, productsSyncedAt }, cachedAt } - data is null when nothing is stored
+ */
+export async function loadPlanogram(branchCode) {
+    try {
+        const db = await getDatabase();
+        if (!db) return getCacheWithMeta(CACHE_KEYS.PLANOGRAM(branchCode));
+
+        const sync = await getSync(db, branchCode, 'planogram');
+        if (!sync) return EMPTY;
+
+        const rows = await db.getAllAsync(
+            `${PLANOGRAM_SELECT} WHERE pl.branch_code = ? ORDER BY pl.shelf_code, pl.row_no, pl.idx`,
+            [branchCode]
+        );
+        return {
+            data: {
+                items: rows.map(toPlanogramItem),
+                branchName: sync.branch_name || '',
+                syncedAt: sync.synced_at,
+                productsSyncedAt: sync.products_synced_at,
+            },
+            cachedAt: sync.cached_at,
+        };
+    } catch (error) {
+        if (__DEV__) console.error('Load planogram error:', error);
+        return EMPTY;
+    }
+}
+
+// =============================================================================
+// SHELVES
+// =============================================================================
+
+/**
+ * Store shelf templates of a branch
+ * @param {string} branchCode
+ * @param {object} data - { shelves } as returned by getBranchShelves
+ */
+export async function saveShelves(branchCode, data) {
+    try {
+        const db = await getDatabase();
+        if (!db) return setCache(CACHE_KEYS.SHELVES(branchCode), data);
+
+        await runTransaction(db, () => writeShelves(db, branchCode, data));
+        return true;
+    } catch (error) {
+        if (__DEV__) console.error('Save shelves error:', error);
+        return false;
+    }
+}
+
+/**
+ * Read stored shelf templates of a branch
+ * @param {string} branchCode
+ * @returns {Object} { data: { shelves }, cachedAt }
+ */
+export async function loadShelves(branchCode) {
+    try {
+        const db = await getDatabase();
+        if (!db) return getCacheWithMeta(CACHE_KEYS.SHELVES(branchCode));
+
+        const sync = await getSync(db, branchCode, 'shelves');
+        if (!sync) return EMPTY;
+
+        const shelfRows = await db.getAllAsync(
+            'SELECT shelf_code, full_name, row_qty FROM shelves WHERE branch_code = ?',
+            [branchCode]
+        );
+        const placementRows = await db.getAllAsync(
+            'SELECT barcode, shelf_code, row_no, idx FROM placements WHERE branch_code = ? ORDER BY row_no, idx',
+            [branchCode]
+        );
+
+        const itemsByShelf = {};
+        placementRows.forEach((row) => {
+            if (!itemsByShelf[row.shelf_code]) itemsByShelf[row.shelf_code] = [];
+            itemsByShelf[row.shelf_code].push({ barcode: row.barcode, rowNo: row.row_no, index: row.idx });
+        });
+
+        return {
+            data: {
+                shelves: shelfRows.map((row) => ({
+                    shelfCode: row.shelf_code,
+                    fullName: row.full_name || row.shelf_code,
+                    rowQty: row.row_qty,
+                    items: itemsByShelf[row.shelf_code] || [],
+                })),
+            },
+            cachedAt: sync.cached_at,
+        };
+    } catch (error) {
+        if (__DEV__) console.error('Load shelves error:', error);
+        return EMPTY;
+    }
+}
+
+// =============================================================================
+// POG REQUESTS
+// =============================================================================
+
+/**
+ * Store the latest POG requests of a branch
+ * @param {string} branchCode
+ * @param {object} data - { data, total } (first page of getMyPogRequests)
+ */
+export async function saveRequests(branchCode, data) {
+    try {
+        const db = await getDatabase();
+        if (!db) return setCache(CACHE_KEYS.POG_REQUESTS(branchCode), data);
+
+        await runTransaction(db, () => writeRequests(db, branchCode, data));
+        return true;
+    } catch (error) {
+        if (__DEV__) console.error('Save requests error:', error);
+        return false;
+    }
+}
+
+/**
+ * Read stored POG requests of a branch, newest first
+ * @param {string} branchCode
+ * @param {number} limit
+ * @returns {Object} { data: { data, total }, cachedAt }
+ */
+export async function loadRequests(branchCode, limit = 20) {
+    try {
+        const db = await getDatabase();
+        if (!db) return getCacheWithMeta(CACHE_KEYS.POG_REQUESTS(branchCode));
+
+        const sync = await getSync(db, branchCode, 'requests');
+        if (!sync) return EMPTY;
+
+        const rows = await db.getAllAsync(
+            'SELECT data FROM requests WHERE branch_code = ? ORDER BY created_at DESC LIMIT ?',
+            [branchCode, limit]
+        );
+        return {
+            data: { data: rows.map((row) => JSON.parse(row.data)), total: sync.total || 0 },
+            cachedAt: sync.cached_at,
+        };
+    } catch (error) {
+        if (__DEV__) console.error('Load requests error:', error);
+        return EMPTY;
+    }
+}
+
+// =============================================================================
+// OFFLINE QUERIES
+// =============================================================================
+
+/**
+ * Search stored products by barcode, name or brand
+ * @param {string} branchCode
+ * @param {string} query
+ * @param {number} limit
+ * @returns {Array} Items in getTemplateAndProduct shape (one per placement)
+ */
+export async function searchProducts(branchCode, query, limit = 50) {
+    const q = String(query || '').trim();
+    if (!branchCode || !q) return [];
+
+    try {
+        const db = await getDatabase();
+        if (!db) {
+            const cached = await getCacheWithMeta(CACHE_KEYS.PLANOGRAM(branchCode));
+            const lower = q.toLowerCase();
+            return (cached.data?.items || []).filter((item) => (
+                String(item.barcode || '').includes(q)
+                || String(item.nameProduct || '').toLowerCase().includes(lower)
+                || String(item.nameBrand || '').toLowerCase().includes(lower)
+            )).slice(0, limit);
+        }
+
+        const like = `%${q}%`;
+        const rows = await db.getAllAsync(
+            `${PLANOGRAM_SELECT}
+             WHERE pl.branch_code = ?
+               AND (pl.barcode LIKE ? OR pr.name_product LIKE ? OR pr.name_brand LIKE ?)
+             ORDER BY pl.shelf_code, pl.row_no, pl.idx
+             LIMIT ?`,
+            [branchCode, like, like, like, limit]
+        );
+        return rows.map(toPlanogramItem);
+    } catch (error) {
+        if (__DEV__) console.error('Search products error:', error);
+        return [];
+    }
+}
+
+/**
+ * Find one product and its shelf positions by barcode
+ * @param {string} branchCode
+ * @param {string} barcode
+ * @returns {Array} Planogram items for the barcode (empty when not stored)
+ */
+export async function findProductByBarcode(branchCode, barcode) {
+    const code = String(barcode || '').trim();
+    if (!branchCode || !code) return [];
+
+    try {
+        const db = await getDatabase();
+        if (!db) {
+            const cached = await getCacheWithMeta(CACHE_KEYS.PLANOGRAM(branchCode));
+            return (cached.data?.items || []).filter((item) => String(item.barcode) === code);
+        }
+
+        const rows = await db.getAllAsync(
+            `${PLANOGRAM_SELECT} WHERE pl.branch_code = ? AND pl.barcode = ? ORDER BY pl.shelf_code, pl.row_no, pl.idx`,
+            [branchCode, code]
+        );
+        return rows.map(toPlanogramItem);
+    } catch (error) {
+        if (__DEV__) console.error('Find product error:', error);
+        return [];
+    }
+}
+
+/**
+ * Pending POG requests for a barcode (duplicate check without network)
+ * @param {string} branchCode
+ * @param {string} barcode
+ * @returns {Array}
+ */
+export async function getPendingRequestsByBarcode(branchCode, barcode) {
+    const code = String(barcode || '').trim();
+    if (!branchCode || !code) return [];
+
+    try {
+        const db = await getDatabase();
+        if (!db) {
+            const cached = await getCacheWithMeta(CACHE_KEYS.POG_REQUESTS(branchCode));
+            return (cached.data?.data || []).filter((r) => r.status === 'pending' && String(r.barcode).trim() === code);
+        }
+
+        const rows = await db.getAllAsync(
+            'SELECT data FROM requests WHERE branch_code = ? AND barcode = ? AND status = ?',
+            [branchCode, code, 'pending']
+        );
+        return rows.map((row) => JSON.parse(row.data));
+    } catch (error) {
+        if (__DEV__) console.error('Get pending requests error:', error);
+        return [];
+    }
+}
+
+export default {
+    savePlanogram,
+    loadPlanogram,
+    saveShelves,
+    loadShelves,
+    saveRequests,
+    loadRequests,
+    searchProducts,
+    findProductByBarcode,
+    getPendingRequestsByBarcode,
+};
@@ -0,0 +1,123 @@
+/**
+ * NotificationService - Push notifications for shelf changes and POG request status
+ * Registers the Expo push token for the branch and maps notification payloads to the screen they open
+ */
+
+import { Platform } from 'react-native';
+import * as Notifications from 'expo-notifications';
+import * as Device from 'expo-device';
+import { registerPushToken, unregisterPushToken } from '../api/user';
+import { getDeviceId } from './enrollmentService';
+import { EAS_PROJECT_ID } from '../constants/config';
+
+// data.type sent by the server
+export const NOTIFICATION_TYPES = {
+    SHELF_CHANGE: 'shelf_change',
+    REQUEST_STATUS: 'request_status',
+};
+
+const ANDROID_CHANNEL_ID = 'default';
+
+// Token registered for the current session (removed again on logout)
+let registered = null;
+
+// Show notifications while the app is open too
+Notifications.setNotificationHandler({
+    handleNotification: async () => ({
+        shouldShowBanner: true,
+        shouldShowList: true,
+        shouldPlaySound: true,
+        shouldSetBadge: false,
+    }),
+});
+
+/**
+ * Ask for permission and register this device's push token for a branch
+ * @param {string} branchCode
+ * @returns {string|null} Expo push token, null when unavailable (simulator, web, permission denied)
+ */
+export async function registerForPushNotifications(branchCode) {
+    if (!branchCode || Platform.OS === 'web' || !Device.isDevice) return null;
+
+    try {
+        if (Platform.OS === 'android') {
+            await Notifications.setNotificationChannelAsync(ANDROID_CHANNEL_ID, {
+                name: 'การแจ้งเตือน',
+                importance: Notifications.AndroidImportance.HIGH,
+            });
+        }
+
+        let { status } = await Notifications.getPermissionsAsync();
+        if (status !== 'granted') {
+            ({ status } = await Notifications.requestPermissionsAsync());
+        }
+        if (status !== 'granted') return null;
+
+        const { data: token } = await Notifications.getExpoPushTokenAsync({ projectId: EAS_PROJECT_ID });
+        const deviceId = await getDeviceId();
+        await registerPushToken({ branchCode, token, deviceId, platform: Platform.OS });
+
+        registered = { branchCode, token };
+        return token;
+    } catch (error) {
+        if (__DEV__) console.error('Register push token error:', error);
+        return null;
+    }
+}
+
+/**
+ * Stop pushes to this device for the session's branch (logout)
+ */
+export async function unregisterPushNotifications() {
+    if (!registered) return;
+    const current = registered;
+    registered = null;
+
+    try {
+        await unregisterPushToken(current);
+    } catch (error) {
+        if (__DEV__) console.error('Unregister push token error:', error);
+    }
+}
+
+/**
+ * Screen a tapped notification opens
+ * @param {object} data - Notification data
+ * @returns {object|null} { name, params }
+ */
+export function getNotificationRoute(data) {
+    switch (data?.type) {
+        case NOTIFICATION_TYPES.SHELF_CHANGE:
+            return { name: 'ShelfHistory', params: data.logId ? { logId: data.logId } : undefined };
+        case NOTIFICATION_TYPES.REQUEST_STATUS:
+            return data.requestId
+                ? { name: 'PogRequestDetail', params: { requestId: data.requestId } }
+                : { name: 'PogRequests' };
+        default:
+            return null;
+    }
+}
+
+/**
+ * Show a local notification shaped like a server push (testing without the backend)
+ * @param {string} type - One of NOTIFICATION_TYPES
+ * @param {object} data - Extra data (branchCode, requestId, status)
+ */
+export async function sendMockNotification(type, data = {}) {
+    const content = type === NOTIFICATION_TYPES.SHELF_CHANGE
+        ? { title: 'มีการปรับเปลี่ยนชั้นวาง', body: 'มีรายการปรับ Planogram ใหม่รอรับทราบ' }
+        : { title: 'สถานะคำขอเปลี่ยนแปลง', body: `คำขอ #${data.requestId || '-'} ${data.status || 'อัปเดตแล้ว'}` };
+
+    return Notifications.scheduleNotificationAsync({
+        content: { ...content, data: { type, ...data } },
+        trigger: null,
+    });
+}
+
+export default {
+    registerForPushNotifications,
+    unregisterPushNotifications,
+    getNotificationRoute,
+    sendMockNotification,
+    NOTIFICATION_TYPES,
+};
@@ -0,0 +1,373 @@
+/**
+ * OutboxService - Persistent queue for mutations made while offline
+ * Stores pending API writes in AsyncStorage (one queue per branch) and replays them in order
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { createPogRequest, registerProduct } from '../api/user';
+import { logAction, ACTION_TYPES } from './actionLogService';
+import { withActingStaff } from './staffSession';
+import { deletePhotos } from './requestPhotoService';
+
+// Queue of one branch is stored under `${OUTBOX_KEY}_${branchCode}` - the bare key is the
+// shared queue of older versions
+const OUTBOX_KEY = '@bmr_outbox';
+
+// Mutation types that can be queued
+export const OUTBOX_TYPES = {
+    POG_REQUEST: 'POG_REQUEST',
+    REGISTER_PRODUCT: 'REGISTER_PRODUCT',
+};
+
+// Item states
+export const OUTBOX_STATUS = {
+    QUEUED: 'queued',       // รอส่ง
+    SENDING: 'sending',     // กำลังส่ง
+    FAILED: 'failed',       // ส่งไม่สำเร็จ (จะลองใหม่อัตโนมัติ)
+    CONFLICT: 'conflict',   // เซิร์ฟเวอร์ปฏิเสธ (ต้องให้ผู้ใช้จัดการ)
+};
+
+// API call for each mutation type
+const SENDERS = {
+    [OUTBOX_TYPES.POG_REQUEST]: createPogRequest,
+    [OUTBOX_TYPES.REGISTER_PRODUCT]: registerProduct,
+};
+
+// HTTP statuses that mean the server rejected the request itself (retrying won't help)
+const CONFLICT_STATUSES = [400, 403, 404, 409, 413, 422];
+
+// Server errors (5xx, expired session) in a row before an item stops holding up the queue
+// and waits for the user - network failures don't count, the queue is there to wait those out
+const MAX_SERVER_ERRORS = 5;
+
+let listeners = [];
+let isFlushing = false;
+
+// Branch of the signed-in session - only its queue is shown and sent (null = logged out)
+let activeBranch = null;
+
+const getOutboxKey = () => (activeBranch ? `${OUTBOX_KEY}_${activeBranch}` : null);
+
+// Tail of the write queue - every change to the stored list runs after the previous one
+let writeChain = Promise.resolve();
+
+const notify = (items) => {
+    listeners.forEach((listener) => listener(items));
+};
+
+/**
+ * Subscribe to outbox changes
+ * @param {Function} listener - Called with the full item list on every change
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeOutbox(listener) {
+    listeners.push(listener);
+    return () => {
+        listeners = listeners.filter((l) => l !== listener);
+    };
+}
+
+async function readOutbox(key) {
+    if (!key) return [];
+    try {
+        const stored = await AsyncStorage.getItem(key);
+        if (!stored) return [];
+        return JSON.parse(stored);
+    } catch (error) {
+        if (__DEV__) console.error('Get outbox error:', error);
+        return [];
+    }
+}
+
+/**
+ * Get all outbox items of the signed-in branch (oldest first)
+ * @returns {Array}
+ */
+export function getOutboxItems() {
+    return readOutbox(getOutboxKey());
+}
+
+async function saveOutboxItems(key, items) {
+    if (!key) return false;
+    try {
+        await AsyncStorage.setItem(key, JSON.stringify(items));
+        // A flush that outlived its session still saves, but the screen shows the new branch
+        if (key === getOutboxKey()) notify(items);
+        return true;
+    } catch (error) {
+        if (__DEV__) console.error('Save outbox error:', error);
+        return false;
+    }
+}
+
+/**
+ * Change the stored list one writer at a time.
+ * The list is read inside the queue so a flush never writes back a copy that
+ * is missing an item queued while it was sending.
+ * @param {Function} change - (items) => new items
+ * @param {string} key - Queue to change, the signed-in branch's by default
+ * @returns {Promise<{saved: boolean, before: Array, after: Array}>}
+ */
+function mutateOutbox(change, key = getOutboxKey()) {
+    const run = writeChain.then(async () => {
+        const before = await readOutbox(key);
+        const after = change(before);
+        const saved = await saveOutboxItems(key, after);
+        return { saved, before, after };
+    });
+    // Keep the queue going after a failed write
+    writeChain = run.catch(() => {});
+    return run;
+}
+
+async function updateItem(id, changes, key) {
+    const { after } = await mutateOutbox((items) => items.map((item) => (
+        item.id === id ? { ...item, ...changes } : item
+    )), key);
+    return after;
+}
+
+/**
+ * Move items of a branch out of the shared queue older versions kept
+ * @param {string} branchCode
+ */
+async function migrateSharedOutbox(branchCode) {
+    const shared = await readOutbox(OUTBOX_KEY);
+    if (!shared.length) return;
+
+    const isOwn = (item) => !item.meta?.branchCode || item.meta.branchCode === branchCode;
+    const own = shared.filter(isOwn);
+    if (!own.length) return;
+
+    const { saved } = await mutateOutbox((items) => [...own, ...items], `${OUTBOX_KEY}_${branchCode}`);
+    if (!saved) return;
+
+    const rest = shared.filter((item) => !isOwn(item));
+    if (rest.length) {
+        await AsyncStorage.setItem(OUTBOX_KEY, JSON.stringify(rest));
+    } else {
+        await AsyncStorage.removeItem(OUTBOX_KEY);
+    }
+}
+
+/**
+ * Switch the outbox to the branch of the signed-in session (null on logout)
+ * Queued items stay with their branch and are sent the next time it signs in
+ * @param {string|null} branchCode
+ */
+export async function setOutboxBranch(branchCode) {
+    activeBranch = branchCode || null;
+    if (activeBranch) {
+        try {
+            await migrateSharedOutbox(activeBranch);
+        } catch (error) {
+            if (__DEV__) console.error('Migrate outbox error:', error);
+        }
+    }
+    notify(await getOutboxItems());
+}
+
+/**
+ * Add a mutation to the outbox
+ * @param {string} type - Mutation type from OUTBOX_TYPES
+ * @param {object} payload - Request body sent to the API
+ * @param {object} meta - Display info (e.g. { barcode, productName, branchCode })
+ * @returns {object|null} The queued item
+ */
+export async function enqueue(type, payload, meta = {}) {
+    if (!SENDERS[type]) {
+        if (__DEV__) console.error('Unknown outbox type:', type);
+        return null;
+    }
+
+    const newItem = {
+        id: Date.now().toString(36) + Math.random().toString(36).substr(2, 5),
+        type,
+        payload: withActingStaff(payload),
+        meta,
+        status: OUTBOX_STATUS.QUEUED,
+        attempts: 0,
+        serverErrors: 0,
+        lastError: null,
+        createdAt: Date.now(),
+        updatedAt: Date.now(),
+    };
+
+    const { saved } = await mutateOutbox((items) => [...items, newItem]);
+    return saved ? newItem : null;
+}
+
+/**
+ * Remove an item from the outbox (its stored photos go with it)
+ * @param {string} id
+ */
+export async function removeItem(id, key) {
+    const { saved, before } = await mutateOutbox((items) => items.filter((item) => item.id !== id), key);
+    if (saved) deletePhotos(before.find((item) => item.id === id)?.payload?.photos);
+    return saved;
+}
+
+/**
+ * Put a failed/conflict item back into the queue
+ * @param {string} id
+ */
+export async function retryItem(id) {
+    await updateItem(id, { status: OUTBOX_STATUS.QUEUED, serverErrors: 0, lastError: null, updatedAt: Date.now() });
+    return true;
+}
+
+/**
+ * Count items still waiting to be sent (queued, sending or failed)
+ * @param {Array} items
+ * @returns {number}
+ */
+export function countPending(items = []) {
+    return items.filter((item) => item.status !== OUTBOX_STATUS.CONFLICT).length;
+}
+
+/**
+ * Check whether an error came from the server rejecting the request
+ * @param {any} error
+ * @returns {boolean}
+ */
+export function isConflictError(error) {
+    return CONFLICT_STATUSES.includes(error?.response?.status);
+}
+
+/**
+ * Check whether an error means the request never reached the server
+ * @param {any} error
+ * @returns {boolean}
+ */
+export function isNetworkError(error) {
+    return !!error && !error.response && error.name !== 'CanceledError';
+}
+
+/**
+ * Send queued items in the order they were created.
+ * Stops at the first failure so later items are never sent before earlier ones.
+ * Each item sends its id as the idempotency key, so a retry after a lost response isn't saved twice.
+ * @returns {object} { sent, failed, conflicts }
+ */
+export async function flushOutbox() {
+    if (isFlushing) return { sent: 0, failed: 0, conflicts: 0 };
+    isFlushing = true;
+
+    const summary = { sent: 0, failed: 0, conflicts: 0 };
+    // Every update goes to the queue the flush started on, even if the session ends meanwhile
+    const key = getOutboxKey();
+
+    try {
+        const items = await readOutbox(key);
+        const pending = items.filter(
+            (item) => item.status === OUTBOX_STATUS.QUEUED || item.status === OUTBOX_STATUS.FAILED
+                // Items stuck in "sending" (app was killed mid-request) are retried too
+                || item.status === OUTBOX_STATUS.SENDING
+        );
+
+        for (const item of pending) {
+            // Logged out or switched branch - the rest must not go out with another session
+            if (getOutboxKey() !== key) break;
+
+            await updateItem(item.id, {
+                status: OUTBOX_STATUS.SENDING,
+                attempts: (item.attempts || 0) + 1,
+                updatedAt: Date.now(),
+            }, key);
+
+            try {
+                const result = await SENDERS[item.type](item.payload, { idempotencyKey: item.id });
+
+                // Register API reports business errors as { ok: false, msg }
+                if (result && result.ok === false) {
+                    await updateItem(item.id, {
+                        status: OUTBOX_STATUS.CONFLICT,
+                        lastError: result.msg || result.message || 'ข้อมูลไม่ถูกต้อง',
+                        updatedAt: Date.now(),
+                    }, key);
+                    summary.conflicts += 1;
+                    continue;
+                }
+
+                await removeItem(item.id, key);
+                summary.sent += 1;
+
+                // Credit the staff member who queued it, not whoever is using the device now
+                logAction(
+                    item.type === OUTBOX_TYPES.POG_REQUEST
+                        ? ACTION_TYPES.CREATE_POG_REQUEST
+                        : ACTION_TYPES.REGISTER_PRODUCT,
+                    { barcode: item.meta?.barcode, fromOutbox: true },
+                    item.meta?.branchCode || '',
+                    item.payload?.staffId ? { id: item.payload.staffId, name: item.payload.staffName } : null
+                );
+            } catch (error) {
+                if (isConflictError(error)) {
+                    await updateItem(item.id, {
+                        status: OUTBOX_STATUS.CONFLICT,
+                        lastError: error?.response?.data?.message || (error.response.status === 413
+                            ? 'รูปภาพมีขนาดใหญ่เกินไป'
+                            : 'ข้อมูลซ้ำหรือไม่ถูกต้อง'),
+                        updatedAt: Date.now(),
+                    }, key);
+                    summary.conflicts += 1;
+                    continue;
+                }
+
+                const serverErrors = (item.serverErrors || 0) + (isNetworkError(error) ? 0 : 1);
+                if (serverErrors >= MAX_SERVER_ERRORS) {
+                    await updateItem(item.id, {
+                        status: OUTBOX_STATUS.CONFLICT,
+                        serverErrors,
+                        lastError: error?.response?.data?.message || 'เซิร์ฟเวอร์ไม่รับข้อมูล กรุณาตรวจสอบแล้วลองใหม่',
+                        updatedAt: Date.now(),
+                    }, key);
+                    summary.conflicts += 1;
+                    continue;
+                }
+
+                await updateItem(item.id, {
+                    status: OUTBOX_STATUS.FAILED,
+                    serverErrors,
+                    lastError: error?.message || 'ส่งข้อมูลไม่สำเร็จ',
+                    updatedAt: Date.now(),
+                }, key);
+                summary.failed += 1;
+
+                // Keep order: don't send newer items past a failed one
+                break;
+            }
+        }
+    } catch (error) {
+        if (__DEV__) console.error('Flush outbox error:', error);
+    } finally {
+        isFlushing = false;
+    }
+
+    return summary;
+}
+
+/**
+ * Clear the whole outbox
+ */
+export async function clearOutbox() {
+    const { saved, before } = await mutateOutbox(() => []);
+    if (saved) before.forEach((item) => deletePhotos(item.payload?.photos));
+    return saved;
+}
+
+export default {
+    enqueue,
+    setOutboxBranch,
+    getOutboxItems,
+    subscribeOutbox,
+    removeItem,
+    retryItem,
+    countPending,
+    isConflictError,
+    isNetworkError,
+    flushOutbox,
+    clearOutbox,
+    OUTBOX_TYPES,
+    OUTBOX_STATUS,
+};
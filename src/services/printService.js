@@ -0,0 +1,158 @@
+/**
+ * PrintService - Printable planogram sheets and shelf-edge price labels
+ * Builds the page from the planogram already on the device (works offline)
+ * and exports it as a PDF through the OS share sheet
+ */
+
+import { Platform } from 'react-native';
+import * as Print from 'expo-print';
+import * as Sharing from 'expo-sharing';
+import { barcodeSvg } from '../utils/barcodeSvg';
+
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const formatPrice = (value) => {
+    const n = Number(value);
+    if (value === null || value === undefined || value === '' || !Number.isFinite(n)) return '-';
+    return n.toLocaleString('th-TH', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+};
+
+const formatDateTime = (value) => {
+    const d = value ? new Date(value) : new Date();
+    return d.toLocaleString('th-TH', {
+        day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit',
+    });
+};
+
+const productName = (product) => product.nameProduct || product.nameBrand || '-';
+
+const STYLES = `
+    * { box-sizing: border-box; }
+    body { font-family: 'Sarabun', 'Noto Sans Thai', sans-serif; color: #0f172a; margin: 0; padding: 24px; font-size: 12px; }
+    h1 { font-size: 20px; margin: 0 0 4px; }
+    .meta { color: #64748b; margin-bottom: 16px; }
+    .notice { color: #b45309; margin-bottom: 12px; }
+    h2 { font-size: 14px; margin: 16px 0 6px; padding: 4px 8px; background: #f1f5f9; border-radius: 4px; }
+    table { width: 100%; border-collapse: collapse; page-break-inside: auto; }
+    tr { page-break-inside: avoid; }
+    th, td { border: 1px solid #cbd5e1; padding: 4px 6px; text-align: left; vertical-align: middle; }
+    th { background: #f8fafc; font-weight: 600; }
+    td.num, th.num { text-align: center; width: 48px; }
+    td.price, th.price { text-align: right; width: 80px; }
+    td.barcode { width: 170px; }
+    td.barcode svg { display: block; height: 28px; width: auto; max-width: 100%; }
+    .digits { font-family: monospace; font-size: 10px; }
+    .empty { color: #94a3b8; font-style: italic; }
+    .labels { page-break-before: always; display: flex; flex-wrap: wrap; gap: 8px; }
+    .label { width: 62mm; height: 34mm; border: 1px dashed #94a3b8; padding: 6px; display: flex; flex-direction: column; justify-content: space-between; page-break-inside: avoid; }
+    .label-name { font-size: 11px; font-weight: 600; line-height: 1.25; max-height: 2.5em; overflow: hidden; }
+    .label-price { font-size: 22px; font-weight: 700; text-align: right; }
+    .label-bottom { display: flex; justify-content: space-between; align-items: flex-end; }
+    .label-bottom svg { display: block; height: 30px; width: auto; }
+    .label-pos { font-size: 9px; color: #64748b; text-align: right; }
+`;
+
+const renderRow = (shelf, rowNo) => {
+    const products = shelf.products.filter((p) => (p.rowNo || 0) === rowNo);
+    const body = products.length
+        ? products.map((p, i) => `
+            <tr>
+                <td class="num">${escapeHtml(p.index || i + 1)}</td>
+                <td class="barcode">${barcodeSvg(p.barcode, { moduleWidth: 1, height: 28, quietZone: 0 })}<span class="digits">${escapeHtml(p.barcode)}</span></td>
+                <td>${escapeHtml(productName(p))}</td>
+                <td class="price">${formatPrice(p.salesPriceIncVAT)}</td>
+            </tr>`).join('')
+        : '<tr><td colspan="4" class="empty">ไม่มีสินค้า</td></tr>';
+
+    return `
+        <h2>ชั้นที่ ${rowNo} (${products.length} รายการ)</h2>
+        <table>
+            <thead>
+                <tr><th class="num">ลำดับ</th><th>บาร์โค้ด</th><th>ชื่อสินค้า</th><th class="price">ราคา (บาท)</th></tr>
+            </thead>
+            <tbody>${body}</tbody>
+        </table>`;
+};
+
+const renderLabel = (product) => `
+    <div class="label">
+        <div class="label-name">${escapeHtml(productName(product))}</div>
+        <div class="label-price">฿${formatPrice(product.salesPriceIncVAT)}</div>
+        <div class="label-bottom">
+            <div>
+                ${barcodeSvg(product.barcode, { moduleWidth: 1.2, height: 30, quietZone: 0 })}
+                <div class="digits">${escapeHtml(product.barcode)}</div>
+            </div>
+            <div class="label-pos">${escapeHtml(product.shelfCode)}<br/>ชั้น ${escapeHtml(product.rowNo || '-')} / ${escapeHtml(product.index || '-')}</div>
+        </div>
+    </div>`;
+
+/**
+ * HTML sheet of one shelf: every row with positions, barcodes, names and prices
+ * @param {object} shelf - One entry from groupByShelf
+ * @param {object} options - { branchName, includeLabels, cachedAt }
+ * @returns {string} Full HTML document
+ */
+export function buildShelfSheetHtml(shelf, { branchName = '', includeLabels = false, cachedAt = null } = {}) {
+    const rows = Array.from({ length: shelf.rowQty || 1 }, (_, i) => renderRow(shelf, i + 1)).join('');
+    const labels = includeLabels && shelf.products.length
+        ? `<div class="labels">${shelf.products.map(renderLabel).join('')}</div>`
+        : '';
+
+    return `<!DOCTYPE html>
+<html lang="th">
+<head>
+    <meta charset="utf-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1" />
+    <title>Planogram ${escapeHtml(shelf.shelfCode)}</title>
+    <style>${STYLES}</style>
+</head>
+<body>
+    <h1>Planogram ${escapeHtml(shelf.shelfCode)} - ${escapeHtml(shelf.fullName)}</h1>
+    <div class="meta">
+        ${branchName ? `สาขา ${escapeHtml(branchName)} • ` : ''}${shelf.rowQty} ชั้น • ${shelf.products.length} รายการ • พิมพ์เมื่อ ${formatDateTime()}
+    </div>
+    ${cachedAt ? `<div class="notice">ข้อมูลออฟไลน์ ณ ${formatDateTime(cachedAt)}</div>` : ''}
+    ${rows}
+    ${labels}
+</body>
+</html>`;
+}
+
+/**
+ * Create the shelf sheet as a PDF and open the share sheet (print dialog on web)
+ * @param {object} shelf - One entry from groupByShelf
+ * @param {object} options - See buildShelfSheetHtml
+ * @returns {string|null} PDF file uri (null on web)
+ */
+export async function exportShelfSheet(shelf, options = {}) {
+    const html = buildShelfSheetHtml(shelf, options);
+
+    if (Platform.OS === 'web') {
+        await Print.printAsync({ html });
+        return null;
+    }
+
+    const { uri } = await Print.printToFileAsync({ html });
+    if (await Sharing.isAvailableAsync()) {
+        await Sharing.shareAsync(uri, {
+            mimeType: 'application/pdf',
+            UTI: 'com.adobe.pdf',
+            dialogTitle: `Planogram ${shelf.shelfCode}`,
+        });
+    } else {
+        // No share targets - send the PDF straight to the printer
+        await Print.printAsync({ uri });
+    }
+    return uri;
+}
+
+export default {
+    buildShelfSheetHtml,
+    exportShelfSheet,
+};
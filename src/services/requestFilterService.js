@@ -0,0 +1,136 @@
+/**
+ * RequestFilterService - Filters, sort and search for the POG request history
+ * Remembered per branch between visits and sent to /pog-request as query params
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { DATE_RANGES, getRangeDates } from '../utils/dateRanges';
+
+const FILTER_KEY_PREFIX = '@bmr_pog_request_filters_';
+
+export const REQUEST_SORTS = {
+    NEWEST: 'newest',
+    OLDEST: 'oldest',
+};
+
+export const DEFAULT_REQUEST_FILTERS = {
+    status: null, // pending | approved | rejected | completed | cancelled
+    action: null, // add | move | swap | delete
+    range: DATE_RANGES.ALL,
+    shelf: '',
+    search: '',
+    sort: REQUEST_SORTS.NEWEST,
+};
+
+/**
+ * Number of filters that narrow the list (search and sort not counted)
+ * @param {object} filters
+ * @returns {number}
+ */
+export function countActiveFilters(filters) {
+    return [
+        !!filters.status,
+        !!filters.action,
+        filters.range !== DATE_RANGES.ALL,
+        !!filters.shelf.trim(),
+    ].filter(Boolean).length;
+}
+
+/**
+ * Anything that changes which requests are listed
+ * @param {object} filters
+ * @returns {boolean}
+ */
+export function hasActiveFilters(filters) {
+    return countActiveFilters(filters) > 0 || !!filters.search.trim();
+}
+
+/**
+ * Query params for GET /pog-request
+ * @param {object} filters
+ * @returns {object} Only the params that are set
+ */
+export function toQueryParams(filters) {
+    const params = {};
+    const { from, to } = getRangeDates(filters.range);
+
+    if (filters.status) params.status = filters.status;
+    if (filters.action) params.action = filters.action;
+    if (filters.shelf.trim()) params.shelf = filters.shelf.trim().toUpperCase();
+    if (filters.search.trim()) params.search = filters.search.trim();
+    if (from) params.from = new Date(from).toISOString();
+    if (to) params.to = new Date(to).toISOString();
+    if (filters.sort === REQUEST_SORTS.OLDEST) params.sort = 'asc';
+    return params;
+}
+
+/**
+ * Same filters applied on the device (cached page shown while offline)
+ * @param {Array} items - Requests
+ * @param {object} filters
+ * @returns {Array}
+ */
+export function applyRequestFilters(items, filters) {
+    const { from, to } = getRangeDates(filters.range);
+    const shelf = filters.shelf.trim().toUpperCase();
+    const search = filters.search.trim().toLowerCase();
+
+    const filtered = items.filter((item) => {
+        if (filters.status && item.status !== filters.status) return false;
+        if (filters.action && item.action !== filters.action) return false;
+        if (shelf && ![item.fromShelf, item.toShelf].some((code) => String(code || '').toUpperCase() === shelf)) return false;
+        if (search
+            && ![item.barcode, item.swapBarcode].some((code) => String(code || '').includes(search))
+            && ![item.productName, item.swapProductName].some((name) => String(name || '').toLowerCase().includes(search))) return false;
+
+        const time = new Date(item.createdAt).getTime();
+        if (from && time < from) return false;
+        if (to && time > to) return false;
+        return true;
+    });
+
+    if (filters.sort === REQUEST_SORTS.OLDEST) {
+        filtered.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    }
+    return filtered;
+}
+
+/**
+ * Filters last used for a branch
+ * @param {string} branchCode
+ * @returns {object} Filters (defaults when nothing is stored)
+ */
+export async function loadRequestFilters(branchCode) {
+    try {
+        const raw = await AsyncStorage.getItem(FILTER_KEY_PREFIX + branchCode);
+        const saved = raw ? JSON.parse(raw) : null;
+        return { ...DEFAULT_REQUEST_FILTERS, ...(saved || {}) };
+    } catch (error) {
+        if (__DEV__) console.error('Load request filters error:', error);
+        return { ...DEFAULT_REQUEST_FILTERS };
+    }
+}
+
+/**
+ * Remember the filters of a branch
+ * @param {string} branchCode
+ * @param {object} filters
+ */
+export async function saveRequestFilters(branchCode, filters) {
+    try {
+        await AsyncStorage.setItem(FILTER_KEY_PREFIX + branchCode, JSON.stringify(filters));
+    } catch (error) {
+        if (__DEV__) console.error('Save request filters error:', error);
+    }
+}
+
+export default {
+    REQUEST_SORTS,
+    DEFAULT_REQUEST_FILTERS,
+    countActiveFilters,
+    hasActiveFilters,
+    toQueryParams,
+    applyRequestFilters,
+    loadRequestFilters,
+    saveRequestFilters,
+};
@@ -0,0 +1,118 @@
+/**
+ * RequestPhotoService - Photo evidence attached to POG requests
+ * Shrinks camera shots on the device before upload, keeps the photos of queued
+ * (offline) requests in app storage until the outbox sends them, and turns the
+ * photo entries the server returns into image sources
+ */
+
+import { Platform } from 'react-native';
+import { File, Directory, Paths } from 'expo-file-system';
+import { ImageManipulator, SaveFormat } from 'expo-image-manipulator';
+import api from '../api/axios';
+
+export const MAX_REQUEST_PHOTOS = 4;
+
+// Long edge after resizing - enough to read a shelf label
+const MAX_PHOTO_SIZE = 1280;
+const JPEG_QUALITY = 0.6;
+
+const PHOTO_DIR_NAME = 'pog-photos';
+
+const getPhotoDir = () => new Directory(Paths.document, PHOTO_DIR_NAME);
+
+const buildPhotoName = () => `pog_${Date.now()}_${Math.random().toString(36).substr(2, 5)}.jpg`;
+
+/**
+ * Resize and re-encode a camera shot as JPEG
+ * @param {object} picture - takePictureAsync() result { uri, width, height }
+ * @returns {Promise<object>} Photo { uri, name, type, width, height }
+ */
+export async function compressPhoto(picture) {
+    const context = ImageManipulator.manipulate(picture.uri);
+    if (picture.width >= picture.height && picture.width > MAX_PHOTO_SIZE) {
+        context.resize({ width: MAX_PHOTO_SIZE });
+    } else if (picture.height > MAX_PHOTO_SIZE) {
+        context.resize({ height: MAX_PHOTO_SIZE });
+    }
+
+    const image = await context.renderAsync();
+    const result = await image.saveAsync({ compress: JPEG_QUALITY, format: SaveFormat.JPEG });
+
+    return {
+        uri: result.uri,
+        name: buildPhotoName(),
+        type: 'image/jpeg',
+        width: result.width,
+        height: result.height,
+    };
+}
+
+/**
+ * Copy photos out of the cache so a queued request still has them after a restart
+ * @param {Array} photos - compressPhoto() results
+ * @returns {Array} Photos pointing at the stored copies
+ */
+export function persistPhotos(photos = []) {
+    if (Platform.OS === 'web' || !photos.length) return photos;
+
+    const dir = getPhotoDir();
+    if (!dir.exists) dir.create({ intermediates: true });
+
+    return photos.map((photo) => {
+        const target = new File(dir, photo.name);
+        if (target.exists) target.delete();
+        new File(photo.uri).copy(target);
+        return { ...photo, uri: target.uri };
+    });
+}
+
+/**
+ * Delete stored copies (after the request was sent or discarded)
+ * @param {Array} photos
+ */
+export function deletePhotos(photos = []) {
+    if (Platform.OS === 'web' || !photos?.length) return;
+
+    const dirUri = getPhotoDir().uri;
+    photos.forEach((photo) => {
+        if (!photo?.uri?.startsWith(dirUri)) return;
+        try {
+            const file = new File(photo.uri);
+            if (file.exists) file.delete();
+        } catch (error) {
+            if (__DEV__) console.error('Delete request photo error:', error);
+        }
+    });
+}
+
+// Server paths like /uploads/... are relative to the API host
+const resolveUrl = (url) => {
+    if (!url || /^(https?|file|data|blob):/i.test(url)) return url;
+    const origin = String(api.defaults.baseURL || '').replace(/^(https?:\/\/[^/]+).*$/i, '$1');
+    return `${origin}${url.startsWith('/') ? '' : '/'}${url}`;
+};
+
+/**
+ * Image sources for the photos of a request
+ * @param {Array} photos - Server entries (url string or { url, thumbnailUrl }) or local photos ({ uri })
+ * @returns {Array} [{ key, uri, thumbUri }]
+ */
+export function getPhotoSources(photos) {
+    if (!Array.isArray(photos)) return [];
+    return photos
+        .map((photo, idx) => {
+            const uri = resolveUrl(typeof photo === 'string' ? photo : photo?.url || photo?.uri);
+            if (!uri) return null;
+            const thumbUri = resolveUrl(photo?.thumbnailUrl) || uri;
+            return { key: `${photo?.id ?? idx}-${uri}`, uri, thumbUri };
+        })
+        .filter(Boolean);
+}
+
+export default {
+    MAX_REQUEST_PHOTOS,
+    compressPhoto,
+    persistPhotos,
+    deletePhotos,
+    getPhotoSources,
+};
@@ -4,6 +4,7 @@
  */
 
 import * as SecureStore from 'expo-secure-store';
+import AsyncStorage from '@react-native-async-storage/async-storage';
 import { Platform } from 'react-native';
 
 // Keys for secure storage
@@ -11,6 +12,7 @@ export const SECURE_KEYS = {
     ACCESS_TOKEN: 'bmr_access_token',
     REFRESH_TOKEN: 'bmr_refresh_token',
     USER_ID: 'bmr_user_id',
+    USER: 'bmr_user',
     LAST_ACTIVITY: 'bmr_last_activity',
 };
 
@@ -90,6 +92,79 @@ export async function secureClearAll() {
     }
 }
 
+// =============================================================================
+// AUTH SESSION
+// =============================================================================
+
+// Keys used before sessions moved into the secure store
+const LEGACY_SESSION_KEYS = ['accessToken', 'user'];
+
+/**
+ * Save the logged-in session
+ * @param {object} session - { accessToken, refreshToken, user }
+ */
+export async function saveAuthSession({ accessToken, refreshToken, user }) {
+    const results = await Promise.all([
+        secureSet(SECURE_KEYS.ACCESS_TOKEN, accessToken),
+        secureSet(SECURE_KEYS.USER, JSON.stringify(user)),
+        refreshToken ? secureSet(SECURE_KEYS.REFRESH_TOKEN, refreshToken) : true,
+    ]);
+    return results.every(Boolean);
+}
+
+/**
+ * Read the stored session
+ * @returns {object} { accessToken, user } - both null when logged out
+ */
+export async function getAuthSession() {
+    try {
+        const [accessToken, userJson] = await Promise.all([
+            secureGet(SECURE_KEYS.ACCESS_TOKEN),
+            secureGet(SECURE_KEYS.USER),
+        ]);
+        return { accessToken, user: userJson ? JSON.parse(userJson) : null };
+    } catch (error) {
+        if (__DEV__) console.error('Get auth session error:', error);
+        return { accessToken: null, user: null };
+    }
+}
+
+/**
+ * Remove the stored session (logout / refresh failed)
+ */
+export async function clearAuthSession() {
+    await Promise.all([
+        secureDelete(SECURE_KEYS.ACCESS_TOKEN),
+        secureDelete(SECURE_KEYS.REFRESH_TOKEN),
+        secureDelete(SECURE_KEYS.USER),
+        AsyncStorage.multiRemove(LEGACY_SESSION_KEYS).catch(() => {}),
+    ]);
+    return true;
+}
+
+/**
+ * Move a session saved by older versions (plain AsyncStorage) into the secure store
+ * Runs before the first session read; the plain copy is removed once the move succeeds
+ */
+export async function migrateLegacySession() {
+    try {
+        const [[, accessToken], [, userJson]] = await AsyncStorage.multiGet(LEGACY_SESSION_KEYS);
+        if (!accessToken && !userJson) return false;
+
+        if (accessToken && userJson) {
+            const saved = await saveAuthSession({ accessToken, user: JSON.parse(userJson) });
+            // Keep the old copy so the next start can retry
+            if (!saved) return false;
+        }
+
+        await AsyncStorage.multiRemove(LEGACY_SESSION_KEYS);
+        return true;
+    } catch (error) {
+        if (__DEV__) console.error('Migrate legacy session error:', error);
+        return false;
+    }
+}
+
 /**
  * Update last activity timestamp
  */
@@ -125,5 +200,9 @@ export default {
     updateLastActivity,
     getLastActivity,
     isSessionIdle,
+    saveAuthSession,
+    getAuthSession,
+    clearAuthSession,
+    migrateLegacySession,
     SECURE_KEYS,
 };
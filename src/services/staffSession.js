@@ -0,0 +1,39 @@
+/**
+ * StaffSession - Staff member currently using the shared branch device
+ * Kept outside the stores so API calls and logs can stamp the actor without import cycles
+ */
+
+let activeStaff = null;
+
+/**
+ * Set the acting staff member (null when the device is locked)
+ * @param {object|null} staff - { id, name, role }
+ */
+export function setActiveStaff(staff) {
+    activeStaff = staff ? { id: staff.id, name: staff.name || '', role: staff.role } : null;
+}
+
+/**
+ * Staff member currently using the device
+ * @returns {object|null} { id, name, role }
+ */
+export function getActiveStaff() {
+    return activeStaff;
+}
+
+/**
+ * Add the acting staff member to a request body
+ * Bodies that already carry a staff member (e.g. queued offline) keep the original one
+ * @param {object} payload
+ * @returns {object}
+ */
+export function withActingStaff(payload) {
+    if (!activeStaff || !payload || payload.staffId) return payload;
+    return { ...payload, staffId: activeStaff.id, staffName: activeStaff.name };
+}
+
+export default {
+    setActiveStaff,
+    getActiveStaff,
+    withActingStaff,
+};
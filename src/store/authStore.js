@@ -1,8 +1,88 @@
 // Auth store for mobile-bmr (with refresh token support)
 import { create } from 'zustand';
-import AsyncStorage from '@react-native-async-storage/async-storage';
 import { Alert, Platform } from 'react-native';
 import api from '../api/axios';
+import useBranchDataStore from './branchDataStore';
+import { verifyStaffPin } from '../api/user';
+import { getDeviceId, getDeviceToken, removeEnrollment } from '../services/enrollmentService';
+import {
+    saveAuthSession,
+    getAuthSession,
+    clearAuthSession,
+    migrateLegacySession,
+    updateLastActivity,
+} from '../services/secureStorage';
+import { setActiveStaff } from '../services/staffSession';
+import { flushDrafts } from '../services/draftService';
+import { logAction, ACTION_TYPES } from '../services/actionLogService';
+import { unregisterPushNotifications } from '../services/notificationService';
+import { setOutboxBranch } from '../services/outboxService';
+
+// Server error codes meaning this device may no longer sign in as the branch
+const REVOKED_DEVICE_CODES = ['DEVICE_NOT_ENROLLED', 'DEVICE_REVOKED'];
+
+// Persist a login response and mark the session as logged in
+// loginType 'branch' = shared device session, staff identify themselves with a PIN on top of it
+const saveSession = async (set, res, storecode, loginType) => {
+    const userData = {
+        ...res.data.payload,
+        storecode,
+        branchname: res.data.payload?.branchname || '',
+        loginType,
+    };
+
+    await saveAuthSession({
+        accessToken: res.data.accessToken,
+        refreshToken: res.data.refreshToken,
+        user: userData,
+    });
+    // Fresh login - an old activity timestamp must not count as idle
+    await updateLastActivity();
+    await setOutboxBranch(storecode);
+
+    set({
+        user: userData,
+        accessToken: res.data.accessToken,
+        isLoggedIn: true,
+    });
+};
+
+// Longest logout waits for the push token removal - it carries on in the background after that
+const PUSH_UNREGISTER_WAIT_MS = 1500;
+
+// Everything a session leaves on the device - shared by logout and forced logout (idle, expired)
+const endSession = async (set) => {
+    // Still authenticated here - give the request time to pick up the token, not to finish
+    await Promise.race([
+        unregisterPushNotifications(),
+        new Promise((resolve) => setTimeout(resolve, PUSH_UNREGISTER_WAIT_MS)),
+    ]);
+    setActiveStaff(null);
+    // Unsent items stay queued for the next login of this branch
+    await setOutboxBranch(null);
+    await clearAuthSession();
+    useBranchDataStore.getState().reset();
+
+    set({
+        user: null,
+        accessToken: null,
+        isLoggedIn: false,
+    });
+};
+
+// Sessions saved before loginType existed: a device enrolled for the branch signed in as the
+// branch, anything else was a personal login and keeps working as before
+const inferLoginType = async (user) => {
+    const deviceToken = await getDeviceToken(user.storecode || user.name);
+    return deviceToken ? 'branch' : 'manual';
+};
+
+/**
+ * Shared branch sessions wait on the lock screen until a staff member enters their PIN
+ * @param {object} user - authStore user
+ * @returns {boolean}
+ */
+export const isStaffLocked = (user) => !!user && user.loginType === 'branch' && !user.staff;
 
 const useAuthStore = create((set, get) => ({
     user: null,
@@ -10,14 +90,18 @@ const useAuthStore = create((set, get) => ({
     isLoading: true,
     isLoggedIn: false,
 
-    // Initialize auth state from storage
+    // Initialize auth state from storage (the acting staff member is never restored - the device starts locked)
     initAuth: async () => {
         try {
-            const [token, userJson] = await AsyncStorage.multiGet(['accessToken', 'user']);
-            const accessToken = token[1];
-            const user = userJson[1] ? JSON.parse(userJson[1]) : null;
+            // Sessions saved by older versions live in plain AsyncStorage
+            await migrateLegacySession();
+            const { accessToken, user: storedUser } = await getAuthSession();
 
-            if (accessToken && user) {
+            if (accessToken && storedUser) {
+                const user = storedUser.loginType
+                    ? storedUser
+                    : { ...storedUser, loginType: await inferLoginType(storedUser) };
+                await setOutboxBranch(user.storecode || user.name);
                 set({ accessToken, user, isLoggedIn: true, isLoading: false });
             } else {
                 set({ isLoading: false });
@@ -40,13 +124,7 @@ const useAuthStore = create((set, get) => ({
 
     // Force logout with message
     forceLogout: async (message) => {
-        await AsyncStorage.multiRemove(['accessToken', 'user']);
-
-        set({
-            user: null,
-            accessToken: null,
-            isLoggedIn: false,
-        });
+        await endSession(set);
 
         // Show alert
         if (Platform.OS === 'web') {
@@ -56,38 +134,65 @@ const useAuthStore = create((set, get) => ({
         }
     },
 
-    // Login action
+    // Login action (username / password)
     actionLogin: async (form) => {
         const res = await api.post('/login', form);
+        await saveSession(set, res, form.storecode || form.name, 'manual');
+        return res;
+    },
 
-        const userData = {
-            ...res.data.payload,
-            storecode: form.storecode || form.name,
-            branchname: res.data.payload?.branchname || '',
-        };
+    // Branch login - PIN + the device token issued when this device was enrolled
+    actionBranchLogin: async ({ branchCode, pin }) => {
+        const deviceToken = await getDeviceToken(branchCode);
+        if (!deviceToken) {
+            throw new Error('เครื่องนี้ยังไม่ได้ลงทะเบียนกับสาขานี้');
+        }
+
+        try {
+            const deviceId = await getDeviceId();
+            const res = await api.post('/branch-login', { branchCode, pin, deviceId, deviceToken });
+            await saveSession(set, res, branchCode, 'branch');
+            return res;
+        } catch (error) {
+            // Enrollment revoked on the server - forget it so the branch leaves the picker
+            if (REVOKED_DEVICE_CODES.includes(error?.response?.data?.code)) {
+                await removeEnrollment(branchCode);
+            }
+            throw error;
+        }
+    },
+
+    // Staff PIN on the lock screen - the branch session stays, only the acting person changes
+    unlockStaff: async (pin) => {
+        const { user } = get();
+        const storecode = user?.storecode || user?.name;
+        const data = await verifyStaffPin(storecode, pin);
+        const staff = data?.staff;
+        if (!staff?.id) {
+            throw new Error('ไม่พบพนักงาน');
+        }
 
-        // Save to storage
-        await AsyncStorage.setItem('accessToken', res.data.accessToken);
-        await AsyncStorage.setItem('user', JSON.stringify(userData));
+        setActiveStaff(staff);
+        set({ user: { ...get().user, staff } });
+        await updateLastActivity();
+        logAction(ACTION_TYPES.STAFF_UNLOCK, {}, storecode);
+        return staff;
+    },
 
-        set({
-            user: userData,
-            accessToken: res.data.accessToken,
-            isLoggedIn: true,
-        });
+    // Hand the device to someone else - save open forms, keep the branch session
+    lockStaff: async () => {
+        const { user } = get();
+        if (!user?.staff) return;
 
-        return res;
+        await flushDrafts();
+        logAction(ACTION_TYPES.STAFF_LOCK, {}, user.storecode || user.name);
+        setActiveStaff(null);
+        set({ user: { ...get().user, staff: null } });
     },
 
     // Logout action - just clear local storage (no API call needed)
     logout: async () => {
-        await AsyncStorage.multiRemove(['accessToken', 'user']);
-
-        set({
-            user: null,
-            accessToken: null,
-            isLoggedIn: false,
-        });
+        await endSession(set);
     },
 }));
 
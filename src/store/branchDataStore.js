@@ -0,0 +1,419 @@
+// Store กลางสำหรับข้อมูลสาขา (planogram / shelves / POG requests)
+// เก็บแบบ normalized ต่อสาขา, รวม request ที่ซ้ำกัน และ stale-while-revalidate ผ่าน localDataService (SQLite)
+// Planogram ใช้ delta sync: อ่าน shelf change logs ที่ใหม่กว่า syncedAt แล้ว apply กับข้อมูลเดิม
+import { create } from 'zustand';
+import {
+    getTemplateAndProduct,
+    getShelfChangeLogs,
+    getBranchShelves,
+    getMyPogRequests,
+    getStockLastUpdate,
+} from '../api/user';
+import localData from '../services/localDataService';
+import { isNetworkError } from '../services/outboxService';
+import { applyPlanogramChanges, logToChange } from '../utils/planogram';
+
+// ข้อมูลที่โหลดมาภายในช่วงนี้ถือว่ายังสด ไม่ต้องยิง API ซ้ำ
+const STALE_MS = {
+    planogram: 5 * 60 * 1000,
+    shelves: 5 * 60 * 1000,
+    requests: 60 * 1000,
+};
+
+// Delta sync อ่าน change logs ได้ไม่เกิน 10 หน้า - มากกว่านี้โหลดทั้งหมดเร็วกว่า
+const CHANGE_LOG_PAGE_SIZE = 100;
+const MAX_CHANGE_LOG_PAGES = 10;
+
+// Change logs only move products around - stock and prices come with the full download,
+// so it is repeated at least this often (and whenever stock was updated after it)
+const PRODUCTS_MAX_AGE_MS = 60 * 60 * 1000;
+
+// Promise ที่กำลังโหลดอยู่ (key: `${resource}:${branchCode}`) - หลายหน้าจอเรียกพร้อมกันจะได้ promise เดียวกัน
+const inflight = {};
+
+const emptyBranch = () => ({
+    branchName: '',
+    planogramSyncedAt: null, // server time of the last planogram sync (cursor for delta sync)
+    productsSyncedAt: null,  // server time of the last full download (stock / prices)
+    shelves: {},        // { [shelfCode]: { shelfCode, fullName, rowQty } }
+    products: {},       // { [barcode]: { barcode, nameProduct, nameBrand, salesPriceIncVAT, ... } }
+    placements: [],     // [{ barcode, shelfCode, rowNo, index }]
+    requests: {},       // { [id]: request }
+    requestIds: [],     // ลำดับ request ล่าสุด (หน้าแรก)
+    requestTotal: 0,
+    loadedAt: { planogram: null, shelves: null, requests: null },
+    loading: { planogram: false, shelves: false, requests: false },
+    fromCache: { planogram: false, shelves: false, requests: false },
+    expired: { planogram: false, shelves: false, requests: false },
+    error: { planogram: null, shelves: null, requests: null },
+});
+
+// =============================================================================
+// Normalizers
+// =============================================================================
+
+const normalizePlanogram = (items = []) => {
+    const shelves = {};
+    const products = {};
+    const placements = [];
+
+    items.forEach((item) => {
+        const shelfCode = item.shelfCode || '-';
+        const rowNo = Number(item.rowNo) || 1;
+        if (!shelves[shelfCode]) {
+            shelves[shelfCode] = { shelfCode, fullName: item.fullName || shelfCode, rowQty: rowNo };
+        } else if (rowNo > shelves[shelfCode].rowQty) {
+            shelves[shelfCode].rowQty = rowNo;
+        }
+
+        const { shelfCode: _s, fullName: _f, rowNo: _r, index: _i, ...product } = item;
+        products[item.barcode] = { ...products[item.barcode], ...product };
+        placements.push({ barcode: item.barcode, shelfCode, rowNo: item.rowNo, index: item.index });
+    });
+
+    return { shelves, products, placements };
+};
+
+// planogram รู้ rowQty จาก rowNo ที่มีสินค้าเท่านั้น - เก็บค่าที่มากกว่าไว้เสมอ
+const mergeShelves = (current, incoming) => {
+    const merged = { ...current };
+    Object.values(incoming).forEach((shelf) => {
+        const prev = merged[shelf.shelfCode];
+        merged[shelf.shelfCode] = prev
+            ? { ...prev, ...shelf, rowQty: Math.max(prev.rowQty || 0, shelf.rowQty || 0) }
+            : shelf;
+    });
+    return merged;
+};
+
+const normalizeShelves = (shelfList = []) => {
+    const shelves = {};
+    const placements = [];
+
+    shelfList.forEach((shelf) => {
+        shelves[shelf.shelfCode] = {
+            shelfCode: shelf.shelfCode,
+            fullName: shelf.fullName || shelf.shelfCode,
+            rowQty: Number(shelf.rowQty || 0),
+        };
+        (shelf.items || []).forEach((item) => {
+            placements.push({ barcode: item.barcode, shelfCode: shelf.shelfCode, rowNo: item.rowNo, index: item.index });
+        });
+    });
+
+    return { shelves, placements };
+};
+
+// =============================================================================
+// Selectors (ใช้กับ useMemo บนข้อมูลสาขา เพื่อไม่ให้สร้าง array ใหม่ทุก render)
+// =============================================================================
+
+/**
+ * รายการสินค้าใน planogram รูปแบบเดียวกับ getTemplateAndProduct().items
+ * @param {object} branch - state.byBranch[branchCode]
+ */
+export const selectPlanogramItems = (branch) => {
+    if (!branch) return [];
+    return branch.placements.map((placement) => ({
+        ...branch.products[placement.barcode],
+        barcode: placement.barcode,
+        shelfCode: placement.shelfCode,
+        fullName: branch.shelves[placement.shelfCode]?.fullName || placement.shelfCode,
+        rowNo: placement.rowNo,
+        index: placement.index,
+    }));
+};
+
+/**
+ * รายการ shelf รูปแบบเดียวกับ getBranchShelves().shelves
+ * @param {object} branch - state.byBranch[branchCode]
+ */
+export const selectShelfList = (branch) => {
+    if (!branch) return [];
+    const itemsByShelf = {};
+    branch.placements.forEach((placement) => {
+        if (!itemsByShelf[placement.shelfCode]) itemsByShelf[placement.shelfCode] = [];
+        itemsByShelf[placement.shelfCode].push({
+            barcode: placement.barcode,
+            rowNo: placement.rowNo,
+            index: placement.index,
+        });
+    });
+    return Object.values(branch.shelves)
+        .map((shelf) => ({ ...shelf, items: itemsByShelf[shelf.shelfCode] || [] }))
+        .sort((a, b) => a.shelfCode.localeCompare(b.shelfCode, undefined, { numeric: true, sensitivity: 'base' }));
+};
+
+/**
+ * รายการ request ตามลำดับล่าสุด
+ * @param {object} branch - state.byBranch[branchCode]
+ */
+export const selectRequests = (branch) => {
+    if (!branch) return [];
+    return branch.requestIds.map((id) => branch.requests[id]).filter(Boolean);
+};
+
+// =============================================================================
+// Delta Sync
+// =============================================================================
+
+/**
+ * Shelf change logs (รวมที่รับทราบแล้ว) ที่เกิดหลัง since เรียงจากเก่าไปใหม่
+ * @param {string} branchCode
+ * @param {string} since - planogramSyncedAt
+ * @returns {Promise<{logs: Array, complete: boolean}>} complete = false เมื่อ log เยอะเกินไป (ให้โหลดทั้งหมด)
+ */
+const fetchChangeLogsSince = async (branchCode, since) => {
+    const sinceTime = new Date(since).getTime();
+    if (isNaN(sinceTime)) return { logs: [], complete: false };
+
+    const logs = [];
+    for (let page = 1; page <= MAX_CHANGE_LOG_PAGES; page++) {
+        const result = await getShelfChangeLogs(branchCode, { page, limit: CHANGE_LOG_PAGE_SIZE, all: true });
+        const pageLogs = Array.isArray(result?.logs) ? result.logs : [];
+        const newer = pageLogs.filter((log) => new Date(log.createdAt).getTime() > sinceTime);
+        logs.push(...newer);
+
+        // Logs come newest first - an older one (or a short page) means nothing is left
+        if (newer.length < pageLogs.length || pageLogs.length < CHANGE_LOG_PAGE_SIZE) {
+            return { logs: logs.reverse(), complete: true };
+        }
+    }
+    return { logs: [], complete: false };
+};
+
+/**
+ * ข้อมูลสินค้า (stock / ราคา) เก่าเกินไปหรือไม่ - ต้องโหลดทั้งหมดแทน delta sync
+ * @param {string} productsSyncedAt
+ * @returns {Promise<boolean>}
+ */
+const areProductsOutdated = async (productsSyncedAt) => {
+    const syncedTime = new Date(productsSyncedAt).getTime();
+    if (isNaN(syncedTime) || Date.now() - syncedTime > PRODUCTS_MAX_AGE_MS) return true;
+
+    const stock = await getStockLastUpdate();
+    const stockTime = new Date(stock?.updatedAt).getTime();
+    return !isNaN(stockTime) && stockTime > syncedTime;
+};
+
+// =============================================================================
+// Store
+// =============================================================================
+
+const useBranchDataStore = create((set, get) => {
+    const getBranch = (branchCode) => get().byBranch[branchCode] || emptyBranch();
+
+    const patchBranch = (branchCode, updater) => {
+        set((state) => {
+            const current = state.byBranch[branchCode] || emptyBranch();
+            return { byBranch: { ...state.byBranch, [branchCode]: { ...current, ...updater(current) } } };
+        });
+    };
+
+    const setFlag = (branchCode, flag, resource, value) => {
+        patchBranch(branchCode, (current) => ({ [flag]: { ...current[flag], [resource]: value } }));
+    };
+
+    /**
+     * Stale-while-revalidate loader shared by every resource
+     * 1) ถ้ายังไม่มีข้อมูลใน memory ให้แสดงจาก cache ก่อน
+     * 2) ถ้าข้อมูลเก่ากว่า STALE_MS (หรือ force) ให้โหลดจาก network แล้วเขียน cache
+     *    (fetcher คืน { unchanged: true } ได้ เมื่อไม่มีอะไรเปลี่ยน - persist แค่เลื่อน sync cursor)
+     */
+    const load = (resource, branchCode, { force = false, fetcher, restore, persist, apply }) => {
+        if (!branchCode) return Promise.resolve(null);
+
+        const inflightKey = `${resource}:${branchCode}`;
+        if (inflight[inflightKey]) return inflight[inflightKey];
+
+        const branch = getBranch(branchCode);
+        const loadedAt = branch.loadedAt[resource];
+        const isFresh = loadedAt && !branch.fromCache[resource] && !branch.expired[resource]
+            && Date.now() - loadedAt < STALE_MS[resource];
+        if (!force && isFresh) {
+            return Promise.resolve(branch);
+        }
+
+        const run = async () => {
+            setFlag(branchCode, 'loading', resource, true);
+
+            // Show cached data immediately while revalidating
+            if (!loadedAt) {
+                const cached = await restore(branchCode);
+                if (cached.data) {
+                    patchBranch(branchCode, (current) => ({
+                        ...apply(cached.data, current),
+                        loadedAt: { ...current.loadedAt, [resource]: cached.cachedAt },
+                        fromCache: { ...current.fromCache, [resource]: true },
+                    }));
+                }
+            }
+
+            try {
+                const data = await fetcher(getBranch(branchCode));
+                await persist(branchCode, data);
+                patchBranch(branchCode, (current) => ({
+                    ...apply(data, current),
+                    loadedAt: { ...current.loadedAt, [resource]: Date.now() },
+                    fromCache: { ...current.fromCache, [resource]: false },
+                    expired: { ...current.expired, [resource]: false },
+                    error: { ...current.error, [resource]: null },
+                }));
+            } catch (error) {
+                if (__DEV__) console.error(`Load ${resource} error:`, error);
+                setFlag(branchCode, 'error', resource, error);
+            } finally {
+                setFlag(branchCode, 'loading', resource, false);
+                delete inflight[inflightKey];
+            }
+
+            return getBranch(branchCode);
+        };
+
+        inflight[inflightKey] = run();
+        return inflight[inflightKey];
+    };
+
+    return {
+        byBranch: {},
+
+        // โหลด planogram ทั้งสาขา (สินค้า + ตำแหน่ง)
+        // มีข้อมูลเดิมอยู่แล้ว = ขอเฉพาะ changes, โหลดทั้งหมดเมื่อ server สั่งหรือ apply ไม่ได้
+        loadPlanogram: (branchCode, options = {}) => load('planogram', branchCode, {
+            ...options,
+            restore: localData.loadPlanogram,
+            persist: localData.savePlanogram,
+            fetcher: async (current) => {
+                if (current.planogramSyncedAt && current.loadedAt.planogram) {
+                    try {
+                        // Outdated stock / prices skip the change logs and fall through to a full download
+                        const outdated = await areProductsOutdated(current.productsSyncedAt);
+                        const { logs, complete } = outdated
+                            ? { logs: [], complete: false }
+                            : await fetchChangeLogsSince(branchCode, current.planogramSyncedAt);
+
+                        if (complete && !logs.length) {
+                            return { unchanged: true, syncedAt: current.planogramSyncedAt };
+                        }
+                        if (complete) {
+                            const result = applyPlanogramChanges(selectPlanogramItems(current), logs.map(logToChange));
+                            if (result.ok) {
+                                return {
+                                    items: result.items,
+                                    branchName: current.branchName,
+                                    productsSyncedAt: current.productsSyncedAt,
+                                    // Newest applied log is the next cursor
+                                    syncedAt: logs[logs.length - 1].createdAt,
+                                };
+                            }
+                        }
+                    } catch (error) {
+                        // Offline - a full download would fail the same way
+                        if (isNetworkError(error)) throw error;
+                        if (__DEV__) console.error('Planogram delta sync error:', error);
+                    }
+                }
+
+                const result = await getTemplateAndProduct(branchCode);
+                return {
+                    items: Array.isArray(result?.items) ? result.items : [],
+                    branchName: result?.branchName || '',
+                    syncedAt: result?.syncedAt || null,
+                    productsSyncedAt: result?.syncedAt || new Date().toISOString(),
+                };
+            },
+            apply: (data, current) => {
+                if (data.unchanged) return { planogramSyncedAt: data.syncedAt };
+
+                const normalized = normalizePlanogram(data.items);
+                return {
+                    branchName: data.branchName || current.branchName,
+                    planogramSyncedAt: data.syncedAt || null,
+                    productsSyncedAt: data.productsSyncedAt || null,
+                    // Keep shelves that have no products yet (known only from getBranchShelves)
+                    shelves: mergeShelves(current.shelves, normalized.shelves),
+                    products: normalized.products,
+                    placements: normalized.placements,
+                };
+            },
+        }),
+
+        // โหลดโครงสร้าง shelf (รวม shelf ที่ยังว่าง)
+        loadShelves: (branchCode, options = {}) => load('shelves', branchCode, {
+            ...options,
+            restore: localData.loadShelves,
+            persist: localData.saveShelves,
+            fetcher: async () => {
+                const result = await getBranchShelves(branchCode);
+                return { shelves: result?.shelves || [] };
+            },
+            apply: (data, current) => {
+                const normalized = normalizeShelves(data.shelves);
+                return {
+                    // Shelf templates are authoritative for fullName / rowQty
+                    shelves: { ...current.shelves, ...normalized.shelves },
+                    placements: normalized.placements,
+                };
+            },
+        }),
+
+        // โหลด POG requests หน้าแรก (ใช้ตรวจคำขอซ้ำ)
+        loadRequests: (branchCode, options = {}) => load('requests', branchCode, {
+            ...options,
+            restore: (code) => localData.loadRequests(code),
+            persist: localData.saveRequests,
+            fetcher: async () => {
+                const result = await getMyPogRequests(branchCode);
+                return { data: result?.data || [], total: result?.pagination?.total || 0 };
+            },
+            apply: (data, current) => {
+                const requests = { ...current.requests };
+                (data.data || []).forEach((request) => {
+                    requests[request.id] = request;
+                });
+                return {
+                    requests,
+                    requestIds: (data.data || []).map((r) => r.id),
+                    requestTotal: data.total || 0,
+                };
+            },
+        }),
+
+        // บันทึก request ที่หน้าจออื่นโหลดมา (เช่นหน้าประวัติแบบแบ่งหน้า)
+        upsertRequests: (branchCode, list = []) => {
+            if (!branchCode || !list.length) return;
+            patchBranch(branchCode, (current) => {
+                const requests = { ...current.requests };
+                list.forEach((request) => {
+                    requests[request.id] = { ...requests[request.id], ...request };
+                });
+                return { requests };
+            });
+        },
+
+        // อัปเดต request เดียวหลังเปลี่ยนสถานะ (เช่น ยกเลิก)
+        updateRequest: (branchCode, id, changes) => {
+            if (!branchCode || id === undefined || id === null) return;
+            patchBranch(branchCode, (current) => {
+                if (!current.requests[id]) return {};
+                return { requests: { ...current.requests, [id]: { ...current.requests[id], ...changes } } };
+            });
+        },
+
+        // บังคับให้ resource โหลดใหม่ในครั้งถัดไป (หลังสร้าง/แก้ไขข้อมูล)
+        invalidate: (branchCode, resources = ['planogram', 'shelves', 'requests']) => {
+            if (!branchCode || !get().byBranch[branchCode]) return;
+            patchBranch(branchCode, (current) => {
+                const expired = { ...current.expired };
+                resources.forEach((resource) => {
+                    expired[resource] = true;
+                });
+                return { expired };
+            });
+        },
+
+        reset: () => set({ byBranch: {} }),
+    };
+});
+
+export default useBranchDataStore;
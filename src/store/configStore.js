@@ -0,0 +1,68 @@
+/**
+ * Config Store - Zustand store for remote feature flags and runtime settings
+ * Starts from safe defaults, then the cached branch config, then the fresh one from the server
+ */
+import { create } from 'zustand';
+import { configureApi } from '../api/axios';
+import { loadCachedConfig, fetchConfig } from '../services/configService';
+import { DEFAULT_CONFIG } from '../constants/config';
+
+// Branch whose config is currently being fetched (skip duplicate calls)
+let inflight = null;
+
+const useConfigStore = create((set, get) => ({
+    // State
+    config: DEFAULT_CONFIG,
+    branchCode: null,
+    source: 'default', // 'default' | 'cache' | 'remote'
+    updatedAt: null,
+    isLoading: false,
+
+    // Actions
+    applyConfig: (config, meta) => {
+        configureApi(config.settings);
+        set({ config, ...meta });
+    },
+
+    /**
+     * Load the config of a branch (null = before login)
+     * Keeps the current config when the server can't be reached
+     */
+    loadConfig: async (branchCode = null) => {
+        const code = branchCode || null;
+        if (inflight && inflight.code === code) return inflight.promise;
+
+        const run = async () => {
+            set({ isLoading: true });
+
+            // Switching branch - show the stored config (or defaults) until the server answers
+            if (get().branchCode !== code || get().source === 'default') {
+                const cached = await loadCachedConfig(code);
+                if (cached) {
+                    get().applyConfig(cached.config, { branchCode: code, source: 'cache', updatedAt: cached.cachedAt });
+                } else {
+                    get().applyConfig(DEFAULT_CONFIG, { branchCode: code, source: 'default', updatedAt: null });
+                }
+            }
+
+            try {
+                const config = await fetchConfig(code);
+                get().applyConfig(config, { branchCode: code, source: 'remote', updatedAt: Date.now() });
+            } catch (error) {
+                if (__DEV__) console.error('Load config error:', error);
+            } finally {
+                set({ isLoading: false });
+            }
+        };
+
+        const promise = run();
+        inflight = { code, promise };
+        try {
+            await promise;
+        } finally {
+            if (inflight?.promise === promise) inflight = null;
+        }
+    },
+}));
+
+export default useConfigStore;
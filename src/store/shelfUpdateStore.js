@@ -1,6 +1,8 @@
 // Store สำหรับจัดการ shelf update notifications
 import { create } from 'zustand';
 import api from '../api/axios';
+import { getShelfChangeLogs } from '../api/user';
+import useBranchDataStore from './branchDataStore';
 
 const useShelfUpdateStore = create((set, get) => ({
     // สถานะว่ามี update หรือไม่
@@ -10,9 +12,9 @@ const useShelfUpdateStore = create((set, get) => ({
     changeLogs: [],
     unacknowledgedCount: 0,
 
-    // ตรวจสอบว่าสาขามี shelf update หรือไม่ + ดึง logs
+    // ตรวจสอบว่าสาขามี shelf update หรือไม่ + ดึง logs (คืน false เมื่อเรียก API ไม่สำเร็จ)
     checkShelfUpdate: async (branchCode) => {
-        if (!branchCode) return;
+        if (!branchCode) return false;
 
         set({ isLoading: true });
         try {
@@ -27,6 +29,12 @@ const useShelfUpdateStore = create((set, get) => ({
                 hasShelfUpdate: unacknowledgedCount > 0,
                 isLoading: false,
             });
+
+            // Shelf layout changed - next planogram load pulls the changes (delta sync)
+            if (unacknowledgedCount > 0) {
+                useBranchDataStore.getState().invalidate(branchCode, ['planogram', 'shelves']);
+            }
+            return true;
         } catch (error) {
             if (__DEV__) {
                 if (error?.response?.status === 401) {
@@ -36,6 +44,7 @@ const useShelfUpdateStore = create((set, get) => ({
                 }
             }
             set({ isLoading: false });
+            return false;
         }
     },
 
@@ -69,10 +78,9 @@ const useShelfUpdateStore = create((set, get) => ({
         if (!branchCode) return { logs: [], total: 0 };
 
         try {
-            const allQuery = showAll ? 'all=true&' : '';
-            const res = await api.get(`/shelf-change-logs/${branchCode}?${allQuery}page=${page}&limit=${limit}`);
-            const newLogs = res.data?.logs || [];
-            const pagination = res.data?.pagination || { total: 0 };
+            const data = await getShelfChangeLogs(branchCode, { page, limit, all: showAll });
+            const newLogs = data?.logs || [];
+            const pagination = data?.pagination || { total: 0 };
 
             if (isLoadMore) {
                 // Append unique items
@@ -97,7 +105,7 @@ const useShelfUpdateStore = create((set, get) => ({
                     console.error('Fetch all history error:', error);
                 }
             }
-            return { logs: [], total: 0 };
+            return { logs: [], total: 0, failed: true };
         }
     },
 
@@ -0,0 +1,124 @@
+/**
+ * Barcode SVG - Vector barcodes for printed sheets and price labels
+ * EAN-13 / EAN-8 / UPC-A when the digits and check digit are valid, Code 128 (set B) otherwise
+ */
+
+// EAN digit patterns (1 = bar)
+const EAN_L = ['0001101', '0011001', '0010011', '0111101', '0100011', '0110001', '0101111', '0111011', '0110111', '0001011'];
+const EAN_G = ['0100111', '0110011', '0011011', '0100001', '0011101', '0111001', '0000101', '0010001', '0001001', '0010111'];
+const EAN_R = ['1110010', '1100110', '1101100', '1000010', '1011100', '1001110', '1010000', '1000100', '1001000', '1110100'];
+
+// EAN-13 first digit -> L/G pattern of the left half
+const EAN13_PARITY = ['LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG', 'LGGLLG', 'LGGGLL', 'LGLGLG', 'LGLGGL', 'LGGLGL'];
+
+// Code 128 bar/space widths by symbol value (106 = stop)
+const CODE128 = [
+    '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+    '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+    '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+    '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+    '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+    '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+    '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+    '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+    '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+    '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+    '114131', '311141', '411131', '211412', '211214', '211232', '2331112',
+];
+const CODE128_START_B = 104;
+const CODE128_STOP = 106;
+
+/**
+ * Check digit of an EAN / UPC code (weights 3,1,3,... from the right)
+ * @param {string} digits - Code without its check digit
+ * @returns {number}
+ */
+const eanCheckDigit = (digits) => {
+    const sum = digits
+        .split('')
+        .reverse()
+        .reduce((acc, d, i) => acc + Number(d) * (i % 2 === 0 ? 3 : 1), 0);
+    return (10 - (sum % 10)) % 10;
+};
+
+const isValidEan = (code) => eanCheckDigit(code.slice(0, -1)) === Number(code[code.length - 1]);
+
+const encodeEan13 = (code) => {
+    const parity = EAN13_PARITY[Number(code[0])];
+    const left = code.slice(1, 7).split('').map((d, i) => (parity[i] === 'L' ? EAN_L : EAN_G)[Number(d)]);
+    const right = code.slice(7).split('').map((d) => EAN_R[Number(d)]);
+    return `101${left.join('')}01010${right.join('')}101`;
+};
+
+const encodeEan8 = (code) => {
+    const left = code.slice(0, 4).split('').map((d) => EAN_L[Number(d)]);
+    const right = code.slice(4).split('').map((d) => EAN_R[Number(d)]);
+    return `101${left.join('')}01010${right.join('')}101`;
+};
+
+// Bar/space widths -> module string
+const widthsToModules = (widths) => widths
+    .split('')
+    .map((w, i) => (i % 2 === 0 ? '1' : '0').repeat(Number(w)))
+    .join('');
+
+const encodeCode128 = (text) => {
+    const values = text.split('').map((ch) => ch.charCodeAt(0) - 32);
+    const checksum = values.reduce((acc, v, i) => acc + v * (i + 1), CODE128_START_B) % 103;
+    return [CODE128_START_B, ...values, checksum, CODE128_STOP]
+        .map((v) => widthsToModules(CODE128[v]))
+        .join('');
+};
+
+/**
+ * Bar modules of a barcode value
+ * @param {string} value
+ * @returns {object|null} { format, modules } or null when the value can't be encoded
+ */
+export const encodeBarcode = (value) => {
+    const code = String(value ?? '').trim();
+    if (!code) return null;
+
+    if (/^\d+$/.test(code)) {
+        if (code.length === 13 && isValidEan(code)) return { format: 'EAN13', modules: encodeEan13(code) };
+        if (code.length === 12 && isValidEan(code)) return { format: 'UPCA', modules: encodeEan13(`0${code}`) };
+        if (code.length === 8 && isValidEan(code)) return { format: 'EAN8', modules: encodeEan8(code) };
+    }
+
+    // Code 128 set B covers printable ASCII only
+    if (!/^[\x20-\x7e]+$/.test(code)) return null;
+    return { format: 'CODE128', modules: encodeCode128(code) };
+};
+
+/**
+ * Barcode as an SVG element (bars only - print the digits under it in the page)
+ * @param {string} value
+ * @param {object} options - { moduleWidth, height, quietZone } in px
+ * @returns {string} SVG markup, empty string when the value can't be encoded
+ */
+export const barcodeSvg = (value, { moduleWidth = 1.5, height = 40, quietZone = 10 } = {}) => {
+    const encoded = encodeBarcode(value);
+    if (!encoded) return '';
+
+    const { modules } = encoded;
+    const rects = [];
+    let start = -1;
+    for (let i = 0; i <= modules.length; i++) {
+        if (modules[i] === '1') {
+            if (start === -1) start = i;
+        } else if (start !== -1) {
+            // One rect per run of bars
+            const x = (quietZone + start) * moduleWidth;
+            rects.push(`<rect x="${x}" y="0" width="${(i - start) * moduleWidth}" height="${height}"/>`);
+            start = -1;
+        }
+    }
+
+    const width = (modules.length + quietZone * 2) * moduleWidth;
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" shape-rendering="crispEdges" fill="#000">${rects.join('')}</svg>`;
+};
+
+export default {
+    encodeBarcode,
+    barcodeSvg,
+};
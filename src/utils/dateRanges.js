@@ -0,0 +1,107 @@
+/**
+ * Date ranges - Preset ranges for filtering and exporting lists by creation date
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DATE_RANGES = {
+    TODAY: 'today',
+    LAST_7_DAYS: 'last7',
+    LAST_30_DAYS: 'last30',
+    THIS_MONTH: 'thisMonth',
+    LAST_MONTH: 'lastMonth',
+    ALL: 'all',
+};
+
+export const DATE_RANGE_LABELS = {
+    [DATE_RANGES.TODAY]: 'วันนี้',
+    [DATE_RANGES.LAST_7_DAYS]: '7 วันล่าสุด',
+    [DATE_RANGES.LAST_30_DAYS]: '30 วันล่าสุด',
+    [DATE_RANGES.THIS_MONTH]: 'เดือนนี้',
+    [DATE_RANGES.LAST_MONTH]: 'เดือนที่แล้ว',
+    [DATE_RANGES.ALL]: 'ทั้งหมด',
+};
+
+// Range typed in by hand (export only, not one of the filter presets)
+export const CUSTOM_RANGE = 'custom';
+export const CUSTOM_RANGE_LABEL = 'กำหนดเอง';
+
+// Thai users usually type Buddhist-era years (2569 = 2026)
+const BUDDHIST_YEAR_OFFSET = 543;
+
+/**
+ * Show a date as DD/MM/YYYY with a Buddhist-era year, the way it's typed back in
+ * @param {Date} date
+ * @returns {string}
+ */
+export function formatDateInput(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${pad(date.getDate())}/${pad(date.getMonth() + 1)}/${date.getFullYear() + BUDDHIST_YEAR_OFFSET}`;
+}
+
+/**
+ * Read a date typed as DD/MM/YYYY (Buddhist-era or Christian year)
+ * @param {string} text
+ * @returns {Date|null} Start of that day, null when it isn't a real date
+ */
+export function parseDateInput(text) {
+    const match = /^\s*(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})\s*$/.exec(text || '');
+    if (!match) return null;
+
+    const day = Number(match[1]);
+    const month = Number(match[2]) - 1;
+    let year = Number(match[3]);
+    if (year > 2400) year -= BUDDHIST_YEAR_OFFSET;
+
+    const date = new Date(year, month, day);
+    // Rejects 31/02 and the like, which Date would roll over
+    if (date.getFullYear() !== year || date.getMonth() !== month || date.getDate() !== day) return null;
+    return date;
+}
+
+/**
+ * Start / end of a date range preset
+ * @param {string|object} range - One of DATE_RANGES, or { fromDate, toDate } picked by hand
+ * @param {Date} now
+ * @returns {object} { from, to } as timestamps (null = open ended)
+ */
+export function getRangeDates(range, now = new Date()) {
+    if (range?.fromDate && range?.toDate) {
+        // Whole days, both ends included
+        const { fromDate, toDate } = range;
+        return {
+            from: new Date(fromDate.getFullYear(), fromDate.getMonth(), fromDate.getDate()).getTime(),
+            to: new Date(toDate.getFullYear(), toDate.getMonth(), toDate.getDate() + 1).getTime() - 1,
+        };
+    }
+
+    const startOfToday = new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime();
+
+    switch (range) {
+        case DATE_RANGES.TODAY:
+            return { from: startOfToday, to: null };
+        case DATE_RANGES.LAST_7_DAYS:
+            return { from: startOfToday - 6 * DAY_MS, to: null };
+        case DATE_RANGES.LAST_30_DAYS:
+            return { from: startOfToday - 29 * DAY_MS, to: null };
+        case DATE_RANGES.THIS_MONTH:
+            return { from: new Date(now.getFullYear(), now.getMonth(), 1).getTime(), to: null };
+        case DATE_RANGES.LAST_MONTH:
+            return {
+                from: new Date(now.getFullYear(), now.getMonth() - 1, 1).getTime(),
+                to: new Date(now.getFullYear(), now.getMonth(), 1).getTime() - 1,
+            };
+        default:
+            return { from: null, to: null };
+    }
+}
+
+export default {
+    DATE_RANGES,
+    DATE_RANGE_LABELS,
+    CUSTOM_RANGE,
+    CUSTOM_RANGE_LABEL,
+    formatDateInput,
+    parseDateInput,
+    getRangeDates,
+};
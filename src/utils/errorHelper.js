@@ -8,6 +8,8 @@ const ERROR_CODE_MAP = {
     'NETWORK_ERROR': 'ไม่สามารถเชื่อมต่อเซิร์ฟเวอร์ได้',
     'UNAUTHORIZED': 'กรุณาเข้าสู่ระบบใหม่',
     'FORBIDDEN': 'ไม่มีสิทธิ์เข้าถึง',
+    'REQUEST_NOT_PENDING': 'คำขอนี้ถูกตรวจสอบแล้ว ไม่สามารถแก้ไขได้',
+    'REQUEST_MODIFIED': 'คำขอนี้ถูกแก้ไขจากที่อื่น กรุณาเปิดคำขอใหม่อีกครั้ง',
     'ERROR': 'เกิดข้อผิดพลาด กรุณาลองใหม่',
 };
 
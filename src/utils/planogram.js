@@ -0,0 +1,317 @@
+/**
+ * Planogram helpers - Shared grouping and shelf comparison logic
+ * Used by the planogram list, the shelf audit workflow and the request form
+ */
+
+/**
+ * Group planogram items by shelf
+ * @param {Array} items - Items from getTemplateAndProduct
+ * @returns {Array} [{ shelfCode, fullName, rowQty, products }] with products sorted by rowNo/index
+ */
+export const groupByShelf = (items) => {
+    if (!items || !items.length) return [];
+
+    const groups = items.reduce((acc, item) => {
+        const code = item.shelfCode || '-';
+        if (!acc[code]) acc[code] = [];
+        acc[code].push(item);
+        return acc;
+    }, {});
+
+    return Object.keys(groups).map((shelfCode) => {
+        const products = groups[shelfCode];
+        const rowNumbers = products.map((i) => i.rowNo || 1);
+        const rowQty = Math.max(...rowNumbers);
+
+        return {
+            shelfCode,
+            fullName: products[0]?.fullName || 'N/A',
+            rowQty,
+            products: products.sort(
+                (a, b) => (a.rowNo || 0) - (b.rowNo || 0) || (a.index || 0) - (b.index || 0)
+            ),
+        };
+    });
+};
+
+/**
+ * Longest common subsequence of two barcode lists
+ * @returns {Set} Barcodes that are in the same relative order in both lists
+ */
+const commonOrder = (expected, actual) => {
+    const dp = Array.from({ length: expected.length + 1 }, () => new Array(actual.length + 1).fill(0));
+
+    for (let i = expected.length - 1; i >= 0; i--) {
+        for (let j = actual.length - 1; j >= 0; j--) {
+            dp[i][j] = expected[i] === actual[j]
+                ? dp[i + 1][j + 1] + 1
+                : Math.max(dp[i + 1][j], dp[i][j + 1]);
+        }
+    }
+
+    const inOrder = new Set();
+    let i = 0;
+    let j = 0;
+    while (i < expected.length && j < actual.length) {
+        if (expected[i] === actual[j]) {
+            inOrder.add(expected[i]);
+            i++;
+            j++;
+        } else if (dp[i + 1][j] >= dp[i][j + 1]) {
+            i++;
+        } else {
+            j++;
+        }
+    }
+    return inOrder;
+};
+
+/**
+ * Compare what was scanned on a shelf with the planogram.
+ * Position is judged by relative order within a row, so one missing item
+ * doesn't mark everything after it as misplaced.
+ * @param {object} shelf - One entry from groupByShelf
+ * @param {object} scansByRow - { [rowNo]: [barcode, ...] } in physical left-to-right order
+ * @returns {object} { inPlace, missing, unexpected, wrongPosition }
+ */
+export const auditShelf = (shelf, scansByRow = {}) => {
+    const expectedMap = {};
+    (shelf?.products || []).forEach((product) => {
+        expectedMap[String(product.barcode)] = product;
+    });
+
+    // First scan of each barcode wins (repeated facings are ignored)
+    const scannedMap = {};
+    Object.keys(scansByRow).forEach((rowKey) => {
+        (scansByRow[rowKey] || []).forEach((barcode, idx) => {
+            const bc = String(barcode);
+            if (!scannedMap[bc]) {
+                scannedMap[bc] = { barcode: bc, rowNo: Number(rowKey), index: idx + 1 };
+            }
+        });
+    });
+
+    const missing = (shelf?.products || []).filter((p) => !scannedMap[String(p.barcode)]);
+    const unexpected = Object.values(scannedMap).filter((scan) => !expectedMap[scan.barcode]);
+
+    const wrongPosition = [];
+    let inPlace = 0;
+
+    for (let rowNo = 1; rowNo <= (shelf?.rowQty || 0); rowNo++) {
+        const rowScans = Object.values(scannedMap)
+            .filter((scan) => scan.rowNo === rowNo && expectedMap[scan.barcode])
+            .sort((a, b) => a.index - b.index);
+
+        const expectedOrder = (shelf.products || [])
+            .filter((p) => Number(p.rowNo) === rowNo && scannedMap[String(p.barcode)]?.rowNo === rowNo)
+            .map((p) => String(p.barcode));
+
+        const inOrder = commonOrder(expectedOrder, rowScans.map((scan) => scan.barcode));
+
+        rowScans.forEach((scan) => {
+            const product = expectedMap[scan.barcode];
+            if (Number(product.rowNo) === rowNo && inOrder.has(scan.barcode)) {
+                inPlace += 1;
+            } else {
+                wrongPosition.push({
+                    ...scan,
+                    product,
+                    expectedRow: product.rowNo,
+                    expectedIndex: product.index,
+                });
+            }
+        });
+    }
+
+    return { inPlace, missing, unexpected, wrongPosition };
+};
+
+// =============================================================================
+// Delta Sync
+// =============================================================================
+
+const inRow = (item, shelfCode, rowNo) => (
+    item.shelfCode === shelfCode && Number(item.rowNo) === Number(rowNo)
+);
+
+// Change logs name the product by barcode when they have it, otherwise by product code
+const isSameProduct = (item, change) => (change.barcode
+    ? String(item.barcode) === String(change.barcode)
+    : !!change.codeProduct && String(item.codeProduct) === String(change.codeProduct));
+
+/**
+ * Shelf change log (GET /shelf-change-logs) -> planogram change
+ * @param {object} log - { action, barcode, codeProduct, productName, fromShelf, fromRow, toShelf, toRow, toIndex }
+ * @returns {object}
+ */
+export const logToChange = (log) => ({
+    action: log.action,
+    barcode: log.barcode || null,
+    codeProduct: log.codeProduct || null,
+    fromShelf: log.fromShelf,
+    fromRow: log.fromRow,
+    toShelf: log.toShelf,
+    toRow: log.toRow,
+    toIndex: log.toIndex,
+    item: log.action === 'add'
+        ? { codeProduct: log.codeProduct, nameProduct: log.productName }
+        : undefined,
+});
+
+/**
+ * Apply shelf change logs to a cached planogram
+ * Removing a product closes the gap in its row, adding one pushes the rest to the right.
+ * The cached rows may already include a change (shelf templates are reloaded separately),
+ * so a change that is already there is skipped instead of applied twice.
+ * @param {Array} items - Items from getTemplateAndProduct
+ * @param {Array} changes - [{ action: 'add'|'move'|'delete'|'update', barcode, codeProduct, fromShelf, fromRow, toShelf, toRow, toIndex, item }]
+ * @returns {{ items: Array, ok: boolean }} ok is false when a change doesn't fit the local copy (full reload needed)
+ */
+export const applyPlanogramChanges = (items, changes = []) => {
+    let next = (items || []).map((item) => ({ ...item }));
+
+    const findItem = (change) => next.find((item) => isSameProduct(item, change));
+
+    const removeTarget = (target) => {
+        next = next.filter((item) => item !== target);
+        next.forEach((item) => {
+            if (inRow(item, target.shelfCode, target.rowNo) && Number(item.index) > Number(target.index)) {
+                item.index = Number(item.index) - 1;
+            }
+        });
+        return target;
+    };
+
+    const removeItem = (change) => {
+        const target = next.find((item) => isSameProduct(item, change) && inRow(item, change.fromShelf, change.fromRow));
+        return target ? removeTarget(target) : null;
+    };
+
+    const insertItem = (change, product) => {
+        const index = Number(change.toIndex);
+        next.forEach((item) => {
+            if (inRow(item, change.toShelf, change.toRow) && Number(item.index) >= index) {
+                item.index = Number(item.index) + 1;
+            }
+        });
+        const shelfName = next.find((item) => item.shelfCode === change.toShelf)?.fullName;
+        next.push({
+            ...product,
+            barcode: change.barcode || product.barcode,
+            shelfCode: change.toShelf,
+            fullName: shelfName || product.fullName || change.toShelf,
+            rowNo: Number(change.toRow),
+            index,
+        });
+    };
+
+    for (const change of changes) {
+        if (change.action === 'update') {
+            next = next.map((item) => (
+                isSameProduct(item, change) ? { ...item, ...change.item } : item
+            ));
+        } else if (change.action === 'delete') {
+            if (!removeItem(change)) {
+                // Already gone = already applied; still somewhere else = local copy is off
+                if (findItem(change)) return { items, ok: false };
+            }
+        } else if (change.action === 'add') {
+            if (!change.item) return { items, ok: false };
+            // Already at the target slot = already applied (a product may also sit on other shelves)
+            const atSlot = next.some((item) => isSameProduct(item, change)
+                && inRow(item, change.toShelf, change.toRow)
+                && Number(item.index) === Number(change.toIndex));
+            if (atSlot) continue;
+            const existing = findItem(change);
+            // No barcode = can't place a product the cache doesn't know
+            if (!existing && !change.barcode) return { items, ok: false };
+            insertItem(change, { ...existing, ...change.item });
+        } else if (change.action === 'move') {
+            const moved = removeItem(change);
+            if (!moved) {
+                const existing = findItem(change);
+                // Already in the target row = already applied
+                if (existing && inRow(existing, change.toShelf, change.toRow)) continue;
+                return { items, ok: false };
+            }
+            insertItem(change, { ...moved, ...change.item });
+        } else {
+            // Unknown change type - can't be applied safely
+            return { items, ok: false };
+        }
+    }
+
+    return { items: next, ok: true };
+};
+
+/**
+ * Products around a target slot as the row would look once an add/move is done
+ * @param {Array} items - Planogram items (barcode, shelfCode, rowNo, index)
+ * @param {object} change - { action: 'add'|'move', barcode, fromShelf, fromRow, toShelf, toRow, toIndex }
+ * @param {number} span - Neighbours to keep on each side
+ * @returns {{ before: Array, after: Array }} Nearest first-to-last, without the product itself
+ */
+export const getSlotNeighbours = (items, change, span = 2) => {
+    const barcode = String(change.barcode);
+    const others = (items || []).filter((item) => String(item.barcode) !== barcode);
+    let next = [...others, { barcode, shelfCode: change.toShelf, rowNo: Number(change.toRow), index: Number(change.toIndex) }];
+
+    if (change.action === 'move') {
+        const result = applyPlanogramChanges(items, [change]);
+        if (result.ok) next = result.items;
+    } else {
+        // Everything from the slot onwards is pushed to the right
+        const result = applyPlanogramChanges(others, [{ ...change, action: 'add', item: {} }]);
+        if (result.ok) next = result.items;
+    }
+
+    const row = next
+        .filter((item) => inRow(item, change.toShelf, change.toRow))
+        .sort((a, b) => Number(a.index) - Number(b.index));
+    const position = row.findIndex((item) => String(item.barcode) === barcode);
+    if (position === -1) return { before: [], after: [] };
+
+    return {
+        before: row.slice(Math.max(0, position - span), position),
+        after: row.slice(position + 1, position + 1 + span),
+    };
+};
+
+// Slots a pending request will place a product into
+const requestTargetSlots = (request) => {
+    const to = { shelfCode: request.toShelf, rowNo: request.toRow, index: request.toIndex };
+    if (request.action === 'add' || request.action === 'move') return [to];
+    if (request.action === 'swap') {
+        return [to, { shelfCode: request.fromShelf, rowNo: request.fromRow, index: request.fromIndex }];
+    }
+    return [];
+};
+
+const isSameSlot = (a, b) => (
+    !!a.shelfCode
+    && a.shelfCode === b.shelfCode
+    && Number(a.rowNo) === Number(b.rowNo)
+    && Number(a.index) === Number(b.index)
+);
+
+/**
+ * Pending requests that put a product into any of the given slots
+ * @param {Array} requests - Pending requests
+ * @param {Array} slots - [{ shelfCode, rowNo, index }]
+ * @returns {Array} Matching requests
+ */
+export const findSlotRequests = (requests, slots) => {
+    const wanted = (slots || []).filter((slot) => slot?.shelfCode);
+    if (!wanted.length) return [];
+    return (requests || []).filter((request) => requestTargetSlots(request)
+        .some((target) => wanted.some((slot) => isSameSlot(target, slot))));
+};
+
+export default {
+    groupByShelf,
+    auditShelf,
+    logToChange,
+    applyPlanogramChanges,
+    getSlotNeighbours,
+    findSlotRequests,
+};